@@ -1,31 +1,185 @@
 /* =========================================================================
  * ⚙️ CONFIGURAÇÕES E IMPORTS GLOBAIS (VERSÃO NODE.JS STANDALONE)
  * ========================================================================= */
-require("dotenv").config();
-
-const admin = require("firebase-admin");
 const express = require("express");
 const cors = require("cors");
 const crypto = require("crypto");
-const busboy = require("busboy");
-const path = require("path");
-const os = require("os");
-const fs = require("fs");
 const { v4: uuidv4 } = require("uuid");
-const { createClient } = require("@supabase/supabase-js");
-
-// Arquivo de Permissões (Certifique-se de que o arquivo está na raiz)
-const serviceAccount = require("./permisions.json");
-
-/* -------------------------------------------------------------------------
- * 🚀 INICIALIZAÇÃO DO FIREBASE ADMIN
- * ------------------------------------------------------------------------- */
-
-admin.initializeApp({
-  credential: admin.credential.cert(serviceAccount),
-});
 
-const database = admin.firestore();
+// Firebase Admin (inicializado em services/firebase.js)
+const { admin, database } = require("./services/firebase");
+const {
+  roundAmount,
+  postJournalEntry,
+  transferPostings,
+  exchangePostings,
+  postOpeningBalance,
+  reconcileAccounts,
+} = require("./services/journal");
+const {
+  DEFAULT_CURRENCY,
+  toMinorUnits,
+  fromMinorUnits,
+  accountCurrency,
+  accountBalanceMinor,
+  balanceFields,
+  recordAmountMinor,
+  amountFields,
+} = require("./services/money");
+const {
+  quoteConversion,
+  reverseConversion,
+} = require("./services/exchangeRates");
+const {
+  hashRequestBody,
+  findAccountRef,
+  resolveTransferId,
+  executeTransfer,
+} = require("./services/transfers");
+const {
+  toDate,
+  findNextOccurrence,
+  previewRuns,
+  parseScheduleInput,
+} = require("./services/scheduledTransfers");
+const {
+  normalizeKey,
+  normalizePhone,
+  registerTransferKey,
+  resolveTransferKey,
+} = require("./services/transferKeys");
+const {
+  ACCOUNT_TYPES,
+  listUserAccounts,
+  pickDefaultAccount,
+  setDefaultAccount,
+  formatAccount,
+  getAccountHolderName,
+} = require("./services/bankAccounts");
+const {
+  parseProductInput,
+  applyInvestment,
+  redeemInvestment,
+} = require("./services/investments");
+const { STATEMENT_FORMATS, exportStatement } = require("./services/statements");
+const { searchTransactions } = require("./services/transactionSearch");
+const {
+  RECEIPT_FORMATS,
+  getOrCreateReceipt,
+  findReceipt,
+  publicReceipt,
+  renderReceiptHtml,
+  writeReceiptPdf,
+} = require("./services/receipts");
+const { maskName, maskAccountNumber, maskCpf } = require("./services/masking");
+const {
+  validateInput,
+  validationErrorBody,
+  validateRequest,
+} = require("./services/validation");
+const schemas = require("./services/schemas");
+const { auditTrail, listAuditLogs } = require("./services/audit");
+const {
+  describeLimits,
+  updateTransferLimits,
+} = require("./services/transferLimits");
+const {
+  ROLES,
+  STAFF_ROLES,
+  DEFAULT_ROLE,
+  getUserRole,
+  setUserRole,
+} = require("./services/roles");
+const {
+  SIGNED_URL_TTL_SECONDS,
+  createSignedUrl,
+  removeFile,
+  verifyLocalSignedUrl,
+} = require("./services/storage");
+const {
+  parseMultipart,
+  multipartErrorStatus,
+} = require("./services/multipart");
+const {
+  attachmentUrl,
+  attachmentDestination,
+  buildAttachment,
+  discardAttachmentFile,
+  addAttachmentToTransfer,
+} = require("./services/attachments");
+const {
+  getRiskRules,
+  updateRiskRules,
+  evaluateTransferRisk,
+  recordRiskAssessment,
+} = require("./services/risk");
+const {
+  publishEvent,
+  publishBalanceChange,
+  createSubscription,
+  listSubscriptions,
+  updateSubscription,
+  deleteSubscription,
+  rotateSubscriptionSecret,
+  listDeliveries,
+  getDelivery,
+  replayDelivery,
+} = require("./services/webhooks");
+const {
+  recordTransactionAnalytics,
+  getAnalytics,
+} = require("./services/analytics");
+const {
+  listCategories,
+  validateCategory,
+  createCategory,
+  deleteCategory,
+  listBudgets,
+  setBudget,
+  deleteBudget,
+  getBudgetReport,
+  checkBudgetAlerts,
+  listBudgetAlerts,
+} = require("./services/budgets");
+const {
+  HEARTBEAT_SECONDS,
+  subscribeToUserEvents,
+} = require("./services/eventStream");
+const {
+  getSecurityStatus,
+  setTransactionPin,
+  startTotpSetup,
+  confirmTotp,
+  disableTotp,
+  requiresStepUp,
+  createTransferChallenge,
+  confirmTransferChallenge,
+  finishTransferChallenge,
+} = require("./services/transactionSecurity");
+const {
+  listHeldTransfers,
+  approveHeldTransfer,
+  rejectHeldTransfer,
+} = require("./services/heldTransfers");
+const {
+  confirmPayee,
+  resolveContactAccount,
+  listContacts,
+  createContact,
+  updateContact,
+  deleteContact,
+  listRecentRecipients,
+} = require("./services/contacts");
+const { parseBoleto } = require("./services/boletos");
+const {
+  getBillPaymentAmount,
+  createBillPayment,
+  listBillPayments,
+  getBillPayment,
+  cancelBillPayment,
+  approveBillPayment,
+  rejectBillPayment,
+} = require("./services/billPayments");
 
 /* -------------------------------------------------------------------------
  * 🌐 CONFIGURAÇÃO DO SERVIDOR EXPRESS
@@ -53,15 +207,56 @@ const authenticate = async (req, res, next) => {
   const idToken = authHeader.split("Bearer ")[1];
 
   try {
-    const decodedToken = await admin.auth().verifyIdToken(idToken);
+    // checkRevoked: tokens emitidos antes de uma troca de papel (que revoga
+    // os refresh tokens) deixam de valer na hora, não só quando expiram
+    const decodedToken = await admin.auth().verifyIdToken(idToken, true);
     req.user = decodedToken;
     next();
   } catch (error) {
     console.error("Erro ao verificar o Token:", error);
+
+    if (error.code === "auth/id-token-revoked") {
+      return res
+        .status(401)
+        .send({ message: "Sessão revogada. Faça login novamente." });
+    }
+
     return res.status(401).send({ message: "Token inválido ou expirado." });
   }
 };
 
+// Devem ser usados depois de 'authenticate': exigem um dos papéis informados
+const requireRole =
+  (...roles) =>
+  (req, res, next) => {
+    if (!roles.includes(getUserRole(req.user))) {
+      return res.status(403).send({
+        message: "Acesso negado. Seu perfil não tem permissão para esta rota.",
+      });
+    }
+
+    next();
+  };
+
+const requireAdmin = requireRole("admin");
+const requireStaff = requireRole(...STAFF_ROLES);
+
+// Rotas /users/:id: o próprio usuário ou um dos papéis informados
+const requireSelfOrRole =
+  (...roles) =>
+  (req, res, next) => {
+    if (
+      req.params.id !== req.user.user_id &&
+      !roles.includes(getUserRole(req.user))
+    ) {
+      return res.status(403).send({
+        message: "Acesso negado. Este usuário não pertence à sua conta.",
+      });
+    }
+
+    next();
+  };
+
 /* =========================================================================
  * 🛣️ ROTAS DA API
  * ========================================================================= */
@@ -72,52 +267,73 @@ app.get("/", (req, res) => {
 });
 
 // CREATE USER
-app.post("/users", async (req, res) => {
-  const { fullName, email, password, telephone, acceptTermAndPolice } =
-    req.body;
-
-  try {
-    const userRecord = await admin.auth().createUser({
-      email,
-      password,
-      displayName: fullName,
-    });
+app.post(
+  "/users",
+  validateRequest(schemas.createUser),
+  auditTrail({
+    action: "user.create",
+    collection: "users",
+    targetId: (req, body) => body && body.userId,
+  }),
+  async (req, res) => {
+    const { fullName, email, password, telephone, acceptTermAndPolice } =
+      req.body;
 
-    const userDocRef = database.collection("users").doc(userRecord.uid);
-    await userDocRef.set({
-      fullName,
-      email,
-      telephone,
-      acceptTermAndPolice,
-      createdAt: new Date().toISOString(),
-    });
+    try {
+      const userRecord = await admin.auth().createUser({
+        email,
+        password,
+        displayName: fullName,
+      });
 
-    const newAccountData = {
-      associatedUser: userRecord.uid,
-      name: fullName,
-      balance: 4000,
-      createdAt: new Date().toISOString(),
-      bankAccountNumber: crypto.randomUUID(),
-    };
+      const userDocRef = database.collection("users").doc(userRecord.uid);
+      await userDocRef.set({
+        fullName,
+        email,
+        telephone,
+        acceptTermAndPolice,
+        role: DEFAULT_ROLE,
+        createdAt: new Date().toISOString(),
+      });
 
-    const accountRef = await database
-      .collection("bankAccounts")
-      .add(newAccountData);
+      const newAccountData = {
+        associatedUser: userRecord.uid,
+        name: fullName,
+        ...balanceFields(toMinorUnits(4000), DEFAULT_CURRENCY),
+        createdAt: new Date().toISOString(),
+        bankAccountNumber: crypto.randomUUID(),
+        accountType: "checking",
+        nickname: null,
+        isDefault: true,
+      };
+
+      // Conta e lançamento do saldo inicial são gravados juntos
+      const batch = database.batch();
+      const accountRef = database.collection("bankAccounts").doc();
+      batch.set(accountRef, newAccountData);
+      postOpeningBalance(
+        batch,
+        newAccountData.bankAccountNumber,
+        newAccountData.balanceMinor,
+        newAccountData.currency
+      );
+      await batch.commit();
 
-    return res.status(200).send({
-      message: "Usuário e Conta Principal criados com sucesso!",
-      userId: userRecord.uid,
-      bankAccountId: accountRef.id,
-      bankAccountNumber: crypto.randomUUID(),
-    });
-  } catch (error) {
-    console.error(error);
-    return res.status(500).send(error);
+      return res.status(200).send({
+        message: "Usuário e Conta Principal criados com sucesso!",
+        userId: userRecord.uid,
+        bankAccountId: accountRef.id,
+        bankAccountNumber: newAccountData.bankAccountNumber,
+      });
+    } catch (error) {
+      console.error(error);
+      return res.status(500).send(error);
+    }
   }
-});
+);
 
-// READ ALL USERS
-app.get("/users", authenticate, async (req, res) => {
+// READ ALL USERS (equipe)
+app.get("/users", authenticate, requireStaff, async (req, res) => {
   try {
     const querySnapshot = await database.collection("users").get();
     const response = querySnapshot.docs.map((doc) => ({
@@ -133,116 +349,177 @@ app.get("/users", authenticate, async (req, res) => {
 });
 
 // read user by ID
-app.get("/user/:id", authenticate, async (req, res) => {
-  try {
-    const userId = req.params.id;
-    const userRef = database.collection("users").doc(userId);
-    const doc = await userRef.get();
+app.get(
+  "/user/:id",
+  authenticate,
+  requireSelfOrRole(...STAFF_ROLES),
+  validateRequest(schemas.idParams),
+  async (req, res) => {
+    try {
+      const userId = req.params.id;
+      const userRef = database.collection("users").doc(userId);
+      const doc = await userRef.get();
 
-    if (!doc.exists) {
-      return res.status(404).send({ message: "Usuário não encontrado." });
-    }
+      if (!doc.exists) {
+        return res.status(404).send({ message: "Usuário não encontrado." });
+      }
 
-    const userData = {
-      ...doc.data(),
-    };
-    return res.status(200).send(userData);
-  } catch (error) {
-    console.error("Erro ao buscar usuário:", error);
-    return res.status(500).send({
-      message: "Erro interno do servidor ao buscar usuário.",
-      error: error.message,
-    });
+      const userData = {
+        ...doc.data(),
+      };
+      return res.status(200).send(userData);
+    } catch (error) {
+      console.error("Erro ao buscar usuário:", error);
+      return res.status(500).send({
+        message: "Erro interno do servidor ao buscar usuário.",
+        error: error.message,
+      });
+    }
   }
-});
+);
 
 // Update user
-app.put("/users/:id", authenticate, async (req, res) => {
-  try {
-    const userId = req.params.id;
-    const updateData = req.body;
-    const userRef = database.collection("users").doc(userId);
-    const doc = await userRef.get();
-
-    if (!doc.exists) {
-      return res.status(404).send({ message: "Usuário não encontrado." });
-    }
+app.put(
+  "/users/:id",
+  authenticate,
+  requireSelfOrRole("admin"),
+  validateRequest(schemas.updateUser),
+  auditTrail({ action: "user.update", collection: "users" }),
+  async (req, res) => {
+    try {
+      const userId = req.params.id;
+      // Apenas os campos do schema 'updateUser' chegam até aqui
+      const updateData = req.body;
+      const userRef = database.collection("users").doc(userId);
+      const doc = await userRef.get();
+
+      if (!doc.exists) {
+        return res.status(404).send({ message: "Usuário não encontrado." });
+      }
 
-    await userRef.update(updateData);
+      await userRef.update(updateData);
 
-    return res.status(200).send({
-      message: `Usuário com ID ${userId} atualizado com sucesso.`,
-      id: userId,
-    });
-  } catch (error) {
-    console.error("Erro ao atualizar usuário:", error);
-    return res.status(500).send({
-      message: "Erro interno do servidor ao atualizar.",
-      error: error.message,
-    });
+      return res.status(200).send({
+        message: `Usuário com ID ${userId} atualizado com sucesso.`,
+        id: userId,
+      });
+    } catch (error) {
+      console.error("Erro ao atualizar usuário:", error);
+      return res.status(500).send({
+        message: "Erro interno do servidor ao atualizar.",
+        error: error.message,
+      });
+    }
   }
-});
+);
 
 // Delete user
-app.delete("/users/:id", authenticate, async (req, res) => {
-  try {
-    const userId = req.params.id;
-    const userRef = database.collection("users").doc(userId);
-    const doc = await userRef.get();
+app.delete(
+  "/users/:id",
+  authenticate,
+  requireSelfOrRole("admin"),
+  validateRequest(schemas.idParams),
+  auditTrail({ action: "user.delete", collection: "users" }),
+  async (req, res) => {
+    try {
+      const userId = req.params.id;
+      const userRef = database.collection("users").doc(userId);
+      const doc = await userRef.get();
 
-    if (!doc.exists) {
-      return res.status(404).send({ message: "Usuário não encontrado." });
-    }
+      if (!doc.exists) {
+        return res.status(404).send({ message: "Usuário não encontrado." });
+      }
 
-    await userRef.delete();
+      await userRef.delete();
 
-    return res.status(200).send({
-      message: `Usuário com ID ${userId} excluído com sucesso.`,
-      id: userId,
-    });
-  } catch (error) {
-    console.error("Erro ao excluir usuário:", error);
-    return res.status(500).send({
-      message: "Erro interno do servidor ao excluir.",
-      error: error.message,
-    });
+      return res.status(200).send({
+        message: `Usuário com ID ${userId} excluído com sucesso.`,
+        id: userId,
+      });
+    } catch (error) {
+      console.error("Erro ao excluir usuário:", error);
+      return res.status(500).send({
+        message: "Erro interno do servidor ao excluir.",
+        error: error.message,
+      });
+    }
   }
-});
+);
 
 //  Rotas CONTA BANCÁRIA
 // Create bank account
-app.post("/bankAccounts", authenticate, async (req, res) => {
-  try {
-    const userId = req.user.user_id;
-    const { initialBalance } = req.body;
-
-    const newAccountData = {
-      associatedUser: userId,
-      balance: parseFloat(initialBalance) || 5000,
-      createdAt: new Date(),
-      bankAccountNumber: uuidv4(),
-    };
-
-    const docRef = await database
-      .collection("bankAccounts")
-      .add(newAccountData);
+app.post(
+  "/bankAccounts",
+  authenticate,
+  validateRequest(schemas.createBankAccount),
+  auditTrail({
+    action: "bankAccount.create",
+    collection: "bankAccounts",
+    targetId: (req, body) => body && body.id,
+  }),
+  async (req, res) => {
+    try {
+      const userId = req.user.user_id;
+      const {
+        initialBalance,
+        accountType = "checking",
+        nickname,
+        currency = DEFAULT_CURRENCY,
+      } = req.body;
+
+      if (!ACCOUNT_TYPES.includes(accountType)) {
+        return res.status(400).send({
+          message: `Tipo de conta inválido. Use: ${ACCOUNT_TYPES.join(", ")}.`,
+        });
+      }
 
-    return res.status(201).send({
-      message: "Conta bancária criada com sucesso!",
-      id: docRef.id,
-      accountId: newAccountData.accountId,
-    });
-  } catch (error) {
-    console.error("Erro ao criar conta bancária:", error);
-    return res.status(500).send({
-      message: "Erro interno do servidor ao criar conta bancária.",
-      error: error.message,
-    });
+      // A primeira conta do usuário passa a ser a conta padrão
+      const existingAccounts = await listUserAccounts(userId);
+
+      const newAccountData = {
+        associatedUser: userId,
+        name: req.user.name || null,
+        ...balanceFields(
+          toMinorUnits(parseFloat(initialBalance) || 5000, currency),
+          currency
+        ),
+        createdAt: new Date(),
+        bankAccountNumber: uuidv4(),
+        accountType,
+        nickname: nickname || null,
+        isDefault: existingAccounts.length === 0,
+      };
+
+      const batch = database.batch();
+      const docRef = database.collection("bankAccounts").doc();
+      batch.set(docRef, newAccountData);
+      postOpeningBalance(
+        batch,
+        newAccountData.bankAccountNumber,
+        newAccountData.balanceMinor,
+        newAccountData.currency
+      );
+      await batch.commit();
+
+      return res.status(201).send({
+        message: "Conta bancária criada com sucesso!",
+        id: docRef.id,
+        bankAccountNumber: newAccountData.bankAccountNumber,
+        currency: newAccountData.currency,
+        isDefault: newAccountData.isDefault,
+      });
+    } catch (error) {
+      console.error("Erro ao criar conta bancária:", error);
+      return res.status(500).send({
+        message: "Erro interno do servidor ao criar conta bancária.",
+        error: error.message,
+      });
+    }
   }
-});
+);
 
-// Read all bank accounts
-app.get("/bankAccounts", authenticate, async (req, res) => {
+// Read all bank accounts (equipe)
+app.get("/bankAccounts", authenticate, requireStaff, async (req, res) => {
   try {
     const query = database
       .collection("bankAccounts")
@@ -264,566 +541,3866 @@ app.get("/bankAccounts", authenticate, async (req, res) => {
   }
 });
 
-// Read bank account by ID
-app.get("/bankAccount/user", authenticate, async (req, res) => {
+// Read all bank accounts of the logged user
+app.get("/bankAccounts/user", authenticate, async (req, res) => {
   try {
-    // O userId é extraído do token pelo seu middleware 'authenticate'
-    const userId = req.user.user_id;
-    console.log("Buscando conta para o usuário:", userId);
-
-    // eslint-disable-next-line max-len
-    // Realiza uma query para encontrar o documento onde o 'associatedUser' é igual ao userId do token
-    const bankAccountsRef = database.collection("bankAccounts");
-    const snapshot = await bankAccountsRef
-      .where("associatedUser", "==", userId)
-      .get();
-
-    if (snapshot.empty) {
-      return res.status(404).send({
-        message: "Nenhuma conta bancária encontrada para este usuário.",
-      });
-    }
+    const accountDocs = await listUserAccounts(req.user.user_id);
+    const defaultAccount = pickDefaultAccount(accountDocs);
 
-    // Como usamos .limit(1), pegamos o primeiro documento retornado
-    const doc = snapshot.docs[0];
-    const accountData = { id: doc.id, ...doc.data() };
+    const bankAccounts = accountDocs.map((doc) => ({
+      ...formatAccount(doc),
+      isDefault: doc.id === defaultAccount.id,
+    }));
 
-    // Retorna os dados da conta
-    return res.status(200).send(accountData);
+    return res.status(200).send(bankAccounts);
   } catch (error) {
-    console.error("Erro ao buscar conta bancária por userId:", error);
+    console.error("Erro ao listar contas do usuário:", error);
     return res.status(500).send({
-      message: "Erro interno do servidor ao buscar conta bancária.",
+      message: "Erro interno do servidor ao listar contas bancárias.",
       error: error.message,
     });
   }
 });
 
-//  Rotas TRANSACTIONS
-// Create transaction (Transferência)
-app.post("/transactions", authenticate, async (req, res) => {
-  const userId = req.user.user_id;
-  const { fromAccountNumber, toAccountNumber, amount, category } = req.body;
-  let fileUrl;
-  let fileName;
+// Read bank account of the logged user (padrão ou ?accountId=)
+app.get(
+  "/bankAccount/user",
+  authenticate,
+  validateRequest(schemas.getUserBankAccount),
+  async (req, res) => {
+    try {
+      // O userId é extraído do token pelo seu middleware 'authenticate'
+      const userId = req.user.user_id;
+      const { accountId } = req.query;
 
-  if (!fromAccountNumber || !toAccountNumber || !amount || amount <= 0) {
-    return res
-      .status(400)
-      .send({ message: "Dados de transação inválidos ou incompletos." });
-  }
+      const accountDocs = await listUserAccounts(userId);
 
-  const snapshotFromAccountNumber = await database
-    .collection("bankAccounts")
-    .where("bankAccountNumber", "==", fromAccountNumber)
-    .get();
+      if (accountDocs.length === 0) {
+        return res.status(404).send({
+          message: "Nenhuma conta bancária encontrada para este usuário.",
+        });
+      }
 
-  const snapshotToAccountNumber = await database
-    .collection("bankAccounts")
-    .where("bankAccountNumber", "==", toAccountNumber)
-    .get();
+      const doc = accountId
+        ? accountDocs.find((accountDoc) => accountDoc.id === accountId)
+        : pickDefaultAccount(accountDocs);
 
-  const fromAccountRef = snapshotFromAccountNumber.docs[0].ref;
-  const toAccountRef = snapshotToAccountNumber.docs[0].ref;
+      if (!doc) {
+        return res.status(404).send({
+          message: "Conta bancária não encontrada para este usuário.",
+        });
+      }
 
-  // content-type': 'multipart/form-data
-  try {
-    // if (req.headers["content-type"] === "multipart/form-data") {
-    //   const response = await fetch(
-    //     "http://127.0.0.1:5001/api-prime-bank/us-central1/uploadFile",
-    //     {
-    //       method: "POST",
-    //     }
-    //   );
-
-    //   console.log({ response });
-    // }
-
-    const transactionRefs = await database.runTransaction(
-      async (transaction) => {
-        const fromDoc = await transaction.get(fromAccountRef);
-        const toDoc = await transaction.get(toAccountRef);
-
-        if (!fromDoc.exists || !toDoc.exists) {
-          throw new Error("Uma das contas bancárias não foi encontrada.");
-        }
+      // Retorna os dados da conta
+      return res.status(200).send({
+        ...formatAccount(doc),
+        isDefault: doc.id === pickDefaultAccount(accountDocs).id,
+      });
+    } catch (error) {
+      console.error("Erro ao buscar conta bancária por userId:", error);
+      return res.status(500).send({
+        message: "Erro interno do servidor ao buscar conta bancária.",
+        error: error.message,
+      });
+    }
+  }
+);
 
-        if (fromDoc.data().associatedUser !== userId) {
-          throw new Error(
-            "Permissão negada. Você não é o dono da conta de origem."
-          );
-        }
+// Update bank account (apenas o apelido é editável)
+app.put(
+  "/bankAccounts/:id",
+  authenticate,
+  validateRequest(schemas.updateBankAccount),
+  auditTrail({ action: "bankAccount.update", collection: "bankAccounts" }),
+  async (req, res) => {
+    try {
+      const accountId = req.params.id;
+      const userId = req.user.user_id;
+      const { nickname } = req.body;
 
-        const currentBalance = fromDoc.data().balance || 0;
-        const transferAmount = parseFloat(amount);
+      const docRef = database.collection("bankAccounts").doc(accountId);
+      const doc = await docRef.get();
 
-        if (currentBalance < transferAmount) {
-          throw new Error("Saldo insuficiente para realizar a transação.");
-        }
+      if (!doc.exists) {
+        return res
+          .status(404)
+          .send({ message: "Conta bancária não encontrada." });
+      }
 
-        const newFromBalance = currentBalance - transferAmount;
-        const newToBalance = (toDoc.data().balance || 0) + transferAmount;
-
-        transaction.update(fromAccountRef, { balance: newFromBalance });
-        transaction.update(toAccountRef, { balance: newToBalance });
-
-        const senderUID = fromDoc.data().associatedUser;
-        const receiverUID = toDoc.data().associatedUser;
-        const dateString = new Date();
-        const baseTransactionRef = database.collection("transactions").doc();
-
-        const senderTransactionData = {
-          fromAccountNumber,
-          toAccountNumber,
-          amount: transferAmount,
-          date: dateString,
-          fileName: fileName || null,
-          fileUrl: fileUrl || null,
-          associatedUser: senderUID,
-          type: "sended",
-          createdAt: dateString,
-          name: fromDoc.data().name,
-          category: category,
-        };
-
-        transaction.set(baseTransactionRef, senderTransactionData);
-
-        const receiverTransactionData = {
-          fromAccountNumber,
-          toAccountNumber,
-          amount: transferAmount,
-          date: dateString,
-          fileName: fileName || null,
-          fileUrl: fileUrl || null,
-          associatedUser: receiverUID,
-          type: "received",
-          createdAt: dateString,
-          name: toDoc.data().name,
-          category: category,
-        };
-
-        const receiverTransactionRef = database
-          .collection("transactions")
-          .doc();
-        transaction.set(receiverTransactionRef, receiverTransactionData);
-
-        return {
-          senderId: baseTransactionRef.id,
-          receiverId: receiverTransactionRef.id,
-        };
+      // ⭐️ VERIFICAÇÃO DE PROPRIEDADE
+      if (doc.data().associatedUser !== userId) {
+        return res.status(403).send({
+          message: "Acesso negado. Esta conta não pertence ao seu usuário.",
+        });
       }
-    );
 
-    return res.status(201).send({
-      message:
-        "Transação (transferência) realizada e saldos atualizados com sucesso.",
-      senderId: transactionRefs.senderId,
-      receiverId: transactionRefs.receiverId,
-    });
-  } catch (error) {
-    console.error("Erro ao executar transação:", error.message);
+      await docRef.update({ nickname: nickname || null });
 
-    if (
-      error.message.includes("Saldo insuficiente") ||
-      error.message.includes("Permissão negada") ||
-      error.message.includes("não foi encontrada")
-    ) {
-      return res.status(403).send({ message: error.message });
+      return res.status(200).send({
+        message: `Conta bancária com ID ${accountId} atualizada com sucesso.`,
+      });
+    } catch (error) {
+      console.error("Erro ao atualizar conta bancária:", error);
+      return res.status(500).send({
+        message: "Erro interno do servidor ao atualizar conta bancária.",
+        error: error.message,
+      });
     }
-
-    return res.status(500).send({
-      message: "Erro interno do servidor ao processar a transação.",
-      error: error.message,
-    });
   }
-});
+);
 
-// Read all transactions with filters and pagination
-app.get("/transactions", authenticate, async (req, res) => {
-  try {
-    const userId = req.user.user_id;
-    const { minAmount, maxAmount, month, itemsPerPage, lastItemId } = req.query;
+// Set default bank account
+app.post(
+  "/bankAccounts/:id/default",
+  authenticate,
+  validateRequest(schemas.idParams),
+  auditTrail({ action: "bankAccount.setDefault", collection: "bankAccounts" }),
+  async (req, res) => {
+    try {
+      await setDefaultAccount(req.user.user_id, req.params.id);
 
-    const minAmountValue = minAmount ? parseFloat(minAmount) : null;
-    const maxAmountValue = maxAmount ? parseFloat(maxAmount) : null;
-    const pageSize = parseInt(itemsPerPage, 10) || 100;
+      return res.status(200).send({
+        message: `Conta bancária com ID ${req.params.id} definida como padrão.`,
+      });
+    } catch (error) {
+      console.error("Erro ao definir conta padrão:", error.message);
 
-    let query = database
-      .collection("transactions")
-      .where("associatedUser", "==", userId)
-      .orderBy("date", "desc");
+      if (error.message.includes("não encontrada")) {
+        return res.status(404).send({ message: error.message });
+      }
 
-    // 1. Aplicação dos Filtros de Quantidade
-    if (minAmountValue !== null) {
-      query = query.where("amount", ">=", minAmountValue);
-    }
-    if (maxAmountValue !== null) {
-      query = query.where("amount", "<=", maxAmountValue);
+      return res.status(500).send({
+        message: "Erro interno do servidor ao definir conta padrão.",
+        error: error.message,
+      });
     }
+  }
+);
 
-    // 2. Aplicação do Filtro por Mês
-    if (month) {
-      const [monthStr, yearStr] = month.split("-");
-      const monthNum = parseInt(monthStr, 10);
-      let yearNum = parseInt(yearStr, 10);
+// Transfer limits (limites em vigor, aumentos pendentes e consumo do período)
+app.get(
+  "/bankAccounts/:id/limits",
+  authenticate,
+  validateRequest(schemas.idParams),
+  async (req, res) => {
+    try {
+      const doc = await database
+        .collection("bankAccounts")
+        .doc(req.params.id)
+        .get();
 
-      if (yearNum < 100) {
-        yearNum += 2000;
+      if (!doc.exists || doc.data().associatedUser !== req.user.user_id) {
+        return res
+          .status(404)
+          .send({ message: "Conta bancária não encontrada." });
       }
 
-      if (monthNum >= 1 && monthNum <= 12 && yearNum) {
-        const start = new Date(yearNum, monthNum - 1, 1);
-        const end = new Date(yearNum, monthNum, 1);
+      return res
+        .status(200)
+        .send({ id: doc.id, ...describeLimits(doc.data()) });
+    } catch (error) {
+      console.error("Erro ao buscar limites:", error);
+      return res.status(500).send({
+        message: "Erro interno do servidor ao buscar limites.",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Update transfer limits: reduções valem na hora, aumentos após a carência
+app.put(
+  "/bankAccounts/:id/limits",
+  authenticate,
+  validateRequest(schemas.updateTransferLimits),
+  auditTrail({
+    action: "bankAccount.updateLimits",
+    collection: "bankAccounts",
+  }),
+  async (req, res) => {
+    try {
+      const result = await updateTransferLimits({
+        userId: req.user.user_id,
+        accountId: req.params.id,
+        changes: req.body,
+      });
+
+      return res.status(200).send({
+        message: "Limites atualizados com sucesso.",
+        ...result,
+      });
+    } catch (error) {
+      console.error("Erro ao atualizar limites:", error.message);
 
-        const startTimestamp = admin.firestore.Timestamp.fromDate(start);
-        const endTimestamp = admin.firestore.Timestamp.fromDate(end);
+      if (error.message.includes("não encontrada")) {
+        return res.status(404).send({ message: error.message });
+      }
 
-        query = query.where("date", ">=", startTimestamp);
-        query = query.where("date", "<", endTimestamp);
+      if (error.message.includes("não pode passar")) {
+        return res.status(400).send({ message: error.message });
       }
+
+      return res.status(500).send({
+        message: "Erro interno do servidor ao atualizar limites.",
+        error: error.message,
+      });
     }
+  }
+);
 
-    // 3. Paginação
-    if (lastItemId) {
-      const cursorDoc = await database
-        .collection("transactions")
-        .doc(lastItemId)
-        .get();
+/* -------------------------------------------------------------------------
+ * 🔑 CHAVES DE TRANSFERÊNCIA
+ * ------------------------------------------------------------------------- */
+
+// Create transfer key
+app.post(
+  "/transferKeys",
+  authenticate,
+  validateRequest(schemas.createTransferKey),
+  auditTrail({
+    action: "transferKey.create",
+    collection: "transferKeys",
+    targetId: (req, body) => body && body.id,
+  }),
+  async (req, res) => {
+    try {
+      const userId = req.user.user_id;
+      const { type, value, bankAccountNumber } = req.body;
 
-      if (cursorDoc.exists) {
-        query = query.startAfter(cursorDoc);
+      if (!bankAccountNumber) {
+        return res
+          .status(400)
+          .send({ message: "Conta bancária não informada." });
       }
-    }
 
-    query = query.limit(pageSize);
+      const accountRef = await findAccountRef(bankAccountNumber);
+      const accountDoc = accountRef ? await accountRef.get() : null;
 
-    // 4. Execução
-    const querySnapshot = await query.get();
+      if (!accountDoc || accountDoc.data().associatedUser !== userId) {
+        return res.status(403).send({
+          message: "Permissão negada. Você não é o dono desta conta.",
+        });
+      }
 
-    const transactions = querySnapshot.docs.map((doc) => ({
-      id: doc.id,
-      ...doc.data(),
-    }));
+      // A chave aleatória é gerada pelo banco; as demais pertencem ao titular
+      const rawValue = type === "random" ? crypto.randomUUID() : value;
+      const { value: keyValue, error: keyError } = normalizeKey(type, rawValue);
 
-    // 5. Retorno da Paginação
-    const lastDoc = querySnapshot.docs[querySnapshot.docs.length - 1];
-    const nextCursorId = lastDoc ? lastDoc.id : null;
-    const hasMore = querySnapshot.docs.length === pageSize;
+      if (keyError) {
+        return res.status(400).send({ message: keyError });
+      }
 
-    return res.status(200).send({
-      data: transactions,
-      pagination: {
-        itemsPerPage: pageSize,
-        nextCursorId: nextCursorId,
-        hasMore: hasMore,
-      },
-    });
-  } catch (error) {
-    console.error("Erro ao listar transações:", error);
-    return res.status(500).send({
-      message: "Erro interno do servidor ao listar transações.",
-      error: error.message,
-    });
-  }
-});
+      if (
+        type === "email" &&
+        keyValue !== String(req.user.email || "").toLowerCase()
+      ) {
+        return res.status(400).send({
+          message: "O e-mail da chave deve ser o mesmo e-mail da sua conta.",
+        });
+      }
 
-// Read transaction by ID
-app.get("/transactions/:id", authenticate, async (req, res) => {
-  try {
-    const transactionId = req.params.id;
-    const userId = req.user.user_id;
+      if (type === "phone") {
+        const userDoc = await database.collection("users").doc(userId).get();
+        const telephone = userDoc.exists ? userDoc.data().telephone : null;
+
+        if (normalizePhone(telephone) !== keyValue) {
+          return res.status(400).send({
+            message:
+              "O telefone da chave deve ser o mesmo informado no cadastro.",
+          });
+        }
+      }
 
-    const docRef = database.collection("transactions").doc(transactionId);
-    const doc = await docRef.get();
+      const transferKey = await registerTransferKey({
+        type,
+        value: keyValue,
+        bankAccountNumber,
+        associatedUser: userId,
+      });
 
-    if (!doc.exists) {
-      return res.status(404).send({ message: "Transação não encontrada." });
-    }
+      return res.status(201).send({
+        message: "Chave de transferência cadastrada com sucesso!",
+        ...transferKey,
+      });
+    } catch (error) {
+      console.error("Erro ao cadastrar chave de transferência:", error.message);
 
-    const transactionData = { id: doc.id, ...doc.data() };
+      if (error.message.includes("já está cadastrada")) {
+        return res.status(409).send({ message: error.message });
+      }
 
-    // ⭐️ VERIFICAÇÃO DE PROPRIEDADE
-    if (transactionData.associatedUser !== userId) {
-      return res.status(403).send({
-        message: "Acesso negado. Esta transação não pertence ao seu usuário.",
+      if (error.message.includes("Limite de")) {
+        return res.status(400).send({ message: error.message });
+      }
+
+      return res.status(500).send({
+        message:
+          "Erro interno do servidor ao cadastrar chave de transferência.",
+        error: error.message,
       });
     }
+  }
+);
+
+// Read all transfer keys of the user
+app.get("/transferKeys", authenticate, async (req, res) => {
+  try {
+    const userId = req.user.user_id;
+
+    const querySnapshot = await database
+      .collection("transferKeys")
+      .where("associatedUser", "==", userId)
+      .orderBy("createdAt", "asc")
+      .get();
+
+    const transferKeys = querySnapshot.docs.map((doc) => ({
+      id: doc.id,
+      ...doc.data(),
+    }));
 
-    return res.status(200).send(transactionData);
+    return res.status(200).send(transferKeys);
   } catch (error) {
-    console.error("Erro ao buscar transação:", error);
+    console.error("Erro ao listar chaves de transferência:", error);
     return res.status(500).send({
-      message: "Erro interno do servidor ao buscar transação.",
+      message: "Erro interno do servidor ao listar chaves de transferência.",
       error: error.message,
     });
   }
 });
 
-// Update transaction
-app.put("/transactions/:id", authenticate, async (req, res) => {
-  try {
-    const transactionId = req.params.id;
-    const userId = req.user.user_id;
-    const updateData = req.body;
+// Lookup: resolve a chave para o nome e a conta (mascarados) do recebedor
+app.get(
+  "/transferKeys/lookup",
+  authenticate,
+  validateRequest(schemas.lookupTransferKey),
+  async (req, res) => {
+    try {
+      const { key, type } = req.query;
 
-    const docRef = database.collection("transactions").doc(transactionId);
-    const doc = await docRef.get();
+      if (!key) {
+        return res.status(400).send({ message: "Chave não informada." });
+      }
+
+      const transferKey = await resolveTransferKey(key, type);
+      const accountRef = transferKey
+        ? await findAccountRef(transferKey.bankAccountNumber)
+        : null;
+
+      if (!accountRef) {
+        return res
+          .status(404)
+          .send({ message: "Chave de transferência não encontrada." });
+      }
+
+      const accountDoc = await accountRef.get();
+
+      return res.status(200).send({
+        keyType: transferKey.type,
+        key:
+          transferKey.type === "cpf"
+            ? maskCpf(transferKey.value)
+            : transferKey.value,
+        name: maskName(await getAccountHolderName(accountDoc.data())),
+        bankAccountNumber: maskAccountNumber(transferKey.bankAccountNumber),
+      });
+    } catch (error) {
+      console.error("Erro ao consultar chave de transferência:", error);
+      return res.status(500).send({
+        message:
+          "Erro interno do servidor ao consultar chave de transferência.",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Delete transfer key
+app.delete(
+  "/transferKeys/:id",
+  authenticate,
+  validateRequest(schemas.idParams),
+  auditTrail({ action: "transferKey.delete", collection: "transferKeys" }),
+  async (req, res) => {
+    try {
+      const userId = req.user.user_id;
+      const docRef = database.collection("transferKeys").doc(req.params.id);
+      const doc = await docRef.get();
+
+      if (!doc.exists) {
+        return res
+          .status(404)
+          .send({ message: "Chave de transferência não encontrada." });
+      }
+
+      // ⭐️ VERIFICAÇÃO DE PROPRIEDADE
+      if (doc.data().associatedUser !== userId) {
+        return res.status(403).send({
+          message: "Acesso negado. Esta chave não pertence ao seu usuário.",
+        });
+      }
+
+      await docRef.delete();
+
+      return res.status(200).send({
+        message: "Chave de transferência excluída com sucesso.",
+      });
+    } catch (error) {
+      console.error("Erro ao excluir chave de transferência:", error);
+      return res.status(500).send({
+        message: "Erro interno do servidor ao excluir chave de transferência.",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/* -------------------------------------------------------------------------
+ * 📇 CONTATOS E CONFIRMAÇÃO DO RECEBEDOR
+ * ------------------------------------------------------------------------- */
+
+// Erros de contatos devolvidos ao cliente (os demais viram 500)
+const contactErrorStatus = (error) => {
+  if (error.message.includes("não encontrad")) return 404;
+  if (error.message.includes("já está nos seus contatos")) return 409;
+  if (
+    error.message.includes("Informe") ||
+    error.message.includes("inválid") ||
+    error.message.includes("Limite de")
+  ) {
+    return 400;
+  }
+  return 500;
+};
+
+const sendContactError = (res, error, action) => {
+  console.error(`Erro ao ${action}:`, error);
+  const status = contactErrorStatus(error);
+
+  return res.status(status).send({
+    message:
+      status === 500 ? `Erro interno do servidor ao ${action}.` : error.message,
+    error: error.message,
+  });
+};
+
+// Confere o recebedor antes da transferência: ?accountNumber=, ?key= (com
+// ?keyType=) ou ?contactId=. Devolve o nome mascarado do titular da conta
+// de destino.
+app.get(
+  "/payees/confirm",
+  authenticate,
+  validateRequest(schemas.confirmPayee),
+  async (req, res) => {
+    try {
+      const payee = await confirmPayee(req.user.user_id, req.query);
+      return res.status(200).send(payee);
+    } catch (error) {
+      return sendContactError(res, error, "confirmar recebedor");
+    }
+  }
+);
+
+app.get(
+  "/contacts",
+  authenticate,
+  validateRequest(schemas.listContacts),
+  async (req, res) => {
+    try {
+      const contacts = await listContacts(req.user.user_id, req.query);
+      return res.status(200).send(contacts);
+    } catch (error) {
+      return sendContactError(res, error, "listar contatos");
+    }
+  }
+);
+
+// Últimos recebedores das transferências enviadas: ?limit= (padrão 10)
+app.get(
+  "/contacts/recent",
+  authenticate,
+  validateRequest(schemas.listRecentRecipients),
+  async (req, res) => {
+    try {
+      const recipients = await listRecentRecipients(
+        req.user.user_id,
+        req.query
+      );
+      return res.status(200).send(recipients);
+    } catch (error) {
+      return sendContactError(res, error, "listar recebedores recentes");
+    }
+  }
+);
+
+// Salva um recebedor por 'bankAccountNumber' ou por 'key' + 'keyType'
+app.post(
+  "/contacts",
+  authenticate,
+  validateRequest(schemas.createContact),
+  auditTrail({
+    action: "contact.create",
+    collection: "contacts",
+    targetId: (req, body) => body && body.id,
+  }),
+  async (req, res) => {
+    try {
+      const contact = await createContact(req.user.user_id, req.body);
+      return res.status(201).send(contact);
+    } catch (error) {
+      return sendContactError(res, error, "salvar contato");
+    }
+  }
+);
+
+app.put(
+  "/contacts/:id",
+  authenticate,
+  validateRequest(schemas.updateContact),
+  auditTrail({ action: "contact.update", collection: "contacts" }),
+  async (req, res) => {
+    try {
+      const contact = await updateContact(
+        req.user.user_id,
+        req.params.id,
+        req.body
+      );
+      return res.status(200).send(contact);
+    } catch (error) {
+      return sendContactError(res, error, "atualizar contato");
+    }
+  }
+);
+
+app.delete(
+  "/contacts/:id",
+  authenticate,
+  validateRequest(schemas.idParams),
+  auditTrail({ action: "contact.delete", collection: "contacts" }),
+  async (req, res) => {
+    try {
+      await deleteContact(req.user.user_id, req.params.id);
+
+      return res.status(200).send({
+        message: "Contato excluído com sucesso.",
+        id: req.params.id,
+      });
+    } catch (error) {
+      return sendContactError(res, error, "excluir contato");
+    }
+  }
+);
+
+//  Rotas TRANSACTIONS
+
+// Executa uma transferência já validada: direto de POST /transactions ou
+// depois da confirmação de um desafio (PIN/TOTP)
+const runTransfer = async (transfer) => {
+  const result = await executeTransfer({
+    ...transfer,
+    assessRisk: () =>
+      evaluateTransferRisk({
+        userId: transfer.userId,
+        fromAccountNumber: transfer.fromAccountNumber,
+        toAccountNumber: transfer.toAccountNumber,
+        amount: transfer.amount,
+      }),
+  });
+
+  // Os alertas de orçamento não atrasam nem afetam a resposta
+  if (!result.replayed && result.status === 201) {
+    checkBudgetAlerts(transfer.userId, transfer.category).catch((error) =>
+      console.error("Erro ao verificar alertas de orçamento:", error)
+    );
+  }
+
+  return result;
+};
+
+// Moeda da conta de origem, em que o valor da transferência é informado
+const sourceAccountCurrency = async (bankAccountNumber) => {
+  const accountRef = await findAccountRef(bankAccountNumber);
+
+  if (!accountRef) {
+    throw new Error("Uma das contas bancárias não foi encontrada.");
+  }
+
+  return accountCurrency((await accountRef.get()).data());
+};
+
+// Erros de transferência devolvidos ao cliente (os demais viram 500)
+const transferErrorStatus = (error) => {
+  if (error.message.includes("Idempotency-Key")) return 409;
+  if (error.message.includes("devem ser diferentes")) return 400;
+
+  // Contato salvo (ou a chave dele) que não existe mais
+  if (
+    error.message.includes("Contato não encontrado") ||
+    error.message.includes("Chave de transferência não encontrada") ||
+    error.message.includes("Conta de destino não encontrada")
+  ) {
+    return 404;
+  }
+
+  if (
+    error.message.includes("Saldo insuficiente") ||
+    error.message.includes("Limite") ||
+    error.message.includes("análise de risco") ||
+    error.message.includes("Permissão negada") ||
+    error.message.includes("não foi encontrada")
+  ) {
+    return 403;
+  }
+
+  if (
+    error.message.includes("câmbio") ||
+    error.message.includes("Cotação indisponível")
+  ) {
+    return 503;
+  }
+
+  return 500;
+};
+
+// Exchange quote (prévia de uma transferência entre contas de moedas
+// diferentes; a cotação aplicada é a do momento da transferência)
+app.get(
+  "/exchangeRates/quote",
+  authenticate,
+  validateRequest(schemas.getExchangeQuote),
+  async (req, res) => {
+    try {
+      const { from, to, amount = 1 } = req.query;
+      const quote = await quoteConversion(toMinorUnits(amount, from), from, to);
+
+      return res.status(200).send({
+        ...quote,
+        sourceAmount: fromMinorUnits(quote.sourceAmountMinor, from),
+        targetAmount: fromMinorUnits(quote.targetAmountMinor, to),
+      });
+    } catch (error) {
+      console.error("Erro ao consultar cotação de câmbio:", error);
+      return res.status(503).send({
+        message: "Não foi possível obter a cotação de câmbio.",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Create transaction (Transferência)
+app.post(
+  "/transactions",
+  authenticate,
+  validateRequest(schemas.createTransaction),
+  auditTrail({
+    action: "transaction.create",
+    collection: "transactions",
+    targetId: (req, body) => body && body.senderId,
+  }),
+  async (req, res) => {
+    const userId = req.user.user_id;
+    const idempotencyKey = req.get("Idempotency-Key");
+    let body = req.body;
+    let attachment = null;
+
+    // Em multipart/form-data os dados vêm como campos do formulário e o
+    // arquivo enviado é gravado no storage e anexado à transferência
+    if (req.is("multipart/form-data")) {
+      try {
+        const form = await parseMultipart(req, {
+          destination: attachmentDestination,
+        });
+        body = form.fields;
+        attachment = form.file && buildAttachment(form.file);
+      } catch (error) {
+        return res.status(multipartErrorStatus(error)).send({
+          message: "Não foi possível ler o formulário enviado.",
+          error: error.message,
+        });
+      }
+
+      // Mesmo schema do corpo JSON, com os campos convertidos de texto
+      const { errors, value } = validateInput(
+        schemas.createTransactionBody,
+        body,
+        { coerce: true }
+      );
+
+      if (errors.length > 0) {
+        if (attachment) await discardAttachmentFile(attachment);
+        return res.status(400).send(validationErrorBody(errors));
+      }
+
+      body = value;
+    }
+
+    // Transferência recusada: o anexo já gravado é descartado
+    const rejectTransfer = async (status, payload) => {
+      if (attachment) await discardAttachmentFile(attachment);
+      return res.status(status).send(payload);
+    };
+
+    const {
+      fromAccountNumber,
+      toKey,
+      toKeyType,
+      toContactId,
+      amount,
+      category,
+      description,
+    } = body;
+    let { toAccountNumber } = body;
+
+    if (
+      !fromAccountNumber ||
+      (!toAccountNumber && !toKey && !toContactId) ||
+      !amount ||
+      amount <= 0
+    ) {
+      return rejectTransfer(400, {
+        message: "Dados de transação inválidos ou incompletos.",
+      });
+    }
+
+    if (
+      idempotencyKey !== undefined &&
+      (!idempotencyKey.trim() || idempotencyKey.length > 255)
+    ) {
+      return rejectTransfer(400, {
+        message:
+          "O cabeçalho Idempotency-Key deve ter entre 1 e 255 caracteres.",
+      });
+    }
+
+    try {
+      const categoryError = await validateCategory(userId, category);
+      if (categoryError) {
+        return rejectTransfer(400, { message: categoryError });
+      }
+
+      // 'toContactId' (contato salvo) e 'toKey' (chave de transferência) são
+      // alternativas a 'toAccountNumber'
+      if (!toAccountNumber && toContactId) {
+        toAccountNumber = await resolveContactAccount(userId, toContactId);
+      } else if (!toAccountNumber) {
+        const transferKey = await resolveTransferKey(toKey, toKeyType);
+
+        if (!transferKey) {
+          return rejectTransfer(404, {
+            message: "Chave de transferência não encontrada.",
+          });
+        }
+
+        toAccountNumber = transferKey.bankAccountNumber;
+      }
+
+      // Vale também para chaves e contatos que apontam para a própria origem
+      if (toAccountNumber === fromAccountNumber) {
+        return rejectTransfer(400, {
+          message: "As contas de origem e destino devem ser diferentes.",
+        });
+      }
+
+      const transfer = {
+        userId,
+        fromAccountNumber,
+        toAccountNumber,
+        amount,
+        category: category || null,
+        description: description || null,
+        attachment,
+        idempotencyKey: idempotencyKey || null,
+        // O conteúdo do anexo também faz parte do corpo da requisição
+        requestHash: hashRequestBody(
+          attachment ? { ...body, attachmentSha256: attachment.sha256 } : body
+        ),
+      };
+
+      // Valores altos só são executados após a confirmação do desafio
+      if (
+        await requiresStepUp(
+          amount,
+          await sourceAccountCurrency(fromAccountNumber)
+        )
+      ) {
+        const challenge = await createTransferChallenge(userId, transfer);
+
+        return res.status(202).send({
+          message:
+            "Confirme a transferência com o PIN de transação ou o código do autenticador.",
+          ...challenge,
+        });
+      }
+
+      const transactionResult = await runTransfer(transfer);
+
+      if (transactionResult.replayed) {
+        res.set("Idempotent-Replayed", "true");
+
+        // A repetição devolve a resposta original; o novo envio é descartado
+        if (attachment) await discardAttachmentFile(attachment);
+      }
+
+      return res.status(transactionResult.status).send(transactionResult.body);
+    } catch (error) {
+      console.error("Erro ao executar transação:", error.message);
+
+      if (error.message.includes("exigem confirmação")) {
+        return rejectTransfer(403, { message: error.message });
+      }
+
+      const status = transferErrorStatus(error);
+
+      if (status !== 500) {
+        return rejectTransfer(status, { message: error.message });
+      }
+
+      return rejectTransfer(500, {
+        message: "Erro interno do servidor ao processar a transação.",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Confirma uma transferência acima do limite de confirmação: { pin } ou { otp }
+app.post(
+  "/transactions/challenges/:id/confirm",
+  authenticate,
+  validateRequest(schemas.confirmTransferChallenge),
+  auditTrail({
+    action: "transaction.confirm",
+    collection: "transactions",
+    targetId: (req, body) => body && body.senderId,
+  }),
+  async (req, res) => {
+    const userId = req.user.user_id;
+    const { pin, otp } = req.body;
+    const challengeId = req.params.id;
+    let transfer;
+
+    if ((pin === undefined) === (otp === undefined)) {
+      return res.status(400).send({
+        message: "Informe o PIN de transação ou o código do autenticador.",
+      });
+    }
+
+    try {
+      transfer = await confirmTransferChallenge(userId, challengeId, {
+        pin,
+        otp,
+      });
+    } catch (error) {
+      console.error("Erro ao confirmar transferência:", error.message);
+
+      if (error.message.includes("expirado")) {
+        if (error.transfer && error.transfer.attachment) {
+          await discardAttachmentFile(error.transfer.attachment);
+        }
+        return res.status(410).send({ message: error.message });
+      }
+
+      const status = securityErrorStatus(error);
+
+      return res.status(status).send({
+        message:
+          status === 500
+            ? "Erro interno do servidor ao confirmar a transferência."
+            : error.message,
+        error: error.message,
+      });
+    }
+
+    let transactionResult;
+
+    try {
+      transactionResult = await runTransfer(transfer);
+    } catch (error) {
+      console.error("Erro ao executar transação confirmada:", error.message);
+
+      await finishTransferChallenge(challengeId, {
+        status: "failed",
+        error: error.message,
+      });
+      // A transferência não foi gravada: nenhum registro aponta para o anexo
+      if (transfer.attachment) await discardAttachmentFile(transfer.attachment);
+
+      const status = transferErrorStatus(error);
+
+      return res.status(status).send({
+        message:
+          status === 500
+            ? "Erro interno do servidor ao processar a transação."
+            : error.message,
+        error: error.message,
+      });
+    }
+
+    await finishTransferChallenge(challengeId, {
+      status: "completed",
+      responseStatus: transactionResult.status,
+      responseBody: transactionResult.body,
+    });
+
+    if (transactionResult.replayed) {
+      res.set("Idempotent-Replayed", "true");
+      if (transfer.attachment) {
+        await discardAttachmentFile(transfer.attachment);
+      }
+    }
+
+    return res.status(transactionResult.status).send(transactionResult.body);
+  }
+);
+
+// Read all transactions with filters and pagination
+// Filtros: período, valor, tipo (sent/received), categoria, conta e nome da
+// outra parte e busca livre (?q=). Ordenação por data ou valor (?sort,
+// ?order). A resposta traz os totais do conjunto filtrado e o cursor opaco
+// da próxima página (?cursor=), válido apenas para os mesmos filtros.
+app.get(
+  "/transactions",
+  authenticate,
+  validateRequest(schemas.listTransactions),
+  async (req, res) => {
+    try {
+      const result = await searchTransactions(req.user.user_id, req.query);
+
+      return res.status(200).send(result);
+    } catch (error) {
+      console.error("Erro ao listar transações:", error);
+
+      if (error.message.includes("Cursor de paginação")) {
+        return res.status(400).send({ message: error.message });
+      }
+
+      return res.status(500).send({
+        message: "Erro interno do servidor ao listar transações.",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Export statement (extrato em CSV, OFX ou PDF)
+// Aceita os mesmos filtros de GET /transactions e exporta todo o período,
+// sem paginação. Sem 'accountId' usa a conta padrão do usuário.
+app.get(
+  "/transactions/export",
+  authenticate,
+  validateRequest(schemas.exportTransactions),
+  async (req, res) => {
+    try {
+      const userId = req.user.user_id;
+      const { format = "csv", accountId } = req.query;
+
+      if (!STATEMENT_FORMATS.includes(format)) {
+        return res.status(400).send({
+          message: `Formato inválido. Use: ${STATEMENT_FORMATS.join(", ")}.`,
+        });
+      }
+
+      const accountDocs = await listUserAccounts(userId);
+      const accountDoc = accountId
+        ? accountDocs.find((doc) => doc.id === accountId)
+        : pickDefaultAccount(accountDocs);
+
+      if (!accountDoc) {
+        return res.status(404).send({
+          message: "Conta bancária não encontrada para este usuário.",
+        });
+      }
+
+      await exportStatement(res, {
+        userId,
+        account: formatAccount(accountDoc),
+        holderName: await getAccountHolderName(accountDoc.data()),
+        format,
+        filters: req.query,
+      });
+    } catch (error) {
+      console.error("Erro ao exportar extrato:", error);
+
+      // O arquivo já começou a ser enviado: só resta interromper a resposta
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+
+      return res.status(500).send({
+        message: "Erro interno do servidor ao exportar extrato.",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Read transaction by ID
+app.get(
+  "/transactions/:id",
+  authenticate,
+  validateRequest(schemas.idParams),
+  async (req, res) => {
+    try {
+      const transactionId = req.params.id;
+      const userId = req.user.user_id;
+
+      const docRef = database.collection("transactions").doc(transactionId);
+      const doc = await docRef.get();
+
+      if (!doc.exists) {
+        return res.status(404).send({ message: "Transação não encontrada." });
+      }
+
+      const transactionData = { id: doc.id, ...doc.data() };
+
+      // ⭐️ VERIFICAÇÃO DE PROPRIEDADE
+      if (transactionData.associatedUser !== userId) {
+        return res.status(403).send({
+          message: "Acesso negado. Esta transação não pertence ao seu usuário.",
+        });
+      }
+
+      return res.status(200).send(transactionData);
+    } catch (error) {
+      console.error("Erro ao buscar transação:", error);
+      return res.status(500).send({
+        message: "Erro interno do servidor ao buscar transação.",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Transfer receipt (Comprovante em HTML ou PDF)
+app.get(
+  "/transactions/:id/receipt",
+  authenticate,
+  validateRequest(schemas.getReceipt),
+  async (req, res) => {
+    try {
+      const userId = req.user.user_id;
+      const { format = "html" } = req.query;
+
+      if (!RECEIPT_FORMATS.includes(format)) {
+        return res.status(400).send({
+          message: `Formato inválido. Use: ${RECEIPT_FORMATS.join(", ")}.`,
+        });
+      }
+
+      const doc = await database
+        .collection("transactions")
+        .doc(req.params.id)
+        .get();
+
+      if (!doc.exists) {
+        return res.status(404).send({ message: "Transação não encontrada." });
+      }
+
+      // ⭐️ VERIFICAÇÃO DE PROPRIEDADE
+      if (doc.data().associatedUser !== userId) {
+        return res.status(403).send({
+          message: "Acesso negado. Esta transação não pertence ao seu usuário.",
+        });
+      }
+
+      const receipt = await getOrCreateReceipt(doc);
+
+      if (format === "pdf") {
+        return writeReceiptPdf(res, receipt);
+      }
+
+      return res.status(200).type("html").send(renderReceiptHtml(receipt));
+    } catch (error) {
+      console.error("Erro ao gerar comprovante:", error);
+      return res.status(500).send({
+        message: "Erro interno do servidor ao gerar comprovante.",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Verify receipt (rota pública): ?code=<autenticação> ou ?hash=<sha256>
+app.get(
+  "/receipts/verify",
+  validateRequest(schemas.verifyReceipt),
+  async (req, res) => {
+    try {
+      const { code, hash } = req.query;
+
+      if (!code && !hash) {
+        return res.status(400).send({
+          message: "Informe o código de autenticação ou o hash do comprovante.",
+        });
+      }
+
+      const receipt = await findReceipt({ code, hash });
+
+      if (!receipt) {
+        return res.status(404).send({
+          valid: false,
+          message: "Comprovante não encontrado. Ele pode ter sido adulterado.",
+        });
+      }
+
+      return res
+        .status(200)
+        .send({ valid: true, receipt: publicReceipt(receipt) });
+    } catch (error) {
+      console.error("Erro ao verificar comprovante:", error);
+      return res.status(500).send({
+        message: "Erro interno do servidor ao verificar comprovante.",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Add attachment (Anexo a uma transferência já realizada)
+app.post(
+  "/transactions/:id/attachments",
+  authenticate,
+  validateRequest(schemas.idParams),
+  auditTrail({ action: "transaction.attach", collection: "transactions" }),
+  async (req, res) => {
+    const userId = req.user.user_id;
+    let attachment = null;
+
+    if (!req.is("multipart/form-data")) {
+      return res.status(415).send({
+        message: "Envie o anexo como multipart/form-data.",
+      });
+    }
+
+    try {
+      const doc = await database
+        .collection("transactions")
+        .doc(req.params.id)
+        .get();
+
+      if (!doc.exists) {
+        return res.status(404).send({ message: "Transação não encontrada." });
+      }
+
+      // ⭐️ VERIFICAÇÃO DE PROPRIEDADE
+      if (doc.data().associatedUser !== userId) {
+        return res.status(403).send({
+          message: "Acesso negado. Esta transação não pertence ao seu usuário.",
+        });
+      }
+
+      let file;
+
+      try {
+        ({ file } = await parseMultipart(req, {
+          destination: attachmentDestination,
+        }));
+      } catch (error) {
+        return res.status(multipartErrorStatus(error)).send({
+          message: "Não foi possível ler o formulário enviado.",
+          error: error.message,
+        });
+      }
+
+      if (!file) {
+        return res.status(400).send({ message: "Nenhum arquivo enviado." });
+      }
+
+      attachment = buildAttachment(file);
+
+      const summary = await addAttachmentToTransfer({
+        userId,
+        transferId: await resolveTransferId(doc),
+        attachment,
+      });
+
+      return res.status(201).send({
+        message: "Anexo adicionado com sucesso.",
+        attachment: { ...summary, url: attachmentUrl(summary.id) },
+      });
+    } catch (error) {
+      console.error("Erro ao adicionar anexo:", error);
+
+      if (attachment) await discardAttachmentFile(attachment);
+
+      if (error.message.includes("Limite de")) {
+        return res.status(409).send({ message: error.message });
+      }
+
+      return res.status(500).send({
+        message: "Erro interno do servidor ao adicionar anexo.",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Download attachment: devolve uma URL assinada de curta duração
+app.get(
+  "/attachments/:id",
+  authenticate,
+  validateRequest(schemas.idParams),
+  async (req, res) => {
+    try {
+      const userId = req.user.user_id;
+      const doc = await database
+        .collection("transactionAttachments")
+        .doc(req.params.id)
+        .get();
+
+      if (!doc.exists) {
+        return res.status(404).send({ message: "Anexo não encontrado." });
+      }
+
+      const attachment = doc.data();
+
+      // Apenas remetente e recebedor da transferência acessam o anexo
+      if (!attachment.parties.includes(userId)) {
+        return res.status(403).send({
+          message: "Acesso negado. Este anexo não pertence ao seu usuário.",
+        });
+      }
+
+      const url = await createSignedUrl(
+        attachment.storagePath,
+        SIGNED_URL_TTL_SECONDS
+      );
+
+      return res.status(200).send({
+        id: doc.id,
+        fileName: attachment.fileName,
+        mimeType: attachment.mimeType,
+        size: attachment.size,
+        url,
+        expiresIn: SIGNED_URL_TTL_SECONDS,
+      });
+    } catch (error) {
+      console.error("Erro ao buscar anexo:", error);
+      return res.status(500).send({
+        message: "Erro interno do servidor ao buscar anexo.",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Transações são imutáveis: alterações e exclusões deram lugar ao estorno
+const rejectTransactionMutation = (req, res) =>
+  res.status(405).send({
+    message:
+      "Transações não podem ser alteradas ou excluídas. Utilize POST /transactions/:id/reversal para estornar.",
+  });
+
+app.put("/transactions/:id", authenticate, rejectTransactionMutation);
+app.delete("/transactions/:id", authenticate, rejectTransactionMutation);
+
+// Reversal transaction (Estorno)
+// O recebedor devolve o valor ao remetente por meio de um novo par de
+// lançamentos; os registros originais nunca são alterados.
+app.post(
+  "/transactions/:id/reversal",
+  authenticate,
+  validateRequest(schemas.reverseTransaction),
+  auditTrail({
+    action: "transaction.reverse",
+    collection: "transactions",
+    targetId: (req, body) => body && body.senderId,
+  }),
+  async (req, res) => {
+    const transactionId = req.params.id;
+    const userId = req.user.user_id;
+    const { reason } = req.body;
+
+    try {
+      const originalDoc = await database
+        .collection("transactions")
+        .doc(transactionId)
+        .get();
+
+      if (!originalDoc.exists) {
+        return res.status(404).send({ message: "Transação não encontrada." });
+      }
+
+      const original = originalDoc.data();
+
+      // ⭐️ VERIFICAÇÃO DE PROPRIEDADE
+      if (original.associatedUser !== userId) {
+        return res.status(403).send({
+          message: "Acesso negado. Esta transação não pertence ao seu usuário.",
+        });
+      }
+
+      if (original.reversalOf) {
+        return res
+          .status(400)
+          .send({ message: "Um estorno não pode ser estornado." });
+      }
+
+      // O valor já saiu para o banco emissor: não há conta a debitar
+      if (original.type === "bill_payment") {
+        return res
+          .status(400)
+          .send({ message: "Pagamentos de boleto não podem ser estornados." });
+      }
+
+      const transferId = await resolveTransferId(originalDoc);
+
+      // No estorno o dinheiro faz o caminho inverso: sai de quem recebeu
+      const payerAccountRef = await findAccountRef(original.toAccountNumber);
+      const payeeAccountRef = await findAccountRef(original.fromAccountNumber);
+
+      if (!payerAccountRef || !payeeAccountRef) {
+        return res.status(403).send({
+          message: "Uma das contas bancárias não foi encontrada.",
+        });
+      }
+
+      const reversalGuardRef = database
+        .collection("transactionReversals")
+        .doc(transferId);
+
+      const reversalRefs = await database.runTransaction(
+        async (transaction) => {
+          const guardDoc = await transaction.get(reversalGuardRef);
+          const payerDoc = await transaction.get(payerAccountRef);
+          const payeeDoc = await transaction.get(payeeAccountRef);
+
+          if (guardDoc.exists) {
+            throw new Error("Esta transferência já foi estornada.");
+          }
+
+          if (!payerDoc.exists || !payeeDoc.exists) {
+            throw new Error("Uma das contas bancárias não foi encontrada.");
+          }
+
+          if (payerDoc.data().associatedUser !== userId) {
+            throw new Error(
+              "Permissão negada. Apenas o recebedor da transferência pode estorná-la."
+            );
+          }
+
+          // Entre moedas diferentes o estorno desfaz o câmbio original:
+          // quem recebeu devolve o valor convertido e a origem recebe de
+          // volta exatamente o que enviou
+          const exchange = original.exchange
+            ? reverseConversion(original.exchange)
+            : null;
+          const payerCurrency = accountCurrency(payerDoc.data());
+          const payeeCurrency = accountCurrency(payeeDoc.data());
+          const debitMinor = exchange
+            ? exchange.sourceAmountMinor
+            : recordAmountMinor(original);
+          const creditMinor = exchange
+            ? exchange.targetAmountMinor
+            : debitMinor;
+          const payerBalanceMinor =
+            accountBalanceMinor(payerDoc.data()) - debitMinor;
+          const payeeBalanceMinor =
+            accountBalanceMinor(payeeDoc.data()) + creditMinor;
+
+          if (payerBalanceMinor < 0) {
+            throw new Error("Saldo insuficiente para realizar o estorno.");
+          }
+
+          transaction.update(
+            payerAccountRef,
+            balanceFields(payerBalanceMinor, payerCurrency)
+          );
+          transaction.update(
+            payeeAccountRef,
+            balanceFields(payeeBalanceMinor, payeeCurrency)
+          );
+
+          publishBalanceChange(transaction, {
+            userId: payerDoc.data().associatedUser,
+            bankAccountNumber: original.toAccountNumber,
+            balance: fromMinorUnits(payerBalanceMinor, payerCurrency),
+            change: -fromMinorUnits(debitMinor, payerCurrency),
+            currency: payerCurrency,
+            reason: "reversal",
+          });
+          publishBalanceChange(transaction, {
+            userId: payeeDoc.data().associatedUser,
+            bankAccountNumber: original.fromAccountNumber,
+            balance: fromMinorUnits(payeeBalanceMinor, payeeCurrency),
+            change: fromMinorUnits(creditMinor, payeeCurrency),
+            currency: payeeCurrency,
+            reason: "reversal",
+          });
+
+          const dateString = new Date();
+          const senderTransactionRef = database
+            .collection("transactions")
+            .doc();
+          const receiverTransactionRef = database
+            .collection("transactions")
+            .doc();
+
+          const sentAmount = amountFields(debitMinor, payerCurrency);
+          const receivedAmount = amountFields(creditMinor, payeeCurrency);
+
+          const reversalData = {
+            fromAccountNumber: original.toAccountNumber,
+            toAccountNumber: original.fromAccountNumber,
+            exchange,
+            date: dateString,
+            fileName: null,
+            fileUrl: null,
+            createdAt: dateString,
+            category: original.category || null,
+            transferId: senderTransactionRef.id,
+            reversalOf: transferId,
+            reversalReason: reason || null,
+          };
+
+          const senderReversalData = {
+            ...reversalData,
+            ...sentAmount,
+            associatedUser: payerDoc.data().associatedUser,
+            type: "sended",
+            name: payerDoc.data().name,
+            counterpartyName: payeeDoc.data().name,
+          };
+          const receiverReversalData = {
+            ...reversalData,
+            ...receivedAmount,
+            associatedUser: payeeDoc.data().associatedUser,
+            type: "received",
+            name: payeeDoc.data().name,
+            counterpartyName: payerDoc.data().name,
+          };
+
+          transaction.set(senderTransactionRef, senderReversalData);
+          recordTransactionAnalytics(transaction, senderReversalData);
+
+          transaction.set(receiverTransactionRef, receiverReversalData);
+          recordTransactionAnalytics(transaction, receiverReversalData);
+
+          postJournalEntry(transaction, {
+            type: "reversal",
+            description: "Estorno de transferência",
+            postings: exchange
+              ? exchangePostings(
+                  reversalData.fromAccountNumber,
+                  reversalData.toAccountNumber,
+                  exchange
+                )
+              : transferPostings(
+                  reversalData.fromAccountNumber,
+                  reversalData.toAccountNumber,
+                  debitMinor,
+                  payerCurrency
+                ),
+            reference: {
+              transferId: senderTransactionRef.id,
+              reversalOf: transferId,
+            },
+          });
+
+          // Registro de controle: garante que a transferência só é estornada uma vez
+          transaction.set(reversalGuardRef, {
+            transferId,
+            reversalTransferId: senderTransactionRef.id,
+            requestedBy: userId,
+            reason: reason || null,
+            createdAt: dateString,
+          });
+
+          const eventData = {
+            transferId: senderTransactionRef.id,
+            fromAccountNumber: reversalData.fromAccountNumber,
+            toAccountNumber: reversalData.toAccountNumber,
+            exchange,
+            category: reversalData.category,
+            date: dateString.toISOString(),
+            reversalOf: transferId,
+          };
+
+          publishEvent(transaction, {
+            userId: payerDoc.data().associatedUser,
+            type: "transfer.sent",
+            data: {
+              ...eventData,
+              ...sentAmount,
+              transactionId: senderTransactionRef.id,
+            },
+          });
+          publishEvent(transaction, {
+            userId: payeeDoc.data().associatedUser,
+            type: "transfer.received",
+            data: {
+              ...eventData,
+              ...receivedAmount,
+              transactionId: receiverTransactionRef.id,
+            },
+          });
+
+          return {
+            senderId: senderTransactionRef.id,
+            receiverId: receiverTransactionRef.id,
+          };
+        }
+      );
+
+      return res.status(201).send({
+        message: "Estorno realizado e saldos atualizados com sucesso.",
+        reversalOf: transferId,
+        senderId: reversalRefs.senderId,
+        receiverId: reversalRefs.receiverId,
+      });
+    } catch (error) {
+      console.error("Erro ao estornar transação:", error.message);
+
+      if (error.message.includes("já foi estornada")) {
+        return res.status(409).send({ message: error.message });
+      }
+
+      if (
+        error.message.includes("Saldo insuficiente") ||
+        error.message.includes("Permissão negada") ||
+        error.message.includes("não foi encontrada")
+      ) {
+        return res.status(403).send({ message: error.message });
+      }
+
+      return res.status(500).send({
+        message: "Erro interno do servidor ao estornar transação.",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/* -------------------------------------------------------------------------
+ * 🗓️ TRANSFERÊNCIAS AGENDADAS
+ * ------------------------------------------------------------------------- */
+
+// Campos que alteram o calendário e exigem recalcular a próxima execução
+const SCHEDULE_TIMING_FIELDS = [
+  "startDate",
+  "frequency",
+  "interval",
+  "endDate",
+  "maxRuns",
+];
+
+// Campos que definem quanto e para onde o dinheiro vai: alterá-los exige a
+// mesma confirmação (PIN/TOTP) da criação, se o valor passar do limite
+const SCHEDULE_STEP_UP_FIELDS = [
+  "amount",
+  "fromAccountNumber",
+  "toAccountNumber",
+];
+
+const formatScheduledTransfer = (doc) => {
+  const data = doc.data();
+
+  return {
+    id: doc.id,
+    ...data,
+    startDate: toDate(data.startDate),
+    endDate: toDate(data.endDate),
+    nextRunAt: toDate(data.nextRunAt),
+  };
+};
+
+// Confere se as contas do agendamento existem e se a origem é do usuário
+const validateScheduleAccounts = async (userId, data) => {
+  if (data.fromAccountNumber) {
+    const fromAccountRef = await findAccountRef(data.fromAccountNumber);
+    const fromDoc = fromAccountRef ? await fromAccountRef.get() : null;
+
+    if (!fromDoc) return "Conta de origem não encontrada.";
+    if (fromDoc.data().associatedUser !== userId) {
+      return "Permissão negada. Você não é o dono da conta de origem.";
+    }
+  }
+
+  if (data.toAccountNumber && !(await findAccountRef(data.toAccountNumber))) {
+    return "Conta de destino não encontrada.";
+  }
+
+  return null;
+};
+
+// Agendamentos acima do limite de confirmação viram um desafio; 'operation'
+// é gravada nele e aplicada por applyScheduleOperation após a confirmação
+const scheduleStepUp = async (userId, schedule, operation) => {
+  const currency = await sourceAccountCurrency(schedule.fromAccountNumber);
+
+  if (!(await requiresStepUp(schedule.amount, currency))) return null;
+
+  return createTransferChallenge(userId, operation, "scheduledTransfer");
+};
+
+// Grava a criação ou a alteração de um agendamento. Devolve o status e o
+// corpo da resposta.
+const applyScheduleOperation = async (userId, operation) => {
+  const now = new Date();
+
+  if (operation.action === "create") {
+    const scheduleData = { ...operation.data, createdAt: now, updatedAt: now };
+    const docRef = await database
+      .collection("scheduledTransfers")
+      .add(scheduleData);
+
+    return {
+      status: 201,
+      body: {
+        message: "Transferência agendada com sucesso!",
+        id: docRef.id,
+        nextRunAt: toDate(scheduleData.nextRunAt),
+      },
+    };
+  }
+
+  const docRef = database
+    .collection("scheduledTransfers")
+    .doc(operation.scheduledTransferId);
+
+  // Confirmado depois: o agendamento pode ter sido cancelado nesse meio-tempo
+  const doc = await docRef.get();
+
+  if (!doc.exists || doc.data().associatedUser !== userId) {
+    throw new Error("Agendamento não encontrado.");
+  }
+
+  if (doc.data().status === "completed" || doc.data().status === "canceled") {
+    throw new Error(
+      "Agendamentos concluídos ou cancelados não podem ser alterados."
+    );
+  }
+
+  await docRef.update({ ...operation.data, updatedAt: now });
+
+  return {
+    status: 200,
+    body: {
+      id: docRef.id,
+      message: `Agendamento com ID ${docRef.id} atualizado com sucesso.`,
+    },
+  };
+};
+
+// Carrega o agendamento em req.scheduledTransfer (⭐️ VERIFICAÇÃO DE PROPRIEDADE)
+const loadScheduledTransfer = async (req, res, next) => {
+  try {
+    const doc = await database
+      .collection("scheduledTransfers")
+      .doc(req.params.id)
+      .get();
 
     if (!doc.exists) {
-      return res.status(404).send({ message: "Transação não encontrada." });
+      return res.status(404).send({ message: "Agendamento não encontrado." });
+    }
+
+    if (doc.data().associatedUser !== req.user.user_id) {
+      return res.status(403).send({
+        message: "Acesso negado. Este agendamento não pertence ao seu usuário.",
+      });
+    }
+
+    req.scheduledTransfer = doc;
+    next();
+  } catch (error) {
+    console.error("Erro ao buscar agendamento:", error);
+    return res.status(500).send({
+      message: "Erro interno do servidor ao buscar agendamento.",
+      error: error.message,
+    });
+  }
+};
+
+// Create scheduled transfer
+app.post(
+  "/scheduledTransfers",
+  authenticate,
+  validateRequest(schemas.createScheduledTransfer),
+  auditTrail({
+    action: "scheduledTransfer.create",
+    collection: "scheduledTransfers",
+    targetId: (req, body) => body && body.id,
+  }),
+  async (req, res) => {
+    try {
+      const userId = req.user.user_id;
+      const { error: validationError, data } = parseScheduleInput(req.body);
+
+      if (validationError) {
+        return res.status(400).send({ message: validationError });
+      }
+
+      const categoryError = await validateCategory(userId, data.category);
+      if (categoryError) {
+        return res.status(400).send({ message: categoryError });
+      }
+
+      const accountError = await validateScheduleAccounts(userId, data);
+      if (accountError) {
+        return res.status(403).send({ message: accountError });
+      }
+
+      const operation = {
+        action: "create",
+        data: {
+          ...data,
+          category: data.category || null,
+          description: data.description || null,
+          endDate: data.endDate || null,
+          maxRuns: data.maxRuns || null,
+          associatedUser: userId,
+          status: "active",
+          occurrenceIndex: 0,
+          nextRunAt: data.startDate,
+          runCount: 0,
+          failureCount: 0,
+          lastRunAt: null,
+          lastResult: null,
+        },
+      };
+
+      const challenge = await scheduleStepUp(userId, data, operation);
+
+      if (challenge) {
+        return res.status(202).send({
+          message:
+            "Confirme o agendamento com o PIN de transação ou o código do autenticador.",
+          ...challenge,
+        });
+      }
+
+      const result = await applyScheduleOperation(userId, operation);
+
+      return res.status(result.status).send(result.body);
+    } catch (error) {
+      console.error("Erro ao criar agendamento:", error);
+
+      if (error.message.includes("exigem confirmação")) {
+        return res.status(403).send({ message: error.message });
+      }
+
+      return res.status(500).send({
+        message: "Erro interno do servidor ao criar agendamento.",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Read all scheduled transfers
+app.get(
+  "/scheduledTransfers",
+  authenticate,
+  validateRequest(schemas.listScheduledTransfers),
+  async (req, res) => {
+    try {
+      const userId = req.user.user_id;
+      const { status } = req.query;
+
+      let query = database
+        .collection("scheduledTransfers")
+        .where("associatedUser", "==", userId);
+
+      if (status) {
+        query = query.where("status", "==", status);
+      }
+
+      const querySnapshot = await query.orderBy("createdAt", "desc").get();
+
+      return res
+        .status(200)
+        .send(querySnapshot.docs.map((doc) => formatScheduledTransfer(doc)));
+    } catch (error) {
+      console.error("Erro ao listar agendamentos:", error);
+      return res.status(500).send({
+        message: "Erro interno do servidor ao listar agendamentos.",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Read scheduled transfer by ID
+app.get(
+  "/scheduledTransfers/:id",
+  authenticate,
+  loadScheduledTransfer,
+  validateRequest(schemas.idParams),
+  (req, res) =>
+    res.status(200).send(formatScheduledTransfer(req.scheduledTransfer))
+);
+
+// Update scheduled transfer
+app.put(
+  "/scheduledTransfers/:id",
+  authenticate,
+  loadScheduledTransfer,
+  validateRequest(schemas.updateScheduledTransfer),
+  auditTrail({
+    action: "scheduledTransfer.update",
+    collection: "scheduledTransfers",
+  }),
+  async (req, res) => {
+    try {
+      const userId = req.user.user_id;
+      const current = req.scheduledTransfer.data();
+
+      if (current.status === "completed" || current.status === "canceled") {
+        return res.status(400).send({
+          message:
+            "Agendamentos concluídos ou cancelados não podem ser alterados.",
+        });
+      }
+
+      const { error: validationError, data } = parseScheduleInput(req.body, {
+        partial: true,
+      });
+
+      if (validationError) {
+        return res.status(400).send({ message: validationError });
+      }
+
+      const categoryError = await validateCategory(userId, data.category);
+      if (categoryError) {
+        return res.status(400).send({ message: categoryError });
+      }
+
+      const updated = { ...current, ...data };
+
+      if (
+        updated.fromAccountNumber === updated.toAccountNumber ||
+        (updated.endDate && toDate(updated.endDate) < toDate(updated.startDate))
+      ) {
+        return res.status(400).send({
+          message: "Contas ou datas do agendamento inconsistentes.",
+        });
+      }
+
+      const accountError = await validateScheduleAccounts(userId, data);
+      if (accountError) {
+        return res.status(403).send({ message: accountError });
+      }
+
+      const updateData = { ...data, updatedAt: new Date() };
+
+      // Mudou o calendário: recomeça a contagem a partir da data de início
+      if (SCHEDULE_TIMING_FIELDS.some((field) => data[field] !== undefined)) {
+        const next = findNextOccurrence(updated, 0);
+
+        updateData.failureCount = 0;
+        updateData.occurrenceIndex = next ? next.occurrenceIndex : 0;
+        updateData.nextRunAt =
+          next && current.status === "active" ? next.nextRunAt : null;
+
+        if (!next) updateData.status = "completed";
+      }
+
+      const operation = {
+        action: "update",
+        scheduledTransferId: req.params.id,
+        data: updateData,
+      };
+      const challenge = SCHEDULE_STEP_UP_FIELDS.some(
+        (field) => data[field] !== undefined
+      )
+        ? await scheduleStepUp(userId, updated, operation)
+        : null;
+
+      if (challenge) {
+        return res.status(202).send({
+          message:
+            "Confirme a alteração com o PIN de transação ou o código do autenticador.",
+          ...challenge,
+        });
+      }
+
+      const result = await applyScheduleOperation(userId, operation);
+
+      return res.status(result.status).send({ message: result.body.message });
+    } catch (error) {
+      console.error("Erro ao atualizar agendamento:", error);
+
+      if (error.message.includes("exigem confirmação")) {
+        return res.status(403).send({ message: error.message });
+      }
+
+      return res.status(500).send({
+        message: "Erro interno do servidor ao atualizar agendamento.",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Confirma a criação ou a alteração de um agendamento acima do limite de
+// confirmação: { pin } ou { otp }
+app.post(
+  "/scheduledTransfers/challenges/:id/confirm",
+  authenticate,
+  validateRequest(schemas.confirmTransferChallenge),
+  auditTrail({
+    action: "scheduledTransfer.confirm",
+    collection: "scheduledTransfers",
+    targetId: (req, body) => body && body.id,
+  }),
+  async (req, res) => {
+    const userId = req.user.user_id;
+    const { pin, otp } = req.body;
+    const challengeId = req.params.id;
+    let operation;
+
+    if ((pin === undefined) === (otp === undefined)) {
+      return res.status(400).send({
+        message: "Informe o PIN de transação ou o código do autenticador.",
+      });
+    }
+
+    try {
+      operation = await confirmTransferChallenge(
+        userId,
+        challengeId,
+        { pin, otp },
+        "scheduledTransfer"
+      );
+    } catch (error) {
+      if (error.message.includes("expirado")) {
+        return res.status(410).send({ message: error.message });
+      }
+
+      return sendSecurityError(res, error, "confirmar agendamento");
+    }
+
+    let result;
+
+    try {
+      result = await applyScheduleOperation(userId, operation);
+    } catch (error) {
+      console.error("Erro ao gravar agendamento confirmado:", error);
+
+      await finishTransferChallenge(challengeId, {
+        status: "failed",
+        error: error.message,
+      });
+
+      if (error.message.includes("não encontrado")) {
+        return res.status(404).send({ message: error.message });
+      }
+
+      if (error.message.includes("não podem ser alterados")) {
+        return res.status(400).send({ message: error.message });
+      }
+
+      return res.status(500).send({
+        message: "Erro interno do servidor ao gravar agendamento.",
+        error: error.message,
+      });
+    }
+
+    await finishTransferChallenge(challengeId, {
+      status: "completed",
+      responseStatus: result.status,
+      responseBody: result.body,
+    });
+
+    return res.status(result.status).send(result.body);
+  }
+);
+
+// Cancel scheduled transfer (o histórico de execuções é mantido)
+app.delete(
+  "/scheduledTransfers/:id",
+  authenticate,
+  loadScheduledTransfer,
+  validateRequest(schemas.idParams),
+  auditTrail({
+    action: "scheduledTransfer.cancel",
+    collection: "scheduledTransfers",
+  }),
+  async (req, res) => {
+    try {
+      await req.scheduledTransfer.ref.update({
+        status: "canceled",
+        nextRunAt: null,
+        updatedAt: new Date(),
+      });
+
+      return res.status(200).send({
+        message: `Agendamento com ID ${req.params.id} cancelado com sucesso.`,
+      });
+    } catch (error) {
+      console.error("Erro ao cancelar agendamento:", error);
+      return res.status(500).send({
+        message: "Erro interno do servidor ao cancelar agendamento.",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Pause scheduled transfer
+app.post(
+  "/scheduledTransfers/:id/pause",
+  authenticate,
+  loadScheduledTransfer,
+  validateRequest(schemas.idParams),
+  auditTrail({
+    action: "scheduledTransfer.pause",
+    collection: "scheduledTransfers",
+  }),
+  async (req, res) => {
+    try {
+      if (req.scheduledTransfer.data().status !== "active") {
+        return res
+          .status(400)
+          .send({ message: "Apenas agendamentos ativos podem ser pausados." });
+      }
+
+      await req.scheduledTransfer.ref.update({
+        status: "paused",
+        nextRunAt: null,
+        updatedAt: new Date(),
+      });
+
+      return res.status(200).send({ message: "Agendamento pausado." });
+    } catch (error) {
+      console.error("Erro ao pausar agendamento:", error);
+      return res.status(500).send({
+        message: "Erro interno do servidor ao pausar agendamento.",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Resume scheduled transfer: ocorrências perdidas durante a pausa são puladas
+app.post(
+  "/scheduledTransfers/:id/resume",
+  authenticate,
+  loadScheduledTransfer,
+  validateRequest(schemas.idParams),
+  auditTrail({
+    action: "scheduledTransfer.resume",
+    collection: "scheduledTransfers",
+  }),
+  async (req, res) => {
+    try {
+      const schedule = req.scheduledTransfer.data();
+
+      if (schedule.status !== "paused") {
+        return res.status(400).send({
+          message: "Apenas agendamentos pausados podem ser retomados.",
+        });
+      }
+
+      const next = findNextOccurrence(schedule, schedule.occurrenceIndex);
+
+      if (!next) {
+        await req.scheduledTransfer.ref.update({
+          status: "completed",
+          updatedAt: new Date(),
+        });
+
+        return res.status(200).send({
+          message: "Não há execuções futuras. Agendamento concluído.",
+        });
+      }
+
+      await req.scheduledTransfer.ref.update({
+        status: "active",
+        occurrenceIndex: next.occurrenceIndex,
+        nextRunAt: next.nextRunAt,
+        failureCount: 0,
+        updatedAt: new Date(),
+      });
+
+      return res.status(200).send({
+        message: "Agendamento retomado.",
+        nextRunAt: next.nextRunAt,
+      });
+    } catch (error) {
+      console.error("Erro ao retomar agendamento:", error);
+      return res.status(500).send({
+        message: "Erro interno do servidor ao retomar agendamento.",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Preview das próximas execuções
+app.get(
+  "/scheduledTransfers/:id/preview",
+  authenticate,
+  loadScheduledTransfer,
+  validateRequest(schemas.previewScheduledTransfer),
+  (req, res) => {
+    const count = Math.min(parseInt(req.query.count, 10) || 5, 50);
+
+    return res.status(200).send({
+      id: req.params.id,
+      nextRuns: previewRuns(req.scheduledTransfer.data(), count),
+    });
+  }
+);
+
+// Histórico de execuções (sucessos e falhas)
+app.get(
+  "/scheduledTransfers/:id/executions",
+  authenticate,
+  loadScheduledTransfer,
+  validateRequest(schemas.idParams),
+  async (req, res) => {
+    try {
+      const querySnapshot = await req.scheduledTransfer.ref
+        .collection("executions")
+        .orderBy("executedAt", "desc")
+        .limit(100)
+        .get();
+
+      const executions = querySnapshot.docs.map((doc) => ({
+        id: doc.id,
+        ...doc.data(),
+      }));
+
+      return res.status(200).send(executions);
+    } catch (error) {
+      console.error("Erro ao listar execuções do agendamento:", error);
+      return res.status(500).send({
+        message: "Erro interno do servidor ao listar execuções.",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/* -------------------------------------------------------------------------
+ * 🧾 PAGAMENTO DE BOLETOS
+ * ------------------------------------------------------------------------- */
+
+// Erros de boletos devolvidos ao cliente (os demais viram 500)
+const billErrorStatus = (error) => {
+  if (
+    error.message.includes("não encontrad") ||
+    error.message.includes("não foi encontrada")
+  ) {
+    return 404;
+  }
+  if (
+    error.message.includes("já foi pago") ||
+    error.message.includes("já foi analisado")
+  ) {
+    return 409;
+  }
+  if (
+    error.message.includes("Saldo insuficiente") ||
+    error.message.includes("Limite") ||
+    error.message.includes("análise de risco") ||
+    error.message.includes("exigem confirmação") ||
+    error.message.includes("Permissão negada")
+  ) {
+    return 403;
+  }
+  if (
+    error.message.includes("inválid") ||
+    error.message.includes("não confere") ||
+    error.message.includes("não suportada") ||
+    error.message.includes("Informe") ||
+    error.message.includes("só pode") ||
+    error.message.includes("Somente") ||
+    error.message.includes("não pode")
+  ) {
+    return 400;
+  }
+  return 500;
+};
+
+const sendBillError = (res, error, action) => {
+  console.error(`Erro ao ${action}:`, error);
+  const status = billErrorStatus(error);
+
+  return res.status(status).send({
+    message:
+      status === 500 ? `Erro interno do servidor ao ${action}.` : error.message,
+    error: error.message,
+  });
+};
+
+// Decodifica o código de barras ou a linha digitável (sem pagar): banco,
+// valor, vencimento e a linha digitável formatada
+app.post(
+  "/bills/parse",
+  authenticate,
+  validateRequest(schemas.parseBoleto),
+  async (req, res) => {
+    try {
+      const boleto = parseBoleto(req.body.code);
+
+      return res.status(200).send({
+        ...boleto,
+        amount: fromMinorUnits(boleto.amountMinor),
+      });
+    } catch (error) {
+      return sendBillError(res, error, "ler boleto");
+    }
+  }
+);
+
+const BILL_PAYMENT_MESSAGES = {
+  paid: "Boleto pago com sucesso.",
+  scheduled: "Pagamento de boleto agendado com sucesso.",
+  pending_review:
+    "Pagamento de boleto retido para análise de segurança. Você será avisado da decisão.",
+};
+
+// Grava o pagamento (direto ou após a confirmação do desafio), depois da
+// análise de risco das transferências: "block" recusa e "review" retém o
+// pagamento para a equipe (status 202)
+const runBillPayment = async (userId, input) => {
+  const assessed = {
+    userId,
+    fromAccountNumber: input.bankAccountNumber,
+    toAccountNumber: null,
+    amount: getBillPaymentAmount(input),
+  };
+  const risk = await evaluateTransferRisk(assessed);
+
+  if (risk.decision === "block") {
+    await recordRiskAssessment(assessed, risk);
+    throw new Error("Pagamento bloqueado pela análise de risco.");
+  }
+
+  const billPayment = await createBillPayment(userId, input, { risk });
+
+  return {
+    status: billPayment.status === "pending_review" ? 202 : 201,
+    body: { message: BILL_PAYMENT_MESSAGES[billPayment.status], billPayment },
+  };
+};
+
+// Paga o boleto na hora ou, com 'scheduledDate', agenda para a data
+// (até o vencimento). 'lateFees' traz a multa e os juros do boleto,
+// aplicados se o pagamento ocorrer depois do vencimento.
+// Acima do limite de confirmação vira um desafio (PIN/TOTP); a análise de
+// risco é feita ao gravar o pagamento (ver runBillPayment).
+app.post(
+  "/bills/payments",
+  authenticate,
+  validateRequest(schemas.createBillPayment),
+  auditTrail({
+    action: "bill_payment.create",
+    collection: "billPayments",
+    targetId: (req, body) => body && body.billPayment && body.billPayment.id,
+  }),
+  async (req, res) => {
+    const userId = req.user.user_id;
+
+    try {
+      const categoryError = await validateCategory(userId, req.body.category);
+      if (categoryError) {
+        return res.status(400).send({ message: categoryError });
+      }
+
+      if (await requiresStepUp(getBillPaymentAmount(req.body))) {
+        const challenge = await createTransferChallenge(
+          userId,
+          req.body,
+          "billPayment"
+        );
+
+        return res.status(202).send({
+          message:
+            "Confirme o pagamento com o PIN de transação ou o código do autenticador.",
+          ...challenge,
+        });
+      }
+
+      const result = await runBillPayment(userId, req.body);
+      return res.status(result.status).send(result.body);
+    } catch (error) {
+      return sendBillError(res, error, "pagar boleto");
+    }
+  }
+);
+
+// Confirma um pagamento de boleto que virou desafio: { pin } ou { otp }
+app.post(
+  "/bills/payments/challenges/:id/confirm",
+  authenticate,
+  validateRequest(schemas.confirmTransferChallenge),
+  auditTrail({
+    action: "bill_payment.confirm",
+    collection: "billPayments",
+    targetId: (req, body) => body && body.billPayment && body.billPayment.id,
+  }),
+  async (req, res) => {
+    const userId = req.user.user_id;
+    const { pin, otp } = req.body;
+    const challengeId = req.params.id;
+    let input;
+
+    if ((pin === undefined) === (otp === undefined)) {
+      return res.status(400).send({
+        message: "Informe o PIN de transação ou o código do autenticador.",
+      });
+    }
+
+    try {
+      input = await confirmTransferChallenge(
+        userId,
+        challengeId,
+        { pin, otp },
+        "billPayment"
+      );
+    } catch (error) {
+      if (error.message.includes("expirado")) {
+        return res.status(410).send({ message: error.message });
+      }
+
+      return sendSecurityError(res, error, "confirmar pagamento de boleto");
+    }
+
+    let result;
+
+    try {
+      result = await runBillPayment(userId, input);
+    } catch (error) {
+      await finishTransferChallenge(challengeId, {
+        status: "failed",
+        error: error.message,
+      });
+
+      return sendBillError(res, error, "pagar boleto");
+    }
+
+    await finishTransferChallenge(challengeId, {
+      status: "completed",
+      responseStatus: result.status,
+      responseBody: result.body,
+    });
+
+    return res.status(result.status).send(result.body);
+  }
+);
+
+app.get(
+  "/bills/payments",
+  authenticate,
+  validateRequest(schemas.listBillPayments),
+  async (req, res) => {
+    try {
+      const billPayments = await listBillPayments(req.user.user_id, req.query);
+      return res.status(200).send(billPayments);
+    } catch (error) {
+      return sendBillError(res, error, "listar pagamentos de boleto");
+    }
+  }
+);
+
+app.get(
+  "/bills/payments/:id",
+  authenticate,
+  validateRequest(schemas.idParams),
+  async (req, res) => {
+    try {
+      const billPayment = await getBillPayment(req.user.user_id, req.params.id);
+      return res.status(200).send(billPayment);
+    } catch (error) {
+      return sendBillError(res, error, "buscar pagamento de boleto");
+    }
+  }
+);
+
+// Cancela um pagamento agendado que ainda não foi executado
+app.delete(
+  "/bills/payments/:id",
+  authenticate,
+  validateRequest(schemas.idParams),
+  auditTrail({
+    action: "bill_payment.cancel",
+    collection: "billPayments",
+    targetId: (req) => req.params.id,
+  }),
+  async (req, res) => {
+    try {
+      const billPayment = await cancelBillPayment(
+        req.user.user_id,
+        req.params.id
+      );
+
+      return res.status(200).send({
+        message: "Pagamento de boleto cancelado com sucesso.",
+        billPayment,
+      });
+    } catch (error) {
+      return sendBillError(res, error, "cancelar pagamento de boleto");
+    }
+  }
+);
+
+// Fila de análise da equipe: ?status=pending_review
+app.get(
+  "/admin/bills/payments",
+  authenticate,
+  requireStaff,
+  validateRequest(schemas.listBillPayments),
+  async (req, res) => {
+    try {
+      const billPayments = await listBillPayments(null, req.query);
+      return res.status(200).send(billPayments);
+    } catch (error) {
+      return sendBillError(res, error, "listar pagamentos de boleto");
+    }
+  }
+);
+
+// Aprova um pagamento retido: o valor retido paga o boleto (ou o
+// agendamento volta para a fila)
+app.post(
+  "/admin/bills/payments/:id/approve",
+  authenticate,
+  requireStaff,
+  validateRequest(schemas.approveBillPayment),
+  auditTrail({ action: "bill_payment.approve", collection: "billPayments" }),
+  async (req, res) => {
+    try {
+      const billPayment = await approveBillPayment({
+        billPaymentId: req.params.id,
+        reviewerUid: req.user.user_id,
+        note: req.body.note,
+      });
+
+      return res.status(200).send({
+        message: "Pagamento de boleto aprovado com sucesso.",
+        billPayment,
+      });
+    } catch (error) {
+      return sendBillError(res, error, "aprovar pagamento de boleto");
+    }
+  }
+);
+
+// Recusa um pagamento retido: o valor volta para a conta do pagador
+app.post(
+  "/admin/bills/payments/:id/reject",
+  authenticate,
+  requireStaff,
+  validateRequest(schemas.rejectBillPayment),
+  auditTrail({ action: "bill_payment.reject", collection: "billPayments" }),
+  async (req, res) => {
+    try {
+      const billPayment = await rejectBillPayment({
+        billPaymentId: req.params.id,
+        reviewerUid: req.user.user_id,
+        reason: req.body.reason,
+      });
+
+      return res.status(200).send({
+        message: "Pagamento de boleto recusado. O valor foi devolvido à conta.",
+        billPayment,
+      });
+    } catch (error) {
+      return sendBillError(res, error, "recusar pagamento de boleto");
+    }
+  }
+);
+
+/* -------------------------------------------------------------------------
+ * 📈 INVESTIMENTOS
+ * ------------------------------------------------------------------------- */
+
+// Read all investment products (catálogo)
+app.get("/investmentProducts", authenticate, async (req, res) => {
+  try {
+    const querySnapshot = await database
+      .collection("investmentProducts")
+      .where("active", "==", true)
+      .get();
+
+    const products = querySnapshot.docs.map((doc) => ({
+      id: doc.id,
+      ...doc.data(),
+    }));
+
+    return res.status(200).send(products);
+  } catch (error) {
+    console.error("Erro ao listar produtos de investimento:", error);
+    return res.status(500).send({
+      message: "Erro interno do servidor ao listar produtos de investimento.",
+      error: error.message,
+    });
+  }
+});
+
+// Create investment product
+app.post(
+  "/investmentProducts",
+  authenticate,
+  requireAdmin,
+  validateRequest(schemas.createInvestmentProduct),
+  auditTrail({
+    action: "investmentProduct.create",
+    collection: "investmentProducts",
+    targetId: (req, body) => body && body.id,
+  }),
+  async (req, res) => {
+    try {
+      const { error: validationError, data } = parseProductInput(req.body);
+
+      if (validationError) {
+        return res.status(400).send({ message: validationError });
+      }
+
+      const docRef = await database
+        .collection("investmentProducts")
+        .add({ ...data, createdAt: new Date() });
+
+      return res.status(201).send({
+        message: "Produto de investimento criado com sucesso!",
+        id: docRef.id,
+      });
+    } catch (error) {
+      console.error("Erro ao criar produto de investimento:", error);
+      return res.status(500).send({
+        message: "Erro interno do servidor ao criar produto de investimento.",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Update investment product (não altera investimentos já aplicados)
+app.put(
+  "/investmentProducts/:id",
+  authenticate,
+  requireAdmin,
+  validateRequest(schemas.updateInvestmentProduct),
+  auditTrail({
+    action: "investmentProduct.update",
+    collection: "investmentProducts",
+  }),
+  async (req, res) => {
+    try {
+      const docRef = database
+        .collection("investmentProducts")
+        .doc(req.params.id);
+      const doc = await docRef.get();
+
+      if (!doc.exists) {
+        return res
+          .status(404)
+          .send({ message: "Produto de investimento não encontrado." });
+      }
+
+      const { error: validationError, data } = parseProductInput(
+        { ...doc.data(), ...req.body },
+        { partial: true }
+      );
+
+      if (validationError) {
+        return res.status(400).send({ message: validationError });
+      }
+
+      await docRef.update({ ...data, updatedAt: new Date() });
+
+      return res.status(200).send({
+        message: `Produto com ID ${req.params.id} atualizado com sucesso.`,
+      });
+    } catch (error) {
+      console.error("Erro ao atualizar produto de investimento:", error);
+      return res.status(500).send({
+        message:
+          "Erro interno do servidor ao atualizar produto de investimento.",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Create investment (Aplicação)
+app.post(
+  "/investments",
+  authenticate,
+  validateRequest(schemas.createInvestment),
+  auditTrail({
+    action: "investment.apply",
+    collection: "investments",
+    targetId: (req, body) => body && body.id,
+  }),
+  async (req, res) => {
+    const userId = req.user.user_id;
+    const { productId, bankAccountNumber, amount } = req.body;
+
+    if (!productId || !bankAccountNumber || !(parseFloat(amount) > 0)) {
+      return res
+        .status(400)
+        .send({ message: "Dados de aplicação inválidos ou incompletos." });
+    }
+
+    try {
+      const investment = await applyInvestment({
+        userId,
+        productId,
+        bankAccountNumber,
+        amount,
+      });
+
+      return res.status(201).send({
+        message: "Aplicação realizada com sucesso!",
+        ...investment,
+      });
+    } catch (error) {
+      console.error("Erro ao aplicar em investimento:", error.message);
+
+      if (error.message.includes("não encontrad")) {
+        return res.status(404).send({ message: error.message });
+      }
+
+      if (
+        error.message.includes("Saldo insuficiente") ||
+        error.message.includes("Permissão negada")
+      ) {
+        return res.status(403).send({ message: error.message });
+      }
+
+      if (
+        error.message.includes("valor mínimo") ||
+        error.message.includes("contas em BRL")
+      ) {
+        return res.status(400).send({ message: error.message });
+      }
+
+      return res.status(500).send({
+        message: "Erro interno do servidor ao aplicar em investimento.",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Redeem investment (Resgate total ou parcial)
+app.post(
+  "/investments/:id/redemption",
+  authenticate,
+  validateRequest(schemas.redeemInvestment),
+  auditTrail({ action: "investment.redeem", collection: "investments" }),
+  async (req, res) => {
+    try {
+      const redemption = await redeemInvestment({
+        userId: req.user.user_id,
+        investmentId: req.params.id,
+        amount: req.body.amount,
+      });
+
+      return res.status(201).send({
+        message: "Resgate realizado e saldo atualizado com sucesso.",
+        ...redemption,
+      });
+    } catch (error) {
+      console.error("Erro ao resgatar investimento:", error.message);
+
+      if (error.message.includes("não encontrad")) {
+        return res.status(404).send({ message: error.message });
+      }
+
+      if (error.message.includes("Permissão negada")) {
+        return res.status(403).send({ message: error.message });
+      }
+
+      if (
+        error.message.includes("já foi resgatado") ||
+        error.message.includes("vencimento") ||
+        error.message.includes("Valor de resgate")
+      ) {
+        return res.status(400).send({ message: error.message });
+      }
+
+      return res.status(500).send({
+        message: "Erro interno do servidor ao resgatar investimento.",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Read all investments
+app.get("/investments", authenticate, async (req, res) => {
+  try {
+    const userId = req.user.user_id;
+
+    const query = database
+      .collection("investments")
+      .where("associatedUser", "==", userId)
+      .orderBy("createdAt", "desc");
+
+    const querySnapshot = await query.get();
+
+    const investments = querySnapshot.docs.map((doc) => ({
+      id: doc.id,
+      ...doc.data(),
+    }));
+
+    return res.status(200).send(investments);
+  } catch (error) {
+    console.error("Erro ao listar investimentos:", error);
+    return res.status(500).send({
+      message: "Erro interno do servidor ao listar investimentos.",
+      error: error.message,
+    });
+  }
+});
+
+// Read investment by ID
+app.get(
+  "/investments/:id",
+  authenticate,
+  validateRequest(schemas.idParams),
+  async (req, res) => {
+    try {
+      const investmentId = req.params.id;
+      const userId = req.user.user_id;
+
+      const docRef = database.collection("investments").doc(investmentId);
+      const doc = await docRef.get();
+
+      if (!doc.exists) {
+        return res
+          .status(404)
+          .send({ message: "Investimento não encontrado." });
+      }
+
+      const investmentData = { id: doc.id, ...doc.data() };
+
+      // ⭐️ VERIFICAÇÃO DE PROPRIEDADE
+      if (investmentData.associatedUser !== userId) {
+        return res.status(403).send({
+          message:
+            "Acesso negado. Este investimento não pertence ao seu usuário.",
+        });
+      }
+
+      return res.status(200).send(investmentData);
+    } catch (error) {
+      console.error("Erro ao buscar investimento:", error);
+      return res.status(500).send({
+        message: "Erro interno do servidor ao buscar investimento.",
+        error: error.message,
+      });
     }
+  }
+);
 
-    // ⭐️ VERIFICAÇÃO DE PROPRIEDADE
-    if (doc.data().associatedUser !== userId) {
-      return res.status(403).send({
+// Update investment
+app.put(
+  "/investments/:id",
+  authenticate,
+  validateRequest(schemas.updateInvestment),
+  auditTrail({ action: "investment.update", collection: "investments" }),
+  async (req, res) => {
+    try {
+      const investmentId = req.params.id;
+      const userId = req.user.user_id;
+      const updateData = req.body;
+
+      const docRef = database.collection("investments").doc(investmentId);
+      const doc = await docRef.get();
+
+      if (!doc.exists) {
+        return res
+          .status(404)
+          .send({ message: "Investimento não encontrado." });
+      }
+
+      // ⭐️ VERIFICAÇÃO DE PROPRIEDADE
+      if (doc.data().associatedUser !== userId) {
+        return res.status(403).send({
+          message:
+            "Acesso negado. Você só pode atualizar seus próprios investimentos.",
+        });
+      }
+
+      await docRef.update({ ...updateData, updatedAt: new Date() });
+
+      return res.status(200).send({
+        message: `Investimento com ID ${investmentId} atualizado com sucesso.`,
+      });
+    } catch (error) {
+      console.error("Erro ao atualizar investimento:", error);
+      return res.status(500).send({
+        message: "Erro interno do servidor ao atualizar investimento.",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Delete investment
+app.delete(
+  "/investments/:id",
+  authenticate,
+  validateRequest(schemas.idParams),
+  auditTrail({ action: "investment.delete", collection: "investments" }),
+  async (req, res) => {
+    try {
+      const investmentId = req.params.id;
+      const userId = req.user.user_id;
+
+      const docRef = database.collection("investments").doc(investmentId);
+      const doc = await docRef.get();
+
+      if (!doc.exists) {
+        return res
+          .status(404)
+          .send({ message: "Investimento não encontrado." });
+      }
+
+      // ⭐️ VERIFICAÇÃO DE PROPRIEDADE
+      if (doc.data().associatedUser !== userId) {
+        return res.status(403).send({
+          message:
+            "Acesso negado. Você só pode excluir seus próprios investimentos.",
+        });
+      }
+
+      if (doc.data().status === "active") {
+        return res.status(400).send({
+          message: "Resgate o investimento antes de excluí-lo.",
+        });
+      }
+
+      await docRef.delete();
+
+      return res.status(200).send({
+        message: `Investimento com ID ${investmentId} excluído com sucesso.`,
+      });
+    } catch (error) {
+      console.error("Erro ao excluir investimento:", error);
+      return res.status(500).send({
+        message: "Erro interno do servidor ao excluir investimento.",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/* =========================================================================
+ * 📒 CONCILIAÇÃO DE SALDOS (ADMIN)
+ * ========================================================================= */
+
+// Relatório: compara o saldo de cada conta com o livro-razão
+app.get(
+  "/admin/reconciliation",
+  authenticate,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const report = await reconcileAccounts();
+      return res.status(200).send(report);
+    } catch (error) {
+      console.error("Erro ao conciliar saldos:", error);
+      return res.status(500).send({
+        message: "Erro interno do servidor ao conciliar saldos.",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Correção: ajusta os saldos divergentes a partir do livro-razão (contas
+// ainda sem migração para o livro-razão não são alteradas)
+app.post(
+  "/admin/reconciliation/repair",
+  authenticate,
+  requireAdmin,
+  auditTrail({ action: "reconciliation.repair" }),
+  async (req, res) => {
+    try {
+      const report = await reconcileAccounts({ repair: true });
+      return res.status(200).send(report);
+    } catch (error) {
+      console.error("Erro ao corrigir saldos:", error);
+      return res.status(500).send({
+        message: "Erro interno do servidor ao corrigir saldos.",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/* =========================================================================
+ * 👥 PAPÉIS DE ACESSO (ADMIN)
+ * ========================================================================= */
+
+// Concede um papel (customer, support ou admin) a um usuário
+app.put(
+  "/admin/users/:id/role",
+  authenticate,
+  requireAdmin,
+  validateRequest(schemas.updateUserRole),
+  auditTrail({ action: "user.grantRole", collection: "users" }),
+  async (req, res) => {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).send({
+        message: `Papel inválido. Use: ${ROLES.join(", ")}.`,
+      });
+    }
+
+    // Evita que o último acesso administrativo seja perdido por engano
+    if (req.params.id === req.user.user_id && role !== "admin") {
+      return res.status(400).send({
+        message: "Você não pode remover o seu próprio papel de administrador.",
+      });
+    }
+
+    try {
+      await setUserRole(req.params.id, role);
+
+      return res.status(200).send({
+        message: "Papel atualizado. Ele vale a partir do próximo login.",
+        id: req.params.id,
+        role,
+      });
+    } catch (error) {
+      console.error("Erro ao atualizar papel:", error);
+
+      if (error.code === "auth/user-not-found") {
+        return res.status(404).send({ message: "Usuário não encontrado." });
+      }
+
+      return res.status(500).send({
+        message: "Erro interno do servidor ao atualizar papel.",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Revoga o papel de um usuário, que volta a ser cliente
+app.delete(
+  "/admin/users/:id/role",
+  authenticate,
+  requireAdmin,
+  validateRequest(schemas.idParams),
+  auditTrail({ action: "user.revokeRole", collection: "users" }),
+  async (req, res) => {
+    if (req.params.id === req.user.user_id) {
+      return res.status(400).send({
+        message: "Você não pode remover o seu próprio papel de administrador.",
+      });
+    }
+
+    try {
+      await setUserRole(req.params.id, DEFAULT_ROLE);
+
+      return res.status(200).send({
+        message: "Papel revogado. Ele vale a partir do próximo login.",
+        id: req.params.id,
+        role: DEFAULT_ROLE,
+      });
+    } catch (error) {
+      console.error("Erro ao revogar papel:", error);
+
+      if (error.code === "auth/user-not-found") {
+        return res.status(404).send({ message: "Usuário não encontrado." });
+      }
+
+      return res.status(500).send({
+        message: "Erro interno do servidor ao revogar papel.",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/* =========================================================================
+ * 🧾 AUDITORIA (EQUIPE)
+ * ========================================================================= */
+
+// Registros de auditoria: ?actorUid=&collection=&documentId=&startDate=&endDate=
+app.get(
+  "/admin/auditLogs",
+  authenticate,
+  requireStaff,
+  validateRequest(schemas.listAuditLogs),
+  async (req, res) => {
+    try {
+      const { itemsPerPage, ...filters } = req.query;
+      const result = await listAuditLogs({
+        ...filters,
+        itemsPerPage: parseInt(itemsPerPage, 10) || 50,
+      });
+
+      return res.status(200).send(result);
+    } catch (error) {
+      console.error("Erro ao listar registros de auditoria:", error);
+      return res.status(500).send({
+        message: "Erro interno do servidor ao listar registros de auditoria.",
+        error: error.message,
+      });
+    }
+  }
+);
+
+/* =========================================================================
+ * 🔐 PIN DE TRANSAÇÃO E AUTENTICADOR
+ * ========================================================================= */
+
+// Erros de PIN/TOTP devolvidos ao cliente (os demais viram 500)
+const securityErrorStatus = (error) => {
+  if (error.message.includes("login novamente")) return 401;
+  if (error.message.includes("não encontrado")) return 404;
+  if (error.message.includes("já foi utilizado")) return 409;
+  if (error.message.includes("bloqueada")) return 423;
+  if (
+    error.message.includes("incorreto") ||
+    error.message.includes("não cadastrado") ||
+    error.message.includes("não ativado")
+  ) {
+    return 403;
+  }
+  if (
+    error.message.includes("Informe") ||
+    error.message.includes("já está ativado") ||
+    error.message.includes("Nenhuma ativação")
+  ) {
+    return 400;
+  }
+  return 500;
+};
+
+const sendSecurityError = (res, error, action) => {
+  console.error(`Erro ao ${action}:`, error);
+  const status = securityErrorStatus(error);
+
+  return res.status(status).send({
+    message:
+      status === 500 ? `Erro interno do servidor ao ${action}.` : error.message,
+    error: error.message,
+  });
+};
+
+// Situação do PIN e do autenticador (nunca devolve hash ou segredo)
+app.get("/security", authenticate, async (req, res) => {
+  try {
+    const status = await getSecurityStatus(req.user.user_id);
+    return res.status(200).send(status);
+  } catch (error) {
+    return sendSecurityError(res, error, "buscar configurações de segurança");
+  }
+});
+
+// Cadastra ou troca o PIN de transação (a troca exige currentPin ou otp; o
+// primeiro cadastro, um login recente)
+app.put(
+  "/security/pin",
+  authenticate,
+  validateRequest(schemas.setTransactionPin),
+  auditTrail({ action: "security.setPin" }),
+  async (req, res) => {
+    try {
+      await setTransactionPin(req.user.user_id, {
+        ...req.body,
+        authTime: req.user.auth_time,
+      });
+
+      return res
+        .status(200)
+        .send({ message: "PIN de transação cadastrado com sucesso." });
+    } catch (error) {
+      return sendSecurityError(res, error, "cadastrar PIN de transação");
+    }
+  }
+);
+
+// Inicia a ativação do autenticador: devolve o segredo e a URL otpauth://
+// (para QR code). Só vale após POST /security/totp/confirm.
+// Com PIN cadastrado, o corpo precisa trazer { pin }; sem ele, o login
+// precisa ser recente.
+app.post(
+  "/security/totp",
+  authenticate,
+  validateRequest(schemas.startTotpSetup),
+  auditTrail({ action: "security.startTotp" }),
+  async (req, res) => {
+    try {
+      const setup = await startTotpSetup(
+        req.user.user_id,
+        req.user.email || req.user.user_id,
+        { ...req.body, authTime: req.user.auth_time }
+      );
+
+      return res.status(200).send({
         message:
-          "Acesso negado. Você só pode atualizar suas próprias transações.",
+          "Adicione a conta ao aplicativo autenticador e confirme com um código.",
+        ...setup,
+      });
+    } catch (error) {
+      return sendSecurityError(res, error, "ativar autenticador");
+    }
+  }
+);
+
+app.post(
+  "/security/totp/confirm",
+  authenticate,
+  validateRequest(schemas.confirmTotp),
+  auditTrail({ action: "security.enableTotp" }),
+  async (req, res) => {
+    try {
+      await confirmTotp(req.user.user_id, req.body.otp);
+
+      return res
+        .status(200)
+        .send({ message: "Autenticador ativado com sucesso." });
+    } catch (error) {
+      return sendSecurityError(res, error, "confirmar autenticador");
+    }
+  }
+);
+
+// Desativa o autenticador: { otp } ou { pin }
+app.delete(
+  "/security/totp",
+  authenticate,
+  validateRequest(schemas.disableTotp),
+  auditTrail({ action: "security.disableTotp" }),
+  async (req, res) => {
+    const { pin, otp } = req.body;
+
+    if ((pin === undefined) === (otp === undefined)) {
+      return res.status(400).send({
+        message: "Informe o PIN de transação ou o código do autenticador.",
+      });
+    }
+
+    try {
+      await disableTotp(req.user.user_id, { pin, otp });
+
+      return res
+        .status(200)
+        .send({ message: "Autenticador desativado com sucesso." });
+    } catch (error) {
+      return sendSecurityError(res, error, "desativar autenticador");
+    }
+  }
+);
+
+/* =========================================================================
+ * 🎯 CATEGORIAS E ORÇAMENTOS
+ * ========================================================================= */
+
+// Erros de categorias e orçamentos devolvidos ao cliente (os demais viram 500)
+const budgetErrorStatus = (error) => {
+  if (error.message.includes("não encontrad")) return 404;
+  if (error.message.includes("Já existe")) return 409;
+  if (
+    error.message.includes("inválido") ||
+    error.message.includes("não podem") ||
+    error.message.includes("Limite de")
+  ) {
+    return 400;
+  }
+  return 500;
+};
+
+const sendBudgetError = (res, error, action) => {
+  console.error(`Erro ao ${action}:`, error);
+  const status = budgetErrorStatus(error);
+
+  return res.status(status).send({
+    message:
+      status === 500 ? `Erro interno do servidor ao ${action}.` : error.message,
+    error: error.message,
+  });
+};
+
+// Categorias aceitas em 'category': as padrão e as criadas pelo usuário
+app.get("/categories", authenticate, async (req, res) => {
+  try {
+    const categories = await listCategories(req.user.user_id);
+    return res.status(200).send(categories);
+  } catch (error) {
+    return sendBudgetError(res, error, "listar categorias");
+  }
+});
+
+app.post(
+  "/categories",
+  authenticate,
+  validateRequest(schemas.createCategory),
+  auditTrail({
+    action: "category.create",
+    collection: "categories",
+    targetId: (req, body) => body && `${req.user.user_id}_${body.slug}`,
+  }),
+  async (req, res) => {
+    try {
+      const category = await createCategory(req.user.user_id, req.body.name);
+      return res.status(201).send(category);
+    } catch (error) {
+      return sendBudgetError(res, error, "criar categoria");
+    }
+  }
+);
+
+app.delete(
+  "/categories/:slug",
+  authenticate,
+  validateRequest(schemas.categoryParams),
+  auditTrail({
+    action: "category.delete",
+    collection: "categories",
+    targetId: (req) => `${req.user.user_id}_${req.params.slug}`,
+  }),
+  async (req, res) => {
+    try {
+      await deleteCategory(req.user.user_id, req.params.slug);
+
+      return res.status(200).send({
+        message: "Categoria excluída com sucesso.",
+        slug: req.params.slug,
+      });
+    } catch (error) {
+      return sendBudgetError(res, error, "excluir categoria");
+    }
+  }
+);
+
+app.get("/budgets", authenticate, async (req, res) => {
+  try {
+    const budgets = await listBudgets(req.user.user_id);
+    return res.status(200).send(budgets);
+  } catch (error) {
+    return sendBudgetError(res, error, "listar orçamentos");
+  }
+});
+
+// Gasto x orçado por categoria: ?month=MM-AAAA (padrão: mês atual)
+app.get(
+  "/budgets/report",
+  authenticate,
+  validateRequest(schemas.getBudgetReport),
+  async (req, res) => {
+    try {
+      const report = await getBudgetReport(req.user.user_id, req.query.month);
+      return res.status(200).send(report);
+    } catch (error) {
+      return sendBudgetError(res, error, "gerar relatório de orçamentos");
+    }
+  }
+);
+
+// Alertas já disparados: ?month=MM-AAAA
+app.get(
+  "/budgets/alerts",
+  authenticate,
+  validateRequest(schemas.getBudgetReport),
+  async (req, res) => {
+    try {
+      const alerts = await listBudgetAlerts(req.user.user_id, req.query.month);
+      return res.status(200).send(alerts);
+    } catch (error) {
+      return sendBudgetError(res, error, "listar alertas de orçamento");
+    }
+  }
+);
+
+// Cria ou altera o orçamento mensal de uma categoria
+app.put(
+  "/budgets/:slug",
+  authenticate,
+  validateRequest(schemas.setBudget),
+  auditTrail({
+    action: "budget.set",
+    collection: "budgets",
+    targetId: (req) => `${req.user.user_id}_${req.params.slug}`,
+  }),
+  async (req, res) => {
+    try {
+      const budget = await setBudget(
+        req.user.user_id,
+        req.params.slug,
+        req.body
+      );
+
+      return res.status(200).send(budget);
+    } catch (error) {
+      return sendBudgetError(res, error, "salvar orçamento");
+    }
+  }
+);
+
+app.delete(
+  "/budgets/:slug",
+  authenticate,
+  validateRequest(schemas.categoryParams),
+  auditTrail({
+    action: "budget.delete",
+    collection: "budgets",
+    targetId: (req) => `${req.user.user_id}_${req.params.slug}`,
+  }),
+  async (req, res) => {
+    try {
+      await deleteBudget(req.user.user_id, req.params.slug);
+
+      return res.status(200).send({
+        message: "Orçamento excluído com sucesso.",
+        slug: req.params.slug,
       });
+    } catch (error) {
+      return sendBudgetError(res, error, "excluir orçamento");
     }
+  }
+);
 
-    delete updateData.associatedUser;
+/* =========================================================================
+ * 📺 EVENTOS EM TEMPO REAL (SSE)
+ * ========================================================================= */
 
-    await docRef.update(updateData);
+// EventSource (navegador) não envia cabeçalhos: nesta rota o token também
+// é aceito em ?access_token=
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
 
-    return res.status(200).send({
-      message: `Transação com ID ${transactionId} atualizada com sucesso.`,
+// Saldo e novas transações das contas do usuário, assim que acontecem.
+// Eventos: transfer.sent, transfer.received, balance.changed,
+// investment.redeemed, budget.threshold_reached, bill.paid e bill.failed.
+// Retomada com o cabeçalho Last-Event-ID (ou ?lastEventId=).
+app.get("/stream", tokenFromQuery, authenticate, async (req, res) => {
+  const userId = req.user.user_id;
+  const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId;
+  let unsubscribe = () => {};
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write("retry: 5000\n\n");
+
+  const heartbeat = setInterval(
+    () => res.write(": keep-alive\n\n"),
+    HEARTBEAT_SECONDS * 1000
+  );
+
+  // O token expira: a conexão é encerrada e o cliente reconecta com um novo
+  const expiration = setTimeout(() => {
+    res.write("event: token.expired\ndata: {}\n\n");
+    res.end();
+  }, Math.max(req.user.exp * 1000 - Date.now(), 0));
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiration);
+    unsubscribe();
+  });
+
+  try {
+    unsubscribe = await subscribeToUserEvents(userId, {
+      lastEventId,
+      onEvent: (event) => {
+        res.write(
+          `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(
+            event
+          )}\n\n`
+        );
+      },
+      onError: (error) => {
+        console.error("Erro no stream de eventos:", error);
+        res.end();
+      },
     });
+
+    // O cliente pode ter desconectado enquanto o listener era aberto
+    if (req.destroyed) unsubscribe();
   } catch (error) {
-    console.error("Erro ao atualizar transação:", error);
-    return res.status(500).send({
-      message: "Erro interno do servidor ao atualizar transação.",
-      error: error.message,
-    });
+    console.error("Erro ao abrir stream de eventos:", error);
+    res.end();
   }
 });
 
-// Delete transaction
-app.delete("/transactions/:id", authenticate, async (req, res) => {
-  try {
-    const transactionId = req.params.id;
-    const userId = req.user.user_id;
+/* =========================================================================
+ * 📡 WEBHOOKS
+ * ========================================================================= */
+
+// Erros de webhooks devolvidos ao cliente (os demais viram 500)
+const webhookErrorStatus = (error) => {
+  if (error.message.includes("não encontrad")) return 404;
+  if (error.message.includes("Somente entregas")) return 409;
+  if (
+    error.message.includes("URL de webhook") ||
+    error.message.includes("Limite de")
+  ) {
+    return 400;
+  }
+  return 500;
+};
 
-    const docRef = database.collection("transactions").doc(transactionId);
-    const doc = await docRef.get();
+const sendWebhookError = (res, error, action) => {
+  console.error(`Erro ao ${action}:`, error);
+  const status = webhookErrorStatus(error);
 
-    if (!doc.exists) {
-      return res.status(404).send({ message: "Transação não encontrada." });
-    }
+  return res.status(status).send({
+    message:
+      status === 500 ? `Erro interno do servidor ao ${action}.` : error.message,
+    error: error.message,
+  });
+};
 
-    // ⭐️ VERIFICAÇÃO DE PROPRIEDADE
-    if (doc.data().associatedUser !== userId) {
-      return res.status(403).send({
+// Cadastra um endpoint. O 'secret' só aparece nesta resposta.
+app.post(
+  "/webhooks",
+  authenticate,
+  validateRequest(schemas.createWebhook),
+  auditTrail({
+    action: "webhook.create",
+    targetId: (req, body) => body && body.id,
+  }),
+  async (req, res) => {
+    try {
+      const subscription = await createSubscription(req.user.user_id, req.body);
+
+      return res.status(201).send({
         message:
-          "Acesso negado. Você só pode excluir suas próprias transações.",
+          "Webhook cadastrado. Guarde o segredo: ele não será exibido novamente.",
+        ...subscription,
       });
+    } catch (error) {
+      return sendWebhookError(res, error, "cadastrar webhook");
     }
+  }
+);
 
-    await docRef.delete();
-
-    return res.status(200).send({
-      message: `Transação com ID ${transactionId} excluída com sucesso.`,
-    });
+app.get("/webhooks", authenticate, async (req, res) => {
+  try {
+    const subscriptions = await listSubscriptions(req.user.user_id);
+    return res.status(200).send(subscriptions);
   } catch (error) {
-    console.error("Erro ao excluir transação:", error);
-    return res.status(500).send({
-      message: "Erro interno do servidor ao excluir transação.",
-      error: error.message,
-    });
+    return sendWebhookError(res, error, "listar webhooks");
   }
 });
 
-// Read all investments
-app.get("/investments", authenticate, async (req, res) => {
-  try {
-    const userId = req.user.user_id;
+app.put(
+  "/webhooks/:id",
+  authenticate,
+  validateRequest(schemas.updateWebhook),
+  auditTrail({ action: "webhook.update" }),
+  async (req, res) => {
+    try {
+      const subscription = await updateSubscription(
+        req.user.user_id,
+        req.params.id,
+        req.body
+      );
 
-    const query = database
-      .collection("investments")
-      .where("associatedUser", "==", userId)
-      .orderBy("createdAt", "desc");
+      return res.status(200).send(subscription);
+    } catch (error) {
+      return sendWebhookError(res, error, "atualizar webhook");
+    }
+  }
+);
 
-    const querySnapshot = await query.get();
+app.delete(
+  "/webhooks/:id",
+  authenticate,
+  validateRequest(schemas.idParams),
+  auditTrail({ action: "webhook.delete" }),
+  async (req, res) => {
+    try {
+      await deleteSubscription(req.user.user_id, req.params.id);
 
-    const investments = querySnapshot.docs.map((doc) => ({
-      id: doc.id,
-      ...doc.data(),
-    }));
+      return res
+        .status(200)
+        .send({ message: "Webhook excluído com sucesso.", id: req.params.id });
+    } catch (error) {
+      return sendWebhookError(res, error, "excluir webhook");
+    }
+  }
+);
 
-    return res.status(200).send(investments);
-  } catch (error) {
-    console.error("Erro ao listar investimentos:", error);
-    return res.status(500).send({
-      message: "Erro interno do servidor ao listar investimentos.",
-      error: error.message,
-    });
+// Gera um novo segredo de assinatura (o anterior deixa de valer)
+app.post(
+  "/webhooks/:id/secret",
+  authenticate,
+  validateRequest(schemas.idParams),
+  auditTrail({ action: "webhook.rotateSecret" }),
+  async (req, res) => {
+    try {
+      const secret = await rotateSubscriptionSecret(
+        req.user.user_id,
+        req.params.id
+      );
+
+      return res.status(200).send({ id: req.params.id, secret });
+    } catch (error) {
+      return sendWebhookError(res, error, "gerar segredo do webhook");
+    }
   }
-});
+);
 
-// Read investment by ID
-app.get("/investments/:id", authenticate, async (req, res) => {
-  try {
-    const investmentId = req.params.id;
-    const userId = req.user.user_id;
+// Registro de entregas: ?subscriptionId=&status=
+app.get(
+  "/webhooks/deliveries",
+  authenticate,
+  validateRequest(schemas.listWebhookDeliveries),
+  async (req, res) => {
+    try {
+      const { itemsPerPage, ...filters } = req.query;
+      const result = await listDeliveries(req.user.user_id, {
+        ...filters,
+        itemsPerPage: parseInt(itemsPerPage, 10) || 50,
+      });
 
-    const docRef = database.collection("investments").doc(investmentId);
-    const doc = await docRef.get();
+      return res.status(200).send(result);
+    } catch (error) {
+      return sendWebhookError(res, error, "listar entregas de webhook");
+    }
+  }
+);
 
-    if (!doc.exists) {
-      return res.status(404).send({ message: "Investimento não encontrado." });
+// Uma entrega com todas as tentativas (status HTTP, erro e duração)
+app.get(
+  "/webhooks/deliveries/:id",
+  authenticate,
+  validateRequest(schemas.idParams),
+  async (req, res) => {
+    try {
+      const delivery = await getDelivery(req.user.user_id, req.params.id);
+      return res.status(200).send(delivery);
+    } catch (error) {
+      return sendWebhookError(res, error, "buscar entrega de webhook");
     }
+  }
+);
 
-    const investmentData = { id: doc.id, ...doc.data() };
+// Reenvia uma entrega que falhou
+app.post(
+  "/webhooks/deliveries/:id/replay",
+  authenticate,
+  validateRequest(schemas.idParams),
+  auditTrail({ action: "webhook.replay" }),
+  async (req, res) => {
+    try {
+      const delivery = await replayDelivery(req.user.user_id, req.params.id);
 
-    // ⭐️ VERIFICAÇÃO DE PROPRIEDADE
-    if (investmentData.associatedUser !== userId) {
-      return res.status(403).send({
-        message:
-          "Acesso negado. Este investimento não pertence ao seu usuário.",
+      return res.status(202).send({
+        message: "Entrega colocada novamente na fila.",
+        ...delivery,
       });
+    } catch (error) {
+      return sendWebhookError(res, error, "reenviar entrega de webhook");
     }
-
-    return res.status(200).send(investmentData);
-  } catch (error) {
-    console.error("Erro ao buscar investimento:", error);
-    return res.status(500).send({
-      message: "Erro interno do servidor ao buscar investimento.",
-      error: error.message,
-    });
   }
-});
+);
 
-// Update investment
-app.put("/investments/:id", authenticate, async (req, res) => {
-  try {
-    const investmentId = req.params.id;
-    const userId = req.user.user_id;
-    const updateData = req.body;
+/* =========================================================================
+ * 🕵️ ANÁLISE DE RISCO E TRANSFERÊNCIAS RETIDAS
+ * ========================================================================= */
 
-    const docRef = database.collection("investments").doc(investmentId);
-    const doc = await docRef.get();
+// Transferências do próprio usuário retidas para análise
+app.get(
+  "/heldTransfers",
+  authenticate,
+  validateRequest(schemas.listHeldTransfers),
+  async (req, res) => {
+    try {
+      const { itemsPerPage, ...filters } = req.query;
+      const result = await listHeldTransfers({
+        ...filters,
+        userId: req.user.user_id,
+        itemsPerPage: parseInt(itemsPerPage, 10) || 50,
+      });
 
-    if (!doc.exists) {
-      return res.status(404).send({ message: "Investimento não encontrado." });
+      return res.status(200).send(result);
+    } catch (error) {
+      console.error("Erro ao listar transferências retidas:", error);
+      return res.status(500).send({
+        message: "Erro interno do servidor ao listar transferências retidas.",
+        error: error.message,
+      });
     }
+  }
+);
 
-    // ⭐️ VERIFICAÇÃO DE PROPRIEDADE
-    if (doc.data().associatedUser !== userId) {
-      return res.status(403).send({
-        message:
-          "Acesso negado. Você só pode atualizar seus próprios investimentos.",
+// Fila de análise da equipe: ?status=pending_review
+app.get(
+  "/admin/heldTransfers",
+  authenticate,
+  requireStaff,
+  validateRequest(schemas.listHeldTransfers),
+  async (req, res) => {
+    try {
+      const { itemsPerPage, ...filters } = req.query;
+      const result = await listHeldTransfers({
+        ...filters,
+        itemsPerPage: parseInt(itemsPerPage, 10) || 50,
+      });
+
+      return res.status(200).send(result);
+    } catch (error) {
+      console.error("Erro ao listar transferências retidas:", error);
+      return res.status(500).send({
+        message: "Erro interno do servidor ao listar transferências retidas.",
+        error: error.message,
       });
     }
+  }
+);
+
+// Erros comuns de aprovação e recusa
+const heldTransferErrorStatus = (error) => {
+  if (error.message.includes("não encontrada")) return 404;
+  if (error.message.includes("já foi analisada")) return 409;
+  return 500;
+};
 
-    delete updateData.associatedUser;
+// Aprova: o valor retido segue para a conta de destino
+app.post(
+  "/admin/heldTransfers/:id/approve",
+  authenticate,
+  requireStaff,
+  validateRequest(schemas.approveHeldTransfer),
+  auditTrail({ action: "heldTransfer.approve", collection: "heldTransfers" }),
+  async (req, res) => {
+    try {
+      const records = await approveHeldTransfer({
+        heldTransferId: req.params.id,
+        reviewerUid: req.user.user_id,
+        note: req.body.note,
+      });
 
-    await docRef.update(updateData);
+      return res.status(200).send({
+        message: "Transferência aprovada e concluída com sucesso.",
+        id: req.params.id,
+        ...records,
+      });
+    } catch (error) {
+      console.error("Erro ao aprovar transferência retida:", error);
+      const status = heldTransferErrorStatus(error);
 
-    return res.status(200).send({
-      message: `Investimento com ID ${investmentId} atualizado com sucesso.`,
-    });
-  } catch (error) {
-    console.error("Erro ao atualizar investimento:", error);
-    return res.status(500).send({
-      message: "Erro interno do servidor ao atualizar investimento.",
-      error: error.message,
-    });
+      return res.status(status).send({
+        message:
+          status === 500
+            ? "Erro interno do servidor ao aprovar transferência retida."
+            : error.message,
+        error: error.message,
+      });
+    }
   }
-});
-
-// Delete investment
-app.delete("/investments/:id", authenticate, async (req, res) => {
-  try {
-    const investmentId = req.params.id;
-    const userId = req.user.user_id;
+);
 
-    const docRef = database.collection("investments").doc(investmentId);
-    const doc = await docRef.get();
+// Recusa: o valor retido volta para a conta de origem
+app.post(
+  "/admin/heldTransfers/:id/reject",
+  authenticate,
+  requireStaff,
+  validateRequest(schemas.rejectHeldTransfer),
+  auditTrail({ action: "heldTransfer.reject", collection: "heldTransfers" }),
+  async (req, res) => {
+    try {
+      await rejectHeldTransfer({
+        heldTransferId: req.params.id,
+        reviewerUid: req.user.user_id,
+        reason: req.body.reason,
+      });
 
-    if (!doc.exists) {
-      return res.status(404).send({ message: "Investimento não encontrado." });
-    }
+      return res.status(200).send({
+        message: "Transferência recusada. O valor foi devolvido à origem.",
+        id: req.params.id,
+      });
+    } catch (error) {
+      console.error("Erro ao recusar transferência retida:", error);
+      const status = heldTransferErrorStatus(error);
 
-    // ⭐️ VERIFICAÇÃO DE PROPRIEDADE
-    if (doc.data().associatedUser !== userId) {
-      return res.status(403).send({
+      return res.status(status).send({
         message:
-          "Acesso negado. Você só pode excluir seus próprios investimentos.",
+          status === 500
+            ? "Erro interno do servidor ao recusar transferência retida."
+            : error.message,
+        error: error.message,
       });
     }
+  }
+);
 
-    await docRef.delete();
-
-    return res.status(200).send({
-      message: `Investimento com ID ${investmentId} excluído com sucesso.`,
-    });
+// Regras da análise de risco em vigor
+app.get("/admin/riskRules", authenticate, requireStaff, async (req, res) => {
+  try {
+    const rules = await getRiskRules({ fresh: true });
+    return res.status(200).send(rules);
   } catch (error) {
-    console.error("Erro ao excluir investimento:", error);
+    console.error("Erro ao buscar regras de risco:", error);
     return res.status(500).send({
-      message: "Erro interno do servidor ao excluir investimento.",
+      message: "Erro interno do servidor ao buscar regras de risco.",
       error: error.message,
     });
   }
 });
 
+// Altera regras e limites de pontuação (só os campos enviados)
+app.put(
+  "/admin/riskRules",
+  authenticate,
+  requireAdmin,
+  validateRequest(schemas.updateRiskRules),
+  auditTrail({
+    action: "riskRules.update",
+    collection: "riskConfig",
+    targetId: () => "transferRules",
+  }),
+  async (req, res) => {
+    try {
+      const rules = await updateRiskRules(req.body, req.user.user_id);
+
+      return res.status(200).send({
+        message: "Regras de risco atualizadas com sucesso.",
+        rules,
+      });
+    } catch (error) {
+      console.error("Erro ao atualizar regras de risco:", error);
+
+      if (error.message.includes("não pode ser maior")) {
+        return res.status(400).send({ message: error.message });
+      }
+
+      return res.status(500).send({
+        message: "Erro interno do servidor ao atualizar regras de risco.",
+        error: error.message,
+      });
+    }
+  }
+);
+
 /* =========================================================================
  * 🖼️ ROTA DE UPLOAD
  * ========================================================================= */
 
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_KEY
-);
+// Arquivo do usuário (um por usuário; o envio novo substitui o anterior)
+app.post(
+  "/upload",
+  authenticate,
+  auditTrail({
+    action: "user.upload",
+    collection: "users",
+    targetId: (req) => req.user.user_id,
+  }),
+  async (req, res) => {
+    const userId = req.user.user_id;
+    let file;
+
+    try {
+      ({ file } = await parseMultipart(req, {
+        destination: ({ id, extension }) => `files/${userId}/${id}${extension}`,
+      }));
+    } catch (error) {
+      console.error("Erro no upload:", error);
+      return res.status(multipartErrorStatus(error)).send({
+        message: "Erro ao processar upload.",
+        error: error.message,
+      });
+    }
 
-app.post("/upload", authenticate, (req, res) => {
-  const bb = busboy({ headers: req.headers });
-  const userId = req.user.uid;
-  let uploadData = null;
+    if (!file) {
+      return res.status(400).send({ message: "Nenhum arquivo enviado." });
+    }
 
-  bb.on("file", (name, file, info) => {
-    const { filename, mimeType } = info;
-    const uniqueFileName = `${Date.now()}-${filename}`;
-    const filepath = path.join(os.tmpdir(), uniqueFileName);
+    try {
+      const userRef = database.collection("users").doc(userId);
+      const userDoc = await userRef.get();
+      const previousFile = userDoc.exists ? userDoc.data().file : null;
+
+      // O arquivo é privado: guarda-se o caminho, e não uma URL permanente
+      await userRef.update({
+        file: {
+          path: file.storagePath,
+          fileName: file.filename,
+          mimeType: file.mimeType,
+          size: file.size,
+          uploadedAt: new Date(),
+        },
+        fileUrl: admin.firestore.FieldValue.delete(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
 
-    uploadData = { filepath, filename: uniqueFileName, mimeType };
-    file.pipe(fs.createWriteStream(filepath));
-  });
+      if (previousFile) {
+        await removeFile(previousFile.path).catch((error) =>
+          console.error("Erro ao remover arquivo anterior:", error)
+        );
+      }
 
-  bb.on("finish", async () => {
-    if (!uploadData) return res.status(400).send("Nenhum arquivo enviado.");
+      const url = await createSignedUrl(
+        file.storagePath,
+        SIGNED_URL_TTL_SECONDS
+      );
 
-    try {
-      const destination = `files/${userId}/${uploadData.filename}`;
+      return res.status(200).send({ url, expiresIn: SIGNED_URL_TTL_SECONDS });
+    } catch (error) {
+      console.error("Erro no upload:", error);
+      await removeFile(file.storagePath).catch(() => {});
+      return res.status(500).send({
+        message: "Erro ao processar upload.",
+        error: error.message,
+      });
+    }
+  }
+);
 
-      const fileBuffer = fs.readFileSync(uploadData.filepath);
+// Nova URL assinada para o arquivo do usuário
+app.get("/upload", authenticate, async (req, res) => {
+  try {
+    const userDoc = await database
+      .collection("users")
+      .doc(req.user.user_id)
+      .get();
+    const file = userDoc.exists ? userDoc.data().file : null;
 
-      const { data, error } = await supabase.storage
-        .from("files")
-        .upload(destination, fileBuffer, {
-          contentType: uploadData.mimeType,
-          upsert: true,
-        });
+    if (!file) {
+      return res.status(404).send({ message: "Nenhum arquivo enviado." });
+    }
 
-      if (error) throw error;
+    const url = await createSignedUrl(file.path, SIGNED_URL_TTL_SECONDS);
 
-      const {
-        data: { publicUrl },
-      } = supabase.storage.from("meu-bucket").getPublicUrl(destination);
+    return res.status(200).send({
+      fileName: file.fileName,
+      mimeType: file.mimeType,
+      size: file.size,
+      url,
+      expiresIn: SIGNED_URL_TTL_SECONDS,
+    });
+  } catch (error) {
+    console.error("Erro ao gerar URL do arquivo:", error);
+    return res.status(500).send({
+      message: "Erro interno do servidor ao gerar URL do arquivo.",
+      error: error.message,
+    });
+  }
+});
 
-      await database.collection("users").doc(userId).update({
-        fileUrl: publicUrl,
-        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-      });
+// Entrega de arquivos do driver local (rota pública: a URL assinada é a
+// autorização). Com o driver do Supabase as URLs apontam para o próprio Supabase.
+app.get("/files/*", validateRequest(schemas.getSignedFile), (req, res) => {
+  const { expires, signature } = req.query;
+  const filePath = verifyLocalSignedUrl(req.params[0], expires, signature);
 
-      fs.unlinkSync(uploadData.filepath);
-      res.status(200).send({ url: publicUrl });
-    } catch (error) {
-      if (uploadData?.filepath) fs.unlinkSync(uploadData.filepath);
-      console.error("Erro no upload:", error);
-      res.status(500).send("Erro ao processar upload.");
+  if (!filePath) {
+    return res
+      .status(403)
+      .send({ message: "URL de arquivo inválida ou expirada." });
+  }
+
+  res.set("X-Content-Type-Options", "nosniff");
+  res.sendFile(filePath, (error) => {
+    if (error && !res.headersSent) {
+      res.status(404).send({ message: "Arquivo não encontrado." });
     }
   });
-
-  req.pipe(bb);
 });
 
 /* -------------------------------------------------------------------------
@@ -835,194 +4412,182 @@ app.listen(PORT, () => {
   console.log(`🚀 Servidor rodando na porta ${PORT}`);
 });
 
-const monthNames = [
-  "Jan",
-  "Fev",
-  "Mar",
-  "Abr",
-  "Mai",
-  "Jun",
-  "Jul",
-  "Ago",
-  "Set",
-  "Out",
-  "Nov",
-  "Dez",
-];
-
-app.get("/analytics", authenticate, async (req, res) => {
-  // O ID do usuário é obtido do token pelo middleware 'authenticate'
-  const userId = req.user.user_id;
-
-  try {
-    // 1. Buscar todas as transações do usuário
-    const transactionsQuery = database
-      .collection("transactions")
-      .where("associatedUser", "==", userId);
-
-    const snapshot = await transactionsQuery.get();
+// Análise das contas do usuário a partir dos agregados diários.
+// ?startDate=&endDate=AAAA-MM-DD (padrão: últimos 12 meses),
+// ?granularity=day|week|month e ?accountId= (padrão: todas as contas).
+// Os valores são de uma só moeda: ?currency= (padrão: a da conta pedida ou
+// BRL); contas em outras moedas ficam de fora da soma.
+app.get(
+  "/analytics",
+  authenticate,
+  validateRequest(schemas.getAnalytics),
+  async (req, res) => {
+    // O ID do usuário é obtido do token pelo middleware 'authenticate'
+    const userId = req.user.user_id;
+    const { accountId, startDate, endDate, granularity } = req.query;
+    let { currency } = req.query;
 
-    // 2. Buscar o Saldo Atual (Idealmente vem da conta bancária)
-    let currentBalance = 0;
     try {
-      const accountsSnapshot = await database
-        .collection("bankAccounts")
-        .where("associatedUser", "==", userId)
-        .limit(1)
-        .get();
-      if (!accountsSnapshot.empty) {
-        currentBalance = parseFloat(
-          accountsSnapshot.docs[0].data().balance || 0
-        );
+      // 1. Contas consideradas na análise
+      const accountDocs = await listUserAccounts(userId);
+      const selectedAccounts = accountId
+        ? accountDocs.filter((doc) => doc.id === accountId)
+        : accountDocs;
+
+      if (accountId && selectedAccounts.length === 0) {
+        return res.status(404).send({
+          message: "Conta bancária não encontrada para este usuário.",
+        });
       }
-    } catch (e) {
-      console.warn(
-        "Não foi possível buscar o saldo da conta principal. Usando 0.00 como fallback."
-      );
-    }
-
-    // 3. Processamento e Agregação dos Dados
-    const totalTransactions = snapshot.docs.length;
-    let totalAmountMoved = 0;
-    let sendedCount = 0;
-    let receivedCount = 0;
-    let sendedAmount = 0;
-    let receivedAmount = 0;
-
-    // Estrutura para agregação mensal: { "YYYY-MM": { income: number, expense: number, label: string, date: Date } }
-    const monthlyData = {};
-
-    snapshot.docs.forEach((doc) => {
-      const data = doc.data();
-      // Garante que o valor é um número
-      const amount = parseFloat(data.amount || 0);
-
-      // --- Lógica de KPI (original) ---
-      totalAmountMoved += amount;
-      if (data.type === "sended") {
-        sendedCount++;
-        sendedAmount += amount;
-      } else if (data.type === "received") {
-        receivedCount++;
-        receivedAmount += amount;
-      }
-
-      // --- Lógica de Agregação Mensal (AGORA SEM NETFLOW) ---
-      const transactionDate =
-        data.date && data.date.toDate ? data.date.toDate() : data.date;
-
-      if (transactionDate instanceof Date && !isNaN(transactionDate)) {
-        const year = transactionDate.getFullYear();
-        const monthIndex = transactionDate.getMonth(); // 0 a 11
-
-        // Chave única (ex: "2024-09") para ordenação e agrupamento
-        const monthKey = `${year}-${String(monthIndex + 1).padStart(2, "0")}`;
-
-        if (!monthlyData[monthKey]) {
-          // Cria o objeto Date para o início do mês (dia 1, 00:00:00)
-          const startOfMonth = new Date(year, monthIndex, 1);
-
-          monthlyData[monthKey] = {
-            income: 0, // Recebidos
-            expense: 0, // Enviados
-            // Ex: "Set 2024" (rótulo para o gráfico)
-            label: `${monthNames[monthIndex]} ${year}`,
-            monthStart: startOfMonth,
-          };
-        }
 
-        // Agregação do valor para o mês
-        if (data.type === "sended") {
-          monthlyData[monthKey].expense += amount;
-        } else if (data.type === "received") {
-          monthlyData[monthKey].income += amount;
-        }
+      if (!currency) {
+        currency = accountId
+          ? accountCurrency(selectedAccounts[0].data())
+          : DEFAULT_CURRENCY;
       }
-    });
 
-    // 4. Cálculos para Gráficos e KPIs
-    const totalCount = sendedCount + receivedCount;
-
-    const sendedPercentage =
-      totalCount > 0 ? ((sendedCount / totalCount) * 100).toFixed(2) : "0.00";
-
-    const receivedPercentage =
-      totalCount > 0 ? ((receivedCount / totalCount) * 100).toFixed(2) : "0.00";
-
-    // Conversão da agregação mensal em array ordenado e formatado
-    const monthlyFlowData = Object.keys(monthlyData)
-      .sort() // Ordena por chave YYYY-MM
-      .map((key) => ({
-        label: monthlyData[key].label,
-        // O campo 'total' (que era o netFlow) foi removido.
-        income: parseFloat(monthlyData[key].income.toFixed(2)),
-        expense: parseFloat(monthlyData[key].expense.toFixed(2)),
-        // Converte para string YYYY-MM-DD
-        monthStart: monthlyData[key].monthStart.toISOString().split("T")[0],
-      }));
+      // 2. Agregados do período
+      const analytics = await getAnalytics({
+        userId,
+        bankAccountNumbers: selectedAccounts.map(
+          (doc) => doc.data().bankAccountNumber
+        ),
+        currency,
+        startDate,
+        endDate,
+        granularity,
+      });
 
-    // 5. Montagem da Resposta Final
-    const analyticsData = {
-      // --------------------------------------------------------
-      // KPIs - Para Cards no Topo (como nas suas imagens)
-      // --------------------------------------------------------
-      kpis: {
-        totalTransactions: totalTransactions,
-        // O valor que o usuário movimentou (enviado + recebido)
-        totalAmountMoved: totalAmountMoved,
-        receivedAmount: receivedAmount, // Receitas
-        sendedAmount: sendedAmount, // Despesas (saídas)
-        currentBalance: currentBalance, // Saldo Atual
-      },
+      // Saldo Atual: soma das contas selecionadas em reais; contas em
+      // outras moedas aparecem separadas em 'balancesByCurrency'
+      const balancesMinor = selectedAccounts.reduce((acc, doc) => {
+        const currency = accountCurrency(doc.data());
+        acc[currency] = (acc[currency] || 0) + accountBalanceMinor(doc.data());
+        return acc;
+      }, {});
+      const balancesByCurrency = Object.fromEntries(
+        Object.entries(balancesMinor).map(([currency, minor]) => [
+          currency,
+          fromMinorUnits(minor, currency),
+        ])
+      );
+      const currentBalance = balancesByCurrency[DEFAULT_CURRENCY] || 0;
+
+      // 3. KPIs e gráficos do painel
+      const { totals } = analytics;
+      const sendedCount = totals.sentCount;
+      const receivedCount = totals.receivedCount;
+      const totalCount = sendedCount + receivedCount;
+
+      const sendedPercentage =
+        totalCount > 0 ? ((sendedCount / totalCount) * 100).toFixed(2) : "0.00";
+
+      const receivedPercentage =
+        totalCount > 0
+          ? ((receivedCount / totalCount) * 100).toFixed(2)
+          : "0.00";
+
+      // 4. Montagem da Resposta Final
+      const analyticsData = {
+        currency: analytics.currency,
+        period: analytics.period,
+
+        // Contas incluídas nos cálculos
+        accounts: selectedAccounts.map((doc) => ({
+          id: doc.id,
+          bankAccountNumber: doc.data().bankAccountNumber,
+          accountType: doc.data().accountType || "checking",
+          nickname: doc.data().nickname || null,
+          currency: accountCurrency(doc.data()),
+          balance: fromMinorUnits(
+            accountBalanceMinor(doc.data()),
+            accountCurrency(doc.data())
+          ),
+        })),
+
+        kpis: {
+          totalTransactions: totalCount,
+          // O valor que o usuário movimentou (enviado + recebido)
+          totalAmountMoved: roundAmount(
+            totals.sentAmount + totals.receivedAmount
+          ),
+          receivedAmount: totals.receivedAmount, // Receitas
+          sendedAmount: totals.sentAmount, // Despesas (saídas)
+          currentBalance: currentBalance, // Saldo Atual (BRL)
+          balancesByCurrency,
+          averageTicket: analytics.averageTicket,
+        },
 
-      // --------------------------------------------------------
-      // Dados para Gráficos
-      // --------------------------------------------------------
-      charts: {
-        // Gráfico de Barras: Receitas vs Despesas (Volume)
-        revenueVsExpenses: [
-          { name: "Receitas", value: receivedAmount, color: "#43A047" }, // verde
-          { name: "Despesas", value: sendedAmount, color: "#E53935" }, // vermelho
-        ],
-
-        // Gráfico de Pizza: Distribuição por Tipo (Contagem)
-        distributionByType: [
-          {
-            name: "Recebidas",
-            count: receivedCount,
-            percentage: parseFloat(receivedPercentage),
-            color: "#1E88E5",
-          }, // azul
-          {
-            name: "Transferidas",
-            count: sendedCount,
-            percentage: parseFloat(sendedPercentage),
-            color: "#FFB300",
-          }, // amarelo
-        ],
-
-        // Dados para Gráfico de Fluxo Mensal (AGORA SÓ COM ENTRADA E SAÍDA)
-        // Estrutura: { label: string, income: number, expense: number, monthStart: string }
-        monthlyFlowData: monthlyFlowData,
-
-        // Dados brutos de contagem/porcentagem
-        distributionDetails: {
-          sended: { count: sendedCount, percentage: `${sendedPercentage}%` },
-          received: {
-            count: receivedCount,
-            percentage: `${receivedPercentage}%`,
+        categories: analytics.categories,
+        topCounterparties: analytics.topCounterparties,
+        monthOverMonth: analytics.monthOverMonth,
+
+        charts: {
+          // Gráfico de Barras: Receitas vs Despesas (Volume)
+          revenueVsExpenses: [
+            {
+              name: "Receitas",
+              value: totals.receivedAmount,
+              color: "#43A047",
+            }, // verde
+            { name: "Despesas", value: totals.sentAmount, color: "#E53935" }, // vermelho
+          ],
+
+          // Gráfico de Pizza: Distribuição por Tipo (Contagem)
+          distributionByType: [
+            {
+              name: "Recebidas",
+              count: receivedCount,
+              percentage: parseFloat(receivedPercentage),
+              color: "#1E88E5",
+            }, // azul
+            {
+              name: "Transferidas",
+              count: sendedCount,
+              percentage: parseFloat(sendedPercentage),
+              color: "#FFB300",
+            }, // amarelo
+          ],
+
+          // Fluxo na granularidade pedida:
+          // { start, label, income, expense, net, count }
+          series: analytics.series,
+
+          // Fluxo mensal: { label, income, expense, monthStart }
+          monthlyFlowData: analytics.monthlySeries.map((item) => ({
+            label: item.label,
+            income: item.income,
+            expense: item.expense,
+            monthStart: item.start,
+          })),
+
+          // Dados brutos de contagem/porcentagem
+          distributionDetails: {
+            sended: { count: sendedCount, percentage: `${sendedPercentage}%` },
+            received: {
+              count: receivedCount,
+              percentage: `${receivedPercentage}%`,
+            },
           },
         },
-      },
-    };
+      };
 
-    return res.status(200).send(analyticsData);
-  } catch (error) {
-    console.error("Erro ao buscar dados de analytics:", error.message);
-    return res.status(500).send({
-      message: "Erro interno do servidor ao buscar dados de análise da conta.",
-      error: error.message,
-    });
-  }
-});
+      return res.status(200).send(analyticsData);
+    } catch (error) {
+      console.error("Erro ao buscar dados de analytics:", error.message);
+
+      if (
+        error.message.includes("Período inválido") ||
+        error.message.includes("data inicial")
+      ) {
+        return res.status(400).send({ message: error.message });
+      }
 
+      return res.status(500).send({
+        message:
+          "Erro interno do servidor ao buscar dados de análise da conta.",
+        error: error.message,
+      });
+    }
+  }
+);
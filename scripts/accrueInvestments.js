@@ -0,0 +1,15 @@
+/* =========================================================================
+ * 📈 RENDIMENTO DIÁRIO DOS INVESTIMENTOS
+ * Uso: npm run accrue-investments (agendar uma vez por dia, ex.: via cron)
+ * ========================================================================= */
+const { accrueAllInvestments } = require("../services/investments");
+
+accrueAllInvestments()
+  .then((summary) => {
+    console.log("Rendimentos atualizados:", summary);
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("Erro ao atualizar rendimentos:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,21 @@
+/* =========================================================================
+ * 📊 RECONSTRUÇÃO DOS AGREGADOS DE ANÁLISE
+ * Uso: npm run backfill-analytics               -> todos os usuários
+ *      npm run backfill-analytics -- <uid>      -> apenas um usuário
+ * Recalcula 'analyticsDaily' a partir de 'transactions'. Rode fora do
+ * horário de pico: transferências feitas durante a reconstrução podem
+ * ficar de fora (basta rodar de novo).
+ * ========================================================================= */
+const { rebuildAnalytics } = require("../services/analytics");
+
+const [userId] = process.argv.slice(2);
+
+rebuildAnalytics({ userId })
+  .then((summary) => {
+    console.log("Agregados reconstruídos:", summary);
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("Erro ao reconstruir agregados:", error);
+    process.exit(1);
+  });
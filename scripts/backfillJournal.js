@@ -0,0 +1,19 @@
+/* =========================================================================
+ * 📒 MIGRAÇÃO DOS SALDOS PARA O LIVRO-RAZÃO
+ * Uso: npm run backfill-journal
+ * Rode uma vez no deploy do livro-razão, antes de qualquer correção
+ * (npm run reconcile -- --repair): contas anteriores a ele recebem um
+ * lançamento "migration" com o saldo que não está no livro-razão. Pode ser
+ * executado mais de uma vez: contas com abertura ou migração são ignoradas.
+ * ========================================================================= */
+const { backfillJournal } = require("../services/journal");
+
+backfillJournal()
+  .then((summary) => {
+    console.log("Contas migradas para o livro-razão:", summary);
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("Erro ao migrar saldos para o livro-razão:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,18 @@
+/* =========================================================================
+ * 🔍 PREENCHIMENTO DO NOME DA OUTRA PARTE NAS TRANSAÇÕES
+ * Uso: npm run backfill-transaction-search
+ * Registros gravados antes do campo 'counterpartyName' não aparecem na
+ * busca por nome (GET /transactions?counterparty=). Pode ser executado
+ * mais de uma vez: só altera registros sem o campo.
+ * ========================================================================= */
+const { backfillCounterpartyNames } = require("../services/transactionSearch");
+
+backfillCounterpartyNames()
+  .then((summary) => {
+    console.log("Registros atualizados:", summary);
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("Erro ao preencher registros:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,35 @@
+/* =========================================================================
+ * ⏱️ EXECUTOR DE PAGAMENTOS DE BOLETO AGENDADOS
+ * Uso: npm run bill-payments             -> processo contínuo
+ *      npm run bill-payments -- --once   -> um ciclo (ex.: via cron)
+ * ========================================================================= */
+const { runDueBillPayments } = require("../services/billPayments");
+
+const INTERVAL_MS =
+  (parseInt(process.env.BILL_PAYMENTS_INTERVAL_SECONDS, 10) || 300) * 1000;
+
+const runOnce = async () => {
+  try {
+    const summary = await runDueBillPayments();
+
+    if (summary.processed > 0) {
+      console.log("Pagamentos de boleto processados:", summary);
+    }
+  } catch (error) {
+    console.error("Erro ao processar pagamentos de boleto:", error);
+  }
+};
+
+if (process.argv.includes("--once")) {
+  runOnce().then(() => process.exit(0));
+} else {
+  const loop = async () => {
+    await runOnce();
+    setTimeout(loop, INTERVAL_MS);
+  };
+
+  console.log(
+    `⏱️ Executor de pagamentos de boleto rodando a cada ${INTERVAL_MS} ms`
+  );
+  loop();
+}
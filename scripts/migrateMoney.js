@@ -0,0 +1,18 @@
+/* =========================================================================
+ * 🪙 MIGRAÇÃO PARA VALORES EM CENTAVOS
+ * Uso: npm run migrate-money
+ * Grava 'balanceMinor'/'amountMinor' e 'currency' (BRL) nas contas e
+ * transações anteriores aos valores inteiros. Pode ser executado mais de
+ * uma vez: documentos já migrados são ignorados.
+ * ========================================================================= */
+const { migrateMoneyFields } = require("../services/money");
+
+migrateMoneyFields()
+  .then((summary) => {
+    console.log("Documentos migrados:", summary);
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("Erro ao migrar valores:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,22 @@
+/* =========================================================================
+ * 🔎 CONCILIAÇÃO DE SALDOS
+ * Uso: npm run reconcile            -> apenas relatório
+ *      npm run reconcile -- --repair -> corrige as divergências
+ * Contas sem abertura no livro-razão ("unjournaled") nunca são corrigidas:
+ * rode antes npm run backfill-journal.
+ * ========================================================================= */
+const { reconcileAccounts } = require("../services/journal");
+
+const repair = process.argv.includes("--repair");
+
+reconcileAccounts({ repair })
+  .then((report) => {
+    console.log(JSON.stringify(report, null, 2));
+
+    // Código de saída 1 quando há divergências não corrigidas (útil em cron/CI)
+    process.exit(report.mismatches.some((item) => !item.repaired) ? 1 : 0);
+  })
+  .catch((error) => {
+    console.error("Erro ao conciliar saldos:", error);
+    process.exit(1);
+  });
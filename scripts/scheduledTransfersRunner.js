@@ -0,0 +1,33 @@
+/* =========================================================================
+ * ⏱️ EXECUTOR DE TRANSFERÊNCIAS AGENDADAS
+ * Uso: npm run scheduled-transfers             -> processo contínuo
+ *      npm run scheduled-transfers -- --once   -> um ciclo (ex.: via cron)
+ * ========================================================================= */
+const { runDueScheduledTransfers } = require("../services/scheduledTransfers");
+
+const INTERVAL_MS =
+  (parseInt(process.env.SCHEDULED_TRANSFERS_INTERVAL_SECONDS, 10) || 60) * 1000;
+
+const runOnce = async () => {
+  try {
+    const summary = await runDueScheduledTransfers();
+
+    if (summary.processed > 0) {
+      console.log("Agendamentos processados:", summary);
+    }
+  } catch (error) {
+    console.error("Erro ao processar agendamentos:", error);
+  }
+};
+
+if (process.argv.includes("--once")) {
+  runOnce().then(() => process.exit(0));
+} else {
+  const loop = async () => {
+    await runOnce();
+    setTimeout(loop, INTERVAL_MS);
+  };
+
+  console.log(`⏱️ Executor de agendamentos rodando a cada ${INTERVAL_MS} ms`);
+  loop();
+}
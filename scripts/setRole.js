@@ -0,0 +1,24 @@
+/* =========================================================================
+ * 👥 PAPEL DE ACESSO DE UM USUÁRIO
+ * Uso: npm run set-role -- <uid> <customer|support|admin>
+ * Útil para criar o primeiro administrador, antes de existir quem use
+ * PUT /admin/users/:id/role.
+ * ========================================================================= */
+const { ROLES, setUserRole } = require("../services/roles");
+
+const [uid, role] = process.argv.slice(2);
+
+if (!uid || !ROLES.includes(role)) {
+  console.error(`Uso: npm run set-role -- <uid> <${ROLES.join("|")}>`);
+  process.exit(1);
+}
+
+setUserRole(uid, role)
+  .then(() => {
+    console.log(`Papel '${role}' aplicado ao usuário ${uid}.`);
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("Erro ao aplicar papel:", error);
+    process.exit(1);
+  });
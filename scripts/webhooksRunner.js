@@ -0,0 +1,33 @@
+/* =========================================================================
+ * 📡 EXECUTOR DE WEBHOOKS
+ * Uso: npm run webhooks             -> processo contínuo
+ *      npm run webhooks -- --once   -> um ciclo (ex.: via cron)
+ * ========================================================================= */
+const { runWebhookQueue } = require("../services/webhooks");
+
+const INTERVAL_MS =
+  (parseInt(process.env.WEBHOOKS_INTERVAL_SECONDS, 10) || 10) * 1000;
+
+const runOnce = async () => {
+  try {
+    const summary = await runWebhookQueue();
+
+    if (summary.events > 0 || summary.delivered + summary.retrying > 0) {
+      console.log("Webhooks processados:", summary);
+    }
+  } catch (error) {
+    console.error("Erro ao processar webhooks:", error);
+  }
+};
+
+if (process.argv.includes("--once")) {
+  runOnce().then(() => process.exit(0));
+} else {
+  const loop = async () => {
+    await runOnce();
+    setTimeout(loop, INTERVAL_MS);
+  };
+
+  console.log(`📡 Executor de webhooks rodando a cada ${INTERVAL_MS} ms`);
+  loop();
+}
@@ -0,0 +1,553 @@
+/* =========================================================================
+ * 📊 ANÁLISE FINANCEIRA PRÉ-AGREGADA
+ * Cada registro "sended"/"received"/"bill_payment" incrementa, na mesma transação em que é
+ * gravado, o documento do dia da conta em 'analyticsDaily'
+ * ({uid}_{conta}_{AAAA-MM-DD}): totais enviados/recebidos, por categoria e
+ * por contraparte. Os valores são somados em centavos ('sentAmountMinor',
+ * 'receivedAmountMinor') na moeda da conta, gravada em 'currency': uma
+ * análise só soma agregados de uma mesma moeda.
+ * GET /analytics lê só esses documentos, então o tempo de
+ * resposta depende do período consultado e não do tamanho do histórico.
+ * Para dados anteriores (ou para corrigir divergências): npm run backfill-analytics
+ * ========================================================================= */
+const { admin, database } = require("./firebase");
+const { roundAmount } = require("./journal");
+const {
+  DEFAULT_CURRENCY,
+  toMinorUnits,
+  fromMinorUnits,
+  recordCurrency,
+  recordAmountMinor,
+} = require("./money");
+const { getAccountHolderName } = require("./bankAccounts");
+const { maskName } = require("./masking");
+const { listCategories } = require("./budgets");
+
+const GRANULARITIES = ["day", "week", "month"];
+
+const ANALYTICS_TIME_ZONE =
+  process.env.ANALYTICS_TIME_ZONE || "America/Sao_Paulo";
+
+// Períodos maiores que isso são recusados (por granularidade)
+const MAX_RANGE_DAYS = { day: 366, week: 731, month: 1827 };
+
+const TOP_COUNTERPARTIES = 5;
+
+// Chave usada para transações sem categoria
+const NO_CATEGORY = "_none";
+
+// Contraparte dos pagamentos de boleto (não há conta de destino)
+const BILL_PAYMENTS_COUNTERPARTY = "_bills";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const monthNames = [
+  "Jan",
+  "Fev",
+  "Mar",
+  "Abr",
+  "Mai",
+  "Jun",
+  "Jul",
+  "Ago",
+  "Set",
+  "Out",
+  "Nov",
+  "Dez",
+];
+
+const dayFormatter = new Intl.DateTimeFormat("en-CA", {
+  timeZone: ANALYTICS_TIME_ZONE,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+});
+
+const toDate = (value) => {
+  if (!value) return null;
+  return value.toDate ? value.toDate() : new Date(value);
+};
+
+const aggregatesCollection = () => database.collection("analyticsDaily");
+
+/* -------------------------------------------------------------------------
+ * 📅 DIAS E PERÍODOS
+ * Os dias são tratados como texto AAAA-MM-DD no fuso ANALYTICS_TIME_ZONE;
+ * as contas de calendário usam datas UTC só como apoio.
+ * ------------------------------------------------------------------------- */
+
+const dayKey = (date) => dayFormatter.format(date);
+
+const parseDay = (day) => new Date(`${day}T00:00:00Z`);
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+const addDays = (day, days) =>
+  formatDay(new Date(parseDay(day).getTime() + days * DAY_MS));
+
+// Segunda-feira da semana do dia
+const weekStart = (day) => {
+  const weekday = parseDay(day).getUTCDay();
+  return addDays(day, -((weekday + 6) % 7));
+};
+
+const monthStart = (day) => `${day.slice(0, 7)}-01`;
+
+const addMonths = (day, months) => {
+  const date = parseDay(monthStart(day));
+  date.setUTCMonth(date.getUTCMonth() + months);
+  return formatDay(date);
+};
+
+const bucketStart = (day, granularity) => {
+  if (granularity === "day") return day;
+  if (granularity === "week") return weekStart(day);
+  return monthStart(day);
+};
+
+const nextBucket = (start, granularity) => {
+  if (granularity === "day") return addDays(start, 1);
+  if (granularity === "week") return addDays(start, 7);
+  return addMonths(start, 1);
+};
+
+const bucketLabel = (start, granularity) => {
+  const [year, month, day] = start.split("-");
+
+  if (granularity === "month") {
+    return `${monthNames[parseInt(month, 10) - 1]} ${year}`;
+  }
+
+  return granularity === "week"
+    ? `Semana de ${day}/${month}`
+    : `${day}/${month}/${year}`;
+};
+
+// Período padrão: os últimos 12 meses (incluindo o atual)
+const resolvePeriod = ({ startDate, endDate, granularity = "month" }) => {
+  const end = endDate || dayKey(new Date());
+  const start = startDate || addMonths(end, -11);
+
+  if (start > end) {
+    throw new Error("A data inicial deve ser anterior à data final.");
+  }
+
+  const days = (parseDay(end) - parseDay(start)) / DAY_MS + 1;
+
+  if (days > MAX_RANGE_DAYS[granularity]) {
+    throw new Error(
+      `Período inválido: o máximo para a granularidade '${granularity}' é de ${MAX_RANGE_DAYS[granularity]} dias.`
+    );
+  }
+
+  return { start, end, granularity };
+};
+
+/* -------------------------------------------------------------------------
+ * ➕ ATUALIZAÇÃO INCREMENTAL
+ * ------------------------------------------------------------------------- */
+
+// Conta do dono do registro, contraparte e direção. Pagamentos de boleto
+// contam como saída.
+const describeRecord = (record) => {
+  const sent = record.type !== "received";
+
+  return {
+    direction: sent ? "sent" : "received",
+    bankAccountNumber: sent ? record.fromAccountNumber : record.toAccountNumber,
+    counterparty: sent
+      ? record.toAccountNumber || BILL_PAYMENTS_COUNTERPARTY
+      : record.fromAccountNumber,
+    category: record.category || NO_CATEGORY,
+    amountMinor: recordAmountMinor(record),
+    currency: recordCurrency(record),
+    day: dayKey(toDate(record.date)),
+  };
+};
+
+const aggregateId = (userId, bankAccountNumber, day) =>
+  `${userId}_${bankAccountNumber}_${day}`;
+
+// Incrementa o agregado do dia a partir de um registro de transação.
+// Aceita uma transação do Firestore ou um WriteBatch (como postJournalEntry).
+const recordTransactionAnalytics = (writer, record) => {
+  const item = describeRecord(record);
+  const increment = admin.firestore.FieldValue.increment;
+  const totals = {
+    [`${item.direction}Count`]: increment(1),
+    [`${item.direction}AmountMinor`]: increment(item.amountMinor),
+  };
+
+  writer.set(
+    aggregatesCollection().doc(
+      aggregateId(record.associatedUser, item.bankAccountNumber, item.day)
+    ),
+    {
+      associatedUser: record.associatedUser,
+      bankAccountNumber: item.bankAccountNumber,
+      day: item.day,
+      currency: item.currency,
+      ...totals,
+      categories: { [item.category]: totals },
+      counterparties: { [item.counterparty]: totals },
+    },
+    { merge: true }
+  );
+};
+
+/* -------------------------------------------------------------------------
+ * 🔁 RECONSTRUÇÃO (BACKFILL)
+ * ------------------------------------------------------------------------- */
+
+const addTotals = (target, direction, amountMinor) => {
+  target[`${direction}Count`] = (target[`${direction}Count`] || 0) + 1;
+  target[`${direction}AmountMinor`] =
+    (target[`${direction}AmountMinor`] || 0) + amountMinor;
+};
+
+// Recalcula os agregados a partir de 'transactions' (todos os usuários ou
+// só 'userId'). Os agregados existentes do escopo são apagados antes da
+// gravação: rode fora do horário de pico, pois transferências feitas
+// durante a reconstrução podem ficar de fora.
+const rebuildAnalytics = async ({ userId } = {}) => {
+  let transactionsQuery = database.collection("transactions");
+  let aggregatesQuery = aggregatesCollection();
+
+  if (userId) {
+    transactionsQuery = transactionsQuery.where("associatedUser", "==", userId);
+    aggregatesQuery = aggregatesQuery.where("associatedUser", "==", userId);
+  }
+
+  const aggregates = new Map();
+  let transactions = 0;
+
+  for await (const doc of transactionsQuery.stream()) {
+    const record = doc.data();
+    if (
+      !record.date ||
+      !["sended", "received", "bill_payment"].includes(record.type)
+    ) {
+      continue;
+    }
+
+    const item = describeRecord(record);
+    const id = aggregateId(
+      record.associatedUser,
+      item.bankAccountNumber,
+      item.day
+    );
+
+    if (!aggregates.has(id)) {
+      aggregates.set(id, {
+        associatedUser: record.associatedUser,
+        bankAccountNumber: item.bankAccountNumber,
+        day: item.day,
+        currency: item.currency,
+        categories: {},
+        counterparties: {},
+      });
+    }
+
+    const aggregate = aggregates.get(id);
+    aggregate.categories[item.category] =
+      aggregate.categories[item.category] || {};
+    aggregate.counterparties[item.counterparty] =
+      aggregate.counterparties[item.counterparty] || {};
+
+    addTotals(aggregate, item.direction, item.amountMinor);
+    addTotals(
+      aggregate.categories[item.category],
+      item.direction,
+      item.amountMinor
+    );
+    addTotals(
+      aggregate.counterparties[item.counterparty],
+      item.direction,
+      item.amountMinor
+    );
+    transactions++;
+  }
+
+  // Lotes do Firestore aceitam até 500 operações
+  let batch = database.batch();
+  let pending = 0;
+  let deleted = 0;
+
+  const flush = async (force = false) => {
+    if (pending >= 400 || (force && pending > 0)) {
+      await batch.commit();
+      batch = database.batch();
+      pending = 0;
+    }
+  };
+
+  for await (const doc of aggregatesQuery.stream()) {
+    batch.delete(doc.ref);
+    pending++;
+    deleted++;
+    await flush();
+  }
+
+  for (const [id, data] of aggregates) {
+    batch.set(aggregatesCollection().doc(id), data);
+    pending++;
+    await flush();
+  }
+
+  await flush(true);
+
+  return { transactions, deleted, written: aggregates.size };
+};
+
+/* -------------------------------------------------------------------------
+ * 📈 CONSULTA
+ * ------------------------------------------------------------------------- */
+
+// Somas em centavos. Agregados gravados antes dos campos inteiros (sempre
+// em BRL) têm os decimais 'sentAmount'/'receivedAmount': somam-se aos
+// inteiros incrementados depois.
+const emptyTotals = () => ({
+  sentCount: 0,
+  sentAmountMinor: 0,
+  receivedCount: 0,
+  receivedAmountMinor: 0,
+});
+
+const storedAmountMinor = (source, direction) =>
+  (source[`${direction}AmountMinor`] || 0) +
+  toMinorUnits(source[`${direction}Amount`] || 0);
+
+const sumInto = (target, source = {}) => {
+  target.sentCount += source.sentCount || 0;
+  target.sentAmountMinor += storedAmountMinor(source, "sent");
+  target.receivedCount += source.receivedCount || 0;
+  target.receivedAmountMinor += storedAmountMinor(source, "received");
+  return target;
+};
+
+const changePercentage = (current, previous) =>
+  previous > 0 ? roundAmount(((current - previous) / previous) * 100) : null;
+
+const buildSeries = (docs, { start, end }, granularity, currency) => {
+  const buckets = new Map();
+
+  // Períodos sem movimentação também aparecem (valores zerados)
+  for (
+    let key = bucketStart(start, granularity);
+    key <= end;
+    key = nextBucket(key, granularity)
+  ) {
+    buckets.set(key, emptyTotals());
+  }
+
+  docs.forEach((data) => {
+    const bucket = buckets.get(bucketStart(data.day, granularity));
+    if (bucket) sumInto(bucket, data);
+  });
+
+  return [...buckets].map(([key, totals]) => ({
+    start: key,
+    label: bucketLabel(key, granularity),
+    income: fromMinorUnits(totals.receivedAmountMinor, currency),
+    expense: fromMinorUnits(totals.sentAmountMinor, currency),
+    net: fromMinorUnits(
+      totals.receivedAmountMinor - totals.sentAmountMinor,
+      currency
+    ),
+    count: totals.sentCount + totals.receivedCount,
+  }));
+};
+
+const buildCategories = async (userId, docs, totalSentMinor, currency) => {
+  const totals = {};
+
+  docs.forEach((data) => {
+    Object.entries(data.categories || {}).forEach(([category, values]) => {
+      totals[category] = sumInto(totals[category] || emptyTotals(), values);
+    });
+  });
+
+  const names = Object.fromEntries(
+    (await listCategories(userId)).map((category) => [
+      category.slug,
+      category.name,
+    ])
+  );
+
+  return Object.entries(totals)
+    .map(([category, values]) => ({
+      category: category === NO_CATEGORY ? null : category,
+      name:
+        category === NO_CATEGORY
+          ? "Sem categoria"
+          : names[category] || category,
+      sentCount: values.sentCount,
+      sentAmount: fromMinorUnits(values.sentAmountMinor, currency),
+      receivedCount: values.receivedCount,
+      receivedAmount: fromMinorUnits(values.receivedAmountMinor, currency),
+      percentageOfExpenses:
+        totalSentMinor > 0
+          ? roundAmount((values.sentAmountMinor / totalSentMinor) * 100)
+          : 0,
+    }))
+    .sort((a, b) => b.sentAmount - a.sentAmount);
+};
+
+// Nome da contraparte mascarado, como nos comprovantes
+const counterpartyName = async (bankAccountNumber) => {
+  if (bankAccountNumber === BILL_PAYMENTS_COUNTERPARTY) return "Boletos";
+
+  const snapshot = await database
+    .collection("bankAccounts")
+    .where("bankAccountNumber", "==", bankAccountNumber)
+    .limit(1)
+    .get();
+
+  if (snapshot.empty) return null;
+  return maskName(await getAccountHolderName(snapshot.docs[0].data()));
+};
+
+const buildTopCounterparties = async (docs, currency) => {
+  const totals = {};
+
+  docs.forEach((data) => {
+    Object.entries(data.counterparties || {}).forEach(([account, values]) => {
+      totals[account] = sumInto(totals[account] || emptyTotals(), values);
+    });
+  });
+
+  const top = Object.entries(totals)
+    .sort(
+      ([, a], [, b]) =>
+        b.sentAmountMinor +
+        b.receivedAmountMinor -
+        (a.sentAmountMinor + a.receivedAmountMinor)
+    )
+    .slice(0, TOP_COUNTERPARTIES);
+
+  return Promise.all(
+    top.map(async ([bankAccountNumber, values]) => ({
+      bankAccountNumber,
+      name: await counterpartyName(bankAccountNumber),
+      count: values.sentCount + values.receivedCount,
+      sentAmount: fromMinorUnits(values.sentAmountMinor, currency),
+      receivedAmount: fromMinorUnits(values.receivedAmountMinor, currency),
+    }))
+  );
+};
+
+// Mês do fim do período comparado com o mês anterior (o mês atual pode
+// estar incompleto)
+const buildMonthOverMonth = (docs, end, currency) => {
+  const currentMonth = monthStart(end);
+  const previousMonth = addMonths(end, -1);
+  const current = emptyTotals();
+  const previous = emptyTotals();
+
+  docs.forEach((data) => {
+    if (data.day > end) return;
+
+    const month = monthStart(data.day);
+    if (month === currentMonth) sumInto(current, data);
+    else if (month === previousMonth) sumInto(previous, data);
+  });
+
+  return {
+    currentMonth: currentMonth.slice(0, 7),
+    previousMonth: previousMonth.slice(0, 7),
+    income: {
+      current: fromMinorUnits(current.receivedAmountMinor, currency),
+      previous: fromMinorUnits(previous.receivedAmountMinor, currency),
+      changePercentage: changePercentage(
+        current.receivedAmountMinor,
+        previous.receivedAmountMinor
+      ),
+    },
+    expense: {
+      current: fromMinorUnits(current.sentAmountMinor, currency),
+      previous: fromMinorUnits(previous.sentAmountMinor, currency),
+      changePercentage: changePercentage(
+        current.sentAmountMinor,
+        previous.sentAmountMinor
+      ),
+    },
+  };
+};
+
+// Análise das contas 'bankAccountNumbers' do usuário no período. Só entram
+// os agregados em 'currency': valores de moedas diferentes nunca se somam.
+const getAnalytics = async ({
+  userId,
+  bankAccountNumbers,
+  currency = DEFAULT_CURRENCY,
+  ...filters
+}) => {
+  const period = resolvePeriod(filters);
+  // O comparativo mensal pode precisar do mês anterior ao período
+  const fetchStart = [period.start, addMonths(period.end, -1)].sort()[0];
+
+  const snapshot = await aggregatesCollection()
+    .where("associatedUser", "==", userId)
+    .where("day", ">=", fetchStart)
+    .where("day", "<=", period.end)
+    .get();
+
+  const allDocs = snapshot.docs
+    .map((doc) => doc.data())
+    .filter(
+      (data) =>
+        bankAccountNumbers.includes(data.bankAccountNumber) &&
+        (data.currency || DEFAULT_CURRENCY) === currency
+    );
+  const docs = allDocs.filter((data) => data.day >= period.start);
+  const totals = docs.reduce((acc, data) => sumInto(acc, data), emptyTotals());
+
+  const [categories, topCounterparties] = await Promise.all([
+    buildCategories(userId, docs, totals.sentAmountMinor, currency),
+    buildTopCounterparties(docs, currency),
+  ]);
+
+  return {
+    currency,
+    period: {
+      startDate: period.start,
+      endDate: period.end,
+      granularity: period.granularity,
+      timeZone: ANALYTICS_TIME_ZONE,
+    },
+    totals: {
+      sentCount: totals.sentCount,
+      sentAmount: fromMinorUnits(totals.sentAmountMinor, currency),
+      receivedCount: totals.receivedCount,
+      receivedAmount: fromMinorUnits(totals.receivedAmountMinor, currency),
+    },
+    averageTicket: {
+      sent:
+        totals.sentCount > 0
+          ? fromMinorUnits(
+              Math.round(totals.sentAmountMinor / totals.sentCount),
+              currency
+            )
+          : 0,
+      received:
+        totals.receivedCount > 0
+          ? fromMinorUnits(
+              Math.round(totals.receivedAmountMinor / totals.receivedCount),
+              currency
+            )
+          : 0,
+    },
+    series: buildSeries(docs, period, period.granularity, currency),
+    monthlySeries: buildSeries(docs, period, "month", currency),
+    categories,
+    topCounterparties,
+    monthOverMonth: buildMonthOverMonth(allDocs, period.end, currency),
+  };
+};
+
+module.exports = {
+  GRANULARITIES,
+  recordTransactionAnalytics,
+  rebuildAnalytics,
+  getAnalytics,
+};
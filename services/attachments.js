@@ -0,0 +1,138 @@
+/* =========================================================================
+ * 📎 ANEXOS DE TRANSFERÊNCIAS
+ * O arquivo fica no storage e os metadados em 'transactionAttachments',
+ * com a lista 'parties' (remetente e recebedor), os únicos que podem
+ * baixá-lo. Os dois registros da transferência recebem um resumo do anexo.
+ * ========================================================================= */
+const { admin, database } = require("./firebase");
+const { removeFile } = require("./storage");
+
+const MAX_ATTACHMENTS_PER_TRANSFER = 5;
+
+const sanitizeFileName = (fileName) =>
+  String(fileName || "arquivo")
+    .replace(/[^\w.-]+/g, "_")
+    .slice(-100);
+
+// Caminho da API que entrega o anexo (gravado em 'fileUrl')
+const attachmentUrl = (attachmentId) => `/attachments/${attachmentId}`;
+
+const attachmentSummary = (attachment) => ({
+  id: attachment.id,
+  fileName: attachment.fileName,
+  mimeType: attachment.mimeType,
+  size: attachment.size,
+});
+
+// Caminho no storage; a extensão vem do tipo detectado, não do nome enviado
+const attachmentDestination = ({ id, extension }) =>
+  `transactions/${id}/${id}${extension}`;
+
+// Metadados do anexo a partir do arquivo gravado por parseMultipart
+const buildAttachment = (file) => ({
+  id: file.id,
+  fileName: sanitizeFileName(file.filename),
+  storagePath: file.storagePath,
+  mimeType: file.mimeType,
+  size: file.size,
+  sha256: file.sha256,
+});
+
+// Remove um arquivo enviado cuja transferência não foi concluída
+const discardAttachmentFile = async (attachment) => {
+  try {
+    await removeFile(attachment.storagePath);
+  } catch (error) {
+    console.error("Erro ao remover anexo descartado:", error);
+  }
+};
+
+// Registros "sended" e "received" de uma transferência
+const findTransferRecords = async (transferId) => {
+  const snapshot = await database
+    .collection("transactions")
+    .where("transferId", "==", transferId)
+    .get();
+
+  if (!snapshot.empty) return snapshot.docs.map((doc) => doc.ref);
+
+  // Registros antigos, sem 'transferId': o par é achado pelos dados do envio
+  const sendedDoc = await database
+    .collection("transactions")
+    .doc(transferId)
+    .get();
+
+  if (!sendedDoc.exists) return [];
+
+  const { fromAccountNumber, toAccountNumber, date } = sendedDoc.data();
+  const receivedSnapshot = await database
+    .collection("transactions")
+    .where("fromAccountNumber", "==", fromAccountNumber)
+    .where("toAccountNumber", "==", toAccountNumber)
+    .where("date", "==", date)
+    .where("type", "==", "received")
+    .limit(1)
+    .get();
+
+  return [sendedDoc.ref, ...receivedSnapshot.docs.map((doc) => doc.ref)];
+};
+
+// Vincula um anexo já enviado a uma transferência existente
+const addAttachmentToTransfer = async ({ userId, transferId, attachment }) => {
+  const recordRefs = await findTransferRecords(transferId);
+
+  if (recordRefs.length === 0) {
+    throw new Error("Transação não encontrada.");
+  }
+
+  return database.runTransaction(async (transaction) => {
+    const recordDocs = await transaction.getAll(...recordRefs);
+    const attachments = recordDocs[0].data().attachments || [];
+
+    if (attachments.length >= MAX_ATTACHMENTS_PER_TRANSFER) {
+      throw new Error(
+        `Limite de ${MAX_ATTACHMENTS_PER_TRANSFER} anexos por transferência atingido.`
+      );
+    }
+
+    const now = new Date();
+
+    transaction.set(
+      database.collection("transactionAttachments").doc(attachment.id),
+      {
+        ...attachment,
+        transferId,
+        parties: recordDocs.map((doc) => doc.data().associatedUser),
+        uploadedBy: userId,
+        createdAt: now,
+      }
+    );
+
+    recordDocs.forEach((doc) => {
+      const update = {
+        attachments: admin.firestore.FieldValue.arrayUnion(
+          attachmentSummary(attachment)
+        ),
+      };
+
+      // Mantém os campos antigos apontando para o primeiro anexo
+      if (!doc.data().fileUrl) {
+        update.fileName = attachment.fileName;
+        update.fileUrl = attachmentUrl(attachment.id);
+      }
+
+      transaction.update(doc.ref, update);
+    });
+
+    return attachmentSummary(attachment);
+  });
+};
+
+module.exports = {
+  attachmentUrl,
+  attachmentSummary,
+  attachmentDestination,
+  buildAttachment,
+  discardAttachmentFile,
+  addAttachmentToTransfer,
+};
@@ -0,0 +1,130 @@
+/* =========================================================================
+ * 🧾 TRILHA DE AUDITORIA
+ * Cada requisição que altera dados gera um registro em 'auditLogs' com
+ * quem fez (uid), a rota, o documento afetado, o estado antes/depois,
+ * IP, user agent e horário. A coleção é somente de escrita: a API apenas
+ * adiciona registros (nunca altera ou exclui) e a leitura é restrita à equipe.
+ * ========================================================================= */
+const { database } = require("./firebase");
+
+const AUDIT_COLLECTION = "auditLogs";
+
+const snapshotOf = async (collection, id) => {
+  if (!collection || !id) return null;
+
+  const doc = await database.collection(collection).doc(id).get();
+  return doc.exists ? doc.data() : null;
+};
+
+const recordAudit = (entry) =>
+  database
+    .collection(AUDIT_COLLECTION)
+    .add({ ...entry, createdAt: new Date() });
+
+// Middleware de auditoria, usado depois de 'authenticate' (quando houver).
+//   action      nome da operação (ex.: "user.update")
+//   collection  coleção do documento afetado
+//   targetId    (req, responseBody) => id do documento. É chamado antes da
+//               rota (responseBody undefined) e, se não houver id, de novo
+//               com o corpo da resposta (criações)
+// Só respostas 2xx são registradas; uma falha ao gravar o registro é
+// apenas logada, sem afetar a resposta já enviada.
+const auditTrail =
+  ({ action, collection, targetId = (req) => req.params.id || null }) =>
+  async (req, res, next) => {
+    const initialId = targetId(req);
+    let before = null;
+
+    try {
+      before = await snapshotOf(collection, initialId);
+    } catch (error) {
+      console.error("Erro ao ler estado anterior para auditoria:", error);
+    }
+
+    const send = res.send.bind(res);
+    let responseBody;
+
+    // res.send(objeto) chama res.json, que chama res.send de novo com texto
+    res.send = (body) => {
+      if (responseBody === undefined) responseBody = body;
+      return send(body);
+    };
+
+    res.on("finish", async () => {
+      if (res.statusCode < 200 || res.statusCode >= 300) return;
+
+      // Repetição idempotente: nada foi alterado
+      if (res.get("Idempotent-Replayed")) return;
+
+      try {
+        const documentId =
+          initialId ||
+          (responseBody && typeof responseBody === "object"
+            ? targetId(req, responseBody)
+            : null) ||
+          null;
+
+        await recordAudit({
+          action,
+          actorUid: req.user ? req.user.user_id : null,
+          route: `${req.method} ${req.baseUrl}${req.route.path}`,
+          path: req.originalUrl,
+          statusCode: res.statusCode,
+          target: { collection: collection || null, documentId },
+          before,
+          after: await snapshotOf(collection, documentId),
+          ip: req.ip || null,
+          userAgent: req.get("User-Agent") || null,
+        });
+      } catch (error) {
+        console.error("Erro ao gravar registro de auditoria:", error);
+      }
+    });
+
+    next();
+  };
+
+// Consulta paginada (mais recentes primeiro) para a equipe.
+// Filtros: actorUid, collection, documentId, startDate e endDate.
+const listAuditLogs = async ({
+  actorUid,
+  collection,
+  documentId,
+  startDate,
+  endDate,
+  itemsPerPage = 50,
+  lastItemId,
+}) => {
+  let query = database.collection(AUDIT_COLLECTION);
+
+  if (actorUid) query = query.where("actorUid", "==", actorUid);
+  if (collection) query = query.where("target.collection", "==", collection);
+  if (documentId) query = query.where("target.documentId", "==", documentId);
+  if (startDate) query = query.where("createdAt", ">=", new Date(startDate));
+  if (endDate) query = query.where("createdAt", "<=", new Date(endDate));
+
+  query = query.orderBy("createdAt", "desc");
+
+  if (lastItemId) {
+    const cursorDoc = await database
+      .collection(AUDIT_COLLECTION)
+      .doc(lastItemId)
+      .get();
+
+    if (cursorDoc.exists) query = query.startAfter(cursorDoc);
+  }
+
+  const snapshot = await query.limit(itemsPerPage).get();
+  const lastDoc = snapshot.docs[snapshot.docs.length - 1];
+
+  return {
+    data: snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() })),
+    pagination: {
+      itemsPerPage,
+      nextCursorId: lastDoc ? lastDoc.id : null,
+      hasMore: snapshot.docs.length === itemsPerPage,
+    },
+  };
+};
+
+module.exports = { AUDIT_COLLECTION, auditTrail, listAuditLogs };
@@ -0,0 +1,76 @@
+/* =========================================================================
+ * 🏦 CONTAS BANCÁRIAS DO USUÁRIO
+ * Um usuário pode ter várias contas (corrente, poupança...) e uma delas é a
+ * conta padrão ('isDefault'). Contas antigas sem esse campo usam a mais
+ * antiga como padrão.
+ * ========================================================================= */
+const { database } = require("./firebase");
+
+const ACCOUNT_TYPES = ["checking", "savings"];
+
+// 'createdAt' foi gravado como string ISO (cadastro) e como Date/Timestamp
+const createdAtMillis = (value) => {
+  if (!value) return 0;
+  return value.toDate ? value.toDate().getTime() : new Date(value).getTime();
+};
+
+// Contas do usuário, da mais antiga para a mais nova
+const listUserAccounts = async (userId) => {
+  const snapshot = await database
+    .collection("bankAccounts")
+    .where("associatedUser", "==", userId)
+    .get();
+
+  return snapshot.docs.sort(
+    (a, b) =>
+      createdAtMillis(a.data().createdAt) - createdAtMillis(b.data().createdAt)
+  );
+};
+
+const pickDefaultAccount = (accountDocs) =>
+  accountDocs.find((doc) => doc.data().isDefault === true) ||
+  accountDocs[0] ||
+  null;
+
+// Marca a conta como padrão e desmarca as demais, de forma atômica
+const setDefaultAccount = (userId, accountId) =>
+  database.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(
+      database.collection("bankAccounts").where("associatedUser", "==", userId)
+    );
+
+    if (!snapshot.docs.some((doc) => doc.id === accountId)) {
+      throw new Error("Conta bancária não encontrada para este usuário.");
+    }
+
+    snapshot.docs.forEach((doc) => {
+      const isDefault = doc.id === accountId;
+
+      if (doc.data().isDefault !== isDefault) {
+        transaction.update(doc.ref, { isDefault });
+      }
+    });
+  });
+
+const formatAccount = (doc) => ({ id: doc.id, ...doc.data() });
+
+// Nome do titular: contas abertas por POST /bankAccounts não guardam 'name'
+const getAccountHolderName = async (accountData) => {
+  if (accountData.name) return accountData.name;
+
+  const userDoc = await database
+    .collection("users")
+    .doc(accountData.associatedUser)
+    .get();
+
+  return userDoc.exists ? userDoc.data().fullName : null;
+};
+
+module.exports = {
+  ACCOUNT_TYPES,
+  listUserAccounts,
+  pickDefaultAccount,
+  setDefaultAccount,
+  formatAccount,
+  getAccountHolderName,
+};
@@ -0,0 +1,711 @@
+/* =========================================================================
+ * 🧾 PAGAMENTO DE BOLETOS
+ * Cada pagamento fica em 'billPayments' (scheduled | pending_review | paid
+ * | failed | canceled | rejected). Na liquidação, em uma única transação, a
+ * conta do pagador é debitada e são gravados o registro "bill_payment" em
+ * 'transactions' (o mesmo de GET /transactions, /analytics e do extrato),
+ * o lançamento no livro-razão e os eventos. Agendamentos são liquidados no
+ * dia marcado pelo executor (npm run bill-payments), com multa e juros do
+ * dia. Pagamentos que a análise de risco marca como "review" ficam em
+ * "pending_review" até a equipe aprovar ou recusar (como em
+ * 'heldTransfers'). Um mesmo boleto não pode ser pago ou agendado duas vezes.
+ * ========================================================================= */
+const { database } = require("./firebase");
+const {
+  SYSTEM_ACCOUNTS,
+  postJournalEntry,
+  transferPostings,
+} = require("./journal");
+const {
+  DEFAULT_CURRENCY,
+  toMinorUnits,
+  fromMinorUnits,
+  accountCurrency,
+  accountBalanceMinor,
+  balanceFields,
+  amountFields,
+} = require("./money");
+const {
+  localDay,
+  parseBoleto,
+  boletoPayeeLabel,
+  computeCharges,
+} = require("./boletos");
+const { findAccountRef } = require("./transfers");
+const { checkTransferLimits } = require("./transferLimits");
+const { publishEvent, publishBalanceChange } = require("./webhooks");
+const { recordTransactionAnalytics } = require("./analytics");
+const { checkBudgetAlerts } = require("./budgets");
+
+const BILL_PAYMENT_STATUSES = [
+  "scheduled",
+  "pending_review",
+  "paid",
+  "failed",
+  "canceled",
+  "rejected",
+];
+
+// Status que impedem um novo pagamento do mesmo boleto
+const ACTIVE_STATUSES = ["scheduled", "pending_review", "paid"];
+
+const MAX_LIST_ITEMS = 100;
+
+const billPaymentsCollection = () => database.collection("billPayments");
+
+// Dados do boleto gravados no pagamento e no registro da transação
+const boletoSummary = (boleto) => ({
+  type: boleto.type,
+  barcode: boleto.barcode,
+  digitableLine: boleto.digitableLine,
+  bankCode: boleto.bankCode,
+  bankName: boleto.bankName,
+  segment: boleto.segment,
+  amount: fromMinorUnits(boleto.amountMinor),
+  dueDate: boleto.dueDate,
+});
+
+const formatBillPayment = (doc) => ({ id: doc.id, ...doc.data() });
+
+// Consulta lida dentro da transação que paga ou agenda o boleto
+const assertNotPaid = async (transaction, barcode, exceptId = null) => {
+  const snapshot = await transaction.get(
+    billPaymentsCollection()
+      .where("barcode", "==", barcode)
+      .where("status", "in", ACTIVE_STATUSES)
+  );
+
+  if (snapshot.docs.some((doc) => doc.id !== exceptId)) {
+    throw new Error("Este boleto já foi pago ou agendado.");
+  }
+};
+
+// Conta de origem do pagamento, lida dentro da transação
+const assertPayerAccount = (accountData, userId) => {
+  if (!accountData) {
+    throw new Error("Conta bancária não foi encontrada.");
+  }
+
+  if (accountData.associatedUser !== userId) {
+    throw new Error("Permissão negada. Você não é o dono da conta de origem.");
+  }
+
+  // Boletos são sempre em reais
+  if (accountCurrency(accountData) !== DEFAULT_CURRENCY) {
+    throw new Error("Boletos só podem ser pagos com contas em BRL.");
+  }
+};
+
+/* -------------------------------------------------------------------------
+ * 💸 LIQUIDAÇÃO
+ * ------------------------------------------------------------------------- */
+
+// Debita a conta do pagador (valor, multa e juros do dia) e consome os
+// limites. Todas as leituras (conta e boleto duplicado) já foram feitas
+// pelo chamador.
+const debitPayerAccount = (
+  transaction,
+  { payment, accountRef, accountData, now, reason }
+) => {
+  assertPayerAccount(accountData, payment.associatedUser);
+
+  const { totalMinor, ...charges } = computeCharges(
+    {
+      amountMinor: payment.amountMinor,
+      dueDate: payment.boleto.dueDate,
+      lateFees: payment.lateFees,
+    },
+    now
+  );
+
+  const balanceMinor = accountBalanceMinor(accountData) - totalMinor;
+
+  if (balanceMinor < 0) {
+    throw new Error("Saldo insuficiente para pagar o boleto.");
+  }
+
+  // Pagamentos consomem os mesmos limites das transferências
+  const limitUsage = checkTransferLimits(accountData, totalMinor, now);
+
+  transaction.update(accountRef, {
+    ...balanceFields(balanceMinor, DEFAULT_CURRENCY),
+    limitUsage,
+  });
+  publishBalanceChange(transaction, {
+    userId: payment.associatedUser,
+    bankAccountNumber: payment.bankAccountNumber,
+    balance: fromMinorUnits(balanceMinor),
+    change: -fromMinorUnits(totalMinor),
+    currency: DEFAULT_CURRENCY,
+    reason,
+  });
+
+  return { totalMinor, charges };
+};
+
+// Grava o registro "bill_payment", o lançamento (a partir de 'debitAccount':
+// a conta do pagador ou a de retenção) e o evento "bill.paid"
+const recordBillPayment = (
+  transaction,
+  {
+    paymentRef,
+    payment,
+    accountName,
+    totalMinor,
+    charges,
+    now,
+    debitAccount = payment.bankAccountNumber,
+  }
+) => {
+  const recordRef = database.collection("transactions").doc();
+  const record = {
+    fromAccountNumber: payment.bankAccountNumber,
+    toAccountNumber: null,
+    ...amountFields(totalMinor, DEFAULT_CURRENCY),
+    exchange: null,
+    date: now,
+    fileName: null,
+    fileUrl: null,
+    attachments: [],
+    associatedUser: payment.associatedUser,
+    type: "bill_payment",
+    createdAt: now,
+    name: accountName,
+    counterpartyName: boletoPayeeLabel(payment.boleto),
+    category: payment.category || null,
+    description: payment.description || null,
+    transferId: recordRef.id,
+    billPaymentId: paymentRef.id,
+    boleto: payment.boleto,
+    charges,
+  };
+
+  transaction.set(recordRef, record);
+  recordTransactionAnalytics(transaction, record);
+
+  postJournalEntry(transaction, {
+    type: "bill_payment",
+    description: "Pagamento de boleto",
+    postings: transferPostings(
+      debitAccount,
+      SYSTEM_ACCOUNTS.BILL_PAYMENTS,
+      totalMinor,
+      DEFAULT_CURRENCY
+    ),
+    reference: { billPaymentId: paymentRef.id, transactionId: recordRef.id },
+  });
+
+  publishEvent(transaction, {
+    userId: payment.associatedUser,
+    type: "bill.paid",
+    data: {
+      billPaymentId: paymentRef.id,
+      transactionId: recordRef.id,
+      bankAccountNumber: payment.bankAccountNumber,
+      digitableLine: payment.boleto.digitableLine,
+      ...amountFields(totalMinor, DEFAULT_CURRENCY),
+      charges,
+      category: payment.category || null,
+      date: now.toISOString(),
+    },
+  });
+
+  const update = {
+    status: "paid",
+    charges,
+    transactionId: recordRef.id,
+    paidAt: now,
+    failureReason: null,
+    updatedAt: now,
+  };
+
+  transaction.set(paymentRef, { ...payment, ...update });
+
+  return update;
+};
+
+// Debita a conta e grava registro, lançamento e eventos
+const settleBillPayment = (
+  transaction,
+  { paymentRef, payment, accountRef, accountData, now }
+) => {
+  const { totalMinor, charges } = debitPayerAccount(transaction, {
+    payment,
+    accountRef,
+    accountData,
+    now,
+    reason: "bill_payment",
+  });
+
+  return recordBillPayment(transaction, {
+    paymentRef,
+    payment,
+    accountName: accountData.name,
+    totalMinor,
+    charges,
+    now,
+  });
+};
+
+// Pagamento marcado como "review" pela análise de risco: a conta é debitada
+// agora, mas o valor fica na conta de retenção até a decisão da equipe
+const holdBillPayment = (
+  transaction,
+  { paymentRef, payment, accountRef, accountData, now }
+) => {
+  const { totalMinor, charges } = debitPayerAccount(transaction, {
+    payment,
+    accountRef,
+    accountData,
+    now,
+    reason: "bill_payment.held",
+  });
+
+  postJournalEntry(transaction, {
+    type: "bill_payment_hold",
+    description: "Pagamento de boleto retido para análise de risco",
+    postings: transferPostings(
+      payment.bankAccountNumber,
+      SYSTEM_ACCOUNTS.HELD_TRANSFERS,
+      totalMinor,
+      DEFAULT_CURRENCY
+    ),
+    reference: { billPaymentId: paymentRef.id },
+  });
+
+  const update = { charges, heldAmountMinor: totalMinor, updatedAt: now };
+
+  transaction.set(paymentRef, { ...payment, ...update });
+
+  return update;
+};
+
+/* -------------------------------------------------------------------------
+ * 📝 PAGAMENTO E AGENDAMENTO
+ * ------------------------------------------------------------------------- */
+
+// Valor do pagamento em centavos: o do boleto ou, nos boletos sem valor
+// definido, o informado em 'amount'
+const billPaymentAmountMinor = (boleto, input) => {
+  const amountMinor = boleto.amountMinor || toMinorUnits(input.amount || 0);
+
+  if (amountMinor <= 0) {
+    throw new Error(
+      "Informe o valor do pagamento: este boleto não tem valor definido."
+    );
+  }
+
+  return amountMinor;
+};
+
+// Valor (em reais) de um pagamento ainda não criado, usado na análise de
+// risco e na confirmação (PIN/TOTP) antes de createBillPayment
+const getBillPaymentAmount = (input, now = new Date()) =>
+  fromMinorUnits(billPaymentAmountMinor(parseBoleto(input.code, now), input));
+
+// 'input': { code, bankAccountNumber, amount, lateFees, scheduledDate,
+// category, description }. 'amount' só é usado nos boletos sem valor
+// definido. Sem 'scheduledDate' (ou com a data de hoje) o boleto é pago
+// na hora; com uma data futura, até o vencimento, fica agendado.
+// 'risk' é a análise de risco já feita pelo chamador: em "review" o
+// pagamento fica "pending_review" (o imediato já debitado e retido).
+const createBillPayment = async (
+  userId,
+  input,
+  { now = new Date(), risk = null } = {}
+) => {
+  const boleto = parseBoleto(input.code, now);
+  const amountMinor = billPaymentAmountMinor(boleto, input);
+
+  const today = localDay(now);
+  const scheduledFor = input.scheduledDate || today;
+
+  if (scheduledFor < today) {
+    throw new Error("A data do pagamento não pode estar no passado.");
+  }
+
+  if (scheduledFor > today && boleto.dueDate && scheduledFor > boleto.dueDate) {
+    throw new Error(
+      "O pagamento só pode ser agendado até a data de vencimento."
+    );
+  }
+
+  const accountRef = await findAccountRef(input.bankAccountNumber);
+
+  if (!accountRef) {
+    throw new Error("Conta bancária não foi encontrada.");
+  }
+
+  const held = Boolean(risk && risk.decision === "review");
+  const paymentRef = billPaymentsCollection().doc();
+  const payment = {
+    associatedUser: userId,
+    bankAccountNumber: input.bankAccountNumber,
+    barcode: boleto.barcode,
+    boleto: boletoSummary(boleto),
+    ...amountFields(amountMinor, DEFAULT_CURRENCY),
+    lateFees: input.lateFees || null,
+    category: input.category || null,
+    description: input.description || null,
+    status: held ? "pending_review" : "scheduled",
+    scheduledFor,
+    risk: held ? risk : null,
+    heldAmountMinor: null,
+    charges: null,
+    transactionId: null,
+    paidAt: null,
+    failureReason: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  await database.runTransaction(async (transaction) => {
+    await assertNotPaid(transaction, boleto.barcode);
+    const accountDoc = await transaction.get(accountRef);
+
+    if (scheduledFor > today) {
+      // A conta é conferida agora; saldo e limites, só no dia do pagamento
+      assertPayerAccount(accountDoc.data(), userId);
+
+      transaction.set(paymentRef, payment);
+      return;
+    }
+
+    const settle = held ? holdBillPayment : settleBillPayment;
+
+    Object.assign(
+      payment,
+      settle(transaction, {
+        paymentRef,
+        payment,
+        accountRef,
+        accountData: accountDoc.data(),
+        now,
+      })
+    );
+  });
+
+  // Os alertas de orçamento não atrasam nem afetam a resposta
+  if (payment.status === "paid") {
+    checkBudgetAlerts(userId, payment.category).catch((error) =>
+      console.error("Erro ao verificar alertas de orçamento:", error)
+    );
+  }
+
+  return { id: paymentRef.id, ...payment };
+};
+
+/* -------------------------------------------------------------------------
+ * 📋 CONSULTA E CANCELAMENTO
+ * ------------------------------------------------------------------------- */
+
+// Sem 'userId' lista os pagamentos de todos os clientes (uso da equipe)
+const listBillPayments = async (userId, { status } = {}) => {
+  let query = billPaymentsCollection();
+
+  if (userId) query = query.where("associatedUser", "==", userId);
+  if (status) query = query.where("status", "==", status);
+
+  const snapshot = await query
+    .orderBy("createdAt", "desc")
+    .limit(MAX_LIST_ITEMS)
+    .get();
+
+  return snapshot.docs.map(formatBillPayment);
+};
+
+const getBillPayment = async (userId, id) => {
+  const doc = await billPaymentsCollection().doc(id).get();
+
+  if (!doc.exists || doc.data().associatedUser !== userId) {
+    throw new Error("Pagamento de boleto não encontrado.");
+  }
+
+  return formatBillPayment(doc);
+};
+
+// Só agendamentos ainda não executados podem ser cancelados
+const cancelBillPayment = async (userId, id) => {
+  const ref = billPaymentsCollection().doc(id);
+
+  return database.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+
+    if (!doc.exists || doc.data().associatedUser !== userId) {
+      throw new Error("Pagamento de boleto não encontrado.");
+    }
+
+    if (doc.data().status !== "scheduled") {
+      throw new Error("Somente pagamentos agendados podem ser cancelados.");
+    }
+
+    const update = { status: "canceled", updatedAt: new Date() };
+    transaction.update(ref, update);
+
+    return { id: doc.id, ...doc.data(), ...update };
+  });
+};
+
+/* -------------------------------------------------------------------------
+ * 🕵️ ANÁLISE DA EQUIPE
+ * ------------------------------------------------------------------------- */
+
+// Lê o pagamento dentro da transação e garante que ainda aguarda decisão
+// (duas decisões simultâneas nunca movem o valor duas vezes)
+const getPendingReview = async (transaction, paymentRef) => {
+  const doc = await transaction.get(paymentRef);
+
+  if (!doc.exists) {
+    throw new Error("Pagamento de boleto não encontrado.");
+  }
+
+  if (doc.data().status !== "pending_review") {
+    throw new Error("Este pagamento já foi analisado.");
+  }
+
+  return doc.data();
+};
+
+const findReviewAccountRef = async (paymentRef) => {
+  const doc = await paymentRef.get();
+
+  if (!doc.exists) {
+    throw new Error("Pagamento de boleto não encontrado.");
+  }
+
+  const accountRef = await findAccountRef(doc.data().bankAccountNumber);
+
+  if (!accountRef) {
+    throw new Error("Conta bancária do pagamento não foi encontrada.");
+  }
+
+  return accountRef;
+};
+
+// Aprova: o valor retido paga o boleto. Um agendamento (nada debitado
+// ainda) volta para a fila do executor.
+const approveBillPayment = async ({ billPaymentId, reviewerUid, note }) => {
+  const paymentRef = billPaymentsCollection().doc(billPaymentId);
+  const accountRef = await findReviewAccountRef(paymentRef);
+
+  const payment = await database.runTransaction(async (transaction) => {
+    const pending = await getPendingReview(transaction, paymentRef);
+    const accountDoc = await transaction.get(accountRef);
+    const now = new Date();
+    const review = {
+      reviewedBy: reviewerUid,
+      reviewedAt: now,
+      reviewNote: note || null,
+    };
+
+    if (pending.heldAmountMinor === null) {
+      const update = { ...review, status: "scheduled", updatedAt: now };
+
+      transaction.update(paymentRef, update);
+      return { ...pending, ...update };
+    }
+
+    const update = recordBillPayment(transaction, {
+      paymentRef,
+      payment: { ...pending, ...review },
+      accountName: accountDoc.data().name,
+      totalMinor: pending.heldAmountMinor,
+      charges: pending.charges,
+      now,
+      debitAccount: SYSTEM_ACCOUNTS.HELD_TRANSFERS,
+    });
+
+    return { ...pending, ...review, ...update };
+  });
+
+  if (payment.status === "paid") {
+    checkBudgetAlerts(payment.associatedUser, payment.category).catch((error) =>
+      console.error("Erro ao verificar alertas de orçamento:", error)
+    );
+  }
+
+  return { id: billPaymentId, ...payment };
+};
+
+// Recusa: o valor retido volta à conta do pagador e o evento "bill.failed"
+// avisa o usuário. O consumo de limite não é devolvido, como nas
+// transferências retidas.
+const rejectBillPayment = async ({ billPaymentId, reviewerUid, reason }) => {
+  const paymentRef = billPaymentsCollection().doc(billPaymentId);
+  const accountRef = await findReviewAccountRef(paymentRef);
+
+  const payment = await database.runTransaction(async (transaction) => {
+    const pending = await getPendingReview(transaction, paymentRef);
+    const accountDoc = await transaction.get(accountRef);
+    const now = new Date();
+
+    if (pending.heldAmountMinor !== null) {
+      const balanceMinor =
+        accountBalanceMinor(accountDoc.data()) + pending.heldAmountMinor;
+
+      transaction.update(
+        accountRef,
+        balanceFields(balanceMinor, DEFAULT_CURRENCY)
+      );
+      publishBalanceChange(transaction, {
+        userId: pending.associatedUser,
+        bankAccountNumber: pending.bankAccountNumber,
+        balance: fromMinorUnits(balanceMinor),
+        change: fromMinorUnits(pending.heldAmountMinor),
+        currency: DEFAULT_CURRENCY,
+        reason: "bill_payment.rejected",
+      });
+
+      postJournalEntry(transaction, {
+        type: "bill_payment_hold_release",
+        description: "Devolução de pagamento recusado na análise de risco",
+        postings: transferPostings(
+          SYSTEM_ACCOUNTS.HELD_TRANSFERS,
+          pending.bankAccountNumber,
+          pending.heldAmountMinor,
+          DEFAULT_CURRENCY
+        ),
+        reference: { billPaymentId },
+      });
+    }
+
+    const update = {
+      status: "rejected",
+      failureReason: reason,
+      reviewedBy: reviewerUid,
+      reviewedAt: now,
+      reviewNote: reason,
+      updatedAt: now,
+    };
+
+    transaction.update(paymentRef, update);
+    publishEvent(transaction, {
+      userId: pending.associatedUser,
+      type: "bill.failed",
+      data: {
+        billPaymentId,
+        bankAccountNumber: pending.bankAccountNumber,
+        digitableLine: pending.boleto.digitableLine,
+        reason,
+        date: now.toISOString(),
+      },
+    });
+
+    return { ...pending, ...update };
+  });
+
+  return { id: billPaymentId, ...payment };
+};
+
+/* -------------------------------------------------------------------------
+ * ⏱️ EXECUÇÃO DOS AGENDAMENTOS
+ * ------------------------------------------------------------------------- */
+
+// Liquida um agendamento. Sem saldo ou limite, o pagamento fica "failed"
+// (sem nova tentativa) e o evento "bill.failed" avisa o usuário.
+const processScheduledBillPayment = async (doc) => {
+  const { associatedUser, bankAccountNumber, category } = doc.data();
+  const accountRef = await findAccountRef(bankAccountNumber);
+  let errorMessage = null;
+  let paid = false;
+
+  try {
+    if (!accountRef) {
+      throw new Error("Conta bancária não foi encontrada.");
+    }
+
+    await database.runTransaction(async (transaction) => {
+      const current = await transaction.get(doc.ref);
+
+      // Cancelado ou já processado por outro executor
+      if (current.data().status !== "scheduled") return;
+
+      await assertNotPaid(transaction, current.data().barcode, doc.id);
+      const accountDoc = await transaction.get(accountRef);
+
+      settleBillPayment(transaction, {
+        paymentRef: doc.ref,
+        payment: current.data(),
+        accountRef,
+        accountData: accountDoc.data(),
+        now: new Date(),
+      });
+      paid = true;
+    });
+  } catch (error) {
+    errorMessage = error.message;
+  }
+
+  if (errorMessage) {
+    const now = new Date();
+    const batch = database.batch();
+
+    batch.update(doc.ref, {
+      status: "failed",
+      failureReason: errorMessage,
+      updatedAt: now,
+    });
+    publishEvent(batch, {
+      userId: associatedUser,
+      type: "bill.failed",
+      data: {
+        billPaymentId: doc.id,
+        bankAccountNumber,
+        digitableLine: doc.data().boleto.digitableLine,
+        reason: errorMessage,
+        date: now.toISOString(),
+      },
+    });
+    await batch.commit();
+
+    return false;
+  }
+
+  if (paid) {
+    await checkBudgetAlerts(associatedUser, category).catch((error) =>
+      console.error("Erro ao verificar alertas de orçamento:", error)
+    );
+  }
+
+  return true;
+};
+
+// Processa, em lotes, os pagamentos agendados para hoje ou antes
+const runDueBillPayments = async ({ batchSize = 50 } = {}) => {
+  const summary = { processed: 0, paid: 0, failed: 0 };
+
+  for (;;) {
+    const snapshot = await billPaymentsCollection()
+      .where("status", "==", "scheduled")
+      .where("scheduledFor", "<=", localDay(new Date()))
+      .orderBy("scheduledFor", "asc")
+      .limit(batchSize)
+      .get();
+
+    if (snapshot.empty) break;
+
+    for (const doc of snapshot.docs) {
+      const succeeded = await processScheduledBillPayment(doc);
+
+      summary.processed++;
+      if (succeeded) summary.paid++;
+      else summary.failed++;
+    }
+
+    if (snapshot.size < batchSize) break;
+  }
+
+  return summary;
+};
+
+module.exports = {
+  BILL_PAYMENT_STATUSES,
+  getBillPaymentAmount,
+  createBillPayment,
+  listBillPayments,
+  getBillPayment,
+  cancelBillPayment,
+  approveBillPayment,
+  rejectBillPayment,
+  runDueBillPayments,
+};
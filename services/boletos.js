@@ -0,0 +1,369 @@
+/* =========================================================================
+ * 🧾 BOLETOS (CÓDIGO DE BARRAS E LINHA DIGITÁVEL)
+ * Decodifica e valida os dois tipos de boleto da FEBRABAN:
+ *  - bank:    boleto de cobrança bancária. Código de barras de 44 dígitos
+ *             ou linha digitável de 47, com banco, valor e vencimento.
+ *  - utility: arrecadação (concessionárias e tributos), começa com 8.
+ *             Código de barras de 44 dígitos ou linha digitável de 48; não
+ *             tem vencimento padronizado.
+ * Também calcula multa e juros de mora quando as regras são informadas.
+ * Valores em centavos (ver services/money.js).
+ * ========================================================================= */
+const { fromMinorUnits } = require("./money");
+
+const BOLETO_TYPES = ["bank", "utility"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Vencimentos e atraso são contados em dias de Brasília
+const BOLETO_TIME_ZONE = process.env.BOLETO_TIME_ZONE || "America/Sao_Paulo";
+
+const dayFormatter = new Intl.DateTimeFormat("en-CA", {
+  timeZone: BOLETO_TIME_ZONE,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+});
+
+// Dia local (AAAA-MM-DD) de um instante
+const localDay = (date) => dayFormatter.format(date);
+
+const dayToUtc = (day) => Date.parse(`${day}T00:00:00Z`);
+const utcToDay = (millis) => new Date(millis).toISOString().slice(0, 10);
+
+// Principais bancos emissores (os demais aparecem só pelo código)
+const BANK_NAMES = {
+  "001": "Banco do Brasil",
+  "033": "Santander",
+  "041": "Banrisul",
+  "077": "Banco Inter",
+  104: "Caixa Econômica Federal",
+  212: "Banco Original",
+  237: "Bradesco",
+  260: "Nu Pagamentos",
+  336: "C6 Bank",
+  341: "Itaú Unibanco",
+  422: "Banco Safra",
+  748: "Sicredi",
+  756: "Sicoob",
+};
+
+// Segmento (2º dígito) dos boletos de arrecadação
+const UTILITY_SEGMENTS = {
+  1: "Prefeituras",
+  2: "Saneamento",
+  3: "Energia elétrica e gás",
+  4: "Telecomunicações",
+  5: "Órgãos governamentais",
+  6: "Carnês e assemelhados",
+  7: "Multas de trânsito",
+  9: "Uso exclusivo do banco",
+};
+
+/* -------------------------------------------------------------------------
+ * 🔢 DÍGITOS VERIFICADORES
+ * ------------------------------------------------------------------------- */
+
+// Módulo 10: pesos 2 e 1 alternados da direita para a esquerda, somando os
+// algarismos de cada produto
+const mod10 = (digits) => {
+  let sum = 0;
+  let weight = 2;
+
+  for (let i = digits.length - 1; i >= 0; i--) {
+    const product = Number(digits[i]) * weight;
+    sum += product > 9 ? product - 9 : product;
+    weight = weight === 2 ? 1 : 2;
+  }
+
+  return (10 - (sum % 10)) % 10;
+};
+
+// Soma do módulo 11: pesos de 2 a 9 da direita para a esquerda
+const mod11Sum = (digits) => {
+  let sum = 0;
+  let weight = 2;
+
+  for (let i = digits.length - 1; i >= 0; i--) {
+    sum += Number(digits[i]) * weight;
+    weight = weight === 9 ? 2 : weight + 1;
+  }
+
+  return sum;
+};
+
+// DV geral do boleto bancário: 0, 10 e 11 viram 1
+const mod11Bank = (digits) => {
+  const dv = 11 - (mod11Sum(digits) % 11);
+  return dv === 0 || dv === 10 || dv === 11 ? 1 : dv;
+};
+
+// Arrecadação: resto 0 ou 1 vira 0 e resto 10 vira 1
+const mod11Utility = (digits) => {
+  const rest = mod11Sum(digits) % 11;
+  if (rest === 0 || rest === 1) return 0;
+  if (rest === 10) return 1;
+  return 11 - rest;
+};
+
+/* -------------------------------------------------------------------------
+ * 📅 FATOR DE VENCIMENTO
+ * Dias desde 07/10/1997. O fator chegou a 9999 em 21/02/2025 e recomeçou
+ * em 1000 no dia seguinte: vale o ciclo cuja data fica mais perto de hoje.
+ * ------------------------------------------------------------------------- */
+
+const FACTOR_BASE = Date.UTC(1997, 9, 7);
+const FACTOR_RESTART = Date.UTC(2025, 1, 22);
+
+const dueDateFromFactor = (factor, now = new Date()) => {
+  // Fator zerado: boleto sem vencimento
+  if (factor === 0) return null;
+
+  const today = dayToUtc(localDay(now));
+  const candidates = [FACTOR_BASE + factor * DAY_MS];
+  if (factor >= 1000) {
+    candidates.push(FACTOR_RESTART + (factor - 1000) * DAY_MS);
+  }
+
+  const closest = candidates.reduce((best, candidate) =>
+    Math.abs(candidate - today) < Math.abs(best - today) ? candidate : best
+  );
+
+  return utcToDay(closest);
+};
+
+/* -------------------------------------------------------------------------
+ * 🏦 BOLETO BANCÁRIO
+ * Código de barras: banco(3) moeda(1) DV(1) fator(4) valor(10) livre(25)
+ * Linha digitável: três campos com DV em módulo 10, o DV geral e
+ * fator + valor.
+ * ------------------------------------------------------------------------- */
+
+const bankBarcodeFromLine = (line) => {
+  const fields = [line.slice(0, 10), line.slice(10, 21), line.slice(21, 32)];
+
+  fields.forEach((field, index) => {
+    if (mod10(field.slice(0, -1)) !== Number(field.slice(-1))) {
+      throw new Error(
+        `Linha digitável inválida: dígito verificador do campo ${
+          index + 1
+        } não confere.`
+      );
+    }
+  });
+
+  return (
+    line.slice(0, 4) +
+    line.slice(32, 33) +
+    line.slice(33, 47) +
+    line.slice(4, 9) +
+    line.slice(10, 20) +
+    line.slice(21, 31)
+  );
+};
+
+const bankLineFromBarcode = (barcode) => {
+  const field = (digits) => `${digits}${mod10(digits)}`;
+
+  return (
+    field(barcode.slice(0, 4) + barcode.slice(19, 24)) +
+    field(barcode.slice(24, 34)) +
+    field(barcode.slice(34, 44)) +
+    barcode.slice(4, 5) +
+    barcode.slice(5, 19)
+  );
+};
+
+const decodeBankBarcode = (barcode, now) => {
+  const generalDv = mod11Bank(barcode.slice(0, 4) + barcode.slice(5));
+
+  if (generalDv !== Number(barcode[4])) {
+    throw new Error(
+      "Código de barras inválido: dígito verificador geral não confere."
+    );
+  }
+
+  // 9 = Real, a única moeda aceita para boletos
+  if (barcode[3] !== "9") {
+    throw new Error("Boleto em moeda não suportada.");
+  }
+
+  const bankCode = barcode.slice(0, 3);
+
+  return {
+    type: "bank",
+    barcode,
+    digitableLine: bankLineFromBarcode(barcode),
+    bankCode,
+    bankName: BANK_NAMES[bankCode] || null,
+    segment: null,
+    amountMinor: parseInt(barcode.slice(9, 19), 10),
+    dueDate: dueDateFromFactor(parseInt(barcode.slice(5, 9), 10), now),
+  };
+};
+
+/* -------------------------------------------------------------------------
+ * 💡 ARRECADAÇÃO (CONCESSIONÁRIAS E TRIBUTOS)
+ * Código de barras: 8, segmento, identificador de valor, DV geral,
+ * valor(11) e campo livre. O identificador define o módulo dos DVs
+ * (6 e 7: módulo 10; 8 e 9: módulo 11) e se o valor é efetivo (6 e 8) ou
+ * apenas uma referência (7 e 9).
+ * Linha digitável: quatro blocos de 11 dígitos, cada um com seu DV.
+ * ------------------------------------------------------------------------- */
+
+const utilityModule = (valueId) => {
+  if (valueId === "6" || valueId === "7") return mod10;
+  if (valueId === "8" || valueId === "9") return mod11Utility;
+
+  throw new Error("Boleto de arrecadação com identificador de valor inválido.");
+};
+
+const utilityBarcodeFromLine = (line) => {
+  const checkDigit = utilityModule(line[2]);
+  const blocks = [0, 1, 2, 3].map((index) =>
+    line.slice(index * 12, index * 12 + 12)
+  );
+
+  blocks.forEach((block, index) => {
+    if (checkDigit(block.slice(0, 11)) !== Number(block[11])) {
+      throw new Error(
+        `Linha digitável inválida: dígito verificador do bloco ${
+          index + 1
+        } não confere.`
+      );
+    }
+  });
+
+  return blocks.map((block) => block.slice(0, 11)).join("");
+};
+
+const utilityLineFromBarcode = (barcode) => {
+  const checkDigit = utilityModule(barcode[2]);
+
+  return [0, 1, 2, 3]
+    .map((index) => {
+      const block = barcode.slice(index * 11, index * 11 + 11);
+      return `${block}${checkDigit(block)}`;
+    })
+    .join("");
+};
+
+const decodeUtilityBarcode = (barcode) => {
+  const checkDigit = utilityModule(barcode[2]);
+
+  if (
+    checkDigit(barcode.slice(0, 3) + barcode.slice(4)) !== Number(barcode[3])
+  ) {
+    throw new Error(
+      "Código de barras inválido: dígito verificador geral não confere."
+    );
+  }
+
+  const hasAmount = barcode[2] === "6" || barcode[2] === "8";
+
+  return {
+    type: "utility",
+    barcode,
+    digitableLine: utilityLineFromBarcode(barcode),
+    bankCode: null,
+    bankName: null,
+    segment: UTILITY_SEGMENTS[barcode[1]] || null,
+    amountMinor: hasAmount ? parseInt(barcode.slice(4, 15), 10) : 0,
+    dueDate: null,
+  };
+};
+
+/* -------------------------------------------------------------------------
+ * 🔎 DECODIFICAÇÃO
+ * ------------------------------------------------------------------------- */
+
+// Aceita código de barras ou linha digitável, com ou sem pontos e espaços.
+// 'amountMinor' 0 indica boleto sem valor definido (o pagador informa).
+const parseBoleto = (code, now = new Date()) => {
+  const digits = String(code || "").replace(/[\s.-]/g, "");
+
+  if (!/^\d+$/.test(digits)) {
+    throw new Error("Código de boleto inválido: use apenas números.");
+  }
+
+  const isUtility = digits[0] === "8";
+
+  if (digits.length === 44) {
+    return isUtility
+      ? decodeUtilityBarcode(digits)
+      : decodeBankBarcode(digits, now);
+  }
+
+  if (digits.length === 47 && !isUtility) {
+    return decodeBankBarcode(bankBarcodeFromLine(digits), now);
+  }
+
+  if (digits.length === 48 && isUtility) {
+    return decodeUtilityBarcode(utilityBarcodeFromLine(digits));
+  }
+
+  throw new Error(
+    "Código de boleto inválido: informe o código de barras (44 dígitos) ou a linha digitável (47 ou 48 dígitos)."
+  );
+};
+
+// Nome exibido como favorecido nos registros e comprovantes
+const boletoPayeeLabel = (boleto) => {
+  if (boleto.type === "utility") {
+    return boleto.segment
+      ? `Arrecadação - ${boleto.segment}`
+      : "Boleto de arrecadação";
+  }
+
+  return `Boleto ${boleto.bankName || `banco ${boleto.bankCode}`}`;
+};
+
+/* -------------------------------------------------------------------------
+ * ⏰ MULTA E JUROS
+ * ------------------------------------------------------------------------- */
+
+// Vencimento em sábado ou domingo pode ser pago sem encargos na segunda
+const effectiveDueDate = (dueDate) => {
+  const weekDay = new Date(dayToUtc(dueDate)).getUTCDay();
+  const shift = weekDay === 6 ? 2 : weekDay === 0 ? 1 : 0;
+
+  return utcToDay(dayToUtc(dueDate) + shift * DAY_MS);
+};
+
+// Valor a pagar no dia 'now'. 'lateFees' (opcional) traz as regras do
+// boleto: multa única ('finePercentage') e juros simples ao mês
+// ('monthlyInterestPercentage'), proporcionais aos dias de atraso.
+const computeCharges = ({ amountMinor, dueDate, lateFees }, now) => {
+  const paymentDay = localDay(now);
+  let daysLate = 0;
+
+  if (dueDate && paymentDay > effectiveDueDate(dueDate)) {
+    daysLate = Math.round((dayToUtc(paymentDay) - dayToUtc(dueDate)) / DAY_MS);
+  }
+
+  const fees = daysLate > 0 && lateFees ? lateFees : {};
+  const fineMinor = Math.round(
+    (amountMinor * (fees.finePercentage || 0)) / 100
+  );
+  const interestMinor = Math.round(
+    (amountMinor * (fees.monthlyInterestPercentage || 0) * daysLate) / 100 / 30
+  );
+  const totalMinor = amountMinor + fineMinor + interestMinor;
+
+  return {
+    daysLate,
+    originalAmount: fromMinorUnits(amountMinor),
+    fine: fromMinorUnits(fineMinor),
+    interest: fromMinorUnits(interestMinor),
+    total: fromMinorUnits(totalMinor),
+    totalMinor,
+  };
+};
+
+module.exports = {
+  BOLETO_TYPES,
+  localDay,
+  parseBoleto,
+  boletoPayeeLabel,
+  computeCharges,
+};
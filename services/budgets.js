@@ -0,0 +1,396 @@
+/* =========================================================================
+ * 🎯 CATEGORIAS E ORÇAMENTOS MENSAIS
+ * A categoria das transferências vem de uma lista gerenciada: as categorias
+ * padrão (PREDEFINED_CATEGORIES) mais as criadas pelo usuário em
+ * 'categories'. Cada orçamento ('budgets') define um valor mensal para uma
+ * categoria; o gasto do mês é a soma dos registros "sended" e
+ * "bill_payment" dela.
+ * Ao cruzar um dos limites de alerta (ex.: 80% e 100%) é gravado um
+ * registro em 'budgetAlerts' e publicado o evento "budget.threshold_reached"
+ * (webhooks e stream em tempo real).
+ * ========================================================================= */
+const { database } = require("./firebase");
+const { roundAmount } = require("./journal");
+const { parseDateRange } = require("./statements");
+const { publishEvent } = require("./webhooks");
+
+const PREDEFINED_CATEGORIES = [
+  { slug: "alimentacao", name: "Alimentação" },
+  { slug: "transporte", name: "Transporte" },
+  { slug: "moradia", name: "Moradia" },
+  { slug: "saude", name: "Saúde" },
+  { slug: "educacao", name: "Educação" },
+  { slug: "lazer", name: "Lazer" },
+  { slug: "compras", name: "Compras" },
+  { slug: "contas", name: "Contas e serviços" },
+  { slug: "outros", name: "Outros" },
+];
+
+const DEFAULT_ALERT_THRESHOLDS = [80, 100];
+
+const MAX_CUSTOM_CATEGORIES = 50;
+
+const categoriesCollection = () => database.collection("categories");
+const budgetsCollection = () => database.collection("budgets");
+const alertsCollection = () => database.collection("budgetAlerts");
+
+// "Pet Shop" -> "pet-shop"; "Saúde" -> "saude"
+const slugify = (value) =>
+  value
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+// Mês no formato aceito pelos filtros de transações (MM-AAAA)
+const monthKey = (date) =>
+  `${String(date.getMonth() + 1).padStart(2, "0")}-${date.getFullYear()}`;
+
+/* -------------------------------------------------------------------------
+ * 🏷️ CATEGORIAS
+ * ------------------------------------------------------------------------- */
+
+const listCategories = async (userId) => {
+  const snapshot = await categoriesCollection()
+    .where("associatedUser", "==", userId)
+    .get();
+
+  const custom = snapshot.docs
+    .map((doc) => ({
+      slug: doc.data().slug,
+      name: doc.data().name,
+      predefined: false,
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name, "pt-BR"));
+
+  return [
+    ...PREDEFINED_CATEGORIES.map((category) => ({
+      ...category,
+      predefined: true,
+    })),
+    ...custom,
+  ];
+};
+
+const findCategory = async (userId, slug) => {
+  const predefined = PREDEFINED_CATEGORIES.find(
+    (category) => category.slug === slug
+  );
+  if (predefined) return { ...predefined, predefined: true };
+
+  const doc = await categoriesCollection().doc(`${userId}_${slug}`).get();
+  return doc.exists ? { slug, name: doc.data().name, predefined: false } : null;
+};
+
+// Devolve a mensagem de erro ou null. Categoria vazia é permitida
+// (transferência sem categoria).
+const validateCategory = async (userId, category) => {
+  if (!category || (await findCategory(userId, category))) return null;
+
+  return `Categoria '${category}' não cadastrada. Consulte GET /categories.`;
+};
+
+const createCategory = async (userId, name) => {
+  const slug = slugify(name);
+
+  if (!slug) {
+    throw new Error("Nome de categoria inválido.");
+  }
+
+  if (PREDEFINED_CATEGORIES.some((category) => category.slug === slug)) {
+    throw new Error("Já existe uma categoria com este nome.");
+  }
+
+  const existing = await categoriesCollection()
+    .where("associatedUser", "==", userId)
+    .get();
+
+  if (existing.size >= MAX_CUSTOM_CATEGORIES) {
+    throw new Error(
+      `Limite de ${MAX_CUSTOM_CATEGORIES} categorias personalizadas atingido.`
+    );
+  }
+
+  const data = {
+    associatedUser: userId,
+    slug,
+    name: name.trim(),
+    createdAt: new Date(),
+  };
+
+  try {
+    // create() falha se o documento já existe: o slug é único por usuário
+    await categoriesCollection().doc(`${userId}_${slug}`).create(data);
+  } catch (error) {
+    if (error.code === 6) {
+      throw new Error("Já existe uma categoria com este nome.");
+    }
+    throw error;
+  }
+
+  return { slug, name: data.name, predefined: false };
+};
+
+// Exclui a categoria e o orçamento dela. As transferências já feitas
+// mantêm a categoria gravada.
+const deleteCategory = async (userId, slug) => {
+  if (PREDEFINED_CATEGORIES.some((category) => category.slug === slug)) {
+    throw new Error("Categorias padrão não podem ser excluídas.");
+  }
+
+  const ref = categoriesCollection().doc(`${userId}_${slug}`);
+  const doc = await ref.get();
+
+  if (!doc.exists) {
+    throw new Error("Categoria não encontrada.");
+  }
+
+  const batch = database.batch();
+  batch.delete(ref);
+  batch.delete(budgetsCollection().doc(`${userId}_${slug}`));
+  await batch.commit();
+};
+
+/* -------------------------------------------------------------------------
+ * 💰 ORÇAMENTOS
+ * ------------------------------------------------------------------------- */
+
+const listBudgets = async (userId) => {
+  const snapshot = await budgetsCollection()
+    .where("associatedUser", "==", userId)
+    .get();
+
+  return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+};
+
+const setBudget = async (userId, category, { amount, alertThresholds }) => {
+  const found = await findCategory(userId, category);
+
+  if (!found) {
+    throw new Error("Categoria não encontrada.");
+  }
+
+  const ref = budgetsCollection().doc(`${userId}_${category}`);
+  const current = await ref.get();
+  const now = new Date();
+  const data = {
+    associatedUser: userId,
+    category,
+    amount: roundAmount(amount),
+    alertThresholds: [
+      ...new Set(
+        alertThresholds ||
+          (current.exists && current.data().alertThresholds) ||
+          DEFAULT_ALERT_THRESHOLDS
+      ),
+    ].sort((a, b) => a - b),
+    updatedAt: now,
+  };
+
+  if (!current.exists) data.createdAt = now;
+
+  await ref.set(data, { merge: true });
+
+  return { id: ref.id, ...(current.exists ? current.data() : {}), ...data };
+};
+
+const deleteBudget = async (userId, category) => {
+  const ref = budgetsCollection().doc(`${userId}_${category}`);
+  const doc = await ref.get();
+
+  if (!doc.exists) {
+    throw new Error("Orçamento não encontrado.");
+  }
+
+  await ref.delete();
+};
+
+// Soma dos envios e boletos pagos no mês por categoria. Estornos não são
+// gastos.
+const spentByCategory = async (userId, { start, end }, category) => {
+  let query = database
+    .collection("transactions")
+    .where("associatedUser", "==", userId)
+    .where("type", "in", ["sended", "bill_payment"]);
+
+  if (category) query = query.where("category", "==", category);
+
+  const snapshot = await query
+    .where("date", ">=", start)
+    .where("date", "<", end)
+    .get();
+  const totals = {};
+
+  snapshot.docs.forEach((doc) => {
+    const data = doc.data();
+    if (data.reversalOf) return;
+
+    const key = data.category || "";
+    totals[key] = (totals[key] || 0) + parseFloat(data.amount || 0);
+  });
+
+  return totals;
+};
+
+const monthRange = (month) => {
+  const { start, end } = parseDateRange({ month });
+
+  if (!start) {
+    throw new Error("Mês inválido. Use o formato MM-AAAA.");
+  }
+
+  return { start, end };
+};
+
+// Gasto x orçado por categoria no mês (padrão: mês atual). Categorias com
+// gasto mas sem orçamento também aparecem, com 'budget' null.
+const getBudgetReport = async (userId, month = monthKey(new Date())) => {
+  const range = monthRange(month);
+  const [budgets, categories, totals] = await Promise.all([
+    listBudgets(userId),
+    listCategories(userId),
+    spentByCategory(userId, range),
+  ]);
+  const names = Object.fromEntries(
+    categories.map((category) => [category.slug, category.name])
+  );
+  const budgetByCategory = Object.fromEntries(
+    budgets.map((budget) => [budget.category, budget])
+  );
+  const slugs = [
+    ...new Set([
+      ...budgets.map((budget) => budget.category),
+      ...Object.keys(totals).filter((key) => key !== ""),
+    ]),
+  ];
+
+  const items = slugs.map((slug) => {
+    const budget = budgetByCategory[slug];
+    const spent = roundAmount(totals[slug] || 0);
+
+    if (!budget) {
+      return {
+        category: slug,
+        name: names[slug] || slug,
+        budget: null,
+        spent,
+        remaining: null,
+        percentage: null,
+        alertThresholds: [],
+        thresholdsReached: [],
+      };
+    }
+
+    const percentage =
+      budget.amount > 0 ? roundAmount((spent / budget.amount) * 100) : null;
+
+    return {
+      category: slug,
+      name: names[slug] || slug,
+      budget: budget.amount,
+      spent,
+      remaining: roundAmount(budget.amount - spent),
+      percentage,
+      alertThresholds: budget.alertThresholds,
+      thresholdsReached: budget.alertThresholds.filter(
+        (threshold) => percentage !== null && percentage >= threshold
+      ),
+    };
+  });
+
+  const budgeted = items.filter((item) => item.budget !== null);
+
+  return {
+    month,
+    categories: items,
+    uncategorizedSpent: roundAmount(totals[""] || 0),
+    totals: {
+      budget: roundAmount(budgeted.reduce((sum, item) => sum + item.budget, 0)),
+      spent: roundAmount(budgeted.reduce((sum, item) => sum + item.spent, 0)),
+    },
+  };
+};
+
+/* -------------------------------------------------------------------------
+ * 🔔 ALERTAS
+ * ------------------------------------------------------------------------- */
+
+// Chamado depois de uma transferência concluída: grava um alerta para cada
+// limite cruzado no mês atual. O ID determinístico garante um único alerta
+// por categoria, mês e limite.
+const checkBudgetAlerts = async (userId, category, now = new Date()) => {
+  if (!category) return [];
+
+  const budgetDoc = await budgetsCollection()
+    .doc(`${userId}_${category}`)
+    .get();
+  if (!budgetDoc.exists || !(budgetDoc.data().amount > 0)) return [];
+
+  const budget = budgetDoc.data();
+  const month = monthKey(now);
+  const totals = await spentByCategory(userId, monthRange(month), category);
+  const spent = roundAmount(totals[category] || 0);
+  const percentage = roundAmount((spent / budget.amount) * 100);
+  const created = [];
+
+  for (const threshold of budget.alertThresholds) {
+    if (percentage < threshold) continue;
+
+    const alertRef = alertsCollection().doc(
+      `${userId}_${month}_${category}_${threshold}`
+    );
+
+    const alert = await database.runTransaction(async (transaction) => {
+      const existing = await transaction.get(alertRef);
+      if (existing.exists) return null;
+
+      const data = {
+        associatedUser: userId,
+        category,
+        month,
+        threshold,
+        budget: budget.amount,
+        spent,
+        percentage,
+        createdAt: now,
+      };
+
+      transaction.set(alertRef, data);
+      publishEvent(transaction, {
+        userId,
+        type: "budget.threshold_reached",
+        data: { ...data, createdAt: now.toISOString() },
+      });
+
+      return { id: alertRef.id, ...data };
+    });
+
+    if (alert) created.push(alert);
+  }
+
+  return created;
+};
+
+const listBudgetAlerts = async (userId, month) => {
+  let query = alertsCollection().where("associatedUser", "==", userId);
+  if (month) query = query.where("month", "==", month);
+
+  const snapshot = await query.orderBy("createdAt", "desc").limit(100).get();
+
+  return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+};
+
+module.exports = {
+  PREDEFINED_CATEGORIES,
+  listCategories,
+  validateCategory,
+  createCategory,
+  deleteCategory,
+  listBudgets,
+  setBudget,
+  deleteBudget,
+  getBudgetReport,
+  checkBudgetAlerts,
+  listBudgetAlerts,
+};
@@ -0,0 +1,314 @@
+/* =========================================================================
+ * 📇 CONTATOS (RECEBEDORES SALVOS)
+ * Cada usuário guarda em 'contacts' os recebedores frequentes, por número
+ * de conta ou por chave de transferência, com apelido e marcação de
+ * favorito. O ID do documento é o hash de usuário + recebedor, o que
+ * impede o mesmo recebedor de ser salvo duas vezes.
+ * Contatos por chave são resolvidos a cada uso: se a chave mudar de conta,
+ * o contato acompanha.
+ * ========================================================================= */
+const crypto = require("crypto");
+const { database } = require("./firebase");
+const { accountCurrency, DEFAULT_CURRENCY } = require("./money");
+const { findAccountRef } = require("./transfers");
+const { normalizeKey, resolveTransferKey } = require("./transferKeys");
+const { getAccountHolderName } = require("./bankAccounts");
+const { maskName, maskAccountNumber, maskCpf } = require("./masking");
+
+const MAX_CONTACTS_PER_USER = 200;
+
+// Envios mais recentes lidos para montar a lista de recebedores recentes
+const RECENT_SCAN_LIMIT = 200;
+const DEFAULT_RECENT_LIMIT = 10;
+
+const contactsCollection = () => database.collection("contacts");
+
+const toDate = (value) => {
+  if (!value) return null;
+  return value.toDate ? value.toDate() : new Date(value);
+};
+
+const formatContact = (doc) => ({ id: doc.id, ...doc.data() });
+
+// Contato que corresponde ao recebedor, nas respostas de consulta
+const contactSummary = (contact) => ({
+  id: contact.id,
+  nickname: contact.nickname,
+  favorite: contact.favorite,
+});
+
+// Valida o recebedor informado: conta ou chave (com tipo), nunca os dois.
+// Retorna { error } ou { recipient } com a chave normalizada.
+const parseRecipient = ({ bankAccountNumber, key, keyType }) => {
+  if (bankAccountNumber && key) {
+    return { error: "Informe a conta ou a chave do recebedor, não as duas." };
+  }
+
+  if (bankAccountNumber) {
+    return { recipient: { bankAccountNumber, keyType: null, key: null } };
+  }
+
+  if (!key || !keyType) {
+    return {
+      error:
+        "Informe a conta do recebedor ou a chave de transferência com o tipo.",
+    };
+  }
+
+  const { value, error } = normalizeKey(keyType, key);
+  if (error) return { error };
+
+  return { recipient: { bankAccountNumber: null, keyType, key: value } };
+};
+
+const recipientId = (recipient) =>
+  recipient.bankAccountNumber
+    ? `account:${recipient.bankAccountNumber}`
+    : `key:${recipient.keyType}:${recipient.key}`;
+
+const getContactRef = (userId, recipient) =>
+  contactsCollection().doc(
+    crypto
+      .createHash("sha256")
+      .update(`${userId}:${recipientId(recipient)}`)
+      .digest("hex")
+  );
+
+/* -------------------------------------------------------------------------
+ * ✅ CONFIRMAÇÃO DO RECEBEDOR
+ * ------------------------------------------------------------------------- */
+
+// Conta de destino de um recebedor (conta ou chave)
+const resolvePayee = async ({ bankAccountNumber, key, keyType }) => {
+  let transferKey = null;
+
+  if (!bankAccountNumber) {
+    transferKey = await resolveTransferKey(key, keyType);
+
+    if (!transferKey) {
+      throw new Error("Chave de transferência não encontrada.");
+    }
+    bankAccountNumber = transferKey.bankAccountNumber;
+  }
+
+  const accountRef = await findAccountRef(bankAccountNumber);
+
+  if (!accountRef) {
+    throw new Error("Conta de destino não encontrada.");
+  }
+
+  const accountDoc = await accountRef.get();
+
+  return { bankAccountNumber, transferKey, account: accountDoc.data() };
+};
+
+const getOwnContact = async (userId, contactId) => {
+  const doc = await contactsCollection().doc(contactId).get();
+
+  if (!doc.exists || doc.data().associatedUser !== userId) {
+    throw new Error("Contato não encontrado.");
+  }
+
+  return doc;
+};
+
+// Conta de destino de um contato salvo (usada em POST /transactions)
+const resolveContactAccount = async (userId, contactId) => {
+  const contact = (await getOwnContact(userId, contactId)).data();
+  const { bankAccountNumber } = await resolvePayee(contact);
+
+  return bankAccountNumber;
+};
+
+// Dados exibidos antes da transferência para o usuário conferir o
+// recebedor: nome (mascarado) gravado na conta de destino, conta mascarada
+// e moeda. 'input': { accountNumber } | { key, keyType } | { contactId }.
+const confirmPayee = async (userId, input) => {
+  let recipient;
+  let contact = null;
+
+  if (input.contactId) {
+    const contactDoc = await getOwnContact(userId, input.contactId);
+    contact = formatContact(contactDoc);
+    recipient = contact;
+  } else {
+    const parsed = parseRecipient({
+      bankAccountNumber: input.accountNumber,
+      key: input.key,
+      keyType: input.keyType,
+    });
+    if (parsed.error) throw new Error(parsed.error);
+    recipient = parsed.recipient;
+
+    const contactDoc = await getContactRef(userId, recipient).get();
+    contact = contactDoc.exists ? formatContact(contactDoc) : null;
+  }
+
+  const { bankAccountNumber, transferKey, account } = await resolvePayee(
+    recipient
+  );
+
+  return {
+    name: maskName(await getAccountHolderName(account)),
+    bankAccountNumber: maskAccountNumber(bankAccountNumber),
+    currency: accountCurrency(account),
+    keyType: transferKey ? transferKey.type : null,
+    key: transferKey
+      ? transferKey.type === "cpf"
+        ? maskCpf(transferKey.value)
+        : transferKey.value
+      : null,
+    ownAccount: account.associatedUser === userId,
+    contact: contact ? contactSummary(contact) : null,
+  };
+};
+
+/* -------------------------------------------------------------------------
+ * 📇 CADASTRO DE CONTATOS
+ * ------------------------------------------------------------------------- */
+
+// Favoritos primeiro, depois pelo apelido. ?favorite=true lista só os
+// favoritos.
+const listContacts = async (userId, { favorite } = {}) => {
+  let query = contactsCollection().where("associatedUser", "==", userId);
+
+  if (favorite !== undefined) query = query.where("favorite", "==", favorite);
+
+  const snapshot = await query.get();
+
+  return snapshot.docs
+    .map(formatContact)
+    .sort(
+      (a, b) =>
+        Number(b.favorite) - Number(a.favorite) ||
+        a.nickname.localeCompare(b.nickname, "pt-BR")
+    );
+};
+
+// O recebedor precisa existir no momento do cadastro
+const createContact = async (userId, input) => {
+  const { recipient, error } = parseRecipient(input);
+  if (error) throw new Error(error);
+
+  await resolvePayee(recipient);
+
+  const contactRef = getContactRef(userId, recipient);
+
+  return database.runTransaction(async (transaction) => {
+    const contactDoc = await transaction.get(contactRef);
+    const userContacts = await transaction.get(
+      contactsCollection().where("associatedUser", "==", userId)
+    );
+
+    if (contactDoc.exists) {
+      throw new Error("Este recebedor já está nos seus contatos.");
+    }
+
+    if (userContacts.size >= MAX_CONTACTS_PER_USER) {
+      throw new Error(
+        `Limite de ${MAX_CONTACTS_PER_USER} contatos por usuário atingido.`
+      );
+    }
+
+    const now = new Date();
+    const contact = {
+      associatedUser: userId,
+      ...recipient,
+      nickname: input.nickname.trim(),
+      favorite: input.favorite === true,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    transaction.set(contactRef, contact);
+
+    return { id: contactRef.id, ...contact };
+  });
+};
+
+// Só apelido e favorito mudam; para outro recebedor, crie outro contato
+const updateContact = async (userId, contactId, { nickname, favorite }) => {
+  const doc = await getOwnContact(userId, contactId);
+  const update = { updatedAt: new Date() };
+
+  if (nickname !== undefined) update.nickname = nickname.trim();
+  if (favorite !== undefined) update.favorite = favorite;
+
+  await doc.ref.update(update);
+
+  return { id: doc.id, ...doc.data(), ...update };
+};
+
+const deleteContact = async (userId, contactId) => {
+  const doc = await getOwnContact(userId, contactId);
+  await doc.ref.delete();
+};
+
+/* -------------------------------------------------------------------------
+ * 🕘 RECEBEDORES RECENTES
+ * ------------------------------------------------------------------------- */
+
+// Contas para as quais o usuário enviou dinheiro, da mais recente para a
+// mais antiga, a partir dos últimos registros "sended" (estornos não
+// contam). Recebedores já salvos trazem o contato.
+const listRecentRecipients = async (
+  userId,
+  { limit = DEFAULT_RECENT_LIMIT } = {}
+) => {
+  const [snapshot, contactsSnapshot] = await Promise.all([
+    database
+      .collection("transactions")
+      .where("associatedUser", "==", userId)
+      .where("type", "==", "sended")
+      .orderBy("date", "desc")
+      .limit(RECENT_SCAN_LIMIT)
+      .get(),
+    contactsCollection().where("associatedUser", "==", userId).get(),
+  ]);
+
+  const contactsByAccount = new Map();
+  contactsSnapshot.docs.forEach((doc) => {
+    if (doc.data().bankAccountNumber) {
+      contactsByAccount.set(doc.data().bankAccountNumber, formatContact(doc));
+    }
+  });
+
+  const recipients = new Map();
+
+  snapshot.docs.forEach((doc) => {
+    const record = doc.data();
+    if (record.reversalOf) return;
+
+    const recipient = recipients.get(record.toAccountNumber);
+
+    if (recipient) {
+      recipient.transferCount++;
+      return;
+    }
+    if (recipients.size >= limit) return;
+
+    const contact = contactsByAccount.get(record.toAccountNumber);
+
+    recipients.set(record.toAccountNumber, {
+      bankAccountNumber: record.toAccountNumber,
+      name: maskName(record.counterpartyName),
+      lastTransferAt: toDate(record.date).toISOString(),
+      lastAmount: record.amount,
+      currency: record.currency || DEFAULT_CURRENCY,
+      transferCount: 1,
+      contact: contact ? contactSummary(contact) : null,
+    });
+  });
+
+  return [...recipients.values()];
+};
+
+module.exports = {
+  confirmPayee,
+  resolveContactAccount,
+  listContacts,
+  createContact,
+  updateContact,
+  deleteContact,
+  listRecentRecipients,
+};
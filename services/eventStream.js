@@ -0,0 +1,80 @@
+/* =========================================================================
+ * 📺 STREAM DE EVENTOS EM TEMPO REAL (SSE)
+ * Lê os mesmos eventos que alimentam os webhooks ('webhookEvents', gravados
+ * na transação de cada transferência, estorno ou resgate) com um listener
+ * do Firestore filtrado pelo usuário. O ID do documento do evento é o ID
+ * do evento SSE: com o cabeçalho Last-Event-ID o cliente retoma de onde parou.
+ * A ordem e a retomada usam 'createdAt', o horário do commit gravado pelo
+ * servidor: um evento confirmado depois nunca fica antes do último enviado.
+ * ========================================================================= */
+const { database } = require("./firebase");
+
+// Eventos mais antigos que isso não são reenviados numa retomada
+const STREAM_REPLAY_HOURS = parseFloat(process.env.STREAM_REPLAY_HOURS) || 24;
+
+// Intervalo dos comentários de keep-alive (proxies fecham conexões ociosas)
+const HEARTBEAT_SECONDS = 25;
+
+const eventsCollection = () => database.collection("webhookEvents");
+
+const toMillis = (value) =>
+  value && value.toDate ? value.toDate().getTime() : new Date(value).getTime();
+
+// Ponto de partida do listener: depois do último evento recebido pelo
+// cliente ou, sem Last-Event-ID (ou com um ID desconhecido/antigo), depois
+// do último evento já gravado para o usuário. Nenhum dos dois depende do
+// relógio desta instância.
+const resumeQuery = async (userId, lastEventId) => {
+  const query = eventsCollection()
+    .where("userId", "==", userId)
+    .orderBy("createdAt", "asc");
+
+  if (lastEventId) {
+    const lastDoc = await eventsCollection().doc(lastEventId).get();
+    const oldest = Date.now() - STREAM_REPLAY_HOURS * 60 * 60 * 1000;
+
+    if (
+      lastDoc.exists &&
+      lastDoc.data().userId === userId &&
+      toMillis(lastDoc.data().createdAt) >= oldest
+    ) {
+      return query.startAfter(lastDoc);
+    }
+  }
+
+  const latest = await eventsCollection()
+    .where("userId", "==", userId)
+    .orderBy("createdAt", "desc")
+    .limit(1)
+    .get();
+
+  return latest.empty ? query : query.startAfter(latest.docs[0]);
+};
+
+// Abre o listener e chama onEvent({ id, type, createdAt, data }) para cada
+// evento novo, em ordem. Devolve a função que encerra o listener.
+const subscribeToUserEvents = async (
+  userId,
+  { lastEventId, onEvent, onError }
+) => {
+  const query = await resumeQuery(userId, lastEventId);
+
+  return query.onSnapshot((snapshot) => {
+    snapshot
+      .docChanges()
+      // Só inclusões: o executor de webhooks também altera os eventos
+      .filter((change) => change.type === "added")
+      .forEach(({ doc }) => {
+        const event = doc.data();
+
+        onEvent({
+          id: doc.id,
+          type: event.type,
+          createdAt: event.createdAt.toDate().toISOString(),
+          data: event.data,
+        });
+      });
+  }, onError);
+};
+
+module.exports = { HEARTBEAT_SECONDS, subscribeToUserEvents };
@@ -0,0 +1,169 @@
+/* =========================================================================
+ * 💱 COTAÇÕES DE CÂMBIO
+ * Usadas nas transferências entre contas de moedas diferentes. O provedor é
+ * escolhido por EXCHANGE_RATE_PROVIDER: "static" (padrão), com cotações
+ * fixas de EXCHANGE_RATES, ou "http", que consulta EXCHANGE_RATE_URL.
+ * Todo provedor devolve { base, rates, date }, com rates[moeda] = unidades
+ * da moeda por 1 unidade de 'base'. A cotação aplicada fica gravada na
+ * transferência.
+ * ========================================================================= */
+const {
+  CURRENCY_CODES,
+  DEFAULT_CURRENCY,
+  convertMinorUnits,
+} = require("./money");
+
+const EXCHANGE_RATE_PROVIDER = process.env.EXCHANGE_RATE_PROVIDER || "static";
+
+// Casas decimais da cotação gravada
+const RATE_PRECISION = 8;
+
+const roundRate = (value) => parseFloat(value.toFixed(RATE_PRECISION));
+
+/* -------------------------------------------------------------------------
+ * 📌 PROVEDOR ESTÁTICO
+ * EXCHANGE_RATES='{"USD":5.4,"EUR":5.9}': valor de 1 unidade em BRL.
+ * Indicado para desenvolvimento e testes.
+ * ------------------------------------------------------------------------- */
+
+const DEFAULT_STATIC_RATES = { USD: 5.4, EUR: 5.9 };
+
+const createStaticProvider = () => {
+  const prices = {
+    ...DEFAULT_STATIC_RATES,
+    ...JSON.parse(process.env.EXCHANGE_RATES || "{}"),
+    [DEFAULT_CURRENCY]: 1,
+  };
+
+  return {
+    getRates: async () => ({
+      base: DEFAULT_CURRENCY,
+      rates: Object.fromEntries(
+        Object.entries(prices).map(([currency, price]) => [currency, 1 / price])
+      ),
+      date: null,
+    }),
+  };
+};
+
+/* -------------------------------------------------------------------------
+ * 🌐 PROVEDOR HTTP
+ * EXCHANGE_RATE_URL deve responder JSON no formato { base, rates, date }
+ * (o mesmo de APIs como a Frankfurter). As cotações ficam em cache por
+ * EXCHANGE_RATE_CACHE_SECONDS.
+ * ------------------------------------------------------------------------- */
+
+const EXCHANGE_RATE_CACHE_SECONDS =
+  parseInt(process.env.EXCHANGE_RATE_CACHE_SECONDS, 10) || 60;
+const REQUEST_TIMEOUT_MS = 5000;
+
+const createHttpProvider = () => {
+  let cached = null;
+  let cachedAt = 0;
+
+  return {
+    getRates: async () => {
+      if (
+        cached &&
+        Date.now() - cachedAt < EXCHANGE_RATE_CACHE_SECONDS * 1000
+      ) {
+        return cached;
+      }
+
+      const response = await fetch(process.env.EXCHANGE_RATE_URL, {
+        headers: { Accept: "application/json" },
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      });
+
+      if (!response.ok) {
+        throw new Error(
+          `Provedor de câmbio indisponível (HTTP ${response.status}).`
+        );
+      }
+
+      const { base, rates, date } = await response.json();
+
+      if (!base || !rates) {
+        throw new Error("Resposta inválida do provedor de câmbio.");
+      }
+
+      cached = { base, rates: { ...rates, [base]: 1 }, date: date || null };
+      cachedAt = Date.now();
+
+      return cached;
+    },
+  };
+};
+
+/* -------------------------------------------------------------------------
+ * 🔌 PROVEDOR ATIVO
+ * ------------------------------------------------------------------------- */
+
+const PROVIDERS = {
+  static: createStaticProvider,
+  http: createHttpProvider,
+};
+
+if (!PROVIDERS[EXCHANGE_RATE_PROVIDER]) {
+  throw new Error(
+    `EXCHANGE_RATE_PROVIDER inválido. Use: ${Object.keys(PROVIDERS).join(
+      ", "
+    )}.`
+  );
+}
+
+const provider = PROVIDERS[EXCHANGE_RATE_PROVIDER]();
+
+// Cotação de 'from' para 'to': quantas unidades de 'to' vale 1 de 'from'
+const quoteExchangeRate = async (from, to) => {
+  if (!CURRENCY_CODES.includes(from) || !CURRENCY_CODES.includes(to)) {
+    throw new Error("Moeda não suportada para câmbio.");
+  }
+
+  const { rates, date } = await provider.getRates();
+
+  if (!(rates[from] > 0) || !(rates[to] > 0)) {
+    throw new Error(`Cotação indisponível para ${from}/${to}.`);
+  }
+
+  return {
+    from,
+    to,
+    rate: from === to ? 1 : roundRate(rates[to] / rates[from]),
+    provider: EXCHANGE_RATE_PROVIDER,
+    rateDate: date,
+    quotedAt: new Date().toISOString(),
+  };
+};
+
+// Conversão de um valor (em unidades menores) com a cotação do momento.
+// O resultado é o registro de câmbio gravado na transferência.
+const quoteConversion = async (amountMinor, from, to) => {
+  const quote = await quoteExchangeRate(from, to);
+
+  return {
+    ...quote,
+    sourceAmountMinor: amountMinor,
+    targetAmountMinor: convertMinorUnits(amountMinor, from, to, quote.rate),
+  };
+};
+
+// Câmbio do estorno: o caminho inverso com os mesmos valores da
+// transferência original (sem nova cotação, o estorno devolve o que entrou)
+const reverseConversion = (exchange) => ({
+  from: exchange.to,
+  to: exchange.from,
+  rate: roundRate(1 / exchange.rate),
+  provider: exchange.provider,
+  rateDate: exchange.rateDate || null,
+  quotedAt: exchange.quotedAt,
+  sourceAmountMinor: exchange.targetAmountMinor,
+  targetAmountMinor: exchange.sourceAmountMinor,
+});
+
+module.exports = {
+  EXCHANGE_RATE_PROVIDER,
+  quoteExchangeRate,
+  quoteConversion,
+  reverseConversion,
+};
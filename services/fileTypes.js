@@ -0,0 +1,55 @@
+/* =========================================================================
+ * 🔍 IDENTIFICAÇÃO DO TIPO DE ARQUIVO
+ * O tipo é detectado pelos primeiros bytes do conteúdo ("magic bytes"),
+ * nunca pela extensão ou pelo Content-Type informado pelo cliente.
+ * ========================================================================= */
+
+const FILE_SIGNATURES = [
+  { mimeType: "application/pdf", extension: ".pdf", bytes: "%PDF-" },
+  { mimeType: "image/jpeg", extension: ".jpg", bytes: [0xff, 0xd8, 0xff] },
+  {
+    mimeType: "image/png",
+    extension: ".png",
+    bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+  },
+  { mimeType: "image/gif", extension: ".gif", bytes: "GIF87a" },
+  { mimeType: "image/gif", extension: ".gif", bytes: "GIF89a" },
+  // "RIFF" + tamanho (4 bytes) + "WEBP"
+  { mimeType: "image/webp", extension: ".webp", bytes: "WEBP", offset: 8 },
+];
+
+// Bytes necessários para reconhecer qualquer assinatura acima
+const SNIFF_LENGTH = 12;
+
+// Lista de tipos aceitos (UPLOAD_ALLOWED_MIME_TYPES, separados por vírgula)
+const ALLOWED_MIME_TYPES = process.env.UPLOAD_ALLOWED_MIME_TYPES
+  ? process.env.UPLOAD_ALLOWED_MIME_TYPES.split(",").map((type) => type.trim())
+  : ["application/pdf", "image/jpeg", "image/png", "image/webp"];
+
+const matchesSignature = (head, { bytes, offset = 0 }) => {
+  const signature = Buffer.from(bytes);
+
+  return (
+    head.length >= offset + signature.length &&
+    head.subarray(offset, offset + signature.length).equals(signature)
+  );
+};
+
+// Retorna { mimeType, extension } ou null se o formato não for reconhecido
+const detectFileType = (head) => {
+  const match = FILE_SIGNATURES.find((signature) =>
+    matchesSignature(head, signature)
+  );
+
+  if (!match) return null;
+  if (
+    match.mimeType === "image/webp" &&
+    !matchesSignature(head, { bytes: "RIFF" })
+  ) {
+    return null;
+  }
+
+  return { mimeType: match.mimeType, extension: match.extension };
+};
+
+module.exports = { SNIFF_LENGTH, ALLOWED_MIME_TYPES, detectFileType };
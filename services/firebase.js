@@ -0,0 +1,18 @@
+/* =========================================================================
+ * 🚀 INICIALIZAÇÃO DO FIREBASE ADMIN
+ * Compartilhada entre a API (index.js) e os scripts de linha de comando.
+ * ========================================================================= */
+require("dotenv").config();
+
+const admin = require("firebase-admin");
+
+// Arquivo de Permissões (Certifique-se de que o arquivo está na raiz)
+const serviceAccount = require("../permisions.json");
+
+admin.initializeApp({
+  credential: admin.credential.cert(serviceAccount),
+});
+
+const database = admin.firestore();
+
+module.exports = { admin, database };
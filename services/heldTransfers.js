@@ -0,0 +1,207 @@
+/* =========================================================================
+ * ⏸️ TRANSFERÊNCIAS RETIDAS PARA ANÁLISE
+ * Transferências que a análise de risco marcou como 'review' ficam em
+ * 'heldTransfers' com o valor já debitado da origem e reservado na conta
+ * de retenção do livro-razão. A equipe aprova (o valor segue ao destino)
+ * ou recusa (o valor volta à origem).
+ * ========================================================================= */
+const { database } = require("./firebase");
+const {
+  SYSTEM_ACCOUNTS,
+  postJournalEntry,
+  transferPostings,
+} = require("./journal");
+const {
+  fromMinorUnits,
+  accountBalanceMinor,
+  balanceFields,
+  recordCurrency,
+  recordAmountMinor,
+} = require("./money");
+const { findAccountRef, writeTransferRecords } = require("./transfers");
+const { discardAttachmentFile } = require("./attachments");
+const { publishBalanceChange } = require("./webhooks");
+
+const HELD_STATUSES = ["pending_review", "approved", "rejected"];
+
+const heldRef = (heldTransferId) =>
+  database.collection("heldTransfers").doc(heldTransferId);
+
+// Lista transferências retidas (mais recentes primeiro).
+// Sem 'userId' lista as de todos os clientes (uso da equipe).
+const listHeldTransfers = async ({
+  userId,
+  status,
+  itemsPerPage = 50,
+  lastItemId,
+}) => {
+  let query = database.collection("heldTransfers");
+
+  if (userId) query = query.where("userId", "==", userId);
+  if (status) query = query.where("status", "==", status);
+
+  query = query.orderBy("createdAt", "desc");
+
+  if (lastItemId) {
+    const cursorDoc = await heldRef(lastItemId).get();
+    if (cursorDoc.exists) query = query.startAfter(cursorDoc);
+  }
+
+  const snapshot = await query.limit(itemsPerPage).get();
+  const lastDoc = snapshot.docs[snapshot.docs.length - 1];
+
+  return {
+    data: snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() })),
+    pagination: {
+      itemsPerPage,
+      nextCursorId: lastDoc ? lastDoc.id : null,
+      hasMore: snapshot.docs.length === itemsPerPage,
+    },
+  };
+};
+
+// Lê a transferência retida dentro da transação e garante que ainda
+// aguarda decisão (duas decisões simultâneas nunca movem o valor duas vezes)
+const getPendingHeld = async (transaction, heldTransferId) => {
+  const heldDoc = await transaction.get(heldRef(heldTransferId));
+
+  if (!heldDoc.exists) {
+    throw new Error("Transferência retida não encontrada.");
+  }
+
+  if (heldDoc.data().status !== "pending_review") {
+    throw new Error("Esta transferência já foi analisada.");
+  }
+
+  return heldDoc.data();
+};
+
+const findHeldAccountRef = async (heldTransferId, field) => {
+  const heldDoc = await heldRef(heldTransferId).get();
+
+  if (!heldDoc.exists) {
+    throw new Error("Transferência retida não encontrada.");
+  }
+
+  const accountRef = await findAccountRef(heldDoc.data()[field]);
+
+  if (!accountRef) {
+    throw new Error("Conta bancária da transferência retida não encontrada.");
+  }
+
+  return accountRef;
+};
+
+// Libera a transferência: credita o destino e grava o par de registros
+// como numa transferência comum, com 'heldTransferId' nos dois
+const approveHeldTransfer = async ({ heldTransferId, reviewerUid, note }) => {
+  const toAccountRef = await findHeldAccountRef(
+    heldTransferId,
+    "toAccountNumber"
+  );
+
+  return database.runTransaction(async (transaction) => {
+    const held = await getPendingHeld(transaction, heldTransferId);
+    const toDoc = await transaction.get(toAccountRef);
+
+    // O câmbio cotado na retenção é o aplicado na liberação
+    const amountMinor = recordAmountMinor(held);
+    const currency = recordCurrency(held);
+    const creditMinor = held.exchange
+      ? held.exchange.targetAmountMinor
+      : amountMinor;
+    const creditCurrency = held.exchange ? held.exchange.to : currency;
+    const balanceMinor = accountBalanceMinor(toDoc.data()) + creditMinor;
+
+    transaction.update(
+      toAccountRef,
+      balanceFields(balanceMinor, creditCurrency)
+    );
+    publishBalanceChange(transaction, {
+      userId: toDoc.data().associatedUser,
+      bankAccountNumber: held.toAccountNumber,
+      balance: fromMinorUnits(balanceMinor, creditCurrency),
+      change: fromMinorUnits(creditMinor, creditCurrency),
+      currency: creditCurrency,
+      reason: "transfer",
+    });
+
+    const records = writeTransferRecords(transaction, {
+      ...held,
+      amountMinor,
+      currency,
+      exchange: held.exchange || null,
+      metadata: { ...held.metadata, heldTransferId },
+      debitAccount: SYSTEM_ACCOUNTS.HELD_TRANSFERS,
+    });
+
+    transaction.update(heldRef(heldTransferId), {
+      status: "approved",
+      reviewedBy: reviewerUid,
+      reviewedAt: new Date(),
+      reviewNote: note || null,
+      transferId: records.senderId,
+    });
+
+    return records;
+  });
+};
+
+// Recusa a transferência: o valor volta à conta de origem. O consumo de
+// limite não é devolvido, como numa transferência estornada.
+const rejectHeldTransfer = async ({ heldTransferId, reviewerUid, reason }) => {
+  const fromAccountRef = await findHeldAccountRef(
+    heldTransferId,
+    "fromAccountNumber"
+  );
+
+  const held = await database.runTransaction(async (transaction) => {
+    const pending = await getPendingHeld(transaction, heldTransferId);
+    const fromDoc = await transaction.get(fromAccountRef);
+
+    const amountMinor = recordAmountMinor(pending);
+    const currency = recordCurrency(pending);
+    const balanceMinor = accountBalanceMinor(fromDoc.data()) + amountMinor;
+
+    transaction.update(fromAccountRef, balanceFields(balanceMinor, currency));
+    publishBalanceChange(transaction, {
+      userId: fromDoc.data().associatedUser,
+      bankAccountNumber: pending.fromAccountNumber,
+      balance: fromMinorUnits(balanceMinor, currency),
+      change: fromMinorUnits(amountMinor, currency),
+      currency,
+      reason: "transfer.rejected",
+    });
+
+    postJournalEntry(transaction, {
+      type: "transfer_hold_release",
+      description: "Devolução de transferência recusada na análise de risco",
+      postings: transferPostings(
+        SYSTEM_ACCOUNTS.HELD_TRANSFERS,
+        pending.fromAccountNumber,
+        amountMinor,
+        currency
+      ),
+      reference: { heldTransferId },
+    });
+
+    transaction.update(heldRef(heldTransferId), {
+      status: "rejected",
+      reviewedBy: reviewerUid,
+      reviewedAt: new Date(),
+      reviewNote: reason || null,
+    });
+
+    return pending;
+  });
+
+  // O anexo nunca chegou a ser vinculado a uma transferência
+  if (held.attachment) await discardAttachmentFile(held.attachment);
+};
+
+module.exports = {
+  HELD_STATUSES,
+  listHeldTransfers,
+  approveHeldTransfer,
+  rejectHeldTransfer,
+};
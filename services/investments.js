@@ -0,0 +1,518 @@
+/* =========================================================================
+ * 📈 INVESTIMENTOS
+ * Catálogo de produtos ('investmentProducts'), aplicação a partir da conta
+ * bancária, rendimento diário e resgate de volta para a conta.
+ *
+ * Tipos de produto:
+ *  - fixed_rate:     'rate' é a taxa anual (0.12 = 12% a.a.)
+ *  - cdi_percentage: 'rate' é o percentual do CDI (1.1 = 110% do CDI)
+ *  - savings:        'rate' é a taxa anual, creditada apenas a cada
+ *                    aniversário mensal e isenta de imposto de renda
+ *
+ * Os produtos são em reais: só contas em BRL aplicam e resgatam.
+ * Os valores do investimento são gravados em centavos ('principalMinor',
+ * 'grossValueMinor', 'accruedYieldMinor'), com os decimais como espelho.
+ * O rendimento é um fator acumulado ('accrualFactor') sobre o valor
+ * aplicado desde o último resgate ('accrualBaseMinor'), então o
+ * arredondamento diário para centavos nunca perde rendimento.
+ * ========================================================================= */
+const { database } = require("./firebase");
+const { findAccountRef } = require("./transfers");
+const {
+  SYSTEM_ACCOUNTS,
+  postJournalEntry,
+  posting,
+  transferPostings,
+} = require("./journal");
+const {
+  DEFAULT_CURRENCY,
+  toMinorUnits,
+  fromMinorUnits,
+  accountCurrency,
+  accountBalanceMinor,
+  balanceFields,
+} = require("./money");
+const { publishEvent, publishBalanceChange } = require("./webhooks");
+
+const PRODUCT_TYPES = ["fixed_rate", "cdi_percentage", "savings"];
+const LIQUIDITY_TYPES = ["daily", "maturity"];
+
+// Taxa anual de referência do CDI usada nos produtos pós-fixados
+const CDI_ANNUAL_RATE = parseFloat(process.env.CDI_ANNUAL_RATE) || 0.149;
+
+// Simulação do IR regressivo sobre o rendimento (INVESTMENT_INCOME_TAX=false desliga)
+const INCOME_TAX_ENABLED = process.env.INVESTMENT_INCOME_TAX !== "false";
+const INCOME_TAX_BRACKETS = [
+  { maxDays: 180, rate: 0.225 },
+  { maxDays: 360, rate: 0.2 },
+  { maxDays: 720, rate: 0.175 },
+  { maxDays: Infinity, rate: 0.15 },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDate = (value) => {
+  if (!value) return null;
+  return value.toDate ? value.toDate() : new Date(value);
+};
+
+const effectiveAnnualRate = (investment) =>
+  investment.productType === "cdi_percentage"
+    ? investment.rate * CDI_ANNUAL_RATE
+    : investment.rate;
+
+const monthsBetween = (start, end) => {
+  let months =
+    (end.getFullYear() - start.getFullYear()) * 12 +
+    (end.getMonth() - start.getMonth());
+
+  if (end.getDate() < start.getDate()) months--;
+  return Math.max(months, 0);
+};
+
+// Valores do investimento em centavos. Investimentos anteriores aos campos
+// inteiros têm só os decimais: o valor bruto atual vira a base do rendimento.
+const investmentValuesMinor = (investment) => {
+  if (Number.isInteger(investment.grossValueMinor)) {
+    return {
+      principalMinor: investment.principalMinor,
+      accrualBaseMinor: investment.accrualBaseMinor,
+      accrualFactor: investment.accrualFactor,
+    };
+  }
+
+  return {
+    principalMinor: toMinorUnits(investment.principal || 0),
+    accrualBaseMinor: toMinorUnits(investment.grossValue || 0),
+    accrualFactor: 1,
+  };
+};
+
+// Campos de valor gravados no investimento (centavos e espelhos decimais)
+const investmentValueFields = ({
+  principalMinor,
+  accrualBaseMinor,
+  accrualFactor,
+}) => {
+  const grossValueMinor = Math.round(accrualBaseMinor * accrualFactor);
+  const accruedYieldMinor = grossValueMinor - principalMinor;
+
+  return {
+    principalMinor,
+    grossValueMinor,
+    accruedYieldMinor,
+    accrualBaseMinor,
+    accrualFactor,
+    principal: fromMinorUnits(principalMinor),
+    grossValue: fromMinorUnits(grossValueMinor),
+    accruedYield: fromMinorUnits(accruedYieldMinor),
+    currency: DEFAULT_CURRENCY,
+  };
+};
+
+// Campos atualizados pelo rendimento acumulado até 'now' (ou null se nada
+// mudou). Produtos com vencimento param de render na data de vencimento.
+const accrueInvestment = (investment, now = new Date()) => {
+  const maturityDate = toDate(investment.maturityDate);
+  const until = maturityDate && maturityDate < now ? maturityDate : now;
+  const annualRate = effectiveAnnualRate(investment);
+  let factor;
+  let progress;
+
+  if (investment.productType === "savings") {
+    const months = monthsBetween(toDate(investment.appliedAt), until);
+    const newMonths = months - (investment.accruedMonths || 0);
+
+    if (newMonths < 1) return null;
+
+    factor = Math.pow(1 + annualRate, newMonths / 12);
+    progress = { accruedMonths: months, lastAccruedAt: until };
+  } else {
+    const lastAccruedAt = toDate(investment.lastAccruedAt);
+    const days = Math.floor((until - lastAccruedAt) / DAY_MS);
+
+    if (days < 1) return null;
+
+    factor = Math.pow(1 + annualRate, days / 365);
+    progress = {
+      lastAccruedAt: new Date(lastAccruedAt.getTime() + days * DAY_MS),
+    };
+  }
+
+  const values = investmentValuesMinor(investment);
+
+  return {
+    ...progress,
+    ...investmentValueFields({
+      ...values,
+      accrualFactor: values.accrualFactor * factor,
+    }),
+  };
+};
+
+const incomeTaxRate = (investment, now = new Date()) => {
+  if (!INCOME_TAX_ENABLED || investment.productType === "savings") return 0;
+
+  const daysHeld = Math.floor((now - toDate(investment.appliedAt)) / DAY_MS);
+  return INCOME_TAX_BRACKETS.find((bracket) => daysHeld <= bracket.maxDays)
+    .rate;
+};
+
+// Valida e normaliza o corpo de criação/edição de produto.
+// Retorna { error } ou { data }.
+const parseProductInput = (input, { partial = false } = {}) => {
+  const data = {};
+  const has = (field) => input[field] !== undefined;
+
+  if (!partial || has("name")) {
+    if (!input.name) return { error: "Nome do produto não informado." };
+    data.name = input.name;
+  }
+
+  if (!partial || has("type")) {
+    if (!PRODUCT_TYPES.includes(input.type)) {
+      return {
+        error: `Tipo de produto inválido. Use: ${PRODUCT_TYPES.join(", ")}.`,
+      };
+    }
+    data.type = input.type;
+  }
+
+  if (!partial || has("rate")) {
+    const rate = parseFloat(input.rate);
+    if (!(rate > 0)) return { error: "A taxa deve ser maior que zero." };
+    data.rate = rate;
+  }
+
+  if (!partial || has("liquidity")) {
+    const liquidity = input.liquidity || "daily";
+    if (!LIQUIDITY_TYPES.includes(liquidity)) {
+      return {
+        error: `Liquidez inválida. Use: ${LIQUIDITY_TYPES.join(", ")}.`,
+      };
+    }
+    data.liquidity = liquidity;
+  }
+
+  if (!partial || has("termDays")) {
+    const termDays = input.termDays === undefined ? null : input.termDays;
+    if (termDays !== null && (!Number.isInteger(termDays) || termDays < 1)) {
+      return { error: "O prazo deve ser um número inteiro de dias." };
+    }
+    data.termDays = termDays;
+  }
+
+  if (data.liquidity === "maturity" && !data.termDays) {
+    return { error: "Produtos com liquidez no vencimento exigem prazo." };
+  }
+
+  if (!partial || has("minimumAmount")) {
+    const minimumAmount = parseFloat(input.minimumAmount || 0);
+    if (!(minimumAmount >= 0)) {
+      return { error: "O valor mínimo não pode ser negativo." };
+    }
+    data.minimumAmount = minimumAmount;
+  }
+
+  if (!partial || has("active")) {
+    data.active = input.active !== false;
+  }
+
+  return { data };
+};
+
+// Aplicação: debita a conta e cria o investimento na mesma transação
+const applyInvestment = async ({
+  userId,
+  productId,
+  bankAccountNumber,
+  amount,
+}) => {
+  const accountRef = await findAccountRef(bankAccountNumber);
+
+  if (!accountRef) {
+    throw new Error("Conta bancária não encontrada.");
+  }
+
+  const productRef = database.collection("investmentProducts").doc(productId);
+  const amountMinor = toMinorUnits(amount);
+  const applicationAmount = fromMinorUnits(amountMinor);
+
+  return database.runTransaction(async (transaction) => {
+    const productDoc = await transaction.get(productRef);
+    const accountDoc = await transaction.get(accountRef);
+
+    if (!productDoc.exists || productDoc.data().active === false) {
+      throw new Error("Produto de investimento não encontrado.");
+    }
+
+    if (accountDoc.data().associatedUser !== userId) {
+      throw new Error(
+        "Permissão negada. Você não é o dono da conta de origem."
+      );
+    }
+
+    const product = productDoc.data();
+
+    if (applicationAmount < (product.minimumAmount || 0)) {
+      throw new Error(
+        `O valor mínimo para este produto é ${product.minimumAmount}.`
+      );
+    }
+
+    if (accountCurrency(accountDoc.data()) !== DEFAULT_CURRENCY) {
+      throw new Error("Investimentos só podem ser feitos com contas em BRL.");
+    }
+
+    const balanceMinor = accountBalanceMinor(accountDoc.data()) - amountMinor;
+
+    if (balanceMinor < 0) {
+      throw new Error("Saldo insuficiente para realizar a aplicação.");
+    }
+
+    transaction.update(
+      accountRef,
+      balanceFields(balanceMinor, DEFAULT_CURRENCY)
+    );
+    publishBalanceChange(transaction, {
+      userId,
+      bankAccountNumber,
+      balance: fromMinorUnits(balanceMinor),
+      change: -applicationAmount,
+      reason: "investment.application",
+    });
+
+    const now = new Date();
+    const investmentRef = database.collection("investments").doc();
+    const investmentData = {
+      associatedUser: userId,
+      bankAccountNumber,
+      productId,
+      productName: product.name,
+      productType: product.type,
+      rate: product.rate,
+      liquidity: product.liquidity,
+      maturityDate: product.termDays
+        ? new Date(now.getTime() + product.termDays * DAY_MS)
+        : null,
+      ...investmentValueFields({
+        principalMinor: amountMinor,
+        accrualBaseMinor: amountMinor,
+        accrualFactor: 1,
+      }),
+      accruedMonths: 0,
+      status: "active",
+      appliedAt: now,
+      lastAccruedAt: now,
+      createdAt: now,
+    };
+
+    transaction.set(investmentRef, investmentData);
+
+    postJournalEntry(transaction, {
+      type: "investment_application",
+      description: `Aplicação em ${product.name}`,
+      postings: transferPostings(
+        bankAccountNumber,
+        SYSTEM_ACCOUNTS.INVESTMENTS,
+        amountMinor
+      ),
+      reference: { investmentId: investmentRef.id },
+    });
+
+    return { id: investmentRef.id, ...investmentData };
+  });
+};
+
+// Resgate total (sem 'amount') ou parcial. O IR incide apenas sobre a parte
+// do rendimento proporcional ao valor resgatado.
+const redeemInvestment = async ({ userId, investmentId, amount }) => {
+  const investmentRef = database.collection("investments").doc(investmentId);
+  const snapshot = await investmentRef.get();
+
+  if (!snapshot.exists) {
+    throw new Error("Investimento não encontrado.");
+  }
+
+  const accountRef = await findAccountRef(snapshot.data().bankAccountNumber);
+
+  if (!accountRef) {
+    throw new Error("Conta bancária não encontrada.");
+  }
+
+  return database.runTransaction(async (transaction) => {
+    const investmentDoc = await transaction.get(investmentRef);
+    const accountDoc = await transaction.get(accountRef);
+    const investment = investmentDoc.data();
+    const now = new Date();
+
+    if (investment.associatedUser !== userId) {
+      throw new Error(
+        "Permissão negada. Este investimento não pertence ao seu usuário."
+      );
+    }
+
+    if (investment.status !== "active") {
+      throw new Error("Este investimento já foi resgatado.");
+    }
+
+    if (
+      investment.liquidity === "maturity" &&
+      now < toDate(investment.maturityDate)
+    ) {
+      throw new Error("Este investimento só pode ser resgatado no vencimento.");
+    }
+
+    const accrued = { ...investment, ...accrueInvestment(investment, now) };
+    const values = investmentValueFields(investmentValuesMinor(accrued));
+
+    // Resgate total só quando o pedido cobre o saldo inteiro, em centavos:
+    // um resgate parcial nunca zera o que sobra no investimento
+    const remainingMinor = values.grossValueMinor;
+    const grossMinor =
+      amount === undefined ? remainingMinor : toMinorUnits(amount);
+
+    if (!(grossMinor > 0) || grossMinor > remainingMinor) {
+      throw new Error("Valor de resgate inválido para este investimento.");
+    }
+
+    const isFullRedemption = grossMinor === remainingMinor;
+    const fraction = isFullRedemption ? 1 : grossMinor / remainingMinor;
+    const yieldMinor = Math.round(
+      Math.max(values.accruedYieldMinor, 0) * fraction
+    );
+    const taxRate = incomeTaxRate(investment, now);
+    // Líquido = bruto - IR, exato em centavos
+    const incomeTaxMinor = Math.round(yieldMinor * taxRate);
+    const netMinor = grossMinor - incomeTaxMinor;
+    const netAmount = fromMinorUnits(netMinor);
+
+    // O que sobra volta a render a partir de agora (fator 1)
+    transaction.update(investmentRef, {
+      ...investmentValueFields({
+        principalMinor: Math.round(values.principalMinor * (1 - fraction)),
+        accrualBaseMinor: remainingMinor - grossMinor,
+        accrualFactor: 1,
+      }),
+      accruedMonths: accrued.accruedMonths || 0,
+      lastAccruedAt: accrued.lastAccruedAt,
+      status: isFullRedemption ? "redeemed" : "active",
+      redeemedAt: isFullRedemption ? now : null,
+    });
+
+    const balanceMinor = accountBalanceMinor(accountDoc.data()) + netMinor;
+
+    transaction.update(
+      accountRef,
+      balanceFields(balanceMinor, DEFAULT_CURRENCY)
+    );
+    publishBalanceChange(transaction, {
+      userId,
+      bankAccountNumber: investment.bankAccountNumber,
+      balance: fromMinorUnits(balanceMinor),
+      change: netAmount,
+      reason: "investment.redemption",
+    });
+
+    const redemption = {
+      grossAmountMinor: grossMinor,
+      grossAmount: fromMinorUnits(grossMinor),
+      yieldAmountMinor: yieldMinor,
+      yieldAmount: fromMinorUnits(yieldMinor),
+      incomeTaxRate: taxRate,
+      incomeTaxMinor,
+      incomeTax: fromMinorUnits(incomeTaxMinor),
+      netAmountMinor: netMinor,
+      netAmount,
+      currency: DEFAULT_CURRENCY,
+      bankAccountNumber: investment.bankAccountNumber,
+      fullRedemption: isFullRedemption,
+      createdAt: now,
+    };
+
+    transaction.set(investmentRef.collection("redemptions").doc(), redemption);
+
+    const postings = [
+      posting(
+        SYSTEM_ACCOUNTS.INVESTMENTS,
+        "debit",
+        grossMinor,
+        DEFAULT_CURRENCY
+      ),
+      posting(
+        investment.bankAccountNumber,
+        "credit",
+        netMinor,
+        DEFAULT_CURRENCY
+      ),
+    ];
+
+    if (incomeTaxMinor > 0) {
+      postings.push(
+        posting(
+          SYSTEM_ACCOUNTS.INCOME_TAX,
+          "credit",
+          incomeTaxMinor,
+          DEFAULT_CURRENCY
+        )
+      );
+    }
+
+    postJournalEntry(transaction, {
+      type: "investment_redemption",
+      description: `Resgate de ${investment.productName}`,
+      postings,
+      reference: { investmentId },
+    });
+
+    publishEvent(transaction, {
+      userId,
+      type: "investment.redeemed",
+      data: {
+        investmentId,
+        productName: investment.productName,
+        ...redemption,
+        createdAt: now.toISOString(),
+      },
+    });
+
+    return redemption;
+  });
+};
+
+// Job diário: atualiza o rendimento de todos os investimentos ativos
+const accrueAllInvestments = async (now = new Date()) => {
+  const snapshot = await database
+    .collection("investments")
+    .where("status", "==", "active")
+    .get();
+  let updated = 0;
+
+  for (const doc of snapshot.docs) {
+    const changed = await database.runTransaction(async (transaction) => {
+      const investmentDoc = await transaction.get(doc.ref);
+      const investment = investmentDoc.data();
+
+      if (investment.status !== "active") return false;
+
+      const accrual = accrueInvestment(investment, now);
+      if (!accrual) return false;
+
+      transaction.update(doc.ref, accrual);
+      return true;
+    });
+
+    if (changed) updated++;
+  }
+
+  return { checked: snapshot.size, updated };
+};
+
+module.exports = {
+  PRODUCT_TYPES,
+  LIQUIDITY_TYPES,
+  parseProductInput,
+  applyInvestment,
+  redeemInvestment,
+  accrueAllInvestments,
+};
@@ -0,0 +1,344 @@
+/* =========================================================================
+ * 📒 LIVRO-RAZÃO (PARTIDAS DOBRADAS)
+ * Toda movimentação de dinheiro gera um lançamento em 'journalEntries' com
+ * débitos e créditos de mesmo valor. O saldo de uma conta bancária é uma
+ * obrigação do banco com o cliente: créditos aumentam o saldo e débitos o
+ * diminuem.
+ * Cada partida guarda o valor em unidades menores ('amountMinor') e a moeda;
+ * o lançamento fecha (débitos = créditos) em cada moeda. Transferências
+ * entre moedas passam pelas contas de câmbio do banco.
+ * ========================================================================= */
+const { database } = require("./firebase");
+const {
+  DEFAULT_CURRENCY,
+  toMinorUnits,
+  fromMinorUnits,
+  accountCurrency,
+  accountBalanceMinor,
+  balanceFields,
+} = require("./money");
+
+// Contrapartidas de lançamentos que não são transferências entre clientes
+const SYSTEM_ACCOUNTS = {
+  OPENING_BALANCE: "system:opening-balance",
+  INVESTMENTS: "system:investments",
+  INCOME_TAX: "system:income-tax",
+  HELD_TRANSFERS: "system:held-transfers",
+  EXCHANGE: "system:exchange",
+  // Valores de boletos pagos, a repassar aos bancos e convênios
+  BILL_PAYMENTS: "system:bill-payments",
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Conta de câmbio do banco em cada moeda (ex.: "system:exchange:USD")
+const exchangeAccount = (currency) => `${SYSTEM_ACCOUNTS.EXCHANGE}:${currency}`;
+
+const posting = (account, direction, amountMinor, currency) => ({
+  account,
+  direction,
+  amount: fromMinorUnits(amountMinor, currency),
+  amountMinor,
+  currency,
+});
+
+// Lançamentos anteriores aos valores inteiros só têm 'amount' (em BRL)
+const postingMinor = (entryPosting) =>
+  Number.isInteger(entryPosting.amountMinor)
+    ? entryPosting.amountMinor
+    : toMinorUnits(entryPosting.amount, entryPosting.currency);
+
+// Grava um lançamento usando qualquer objeto com .set(ref, data):
+// uma transação do Firestore (runTransaction) ou um WriteBatch
+const postJournalEntry = (
+  writer,
+  { type, description, postings, reference }
+) => {
+  // Débitos menos créditos por moeda: todas precisam fechar em zero
+  const totals = {};
+
+  postings.forEach((entryPosting) => {
+    if (!Number.isInteger(entryPosting.amountMinor)) {
+      throw new Error("Valor de partida contábil inválido.");
+    }
+
+    totals[entryPosting.currency] =
+      (totals[entryPosting.currency] || 0) +
+      (entryPosting.direction === "debit"
+        ? entryPosting.amountMinor
+        : -entryPosting.amountMinor);
+  });
+
+  if (
+    postings.length < 2 ||
+    Object.values(totals).some((difference) => difference !== 0)
+  ) {
+    throw new Error("Lançamento contábil desbalanceado.");
+  }
+
+  const entryRef = database.collection("journalEntries").doc();
+
+  writer.set(entryRef, {
+    type,
+    description,
+    postings,
+    // Campo auxiliar para consultas com 'array-contains' por conta
+    accounts: [...new Set(postings.map((posting) => posting.account))],
+    reference: reference || null,
+    createdAt: new Date(),
+  });
+
+  return entryRef;
+};
+
+const transferPostings = (
+  fromAccountNumber,
+  toAccountNumber,
+  amountMinor,
+  currency = DEFAULT_CURRENCY
+) => [
+  posting(fromAccountNumber, "debit", amountMinor, currency),
+  posting(toAccountNumber, "credit", amountMinor, currency),
+];
+
+// Transferência com câmbio ('exchange' gravado pela cotação): a origem paga
+// na sua moeda à conta de câmbio, que paga o destino na moeda dele
+const exchangePostings = (fromAccountNumber, toAccountNumber, exchange) => [
+  ...transferPostings(
+    fromAccountNumber,
+    exchangeAccount(exchange.from),
+    exchange.sourceAmountMinor,
+    exchange.from
+  ),
+  ...transferPostings(
+    exchangeAccount(exchange.to),
+    toAccountNumber,
+    exchange.targetAmountMinor,
+    exchange.to
+  ),
+];
+
+// Saldo inicial concedido na abertura da conta
+const postOpeningBalance = (
+  writer,
+  bankAccountNumber,
+  amountMinor,
+  currency = DEFAULT_CURRENCY
+) =>
+  postJournalEntry(writer, {
+    type: "opening_balance",
+    description: "Saldo inicial de abertura de conta",
+    postings: transferPostings(
+      SYSTEM_ACCOUNTS.OPENING_BALANCE,
+      bankAccountNumber,
+      amountMinor,
+      currency
+    ),
+    reference: { bankAccountNumber },
+  });
+
+// Soma o efeito de um lançamento em cada conta envolvida (em unidades
+// menores; uma conta bancária só recebe partidas na sua moeda)
+const applyPostings = (balances, entry) => {
+  entry.postings.forEach((entryPosting) => {
+    const amountMinor = postingMinor(entryPosting);
+    const signedAmount =
+      entryPosting.direction === "credit" ? amountMinor : -amountMinor;
+
+    balances[entryPosting.account] =
+      (balances[entryPosting.account] || 0) + signedAmount;
+  });
+
+  return balances;
+};
+
+// Lançamentos que fixam o ponto de partida de uma conta no livro-razão
+const ANCHOR_ENTRY_TYPES = ["opening_balance", "migration"];
+
+// Saldos por conta e as contas com lançamento de abertura ou migração
+const computeJournalBalances = async () => {
+  const balances = {};
+  const anchored = new Set();
+
+  for await (const doc of database.collection("journalEntries").stream()) {
+    const entry = doc.data();
+    applyPostings(balances, entry);
+
+    if (ANCHOR_ENTRY_TYPES.includes(entry.type)) {
+      entry.accounts.forEach((account) => anchored.add(account));
+    }
+  }
+
+  return { balances, anchored };
+};
+
+const accountEntries = (transaction, bankAccountNumber) =>
+  transaction.get(
+    database
+      .collection("journalEntries")
+      .where("accounts", "array-contains", bankAccountNumber)
+  );
+
+const hasAnchorEntry = (entriesSnapshot) =>
+  entriesSnapshot.docs.some((doc) =>
+    ANCHOR_ENTRY_TYPES.includes(doc.data().type)
+  );
+
+// Lança a diferença entre o saldo gravado e o do livro-razão como
+// "migration": a parte do saldo anterior ao livro-razão. Contas que já têm
+// abertura ou migração são ignoradas. Devolve o valor migrado ou null.
+const postMigrationEntry = (accountRef) =>
+  database.runTransaction(async (transaction) => {
+    const accountDoc = await transaction.get(accountRef);
+    const account = accountDoc.data();
+    const { bankAccountNumber } = account;
+    const currency = accountCurrency(account);
+    const entriesSnapshot = await accountEntries(
+      transaction,
+      bankAccountNumber
+    );
+
+    if (hasAnchorEntry(entriesSnapshot)) return null;
+
+    const balances = entriesSnapshot.docs.reduce(
+      (acc, doc) => applyPostings(acc, doc.data()),
+      {}
+    );
+    const legacyMinor =
+      accountBalanceMinor(account) - (balances[bankAccountNumber] || 0);
+
+    // Saldo zero também é lançado: marca a conta como migrada
+    postJournalEntry(transaction, {
+      type: "migration",
+      description: "Migração do saldo existente para o livro-razão",
+      postings:
+        legacyMinor >= 0
+          ? transferPostings(
+              SYSTEM_ACCOUNTS.OPENING_BALANCE,
+              bankAccountNumber,
+              legacyMinor,
+              currency
+            )
+          : transferPostings(
+              bankAccountNumber,
+              SYSTEM_ACCOUNTS.OPENING_BALANCE,
+              -legacyMinor,
+              currency
+            ),
+      reference: { bankAccountNumber },
+    });
+
+    return fromMinorUnits(legacyMinor, currency);
+  });
+
+// Migração única (npm run backfill-journal), feita no deploy do
+// livro-razão: toda conta sem abertura recebe o lançamento de migração
+const backfillJournal = async () => {
+  const summary = { checked: 0, migrated: 0 };
+
+  for await (const doc of database.collection("bankAccounts").stream()) {
+    summary.checked++;
+    if ((await postMigrationEntry(doc.ref)) !== null) summary.migrated++;
+  }
+
+  return summary;
+};
+
+// Corrige uma conta dentro de uma transação, recalculando o saldo a partir
+// dos lançamentos lidos no mesmo instante. Sem abertura ou migração, o
+// livro-razão não conhece o saldo anterior a ele: a conta é recusada em vez
+// de ter o saldo sobrescrito (rode antes npm run backfill-journal).
+const repairAccount = (accountRef) =>
+  database.runTransaction(async (transaction) => {
+    const accountDoc = await transaction.get(accountRef);
+    const account = accountDoc.data();
+    const { bankAccountNumber } = account;
+    const currency = accountCurrency(account);
+    const entriesSnapshot = await accountEntries(
+      transaction,
+      bankAccountNumber
+    );
+
+    if (!hasAnchorEntry(entriesSnapshot)) {
+      throw new Error(
+        "Conta sem lançamento de abertura ou migração: rode npm run backfill-journal antes de corrigir."
+      );
+    }
+
+    const balances = entriesSnapshot.docs.reduce(
+      (acc, doc) => applyPostings(acc, doc.data()),
+      {}
+    );
+    const journalBalanceMinor = balances[bankAccountNumber] || 0;
+
+    transaction.update(
+      accountRef,
+      balanceFields(journalBalanceMinor, currency)
+    );
+
+    return fromMinorUnits(journalBalanceMinor, currency);
+  });
+
+// Compara o saldo de cada conta bancária com o saldo derivado do livro-razão.
+// Contas sem abertura ou migração aparecem como "unjournaled" e não são
+// corrigidas.
+const reconcileAccounts = async ({ repair = false } = {}) => {
+  const { balances: journalBalances, anchored } =
+    await computeJournalBalances();
+  const accountsSnapshot = await database.collection("bankAccounts").get();
+  const mismatches = [];
+
+  for (const doc of accountsSnapshot.docs) {
+    const account = doc.data();
+    const { bankAccountNumber } = account;
+    const currency = accountCurrency(account);
+    const storedBalanceMinor = accountBalanceMinor(account);
+    const isAnchored = anchored.has(bankAccountNumber);
+    const journalBalanceMinor = journalBalances[bankAccountNumber] || 0;
+
+    // Valores inteiros: qualquer diferença é uma divergência
+    if (isAnchored && storedBalanceMinor === journalBalanceMinor) continue;
+
+    const mismatch = {
+      accountId: doc.id,
+      bankAccountNumber,
+      currency,
+      status: isAnchored ? "mismatch" : "unjournaled",
+      storedBalance: fromMinorUnits(storedBalanceMinor, currency),
+      journalBalance: fromMinorUnits(journalBalanceMinor, currency),
+      difference: fromMinorUnits(
+        storedBalanceMinor - journalBalanceMinor,
+        currency
+      ),
+      repaired: false,
+    };
+
+    if (repair && isAnchored) {
+      mismatch.repairedBalance = await repairAccount(doc.ref);
+      mismatch.repaired = true;
+    }
+
+    mismatches.push(mismatch);
+  }
+
+  return {
+    checkedAt: new Date().toISOString(),
+    totalAccounts: accountsSnapshot.size,
+    matchedAccounts: accountsSnapshot.size - mismatches.length,
+    repair,
+    mismatches,
+  };
+};
+
+module.exports = {
+  SYSTEM_ACCOUNTS,
+  roundAmount,
+  posting,
+  postingMinor,
+  postJournalEntry,
+  transferPostings,
+  exchangePostings,
+  postOpeningBalance,
+  backfillJournal,
+  reconcileAccounts,
+};
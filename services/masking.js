@@ -0,0 +1,31 @@
+/* =========================================================================
+ * 🙈 MASCARAMENTO DE DADOS PESSOAIS
+ * Usado sempre que dados de um terceiro (ex.: o recebedor) são exibidos.
+ * ========================================================================= */
+
+// "Maria da Silva" -> "Maria d* S****"
+const maskName = (name) => {
+  if (!name) return null;
+
+  const [firstName, ...otherNames] = name.trim().split(/\s+/);
+  const maskedNames = otherNames.map(
+    (part) => `${part[0]}${"*".repeat(part.length - 1)}`
+  );
+
+  return [firstName, ...maskedNames].join(" ");
+};
+
+// Mostra apenas os 4 últimos caracteres do número da conta
+const maskAccountNumber = (bankAccountNumber) => {
+  if (!bankAccountNumber) return null;
+  return `****${String(bankAccountNumber).slice(-4)}`;
+};
+
+// "12345678909" -> "***.456.789-**" (padrão do Banco Central)
+const maskCpf = (cpf) => {
+  const digits = String(cpf || "").replace(/\D/g, "");
+  if (digits.length !== 11) return null;
+  return `***.${digits.slice(3, 6)}.${digits.slice(6, 9)}-**`;
+};
+
+module.exports = { maskName, maskAccountNumber, maskCpf };
@@ -0,0 +1,128 @@
+/* =========================================================================
+ * 🪙 VALORES MONETÁRIOS EM CENTAVOS
+ * Saldos, valores de transferências e lançamentos são gravados em unidades
+ * menores inteiras ('balanceMinor', 'amountMinor') junto do código da moeda
+ * ('currency'). Toda conta é feita com esses inteiros; os campos decimais
+ * ('balance', 'amount') continuam gravados apenas como espelho para leitura
+ * e são sempre derivados do valor inteiro.
+ * Documentos anteriores à migração (npm run migrate-money) não têm os
+ * campos inteiros: o valor é convertido do decimal e a moeda é BRL.
+ * ========================================================================= */
+const { database } = require("./firebase");
+
+const CURRENCIES = {
+  BRL: { name: "Real brasileiro", minorUnits: 2 },
+  USD: { name: "Dólar americano", minorUnits: 2 },
+  EUR: { name: "Euro", minorUnits: 2 },
+};
+
+const CURRENCY_CODES = Object.keys(CURRENCIES);
+const DEFAULT_CURRENCY = "BRL";
+
+const minorFactor = (currency) => 10 ** CURRENCIES[currency].minorUnits;
+
+// 10.1 -> 1010. toPrecision corrige a representação binária antes do
+// arredondamento (1.005 * 100 = 100.49999999999999)
+const toMinorUnits = (amount, currency = DEFAULT_CURRENCY) =>
+  Math.round(
+    parseFloat((parseFloat(amount) * minorFactor(currency)).toPrecision(15))
+  );
+
+const fromMinorUnits = (minor, currency = DEFAULT_CURRENCY) =>
+  minor / minorFactor(currency);
+
+const accountCurrency = (account) => account.currency || DEFAULT_CURRENCY;
+
+const accountBalanceMinor = (account) =>
+  Number.isInteger(account.balanceMinor)
+    ? account.balanceMinor
+    : toMinorUnits(account.balance || 0, accountCurrency(account));
+
+// Campos gravados na conta a cada alteração de saldo
+const balanceFields = (balanceMinor, currency) => ({
+  balanceMinor,
+  balance: fromMinorUnits(balanceMinor, currency),
+  currency,
+});
+
+const recordCurrency = (record) => record.currency || DEFAULT_CURRENCY;
+
+const recordAmountMinor = (record) =>
+  Number.isInteger(record.amountMinor)
+    ? record.amountMinor
+    : toMinorUnits(record.amount || 0, recordCurrency(record));
+
+// Campos de valor de um registro de transação
+const amountFields = (amountMinor, currency) => ({
+  amountMinor,
+  amount: fromMinorUnits(amountMinor, currency),
+  currency,
+});
+
+// Converte pela cotação 'rate' (unidades de 'to' por unidade de 'from')
+const convertMinorUnits = (minor, from, to, rate) =>
+  toMinorUnits(fromMinorUnits(minor, from) * rate, to);
+
+/* -------------------------------------------------------------------------
+ * 🛠️ MIGRAÇÃO DOS DOCUMENTOS ANTIGOS
+ * ------------------------------------------------------------------------- */
+
+// Migra um documento em transação: os campos são calculados a partir do
+// valor lido na própria transação, então uma transferência gravada durante
+// a migração nunca é sobrescrita com o saldo antigo. Devolve true se migrou.
+const migrateDocument = (ref, isMigrated, moneyFields) =>
+  database.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    if (!doc.exists || isMigrated(doc.data())) return false;
+
+    transaction.update(ref, moneyFields(doc.data()));
+    return true;
+  });
+
+// Grava os campos inteiros e a moeda em contas e transações que ainda não
+// os têm. Tudo o que existia antes das contas em outras moedas era em BRL.
+const migrateMoneyFields = async () => {
+  const summary = { bankAccounts: 0, transactions: 0 };
+
+  const accountMigrated = (account) => Number.isInteger(account.balanceMinor);
+  const accountFields = (account) =>
+    balanceFields(accountBalanceMinor(account), accountCurrency(account));
+
+  for await (const doc of database.collection("bankAccounts").stream()) {
+    if (accountMigrated(doc.data())) continue;
+
+    if (await migrateDocument(doc.ref, accountMigrated, accountFields)) {
+      summary.bankAccounts++;
+    }
+  }
+
+  const recordMigrated = (record) => Number.isInteger(record.amountMinor);
+  const recordFields = (record) =>
+    amountFields(recordAmountMinor(record), recordCurrency(record));
+
+  for await (const doc of database.collection("transactions").stream()) {
+    if (recordMigrated(doc.data())) continue;
+
+    if (await migrateDocument(doc.ref, recordMigrated, recordFields)) {
+      summary.transactions++;
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  CURRENCIES,
+  CURRENCY_CODES,
+  DEFAULT_CURRENCY,
+  toMinorUnits,
+  fromMinorUnits,
+  accountCurrency,
+  accountBalanceMinor,
+  balanceFields,
+  recordCurrency,
+  recordAmountMinor,
+  amountFields,
+  convertMinorUnits,
+  migrateMoneyFields,
+};
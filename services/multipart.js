@@ -0,0 +1,212 @@
+/* =========================================================================
+ * 📎 LEITURA DE multipart/form-data
+ * O arquivo é enviado ao storage enquanto chega, sem passar pela memória
+ * inteira nem pelo disco local. O tipo é conferido pelos primeiros bytes
+ * antes de o envio começar.
+ * ========================================================================= */
+const busboy = require("busboy");
+const crypto = require("crypto");
+const { PassThrough } = require("stream");
+const { uploadFile, removeFile } = require("./storage");
+const {
+  SNIFF_LENGTH,
+  ALLOWED_MIME_TYPES,
+  detectFileType,
+} = require("./fileTypes");
+
+// Tamanho máximo de um arquivo (UPLOAD_MAX_SIZE_MB, padrão 10 MB)
+const MAX_UPLOAD_SIZE =
+  (parseInt(process.env.UPLOAD_MAX_SIZE_MB, 10) || 10) * 1024 * 1024;
+
+const removeQuietly = async (storagePath) => {
+  try {
+    await removeFile(storagePath);
+  } catch (error) {
+    console.error("Erro ao remover arquivo incompleto:", error);
+  }
+};
+
+// Envia o stream de um arquivo ao storage. 'destination' recebe
+// { id, filename, mimeType, extension } e devolve o caminho no storage.
+// Resolve com os metadados do arquivo ou null se ele vier vazio.
+const storeFileStream = (source, info, options) =>
+  new Promise((resolve, reject) => {
+    const { allowedMimeTypes, destination } = options;
+    const id = crypto.randomUUID();
+    const hash = crypto.createHash("sha256");
+    let head = Buffer.alloc(0);
+    let size = 0;
+    let body = null;
+    let upload = null;
+    let fileType = null;
+    let storagePath = null;
+    let failed = false;
+
+    // O stream de origem continua sendo consumido (e descartado) para que
+    // o restante do formulário possa ser lido
+    const fail = (error) => {
+      if (failed) return;
+      failed = true;
+      source.resume();
+
+      if (body) {
+        body.destroy(error);
+        upload.catch(() => {}).then(() => removeQuietly(storagePath));
+      }
+
+      reject(error);
+    };
+
+    const startUpload = () => {
+      fileType = detectFileType(head);
+
+      if (!fileType || !allowedMimeTypes.includes(fileType.mimeType)) {
+        return fail(
+          new Error(
+            `Tipo de arquivo não permitido. Use: ${allowedMimeTypes.join(
+              ", "
+            )}.`
+          )
+        );
+      }
+
+      storagePath = destination({
+        id,
+        filename: info.filename,
+        mimeType: fileType.mimeType,
+        extension: fileType.extension,
+      });
+      body = new PassThrough();
+      body.on("drain", () => source.resume());
+      upload = uploadFile(storagePath, body, fileType.mimeType);
+      upload.catch((error) =>
+        fail(new Error(`Falha ao armazenar o arquivo: ${error.message}`))
+      );
+      body.write(head);
+    };
+
+    source.on("data", (chunk) => {
+      if (failed) return;
+
+      hash.update(chunk);
+      size += chunk.length;
+
+      if (!body) {
+        head = Buffer.concat([head, chunk]);
+        if (head.length >= SNIFF_LENGTH) startUpload();
+        return;
+      }
+
+      if (!body.write(chunk)) source.pause();
+    });
+
+    source.on("limit", () =>
+      fail(new Error("Arquivo excede o tamanho máximo permitido."))
+    );
+
+    source.on("end", async () => {
+      if (failed) return;
+
+      // Campo de arquivo enviado vazio
+      if (size === 0) return resolve(null);
+
+      // Arquivo menor que a quantidade de bytes usada na identificação
+      if (!body) startUpload();
+      if (failed) return;
+
+      body.end();
+
+      try {
+        await upload;
+      } catch (error) {
+        return;
+      }
+
+      resolve({
+        id,
+        fieldName: info.fieldName,
+        filename: info.filename,
+        storagePath,
+        mimeType: fileType.mimeType,
+        size,
+        sha256: hash.digest("hex"),
+      });
+    });
+  });
+
+// Lê os campos de texto e até um arquivo, que é gravado no storage.
+// Sem 'destination' o arquivo é recusado. Rejeita com erro se o arquivo
+// passar de 'maxFileSize' ou não for de um dos 'allowedMimeTypes'.
+const parseMultipart = (
+  req,
+  {
+    maxFileSize = MAX_UPLOAD_SIZE,
+    allowedMimeTypes = ALLOWED_MIME_TYPES,
+    destination,
+  } = {}
+) =>
+  new Promise((resolve, reject) => {
+    const bb = busboy({
+      headers: req.headers,
+      limits: { files: destination ? 1 : 0, fileSize: maxFileSize },
+    });
+    const fields = {};
+    let storing = Promise.resolve(null);
+    let tooManyFiles = false;
+
+    bb.on("field", (name, value) => {
+      fields[name] = value;
+    });
+
+    bb.on("file", (name, stream, info) => {
+      storing = storeFileStream(
+        stream,
+        { ...info, fieldName: name },
+        { allowedMimeTypes, destination }
+      );
+      // Tratado ao final do formulário
+      storing.catch(() => {});
+    });
+
+    bb.on("filesLimit", () => {
+      tooManyFiles = true;
+    });
+
+    bb.on("error", (error) => {
+      storing
+        .then((file) => file && removeQuietly(file.storagePath))
+        .catch(() => {});
+      reject(error);
+    });
+
+    bb.on("close", async () => {
+      try {
+        const file = await storing;
+
+        if (tooManyFiles) {
+          if (file) await removeQuietly(file.storagePath);
+          throw new Error(
+            destination
+              ? "Este formulário aceita no máximo um arquivo."
+              : "Este formulário não aceita arquivos."
+          );
+        }
+
+        resolve({ fields, file });
+      } catch (error) {
+        reject(error);
+      }
+    });
+
+    req.pipe(bb);
+  });
+
+// Status HTTP para os erros de parseMultipart
+const multipartErrorStatus = (error) => {
+  if (error.message.includes("tamanho máximo")) return 413;
+  if (error.message.includes("Tipo de arquivo")) return 415;
+  if (error.message.includes("Falha ao armazenar")) return 502;
+  return 400;
+};
+
+module.exports = { MAX_UPLOAD_SIZE, parseMultipart, multipartErrorStatus };
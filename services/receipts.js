@@ -0,0 +1,256 @@
+/* =========================================================================
+ * 🧾 COMPROVANTES DE TRANSFERÊNCIA
+ * Cada transferência tem um único comprovante em 'receipts/{transferId}',
+ * gerado na primeira consulta. O conteúdo é congelado nesse momento e o
+ * hash SHA-256 dele permite verificar publicamente que não foi alterado.
+ * ========================================================================= */
+const crypto = require("crypto");
+const PDFDocument = require("pdfkit");
+const { database } = require("./firebase");
+const { findAccountRef, resolveTransferId } = require("./transfers");
+const { getAccountHolderName } = require("./bankAccounts");
+const { maskAccountNumber } = require("./masking");
+const { formatCurrency, formatDateTime } = require("./statements");
+const { DEFAULT_CURRENCY, fromMinorUnits } = require("./money");
+
+const RECEIPT_FORMATS = ["html", "pdf"];
+
+const toDate = (value) => {
+  if (!value) return null;
+  return value.toDate ? value.toDate() : new Date(value);
+};
+
+const sha256 = (value) =>
+  crypto.createHash("sha256").update(value).digest("hex");
+
+// Aceita o código com ou sem separadores e em minúsculas
+const normalizeAuthenticationCode = (code) =>
+  String(code || "")
+    .replace(/[^0-9a-z]/gi, "")
+    .toUpperCase();
+
+// "A1B2C3D4..." -> "A1B2-C3D4-..."
+const formatAuthenticationCode = (code) => code.match(/.{1,4}/g).join("-");
+
+const holderOf = async (bankAccountNumber) => {
+  const accountRef = await findAccountRef(bankAccountNumber);
+  const accountDoc = accountRef ? await accountRef.get() : null;
+
+  return {
+    name: accountDoc ? await getAccountHolderName(accountDoc.data()) : null,
+    bankAccountNumber: maskAccountNumber(bankAccountNumber),
+  };
+};
+
+// Busca o comprovante da transferência ou o cria a partir de um dos
+// registros ("sended" ou "received") do par. Pagamentos de boleto têm um
+// único registro ("bill_payment") e o favorecido vem do próprio boleto.
+const getOrCreateReceipt = async (transactionDoc) => {
+  const transferId = await resolveTransferId(transactionDoc);
+  const receiptRef = database.collection("receipts").doc(transferId);
+  const existing = await receiptRef.get();
+
+  if (existing.exists) return existing.data();
+
+  const data = transactionDoc.data();
+  const isBillPayment = data.type === "bill_payment";
+  const authenticationCode = crypto
+    .randomBytes(16)
+    .toString("hex")
+    .toUpperCase();
+
+  // Ordem fixa de campos: o hash depende da serialização
+  const content = {
+    transferId,
+    kind: isBillPayment
+      ? "bill_payment"
+      : data.reversalOf
+      ? "reversal"
+      : "transfer",
+    payer: await holderOf(data.fromAccountNumber),
+    payee: isBillPayment
+      ? { name: data.counterpartyName, bankAccountNumber: null }
+      : await holderOf(data.toAccountNumber),
+    ...(isBillPayment ? { digitableLine: data.boleto.digitableLine } : {}),
+    amount: data.amount,
+    currency: data.currency || DEFAULT_CURRENCY,
+    exchange: data.exchange
+      ? {
+          from: data.exchange.from,
+          to: data.exchange.to,
+          rate: data.exchange.rate,
+          targetAmount: fromMinorUnits(
+            data.exchange.targetAmountMinor,
+            data.exchange.to
+          ),
+        }
+      : null,
+    date: toDate(data.date).toISOString(),
+    category: data.category || null,
+    authenticationCode,
+  };
+
+  const receipt = {
+    ...content,
+    contentHash: sha256(JSON.stringify(content)),
+    createdAt: new Date(),
+  };
+
+  try {
+    await receiptRef.create(receipt);
+    return receipt;
+  } catch (error) {
+    // Outra requisição criou o comprovante ao mesmo tempo: vale o dela
+    const concurrent = await receiptRef.get();
+    if (concurrent.exists) return concurrent.data();
+    throw error;
+  }
+};
+
+// Verificação pública pelo código de autenticação ou pelo hash do conteúdo
+const findReceipt = async ({ code, hash }) => {
+  const query = code
+    ? database
+        .collection("receipts")
+        .where("authenticationCode", "==", normalizeAuthenticationCode(code))
+    : database
+        .collection("receipts")
+        .where("contentHash", "==", String(hash).toLowerCase());
+
+  const snapshot = await query.limit(1).get();
+  return snapshot.empty ? null : snapshot.docs[0].data();
+};
+
+// Dados exibidos na verificação (sem campos internos)
+const publicReceipt = (receipt) => ({
+  transferId: receipt.transferId,
+  kind: receipt.kind,
+  payer: receipt.payer,
+  payee: receipt.payee,
+  amount: receipt.amount,
+  currency: receipt.currency || DEFAULT_CURRENCY,
+  exchange: receipt.exchange || null,
+  digitableLine: receipt.digitableLine || null,
+  date: receipt.date,
+  category: receipt.category,
+  authenticationCode: formatAuthenticationCode(receipt.authenticationCode),
+  contentHash: receipt.contentHash,
+});
+
+// Linhas do comprovante, compartilhadas entre HTML e PDF
+const receiptLines = (receipt) => [
+  ["Valor", formatCurrency(receipt.amount, receipt.currency)],
+  // Transferência entre moedas: valor creditado e cotação aplicada
+  ...(receipt.exchange
+    ? [
+        [
+          "Valor recebido",
+          formatCurrency(receipt.exchange.targetAmount, receipt.exchange.to),
+        ],
+        [
+          "Cotação",
+          `1 ${receipt.exchange.from} = ${receipt.exchange.rate} ${receipt.exchange.to}`,
+        ],
+      ]
+    : []),
+  ["Data e hora", formatDateTime(new Date(receipt.date))],
+  ["Categoria", receipt.category || "-"],
+  ["Pagador", receipt.payer.name || "-"],
+  ["Conta do pagador", receipt.payer.bankAccountNumber],
+  ["Recebedor", receipt.payee.name || "-"],
+  ["Conta do recebedor", receipt.payee.bankAccountNumber || "-"],
+  ...(receipt.digitableLine
+    ? [["Linha digitável", receipt.digitableLine]]
+    : []),
+  ["ID da transferência", receipt.transferId],
+  ["Autenticação", formatAuthenticationCode(receipt.authenticationCode)],
+  ["Hash do conteúdo (SHA-256)", receipt.contentHash],
+];
+
+const RECEIPT_TITLES = {
+  transfer: "Comprovante de Transferência",
+  reversal: "Comprovante de Estorno",
+  bill_payment: "Comprovante de Pagamento de Boleto",
+};
+
+const receiptTitle = (receipt) => RECEIPT_TITLES[receipt.kind];
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const renderReceiptHtml = (receipt) => {
+  const rows = receiptLines(receipt)
+    .map(
+      ([label, value]) =>
+        `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`
+    )
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+<meta charset="utf-8">
+<title>${receiptTitle(receipt)}</title>
+<style>
+body { font-family: Arial, sans-serif; max-width: 560px; margin: 32px auto; color: #222; }
+h1 { font-size: 20px; }
+table { width: 100%; border-collapse: collapse; }
+th, td { text-align: left; padding: 8px; border-bottom: 1px solid #ddd; font-size: 14px; word-break: break-all; }
+th { width: 40%; color: #555; font-weight: normal; }
+footer { margin-top: 24px; font-size: 12px; color: #777; }
+</style>
+</head>
+<body>
+<h1>Prime Bank - ${receiptTitle(receipt)}</h1>
+<table>
+${rows}
+</table>
+<footer>Confira a autenticidade em GET /receipts/verify?code=${escapeHtml(
+    formatAuthenticationCode(receipt.authenticationCode)
+  )}</footer>
+</body>
+</html>`;
+};
+
+const writeReceiptPdf = (res, receipt) => {
+  const doc = new PDFDocument({ size: "A5", margin: 40 });
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader(
+    "Content-Disposition",
+    `inline; filename="comprovante-${receipt.transferId}.pdf"`
+  );
+  doc.pipe(res);
+
+  doc.fontSize(16).text(`Prime Bank - ${receiptTitle(receipt)}`);
+  doc.moveDown();
+
+  receiptLines(receipt).forEach(([label, value]) => {
+    doc.fontSize(8).fillColor("#555555").text(label);
+    doc.fontSize(11).fillColor("#000000").text(value);
+    doc.moveDown(0.5);
+  });
+
+  doc
+    .moveDown()
+    .fontSize(8)
+    .fillColor("#777777")
+    .text(
+      "Confira a autenticidade deste comprovante informando o código de autenticação em /receipts/verify."
+    );
+
+  doc.end();
+};
+
+module.exports = {
+  RECEIPT_FORMATS,
+  getOrCreateReceipt,
+  findReceipt,
+  publicReceipt,
+  renderReceiptHtml,
+  writeReceiptPdf,
+};
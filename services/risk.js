@@ -0,0 +1,255 @@
+/* =========================================================================
+ * 🕵️ ANÁLISE DE RISCO DE TRANSFERÊNCIAS
+ * Cada regra que dispara soma pontos ao score da transferência:
+ *   velocity            muitas transferências em pouco tempo
+ *   firstTimeRecipient  primeira transferência para a conta de destino
+ *   amountAboveHistory  valor muito acima da média do histórico
+ *   roundTrip           devolução para quem acabou de enviar dinheiro
+ * Conforme o score a transferência é liberada ('allow'), retida para
+ * análise da equipe ('review') ou recusada ('block').
+ * As regras ficam em 'riskConfig/transferRules' e podem ser alteradas
+ * pela API (PUT /admin/riskRules) sem mudança de código.
+ * ========================================================================= */
+const { database } = require("./firebase");
+
+const RISK_DECISIONS = ["allow", "review", "block"];
+
+const DEFAULT_RISK_RULES = {
+  enabled: true,
+  thresholds: { review: 50, block: 90 },
+  rules: {
+    velocity: { enabled: true, score: 40, windowMinutes: 10, maxTransfers: 5 },
+    firstTimeRecipient: { enabled: true, score: 20, minAmount: 500 },
+    amountAboveHistory: {
+      enabled: true,
+      score: 35,
+      multiplier: 5,
+      minHistory: 3,
+      lookbackDays: 90,
+    },
+    roundTrip: { enabled: true, score: 40, windowHours: 24 },
+  },
+};
+
+const configRef = () => database.collection("riskConfig").doc("transferRules");
+
+// As regras são relidas no máximo a cada minuto
+const CONFIG_CACHE_MS = 60 * 1000;
+let cachedConfig = null;
+let cachedAt = 0;
+
+// Combina as regras salvas com os valores padrão (regra a regra)
+const mergeRiskRules = (stored = {}) => ({
+  enabled: stored.enabled !== undefined ? stored.enabled : true,
+  thresholds: { ...DEFAULT_RISK_RULES.thresholds, ...stored.thresholds },
+  rules: Object.fromEntries(
+    Object.entries(DEFAULT_RISK_RULES.rules).map(([name, rule]) => [
+      name,
+      { ...rule, ...(stored.rules || {})[name] },
+    ])
+  ),
+});
+
+const getRiskRules = async ({ fresh = false } = {}) => {
+  if (!fresh && cachedConfig && Date.now() - cachedAt < CONFIG_CACHE_MS) {
+    return cachedConfig;
+  }
+
+  const doc = await configRef().get();
+  cachedConfig = mergeRiskRules(doc.exists ? doc.data() : {});
+  cachedAt = Date.now();
+
+  return cachedConfig;
+};
+
+const updateRiskRules = async (changes, userId) => {
+  const current = await getRiskRules({ fresh: true });
+  const merged = mergeRiskRules({
+    ...current,
+    ...changes,
+    thresholds: { ...current.thresholds, ...changes.thresholds },
+    rules: Object.fromEntries(
+      Object.entries(current.rules).map(([name, rule]) => [
+        name,
+        { ...rule, ...(changes.rules || {})[name] },
+      ])
+    ),
+  });
+
+  if (merged.thresholds.review > merged.thresholds.block) {
+    throw new Error(
+      "O limite de análise não pode ser maior que o limite de bloqueio."
+    );
+  }
+
+  await configRef().set({
+    ...merged,
+    updatedAt: new Date(),
+    updatedBy: userId,
+  });
+  cachedConfig = merged;
+  cachedAt = Date.now();
+
+  return merged;
+};
+
+const toMillis = (value) =>
+  value && value.toDate ? value.toDate().getTime() : new Date(value).getTime();
+
+/* -------------------------------------------------------------------------
+ * 📏 REGRAS
+ * Cada regra recebe o contexto da transferência e devolve um detalhe
+ * (texto) quando dispara, ou null.
+ * ------------------------------------------------------------------------- */
+
+// Regras que dependem da conta de destino: não se aplicam a pagamentos sem
+// ela (ex.: boletos)
+const RECIPIENT_RULES = ["firstTimeRecipient", "roundTrip"];
+
+const RULES = {
+  velocity: (rule, { history, now }) => {
+    const since = now - rule.windowMinutes * 60 * 1000;
+    const recent = history.filter((item) => toMillis(item.date) >= since);
+
+    return recent.length >= rule.maxTransfers
+      ? `${recent.length} transferências nos últimos ${rule.windowMinutes} minutos.`
+      : null;
+  },
+
+  firstTimeRecipient: (rule, { amount, hasSentToRecipient }) =>
+    !hasSentToRecipient && amount >= rule.minAmount
+      ? "Primeira transferência para esta conta de destino."
+      : null,
+
+  amountAboveHistory: (rule, { amount, history, now }) => {
+    const since = now - rule.lookbackDays * 24 * 60 * 60 * 1000;
+    const amounts = history
+      .filter((item) => toMillis(item.date) >= since)
+      .map((item) => item.amount);
+
+    if (amounts.length < rule.minHistory) return null;
+
+    const average =
+      amounts.reduce((sum, value) => sum + value, 0) / amounts.length;
+
+    return amount > average * rule.multiplier
+      ? `Valor ${(amount / average).toFixed(1)}x maior que a média recente.`
+      : null;
+  },
+
+  roundTrip: (rule, { receivedFromRecipient }) =>
+    receivedFromRecipient
+      ? `A conta de destino enviou dinheiro a este usuário nas últimas ${rule.windowHours} horas.`
+      : null,
+};
+
+/* -------------------------------------------------------------------------
+ * 🧮 AVALIAÇÃO
+ * ------------------------------------------------------------------------- */
+
+// Dados consultados uma vez e compartilhados pelas regras
+const loadRiskContext = async ({ userId, toAccountNumber, amount }, config) => {
+  const now = Date.now();
+  const { amountAboveHistory, velocity, roundTrip } = config.rules;
+  const lookbackMs = Math.max(
+    amountAboveHistory.lookbackDays * 24 * 60 * 60 * 1000,
+    velocity.windowMinutes * 60 * 1000
+  );
+  const sentQuery = database
+    .collection("transactions")
+    .where("associatedUser", "==", userId)
+    .where("type", "==", "sended");
+
+  const [historySnapshot, recipientSnapshot, receivedSnapshot] =
+    await Promise.all([
+      sentQuery
+        .where("date", ">=", new Date(now - lookbackMs))
+        .orderBy("date", "desc")
+        .limit(500)
+        .get(),
+      toAccountNumber
+        ? sentQuery
+            .where("toAccountNumber", "==", toAccountNumber)
+            .limit(1)
+            .get()
+        : null,
+      toAccountNumber
+        ? database
+            .collection("transactions")
+            .where("associatedUser", "==", userId)
+            .where("type", "==", "received")
+            .where("fromAccountNumber", "==", toAccountNumber)
+            .where(
+              "date",
+              ">=",
+              new Date(now - roundTrip.windowHours * 60 * 60 * 1000)
+            )
+            .limit(1)
+            .get()
+        : null,
+    ]);
+
+  return {
+    now,
+    amount,
+    // Estornos não contam como histórico de envios do usuário
+    history: historySnapshot.docs
+      .map((doc) => doc.data())
+      .filter((item) => !item.reversalOf),
+    hasSentToRecipient: Boolean(recipientSnapshot && !recipientSnapshot.empty),
+    receivedFromRecipient: Boolean(receivedSnapshot && !receivedSnapshot.empty),
+  };
+};
+
+// Avalia uma transferência e devolve { score, decision, reasons }.
+// Sem 'toAccountNumber' (pagamento de boleto) só valem as regras do
+// histórico do usuário. Não grava nada: pode rodar dentro do callback de
+// uma transação, que o Firestore repete em caso de conflito.
+const evaluateTransferRisk = async (transfer) => {
+  const config = await getRiskRules();
+
+  if (!config.enabled) {
+    return { score: 0, decision: "allow", reasons: [] };
+  }
+
+  const context = await loadRiskContext(
+    { ...transfer, amount: parseFloat(transfer.amount) },
+    config
+  );
+  const reasons = [];
+
+  Object.entries(RULES).forEach(([name, evaluate]) => {
+    const rule = config.rules[name];
+    if (!rule.enabled) return;
+    if (!transfer.toAccountNumber && RECIPIENT_RULES.includes(name)) return;
+
+    const detail = evaluate(rule, context);
+    if (detail) reasons.push({ rule: name, score: rule.score, detail });
+  });
+
+  const score = reasons.reduce((sum, reason) => sum + reason.score, 0);
+  let decision = "allow";
+
+  if (score >= config.thresholds.block) decision = "block";
+  else if (score >= config.thresholds.review) decision = "review";
+
+  return { score, decision, reasons };
+};
+
+// Recusas ficam registradas para consulta da equipe. Chamada uma única vez,
+// depois que a operação recusada terminou (fora de qualquer transação).
+const recordRiskAssessment = (transfer, risk) =>
+  database.collection("riskAssessments").add({
+    ...transfer,
+    ...risk,
+    createdAt: new Date(),
+  });
+
+module.exports = {
+  RISK_DECISIONS,
+  DEFAULT_RISK_RULES,
+  getRiskRules,
+  updateRiskRules,
+  evaluateTransferRisk,
+  recordRiskAssessment,
+};
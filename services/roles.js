@@ -0,0 +1,53 @@
+/* =========================================================================
+ * 🛡️ PAPÉIS DE ACESSO (CUSTOM CLAIMS DO FIREBASE)
+ * O papel fica na claim 'role' do token. Tokens antigos com a claim
+ * 'admin: true' continuam valendo como administradores.
+ * ========================================================================= */
+const { admin, database } = require("./firebase");
+
+const ROLES = ["customer", "support", "admin"];
+
+// Papéis da equipe: podem consultar dados de qualquer cliente
+const STAFF_ROLES = ["support", "admin"];
+
+const DEFAULT_ROLE = "customer";
+
+// Papel a partir do token decodificado por 'authenticate'
+const getUserRole = (decodedToken) => {
+  if (ROLES.includes(decodedToken.role)) return decodedToken.role;
+  if (decodedToken.admin === true) return "admin";
+  return DEFAULT_ROLE;
+};
+
+const isStaff = (decodedToken) =>
+  STAFF_ROLES.includes(getUserRole(decodedToken));
+
+// Grava o papel nas custom claims, preservando as demais claims.
+// Os refresh tokens são revogados: como 'authenticate' verifica a
+// revogação, tokens com o papel antigo são recusados e o usuário precisa
+// obter um novo token, já com o novo papel.
+const setUserRole = async (uid, role) => {
+  const userRecord = await admin.auth().getUser(uid);
+  const claims = { ...(userRecord.customClaims || {}), role };
+
+  // A claim antiga é substituída pela claim 'role'
+  delete claims.admin;
+
+  await admin.auth().setCustomUserClaims(uid, claims);
+  await admin.auth().revokeRefreshTokens(uid);
+
+  // Cópia no documento do usuário, usada nas listagens
+  await database
+    .collection("users")
+    .doc(uid)
+    .set({ role, updatedAt: new Date() }, { merge: true });
+};
+
+module.exports = {
+  ROLES,
+  STAFF_ROLES,
+  DEFAULT_ROLE,
+  getUserRole,
+  isStaff,
+  setUserRole,
+};
@@ -0,0 +1,417 @@
+/* =========================================================================
+ * 🗓️ TRANSFERÊNCIAS AGENDADAS E RECORRENTES
+ * Cada agendamento guarda o índice da próxima ocorrência ('occurrenceIndex')
+ * e a data calculada dela ('nextRunAt'). As datas são sempre derivadas de
+ * 'startDate', evitando que ajustes de fim de mês se acumulem.
+ * ========================================================================= */
+const { database } = require("./firebase");
+const { executeTransfer, hashRequestBody } = require("./transfers");
+const { checkBudgetAlerts } = require("./budgets");
+const { evaluateTransferRisk } = require("./risk");
+
+const FREQUENCIES = ["once", "daily", "weekly", "monthly"];
+const FAILURE_ACTIONS = ["retry", "skip", "pause"];
+
+const DEFAULT_FAILURE_POLICY = {
+  onFailure: "retry", // retry | skip | pause
+  maxRetries: 3,
+  retryDelayMinutes: 60,
+};
+
+// Limite de segurança ao procurar a próxima ocorrência futura
+const MAX_OCCURRENCE_SCAN = 10000;
+
+const toDate = (value) => {
+  if (!value) return null;
+  return value.toDate ? value.toDate() : new Date(value);
+};
+
+const isValidDate = (value) => value instanceof Date && !isNaN(value);
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value >= 1;
+
+// Data da ocorrência 'index' (0 = startDate)
+const occurrenceDate = (schedule, index) => {
+  const start = toDate(schedule.startDate);
+  const steps = index * (schedule.interval || 1);
+  const date = new Date(start);
+
+  if (schedule.frequency === "daily") {
+    date.setDate(start.getDate() + steps);
+  } else if (schedule.frequency === "weekly") {
+    date.setDate(start.getDate() + steps * 7);
+  } else if (schedule.frequency === "monthly") {
+    // Dia 31 vira o último dia dos meses mais curtos
+    date.setDate(1);
+    date.setMonth(start.getMonth() + steps);
+    const lastDay = new Date(
+      date.getFullYear(),
+      date.getMonth() + 1,
+      0
+    ).getDate();
+    date.setDate(Math.min(start.getDate(), lastDay));
+  }
+
+  return date;
+};
+
+const hasOccurrence = (schedule, index) => {
+  if (schedule.frequency === "once") return index === 0;
+  if (schedule.maxRuns && index >= schedule.maxRuns) return false;
+
+  const endDate = toDate(schedule.endDate);
+  return !endDate || occurrenceDate(schedule, index) <= endDate;
+};
+
+// Primeira ocorrência a partir de 'fromIndex' que ainda não passou
+const findNextOccurrence = (schedule, fromIndex, now = new Date()) => {
+  for (
+    let index = fromIndex;
+    index < fromIndex + MAX_OCCURRENCE_SCAN && hasOccurrence(schedule, index);
+    index++
+  ) {
+    const date = occurrenceDate(schedule, index);
+    if (date >= now) return { occurrenceIndex: index, nextRunAt: date };
+  }
+
+  return null;
+};
+
+// Campos de controle ao avançar para a próxima ocorrência
+const advanceOccurrence = (schedule) => {
+  const occurrenceIndex = schedule.occurrenceIndex + 1;
+
+  if (!hasOccurrence(schedule, occurrenceIndex)) {
+    return { occurrenceIndex, nextRunAt: null, status: "completed" };
+  }
+
+  return {
+    occurrenceIndex,
+    nextRunAt: occurrenceDate(schedule, occurrenceIndex),
+  };
+};
+
+// Próximas datas de execução (sem considerar novas tentativas)
+const previewRuns = (schedule, count) => {
+  const runs = [];
+
+  if (schedule.status === "completed" || schedule.status === "canceled") {
+    return runs;
+  }
+
+  const next =
+    schedule.status === "paused"
+      ? findNextOccurrence(schedule, schedule.occurrenceIndex)
+      : { occurrenceIndex: schedule.occurrenceIndex };
+
+  for (
+    let index = next ? next.occurrenceIndex : 0;
+    next && runs.length < count && hasOccurrence(schedule, index);
+    index++
+  ) {
+    runs.push(occurrenceDate(schedule, index).toISOString());
+  }
+
+  return runs;
+};
+
+// Valida e normaliza o corpo de criação/edição.
+// Retorna { error } com a mensagem do primeiro problema ou { data }.
+const parseScheduleInput = (input, { partial = false } = {}) => {
+  const data = {};
+  const has = (field) => input[field] !== undefined;
+
+  if (!partial || has("fromAccountNumber")) {
+    if (!input.fromAccountNumber) {
+      return { error: "Conta de origem não informada." };
+    }
+    data.fromAccountNumber = input.fromAccountNumber;
+  }
+
+  if (!partial || has("toAccountNumber")) {
+    if (!input.toAccountNumber) {
+      return { error: "Conta de destino não informada." };
+    }
+    data.toAccountNumber = input.toAccountNumber;
+  }
+
+  if (
+    data.fromAccountNumber &&
+    data.fromAccountNumber === data.toAccountNumber
+  ) {
+    return { error: "As contas de origem e destino devem ser diferentes." };
+  }
+
+  if (!partial || has("amount")) {
+    const amount = parseFloat(input.amount);
+    if (!(amount > 0)) {
+      return { error: "O valor do agendamento deve ser maior que zero." };
+    }
+    data.amount = amount;
+  }
+
+  if (has("category")) data.category = input.category;
+  if (has("description")) data.description = input.description;
+
+  if (!partial || has("frequency")) {
+    const frequency = input.frequency || "once";
+    if (!FREQUENCIES.includes(frequency)) {
+      return {
+        error: `Frequência inválida. Use: ${FREQUENCIES.join(", ")}.`,
+      };
+    }
+    data.frequency = frequency;
+  }
+
+  if (!partial || has("interval")) {
+    const interval = input.interval === undefined ? 1 : input.interval;
+    if (!isPositiveInteger(interval)) {
+      return { error: "O intervalo deve ser um número inteiro maior que 0." };
+    }
+    data.interval = interval;
+  }
+
+  if (!partial || has("startDate")) {
+    const startDate = new Date(input.startDate);
+    if (!input.startDate || !isValidDate(startDate)) {
+      return { error: "Data de início inválida." };
+    }
+    if (startDate < new Date()) {
+      return { error: "A data de início deve ser futura." };
+    }
+    data.startDate = startDate;
+  }
+
+  if (has("endDate")) {
+    const endDate = input.endDate === null ? null : new Date(input.endDate);
+    if (endDate !== null && !isValidDate(endDate)) {
+      return { error: "Data de término inválida." };
+    }
+    if (endDate && data.startDate && endDate < data.startDate) {
+      return {
+        error: "A data de término deve ser posterior à data de início.",
+      };
+    }
+    data.endDate = endDate;
+  }
+
+  if (has("maxRuns")) {
+    if (input.maxRuns !== null && !isPositiveInteger(input.maxRuns)) {
+      return {
+        error: "O número máximo de execuções deve ser um inteiro maior que 0.",
+      };
+    }
+    data.maxRuns = input.maxRuns;
+  }
+
+  if (!partial || has("failurePolicy")) {
+    const failurePolicy = {
+      ...DEFAULT_FAILURE_POLICY,
+      ...(input.failurePolicy || {}),
+    };
+
+    if (!FAILURE_ACTIONS.includes(failurePolicy.onFailure)) {
+      return {
+        error: `Política de falha inválida. Use: ${FAILURE_ACTIONS.join(
+          ", "
+        )}.`,
+      };
+    }
+    if (
+      !Number.isInteger(failurePolicy.maxRetries) ||
+      failurePolicy.maxRetries < 0 ||
+      failurePolicy.maxRetries > 10
+    ) {
+      return { error: "O número de novas tentativas deve estar entre 0 e 10." };
+    }
+    if (
+      !isPositiveInteger(failurePolicy.retryDelayMinutes) ||
+      failurePolicy.retryDelayMinutes > 1440
+    ) {
+      return {
+        error:
+          "O intervalo entre tentativas deve estar entre 1 e 1440 minutos.",
+      };
+    }
+
+    data.failurePolicy = {
+      onFailure: failurePolicy.onFailure,
+      maxRetries: failurePolicy.maxRetries,
+      retryDelayMinutes: failurePolicy.retryDelayMinutes,
+    };
+  }
+
+  return { data };
+};
+
+// Executa uma ocorrência e registra o resultado em 'executions'.
+// A Idempotency-Key por ocorrência/tentativa impede débito duplicado caso
+// dois executores peguem o mesmo agendamento ao mesmo tempo.
+// Devolve o resultado: "succeeded", "held" (retida para análise) ou "failed".
+const processScheduledTransfer = async (doc) => {
+  const schedule = doc.data();
+  const failureCount = schedule.failureCount || 0;
+  const attempt = failureCount + 1;
+  const transferData = {
+    fromAccountNumber: schedule.fromAccountNumber,
+    toAccountNumber: schedule.toAccountNumber,
+    amount: schedule.amount,
+    category: schedule.category || null,
+    description: schedule.description || null,
+  };
+
+  let result = null;
+  let errorMessage = null;
+
+  try {
+    result = await executeTransfer({
+      ...transferData,
+      userId: schedule.associatedUser,
+      idempotencyKey: `scheduled:${doc.id}:${schedule.occurrenceIndex}:${attempt}`,
+      requestHash: hashRequestBody(transferData),
+      metadata: { scheduledTransferId: doc.id },
+      // Mesma análise das transferências imediatas: "block" conta como falha
+      // (segue a política do agendamento) e "review" retém o valor
+      assessRisk: () =>
+        evaluateTransferRisk({
+          userId: schedule.associatedUser,
+          fromAccountNumber: transferData.fromAccountNumber,
+          toAccountNumber: transferData.toAccountNumber,
+          amount: transferData.amount,
+        }),
+    });
+  } catch (error) {
+    errorMessage = error.message;
+  }
+
+  await database.runTransaction(async (transaction) => {
+    const currentDoc = await transaction.get(doc.ref);
+    const current = currentDoc.data();
+
+    // Outro executor já registrou esta tentativa
+    if (
+      current.status !== "active" ||
+      current.occurrenceIndex !== schedule.occurrenceIndex ||
+      (current.failureCount || 0) !== failureCount
+    ) {
+      return;
+    }
+
+    const now = new Date();
+    const execution = {
+      occurrenceIndex: current.occurrenceIndex,
+      scheduledFor: occurrenceDate(current, current.occurrenceIndex),
+      executedAt: now,
+      attempt,
+      amount: transferData.amount,
+    };
+    const update = { lastRunAt: now, updatedAt: now };
+
+    if (!errorMessage && result.status === 202) {
+      // Retida para análise: o valor já saiu da origem, então a ocorrência
+      // é dada como processada e a decisão fica com a equipe
+      Object.assign(execution, {
+        status: "held",
+        heldTransferId: result.body.heldTransferId,
+      });
+      Object.assign(update, advanceOccurrence(current), {
+        failureCount: 0,
+        lastResult: "held",
+      });
+    } else if (!errorMessage) {
+      Object.assign(execution, {
+        status: "succeeded",
+        senderId: result.body.senderId,
+        receiverId: result.body.receiverId,
+      });
+      Object.assign(update, advanceOccurrence(current), {
+        runCount: (current.runCount || 0) + 1,
+        failureCount: 0,
+        lastResult: "succeeded",
+      });
+    } else {
+      const policy = { ...DEFAULT_FAILURE_POLICY, ...current.failurePolicy };
+      Object.assign(execution, { status: "failed", error: errorMessage });
+      update.lastResult = "failed";
+
+      if (policy.onFailure === "retry" && attempt <= policy.maxRetries) {
+        execution.action = "retry";
+        update.failureCount = attempt;
+        update.nextRunAt = new Date(
+          now.getTime() + policy.retryDelayMinutes * 60 * 1000
+        );
+      } else if (policy.onFailure === "pause") {
+        execution.action = "pause";
+        update.status = "paused";
+        update.failureCount = 0;
+      } else {
+        execution.action = "skip";
+        Object.assign(update, advanceOccurrence(current), {
+          failureCount: 0,
+        });
+      }
+    }
+
+    transaction.set(doc.ref.collection("executions").doc(), execution);
+    transaction.update(doc.ref, update);
+  });
+
+  if (errorMessage) return "failed";
+  if (result.status === 202) return "held";
+
+  if (!result.replayed) {
+    await checkBudgetAlerts(
+      schedule.associatedUser,
+      transferData.category
+    ).catch((error) =>
+      console.error("Erro ao verificar alertas de orçamento:", error)
+    );
+  }
+
+  return "succeeded";
+};
+
+// Processa, em lotes, todos os agendamentos ativos já vencidos
+const runDueScheduledTransfers = async ({ batchSize = 50 } = {}) => {
+  const summary = { processed: 0, succeeded: 0, held: 0, failed: 0 };
+  const processedIds = new Set();
+
+  for (;;) {
+    const snapshot = await database
+      .collection("scheduledTransfers")
+      .where("status", "==", "active")
+      .where("nextRunAt", "<=", new Date())
+      .orderBy("nextRunAt", "asc")
+      .limit(batchSize)
+      .get();
+
+    // Novas tentativas agendadas para o futuro não voltam nesta consulta;
+    // o conjunto evita repetir um item que continue vencido no mesmo ciclo
+    const dueDocs = snapshot.docs.filter((doc) => !processedIds.has(doc.id));
+    if (dueDocs.length === 0) break;
+
+    for (const doc of dueDocs) {
+      processedIds.add(doc.id);
+      const outcome = await processScheduledTransfer(doc);
+
+      summary.processed++;
+      summary[outcome]++;
+    }
+
+    if (snapshot.size < batchSize) break;
+  }
+
+  return summary;
+};
+
+module.exports = {
+  FREQUENCIES,
+  FAILURE_ACTIONS,
+  DEFAULT_FAILURE_POLICY,
+  toDate,
+  occurrenceDate,
+  findNextOccurrence,
+  previewRuns,
+  parseScheduleInput,
+  runDueScheduledTransfers,
+};
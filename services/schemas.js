@@ -0,0 +1,596 @@
+/* =========================================================================
+ * 📋 SCHEMAS DAS ROTAS
+ * Usados com validateRequest (services/validation.js). Regras de negócio
+ * que dependem de mais de um campo continuam nos handlers e serviços.
+ * ========================================================================= */
+const { ACCOUNT_TYPES } = require("./bankAccounts");
+const { KEY_TYPES } = require("./transferKeys");
+const { FREQUENCIES, FAILURE_ACTIONS } = require("./scheduledTransfers");
+const { PRODUCT_TYPES, LIQUIDITY_TYPES } = require("./investments");
+const { STATEMENT_FORMATS } = require("./statements");
+const { RECEIPT_FORMATS } = require("./receipts");
+const { ROLES } = require("./roles");
+const { HELD_STATUSES } = require("./heldTransfers");
+const { WEBHOOK_EVENTS, DELIVERY_STATUSES } = require("./webhooks");
+const { GRANULARITIES } = require("./analytics");
+const { CURRENCY_CODES } = require("./money");
+const { BILL_PAYMENT_STATUSES } = require("./billPayments");
+const {
+  TRANSACTION_TYPES,
+  SORT_FIELDS,
+  SORT_ORDERS,
+} = require("./transactionSearch");
+
+const SCHEDULE_STATUSES = ["active", "paused", "completed", "canceled"];
+
+// Regras reutilizadas
+const id = { type: "string", required: true, minLength: 1, maxLength: 128 };
+const accountNumber = { type: "string", minLength: 1, maxLength: 64 };
+const amount = { type: "number", min: 0.01 };
+const nickname = { type: "string", nullable: true, maxLength: 40 };
+const category = { type: "string", nullable: true, maxLength: 60 };
+
+const idParams = { params: { id } };
+
+/* -------------------------------------------------------------------------
+ * 👤 USUÁRIOS
+ * ------------------------------------------------------------------------- */
+
+const createUser = {
+  body: {
+    fullName: { type: "string", required: true, minLength: 2, maxLength: 120 },
+    email: { type: "string", required: true, email: true, maxLength: 254 },
+    password: { type: "string", required: true, minLength: 6, maxLength: 128 },
+    telephone: { type: "string", maxLength: 20 },
+    acceptTermAndPolice: { type: "boolean", required: true, equals: true },
+  },
+};
+
+// E-mail e senha mudam pelo Firebase Auth; o papel, por /admin/users/:id/role
+const updateUser = {
+  ...idParams,
+  body: {
+    fullName: { type: "string", minLength: 2, maxLength: 120 },
+    telephone: { type: "string", maxLength: 20 },
+  },
+};
+
+const updateUserRole = {
+  ...idParams,
+  body: { role: { type: "string", required: true, enum: ROLES } },
+};
+
+/* -------------------------------------------------------------------------
+ * 🏦 CONTAS E CHAVES
+ * ------------------------------------------------------------------------- */
+
+const createBankAccount = {
+  body: {
+    initialBalance: { type: "number", min: 0 },
+    accountType: { type: "string", enum: ACCOUNT_TYPES },
+    nickname,
+    currency: { type: "string", enum: CURRENCY_CODES },
+  },
+};
+
+const getUserBankAccount = {
+  query: { accountId: { type: "string", maxLength: 128 } },
+};
+
+const updateBankAccount = { ...idParams, body: { nickname } };
+
+const limitAmount = { type: "number", min: 0 };
+
+const updateTransferLimits = {
+  ...idParams,
+  body: {
+    perTransaction: limitAmount,
+    daily: limitAmount,
+    nightly: limitAmount,
+  },
+};
+
+const createTransferKey = {
+  body: {
+    type: { type: "string", required: true, enum: KEY_TYPES },
+    value: { type: "string", maxLength: 254 },
+    bankAccountNumber: { ...accountNumber, required: true },
+  },
+};
+
+const lookupTransferKey = {
+  query: {
+    key: { type: "string", required: true, minLength: 1, maxLength: 254 },
+    type: { type: "string", enum: KEY_TYPES },
+  },
+};
+
+/* -------------------------------------------------------------------------
+ * 📇 CONTATOS
+ * ------------------------------------------------------------------------- */
+
+const transferKey = { type: "string", minLength: 1, maxLength: 254 };
+const contactNickname = { type: "string", minLength: 1, maxLength: 40 };
+
+// Recebedor por conta ou por chave (a regra "um ou outro" fica no serviço)
+const createContact = {
+  body: {
+    bankAccountNumber: accountNumber,
+    key: transferKey,
+    keyType: { type: "string", enum: KEY_TYPES },
+    nickname: { ...contactNickname, required: true },
+    favorite: { type: "boolean" },
+  },
+};
+
+const updateContact = {
+  ...idParams,
+  body: { nickname: contactNickname, favorite: { type: "boolean" } },
+};
+
+const listContacts = { query: { favorite: { type: "boolean" } } };
+
+const listRecentRecipients = {
+  query: { limit: { type: "integer", min: 1, max: 50 } },
+};
+
+const confirmPayee = {
+  query: {
+    accountNumber,
+    key: transferKey,
+    keyType: { type: "string", enum: KEY_TYPES },
+    contactId: { type: "string", minLength: 1, maxLength: 128 },
+  },
+};
+
+/* -------------------------------------------------------------------------
+ * 💸 TRANSAÇÕES
+ * ------------------------------------------------------------------------- */
+
+// Também aplicado aos campos do formulário em POST /transactions multipart
+const createTransactionBody = {
+  fromAccountNumber: { ...accountNumber, required: true },
+  toAccountNumber: accountNumber,
+  toKey: transferKey,
+  toKeyType: { type: "string", enum: KEY_TYPES },
+  toContactId: { type: "string", minLength: 1, maxLength: 128 },
+  amount: { ...amount, required: true },
+  category,
+  description: { type: "string", nullable: true, maxLength: 140 },
+};
+
+const createTransaction = { body: createTransactionBody };
+
+const getExchangeQuote = {
+  query: {
+    from: { type: "string", required: true, enum: CURRENCY_CODES },
+    to: { type: "string", required: true, enum: CURRENCY_CODES },
+    amount,
+  },
+};
+
+// Filtros compartilhados por GET /transactions e pelo extrato
+const transactionFilters = {
+  month: { type: "string", pattern: /^\d{1,2}-\d{2,4}$/ },
+  startDate: { type: "string", pattern: /^\d{4}-\d{2}-\d{2}$/ },
+  endDate: { type: "string", pattern: /^\d{4}-\d{2}-\d{2}$/ },
+  minAmount: { type: "number", min: 0 },
+  maxAmount: { type: "number", min: 0 },
+};
+
+const listTransactions = {
+  query: {
+    ...transactionFilters,
+    type: { type: "string", enum: Object.keys(TRANSACTION_TYPES) },
+    category: { type: "string", maxLength: 60 },
+    accountNumber,
+    counterparty: { type: "string", minLength: 1, maxLength: 120 },
+    q: { type: "string", minLength: 1, maxLength: 120 },
+    sort: { type: "string", enum: SORT_FIELDS },
+    order: { type: "string", enum: SORT_ORDERS },
+    itemsPerPage: { type: "integer", min: 1, max: 500 },
+    cursor: { type: "string", maxLength: 512 },
+    // Cursor antigo (ID do último registro); preferir 'cursor'
+    lastItemId: { type: "string", maxLength: 128 },
+  },
+};
+
+const exportTransactions = {
+  query: {
+    ...transactionFilters,
+    format: { type: "string", enum: STATEMENT_FORMATS },
+    accountId: { type: "string", maxLength: 128 },
+  },
+};
+
+const getReceipt = {
+  ...idParams,
+  query: { format: { type: "string", enum: RECEIPT_FORMATS } },
+};
+
+const verifyReceipt = {
+  query: {
+    code: { type: "string", maxLength: 64 },
+    hash: { type: "string", pattern: /^[0-9a-f]{64}$/i },
+  },
+};
+
+// Segundo fator: PIN de transação ou código TOTP de 6 dígitos
+const pin = { type: "string", pattern: /^\d{4,6}$/ };
+const otp = { type: "string", pattern: /^\d{6}$/ };
+
+const confirmTransferChallenge = { ...idParams, body: { pin, otp } };
+
+const reverseTransaction = {
+  ...idParams,
+  body: { reason: { type: "string", maxLength: 200 } },
+};
+
+/* -------------------------------------------------------------------------
+ * 🔐 PIN E AUTENTICADOR
+ * ------------------------------------------------------------------------- */
+
+const setTransactionPin = {
+  body: { pin: { ...pin, required: true }, currentPin: pin, otp },
+};
+
+// O PIN é exigido pelo serviço quando já cadastrado
+const startTotpSetup = { body: { pin } };
+
+const confirmTotp = { body: { otp: { ...otp, required: true } } };
+
+const disableTotp = { body: { pin, otp } };
+
+/* -------------------------------------------------------------------------
+ * 🎯 CATEGORIAS E ORÇAMENTOS
+ * ------------------------------------------------------------------------- */
+
+const month = { type: "string", pattern: /^\d{1,2}-\d{2,4}$/ };
+
+const categoryParams = {
+  params: {
+    slug: { type: "string", required: true, pattern: /^[a-z0-9-]{1,60}$/ },
+  },
+};
+
+const createCategory = {
+  body: {
+    name: { type: "string", required: true, minLength: 2, maxLength: 40 },
+  },
+};
+
+const setBudget = {
+  ...categoryParams,
+  body: {
+    amount: { type: "number", required: true, min: 0 },
+    alertThresholds: {
+      type: "array",
+      minLength: 1,
+      maxLength: 5,
+      items: { type: "integer", min: 1, max: 200 },
+    },
+  },
+};
+
+const getBudgetReport = { query: { month } };
+
+/* -------------------------------------------------------------------------
+ * 📡 WEBHOOKS
+ * ------------------------------------------------------------------------- */
+
+const webhookFields = {
+  url: { type: "string", minLength: 8, maxLength: 2048 },
+  events: {
+    type: "array",
+    minLength: 1,
+    maxLength: WEBHOOK_EVENTS.length,
+    items: { type: "string", enum: WEBHOOK_EVENTS },
+  },
+  description: { type: "string", nullable: true, maxLength: 140 },
+};
+
+const createWebhook = {
+  body: {
+    ...webhookFields,
+    url: { ...webhookFields.url, required: true },
+    events: { ...webhookFields.events, required: true },
+  },
+};
+
+const updateWebhook = {
+  ...idParams,
+  body: { ...webhookFields, active: { type: "boolean" } },
+};
+
+const listWebhookDeliveries = {
+  query: {
+    subscriptionId: { type: "string", maxLength: 128 },
+    status: { type: "string", enum: DELIVERY_STATUSES },
+    itemsPerPage: { type: "integer", min: 1, max: 200 },
+    lastItemId: { type: "string", maxLength: 128 },
+  },
+};
+
+/* -------------------------------------------------------------------------
+ * 🕵️ ANÁLISE DE RISCO
+ * ------------------------------------------------------------------------- */
+
+const pagination = {
+  itemsPerPage: { type: "integer", min: 1, max: 200 },
+  lastItemId: { type: "string", maxLength: 128 },
+};
+
+const listHeldTransfers = {
+  query: { status: { type: "string", enum: HELD_STATUSES }, ...pagination },
+};
+
+const approveHeldTransfer = {
+  ...idParams,
+  body: { note: { type: "string", maxLength: 200 } },
+};
+
+const rejectHeldTransfer = {
+  ...idParams,
+  body: { reason: { type: "string", required: true, maxLength: 200 } },
+};
+
+const score = { type: "integer", min: 0, max: 1000 };
+
+// Regra parcial: só os campos enviados são alterados
+const riskRule = (fields) => ({
+  type: "object",
+  fields: { enabled: { type: "boolean" }, score, ...fields },
+});
+
+const updateRiskRules = {
+  body: {
+    enabled: { type: "boolean" },
+    thresholds: {
+      type: "object",
+      fields: { review: score, block: score },
+    },
+    rules: {
+      type: "object",
+      fields: {
+        velocity: riskRule({
+          windowMinutes: { type: "integer", min: 1, max: 1440 },
+          maxTransfers: { type: "integer", min: 1 },
+        }),
+        firstTimeRecipient: riskRule({ minAmount: { type: "number", min: 0 } }),
+        amountAboveHistory: riskRule({
+          multiplier: { type: "number", min: 1 },
+          minHistory: { type: "integer", min: 1 },
+          lookbackDays: { type: "integer", min: 1, max: 365 },
+        }),
+        roundTrip: riskRule({
+          windowHours: { type: "integer", min: 1, max: 720 },
+        }),
+      },
+    },
+  },
+};
+
+/* -------------------------------------------------------------------------
+ * 🗓️ TRANSFERÊNCIAS AGENDADAS
+ * ------------------------------------------------------------------------- */
+
+const scheduleFields = {
+  fromAccountNumber: accountNumber,
+  toAccountNumber: accountNumber,
+  amount,
+  category,
+  description: { type: "string", nullable: true, maxLength: 140 },
+  frequency: { type: "string", enum: FREQUENCIES },
+  interval: { type: "integer", min: 1 },
+  startDate: { type: "date" },
+  endDate: { type: "date", nullable: true },
+  maxRuns: { type: "integer", nullable: true, min: 1 },
+  failurePolicy: {
+    type: "object",
+    fields: {
+      onFailure: { type: "string", enum: FAILURE_ACTIONS },
+      maxRetries: { type: "integer", min: 0, max: 10 },
+      retryDelayMinutes: { type: "integer", min: 1, max: 1440 },
+    },
+  },
+};
+
+const createScheduledTransfer = {
+  body: {
+    ...scheduleFields,
+    fromAccountNumber: { ...accountNumber, required: true },
+    toAccountNumber: { ...accountNumber, required: true },
+    amount: { ...amount, required: true },
+    startDate: { type: "date", required: true },
+  },
+};
+
+const updateScheduledTransfer = { ...idParams, body: scheduleFields };
+
+const listScheduledTransfers = {
+  query: { status: { type: "string", enum: SCHEDULE_STATUSES } },
+};
+
+const previewScheduledTransfer = {
+  ...idParams,
+  query: { count: { type: "integer", min: 1, max: 50 } },
+};
+
+/* -------------------------------------------------------------------------
+ * 🧾 BOLETOS
+ * ------------------------------------------------------------------------- */
+
+// Código de barras ou linha digitável (pontos e espaços são ignorados)
+const boletoCode = {
+  type: "string",
+  required: true,
+  minLength: 44,
+  maxLength: 60,
+};
+
+const parseBoleto = { body: { code: boletoCode } };
+
+const createBillPayment = {
+  body: {
+    code: boletoCode,
+    bankAccountNumber: { ...accountNumber, required: true },
+    // Só para boletos sem valor definido
+    amount,
+    lateFees: {
+      type: "object",
+      nullable: true,
+      fields: {
+        finePercentage: { type: "number", min: 0, max: 100 },
+        monthlyInterestPercentage: { type: "number", min: 0, max: 100 },
+      },
+    },
+    scheduledDate: { type: "string", pattern: /^\d{4}-\d{2}-\d{2}$/ },
+    category,
+    description: { type: "string", nullable: true, maxLength: 140 },
+  },
+};
+
+const listBillPayments = {
+  query: { status: { type: "string", enum: BILL_PAYMENT_STATUSES } },
+};
+
+const approveBillPayment = {
+  ...idParams,
+  body: { note: { type: "string", maxLength: 200 } },
+};
+
+const rejectBillPayment = {
+  ...idParams,
+  body: { reason: { type: "string", required: true, maxLength: 200 } },
+};
+
+/* -------------------------------------------------------------------------
+ * 📈 INVESTIMENTOS
+ * ------------------------------------------------------------------------- */
+
+const productFields = {
+  name: { type: "string", minLength: 1, maxLength: 80 },
+  type: { type: "string", enum: PRODUCT_TYPES },
+  rate: { type: "number", min: 0 },
+  liquidity: { type: "string", enum: LIQUIDITY_TYPES },
+  termDays: { type: "integer", nullable: true, min: 1 },
+  minimumAmount: { type: "number", min: 0 },
+  active: { type: "boolean" },
+};
+
+const createInvestmentProduct = {
+  body: {
+    ...productFields,
+    name: { ...productFields.name, required: true },
+    type: { ...productFields.type, required: true },
+    rate: { ...productFields.rate, required: true },
+  },
+};
+
+const updateInvestmentProduct = { ...idParams, body: productFields };
+
+const createInvestment = {
+  body: {
+    productId: id,
+    bankAccountNumber: { ...accountNumber, required: true },
+    amount: { ...amount, required: true },
+  },
+};
+
+// Sem 'amount' o resgate é total
+const redeemInvestment = { ...idParams, body: { amount } };
+
+// Valores, taxas e datas são controlados pela API
+const updateInvestment = { ...idParams, body: { nickname } };
+
+/* -------------------------------------------------------------------------
+ * 📊 OUTROS
+ * ------------------------------------------------------------------------- */
+
+const getAnalytics = {
+  query: {
+    accountId: { type: "string", maxLength: 128 },
+    startDate: { type: "string", pattern: /^\d{4}-\d{2}-\d{2}$/ },
+    endDate: { type: "string", pattern: /^\d{4}-\d{2}-\d{2}$/ },
+    granularity: { type: "string", enum: GRANULARITIES },
+    currency: { type: "string", enum: CURRENCY_CODES },
+  },
+};
+
+const listAuditLogs = {
+  query: {
+    actorUid: { type: "string", maxLength: 128 },
+    collection: { type: "string", maxLength: 64 },
+    documentId: { type: "string", maxLength: 128 },
+    startDate: { type: "date" },
+    endDate: { type: "date" },
+    itemsPerPage: { type: "integer", min: 1, max: 200 },
+    lastItemId: { type: "string", maxLength: 128 },
+  },
+};
+
+const getSignedFile = {
+  query: {
+    expires: { type: "integer", required: true },
+    signature: { type: "string", required: true, maxLength: 128 },
+  },
+};
+
+module.exports = {
+  idParams,
+  createUser,
+  updateUser,
+  updateUserRole,
+  createBankAccount,
+  getUserBankAccount,
+  updateBankAccount,
+  updateTransferLimits,
+  createTransferKey,
+  lookupTransferKey,
+  createContact,
+  updateContact,
+  listContacts,
+  listRecentRecipients,
+  confirmPayee,
+  createTransactionBody,
+  createTransaction,
+  getExchangeQuote,
+  listTransactions,
+  exportTransactions,
+  getReceipt,
+  verifyReceipt,
+  confirmTransferChallenge,
+  reverseTransaction,
+  setTransactionPin,
+  startTotpSetup,
+  confirmTotp,
+  disableTotp,
+  categoryParams,
+  createCategory,
+  setBudget,
+  getBudgetReport,
+  createWebhook,
+  updateWebhook,
+  listWebhookDeliveries,
+  listHeldTransfers,
+  approveHeldTransfer,
+  rejectHeldTransfer,
+  updateRiskRules,
+  createScheduledTransfer,
+  updateScheduledTransfer,
+  listScheduledTransfers,
+  previewScheduledTransfer,
+  parseBoleto,
+  createBillPayment,
+  listBillPayments,
+  approveBillPayment,
+  rejectBillPayment,
+  createInvestmentProduct,
+  updateInvestmentProduct,
+  createInvestment,
+  redeemInvestment,
+  updateInvestment,
+  getAnalytics,
+  listAuditLogs,
+  getSignedFile,
+};
@@ -0,0 +1,513 @@
+/* =========================================================================
+ * 🧾 EXTRATOS (FILTROS DE TRANSAÇÕES E EXPORTAÇÃO CSV / OFX / PDF)
+ * Os lançamentos vêm de 'transactions' e os saldos inicial e final são
+ * calculados a partir do livro-razão, que registra toda movimentação.
+ * ========================================================================= */
+const { once } = require("events");
+const PDFDocument = require("pdfkit");
+const { admin, database } = require("./firebase");
+const { postingMinor } = require("./journal");
+const {
+  DEFAULT_CURRENCY,
+  fromMinorUnits,
+  accountCurrency,
+  accountBalanceMinor,
+} = require("./money");
+const { maskAccountNumber } = require("./masking");
+
+const STATEMENT_FORMATS = ["csv", "ofx", "pdf"];
+
+// Fuso usado nas datas do extrato (o Brasil não tem mais horário de verão)
+const STATEMENT_TIME_ZONE =
+  process.env.STATEMENT_TIME_ZONE || "America/Sao_Paulo";
+const OFX_TIME_ZONE_SUFFIX = "[-3:BRT]";
+
+// Um formatador por moeda, criado no primeiro uso
+const currencyFormatters = {};
+
+const dateTimeFormatter = new Intl.DateTimeFormat("pt-BR", {
+  timeZone: STATEMENT_TIME_ZONE,
+  day: "2-digit",
+  month: "2-digit",
+  year: "numeric",
+  hour: "2-digit",
+  minute: "2-digit",
+});
+
+// Sem fuso fixo: os limites do período seguem o horário do servidor, assim
+// como o filtro 'month' de GET /transactions
+const dateFormatter = new Intl.DateTimeFormat("pt-BR", {
+  day: "2-digit",
+  month: "2-digit",
+  year: "numeric",
+});
+
+const formatCurrency = (value, currency = DEFAULT_CURRENCY) => {
+  if (!currencyFormatters[currency]) {
+    currencyFormatters[currency] = new Intl.NumberFormat("pt-BR", {
+      style: "currency",
+      currency,
+    });
+  }
+
+  return currencyFormatters[currency].format(value);
+};
+const formatDateTime = (date) => dateTimeFormatter.format(date);
+
+const toDate = (value) => {
+  if (!value) return null;
+  return value.toDate ? value.toDate() : new Date(value);
+};
+
+/* -------------------------------------------------------------------------
+ * 🔎 FILTROS (compartilhados com GET /transactions)
+ * ------------------------------------------------------------------------- */
+
+// Intervalo [start, end) a partir de ?month=MM-AA e/ou
+// ?startDate=AAAA-MM-DD&endDate=AAAA-MM-DD (datas inclusivas)
+const parseDateRange = ({ month, startDate, endDate }) => {
+  let start = null;
+  let end = null;
+
+  if (month) {
+    const [monthStr, yearStr] = month.split("-");
+    const monthNum = parseInt(monthStr, 10);
+    let yearNum = parseInt(yearStr, 10);
+
+    if (yearNum < 100) {
+      yearNum += 2000;
+    }
+
+    if (monthNum >= 1 && monthNum <= 12 && yearNum) {
+      start = new Date(yearNum, monthNum - 1, 1);
+      end = new Date(yearNum, monthNum, 1);
+    }
+  }
+
+  if (startDate) {
+    const rangeStart = new Date(`${startDate}T00:00:00`);
+    if (!isNaN(rangeStart) && (!start || rangeStart > start)) {
+      start = rangeStart;
+    }
+  }
+
+  if (endDate) {
+    const rangeEnd = new Date(`${endDate}T00:00:00`);
+    rangeEnd.setDate(rangeEnd.getDate() + 1);
+    if (!isNaN(rangeEnd) && (!end || rangeEnd < end)) {
+      end = rangeEnd;
+    }
+  }
+
+  return { start, end };
+};
+
+const applyTransactionFilters = (query, filters) => {
+  const { minAmount, maxAmount } = filters;
+  const minAmountValue = minAmount ? parseFloat(minAmount) : null;
+  const maxAmountValue = maxAmount ? parseFloat(maxAmount) : null;
+  const { start, end } = parseDateRange(filters);
+
+  // 1. Aplicação dos Filtros de Quantidade
+  if (minAmountValue !== null) {
+    query = query.where("amount", ">=", minAmountValue);
+  }
+  if (maxAmountValue !== null) {
+    query = query.where("amount", "<=", maxAmountValue);
+  }
+
+  // 2. Aplicação do Filtro por Período
+  if (start) {
+    query = query.where(
+      "date",
+      ">=",
+      admin.firestore.Timestamp.fromDate(start)
+    );
+  }
+  if (end) {
+    query = query.where("date", "<", admin.firestore.Timestamp.fromDate(end));
+  }
+
+  return query;
+};
+
+/* -------------------------------------------------------------------------
+ * 💰 SALDOS E LANÇAMENTOS DO EXTRATO
+ * ------------------------------------------------------------------------- */
+
+// Saldo inicial/final = saldo atual menos o que entrou/saiu depois de
+// 'start'/'end', segundo o livro-razão
+const computeStatementBalances = async (account, { start, end }) => {
+  const { bankAccountNumber } = account;
+  const currency = accountCurrency(account);
+  let netSinceStart = 0;
+  let netSinceEnd = 0;
+
+  let query = database
+    .collection("journalEntries")
+    .where("accounts", "array-contains", bankAccountNumber);
+
+  if (start) {
+    query = query.where("createdAt", ">=", start);
+  }
+
+  for await (const doc of query.stream()) {
+    const entry = doc.data();
+    const net = entry.postings
+      .filter((posting) => posting.account === bankAccountNumber)
+      .reduce(
+        (sum, posting) =>
+          sum +
+          (posting.direction === "credit"
+            ? postingMinor(posting)
+            : -postingMinor(posting)),
+        0
+      );
+
+    netSinceStart += net;
+    if (end && toDate(entry.createdAt) >= end) {
+      netSinceEnd += net;
+    }
+  }
+
+  // Cálculo em unidades menores; a conta só tem partidas na sua moeda
+  const currentBalance = accountBalanceMinor(account);
+
+  return {
+    openingBalance: fromMinorUnits(currentBalance - netSinceStart, currency),
+    closingBalance: fromMinorUnits(currentBalance - netSinceEnd, currency),
+  };
+};
+
+const describeTransaction = (data) => {
+  if (data.type === "bill_payment") {
+    return `Pagamento de boleto - ${data.counterpartyName}`;
+  }
+
+  const isSended = data.type === "sended";
+  const counterpart = maskAccountNumber(
+    isSended ? data.toAccountNumber : data.fromAccountNumber
+  );
+  let label = isSended ? "Transferência enviada" : "Transferência recebida";
+
+  if (data.reversalOf) {
+    label = isSended ? "Estorno enviado" : "Estorno recebido";
+  }
+
+  return `${label} - conta ${counterpart}`;
+};
+
+// Percorre (em streaming) todos os lançamentos da conta no período
+const streamStatementRows = async function* (userId, account, filters) {
+  const query = applyTransactionFilters(
+    database
+      .collection("transactions")
+      .where("associatedUser", "==", userId)
+      .orderBy("date", "asc"),
+    filters
+  );
+
+  for await (const doc of query.stream()) {
+    const data = doc.data();
+    // Envios e pagamentos de boleto saem da conta de origem
+    const isDebit = data.type !== "received";
+    const ownAccountNumber = isDebit
+      ? data.fromAccountNumber
+      : data.toAccountNumber;
+
+    if (ownAccountNumber !== account.bankAccountNumber) continue;
+
+    yield {
+      id: doc.id,
+      date: toDate(data.date),
+      description: describeTransaction(data),
+      category: data.category || "",
+      amount: isDebit ? -data.amount : data.amount,
+    };
+  }
+};
+
+/* -------------------------------------------------------------------------
+ * 📄 FORMATOS
+ * ------------------------------------------------------------------------- */
+
+// Respeita o backpressure da resposta HTTP
+const writeChunk = async (res, chunk) => {
+  if (!res.write(chunk)) {
+    await once(res, "drain");
+  }
+};
+
+const escapeCsv = (value) => {
+  const text = String(value);
+  return /[;"\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (values) => `${values.map(escapeCsv).join(";")}\r\n`;
+
+const writeCsvStatement = async (res, statement, rows) => {
+  const { account, period, openingBalance, closingBalance, currency } =
+    statement;
+
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="extrato-${statement.fileSuffix}.csv"`
+  );
+
+  // BOM para o Excel reconhecer UTF-8; ';' porque a vírgula é o separador decimal
+  await writeChunk(res, "\uFEFF");
+  await writeChunk(
+    res,
+    csvLine(["Conta", maskAccountNumber(account.bankAccountNumber)])
+  );
+  await writeChunk(res, csvLine(["Período", period]));
+  await writeChunk(
+    res,
+    csvLine(["Saldo inicial", formatCurrency(openingBalance, currency)])
+  );
+  await writeChunk(res, "\r\n");
+  await writeChunk(res, csvLine(["Data", "Descrição", "Categoria", "Valor"]));
+
+  for await (const row of rows) {
+    await writeChunk(
+      res,
+      csvLine([
+        dateTimeFormatter.format(row.date),
+        row.description,
+        row.category,
+        formatCurrency(row.amount, currency),
+      ])
+    );
+  }
+
+  await writeChunk(res, "\r\n");
+  await writeChunk(
+    res,
+    csvLine(["Saldo final", formatCurrency(closingBalance, currency)])
+  );
+  res.end();
+};
+
+// AAAAMMDDHHMMSS[-3:BRT] no fuso do extrato
+const formatOfxDate = (date) => {
+  const parts = new Intl.DateTimeFormat("en-GB", {
+    timeZone: STATEMENT_TIME_ZONE,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    hourCycle: "h23",
+  })
+    .formatToParts(date)
+    .reduce((acc, part) => ({ ...acc, [part.type]: part.value }), {});
+
+  return `${parts.year}${parts.month}${parts.day}${parts.hour}${parts.minute}${parts.second}${OFX_TIME_ZONE_SUFFIX}`;
+};
+
+const escapeOfx = (value) =>
+  String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;");
+
+// OFX 1.0.2 (SGML), aceito pela maioria dos gerenciadores financeiros.
+// O formato só prevê o saldo final (LEDGERBAL).
+const writeOfxStatement = async (res, statement, rows) => {
+  const { account, start, end, closingBalance } = statement;
+  const now = new Date();
+
+  res.setHeader("Content-Type", "application/x-ofx; charset=utf-8");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="extrato-${statement.fileSuffix}.ofx"`
+  );
+
+  await writeChunk(
+    res,
+    [
+      "OFXHEADER:100",
+      "DATA:OFXSGML",
+      "VERSION:102",
+      "SECURITY:NONE",
+      "ENCODING:UTF-8",
+      "CHARSET:NONE",
+      "COMPRESSION:NONE",
+      "OLDFILEUID:NONE",
+      "NEWFILEUID:NONE",
+      "",
+      "<OFX>",
+      "<SIGNONMSGSRSV1><SONRS>",
+      "<STATUS><CODE>0<SEVERITY>INFO</STATUS>",
+      `<DTSERVER>${formatOfxDate(now)}`,
+      "<LANGUAGE>POR",
+      "</SONRS></SIGNONMSGSRSV1>",
+      "<BANKMSGSRSV1><STMTTRNRS>",
+      "<TRNUID>1",
+      "<STATUS><CODE>0<SEVERITY>INFO</STATUS>",
+      "<STMTRS>",
+      `<CURDEF>${statement.currency}`,
+      "<BANKACCTFROM>",
+      "<BANKID>0001",
+      `<ACCTID>${account.bankAccountNumber}`,
+      `<ACCTTYPE>${account.accountType === "savings" ? "SAVINGS" : "CHECKING"}`,
+      "</BANKACCTFROM>",
+      "<BANKTRANLIST>",
+      `<DTSTART>${formatOfxDate(start || new Date(0))}`,
+      `<DTEND>${formatOfxDate(end || now)}`,
+      "",
+    ].join("\r\n")
+  );
+
+  for await (const row of rows) {
+    await writeChunk(
+      res,
+      [
+        "<STMTTRN>",
+        `<TRNTYPE>${row.amount < 0 ? "DEBIT" : "CREDIT"}`,
+        `<DTPOSTED>${formatOfxDate(row.date)}`,
+        `<TRNAMT>${row.amount.toFixed(2)}`,
+        `<FITID>${row.id}`,
+        `<MEMO>${escapeOfx(row.description)}`,
+        "</STMTTRN>",
+        "",
+      ].join("\r\n")
+    );
+  }
+
+  await writeChunk(
+    res,
+    [
+      "</BANKTRANLIST>",
+      "<LEDGERBAL>",
+      `<BALAMT>${closingBalance.toFixed(2)}`,
+      `<DTASOF>${formatOfxDate(end && end < now ? end : now)}`,
+      "</LEDGERBAL>",
+      "</STMTRS>",
+      "</STMTTRNRS></BANKMSGSRSV1>",
+      "</OFX>",
+      "",
+    ].join("\r\n")
+  );
+  res.end();
+};
+
+const writePdfStatement = async (res, statement, rows) => {
+  const {
+    account,
+    holderName,
+    period,
+    openingBalance,
+    closingBalance,
+    currency,
+  } = statement;
+  const doc = new PDFDocument({ size: "A4", margin: 50 });
+  const columns = { date: 50, description: 150, category: 360, amount: 445 };
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="extrato-${statement.fileSuffix}.pdf"`
+  );
+  doc.pipe(res);
+
+  doc.fontSize(18).text("Prime Bank - Extrato de Conta");
+  doc.moveDown(0.5);
+  doc
+    .fontSize(10)
+    .text(`Titular: ${holderName || "-"}`)
+    .text(`Conta: ${maskAccountNumber(account.bankAccountNumber)}`)
+    .text(`Período: ${period}`)
+    .text(`Emitido em: ${dateTimeFormatter.format(new Date())}`);
+  doc.moveDown();
+  doc
+    .fontSize(11)
+    .text(`Saldo inicial: ${formatCurrency(openingBalance, currency)}`);
+  doc.moveDown();
+
+  const writeRow = (values, options = {}) => {
+    if (doc.y > 760) doc.addPage();
+
+    const y = doc.y;
+    doc.fontSize(9).font(options.bold ? "Helvetica-Bold" : "Helvetica");
+    doc.text(values.date, columns.date, y, { width: 95 });
+    doc.text(values.description, columns.description, y, { width: 200 });
+    doc.text(values.category, columns.category, y, { width: 80 });
+    doc.text(values.amount, columns.amount, y, { width: 100, align: "right" });
+    doc.moveDown(0.4);
+  };
+
+  writeRow(
+    {
+      date: "Data",
+      description: "Descrição",
+      category: "Categoria",
+      amount: "Valor",
+    },
+    { bold: true }
+  );
+
+  for await (const row of rows) {
+    writeRow({
+      date: dateTimeFormatter.format(row.date),
+      description: row.description,
+      category: row.category,
+      amount: formatCurrency(row.amount, currency),
+    });
+  }
+
+  doc.moveDown();
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(11)
+    .text(
+      `Saldo final: ${formatCurrency(closingBalance, currency)}`,
+      columns.date
+    );
+
+  doc.end();
+  await once(res, "finish");
+};
+
+const STATEMENT_WRITERS = {
+  csv: writeCsvStatement,
+  ofx: writeOfxStatement,
+  pdf: writePdfStatement,
+};
+
+// Monta o extrato da conta e o escreve na resposta no formato pedido
+const exportStatement = async (
+  res,
+  { userId, account, holderName, format, filters }
+) => {
+  const { start, end } = parseDateRange(filters);
+  const balances = await computeStatementBalances(account, { start, end });
+  const lastDay = end ? new Date(end.getTime() - 1) : new Date();
+
+  const statement = {
+    ...balances,
+    currency: accountCurrency(account),
+    account,
+    holderName,
+    start,
+    end,
+    period: `${
+      start ? dateFormatter.format(start) : "início"
+    } a ${dateFormatter.format(lastDay)}`,
+    fileSuffix: `${account.bankAccountNumber.slice(-4)}-${Date.now()}`,
+  };
+
+  await STATEMENT_WRITERS[format](
+    res,
+    statement,
+    streamStatementRows(userId, account, filters)
+  );
+};
+
+module.exports = {
+  STATEMENT_FORMATS,
+  formatCurrency,
+  formatDateTime,
+  parseDateRange,
+  applyTransactionFilters,
+  exportStatement,
+};
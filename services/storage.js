@@ -0,0 +1,185 @@
+/* =========================================================================
+ * 🗄️ ARMAZENAMENTO DE ARQUIVOS
+ * O driver é escolhido por STORAGE_DRIVER: "supabase" (padrão) ou "local",
+ * que grava em disco e dispensa o Supabase em desenvolvimento e testes.
+ * Os arquivos são privados e entregues apenas por URLs assinadas que expiram.
+ * ========================================================================= */
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || "supabase";
+
+// Validade (em segundos) das URLs assinadas entregues pela API
+const SIGNED_URL_TTL_SECONDS =
+  parseInt(process.env.STORAGE_SIGNED_URL_TTL_SECONDS, 10) || 300;
+
+/* -------------------------------------------------------------------------
+ * ☁️ DRIVER SUPABASE
+ * ------------------------------------------------------------------------- */
+
+const createSupabaseDriver = () => {
+  const { createClient } = require("@supabase/supabase-js");
+  const bucket = process.env.SUPABASE_BUCKET || "files";
+  const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_KEY
+  );
+
+  return {
+    // 'body' pode ser um Buffer ou um stream, enviado sem passar pelo disco
+    upload: async (destination, body, contentType) => {
+      const { error } = await supabase.storage
+        .from(bucket)
+        .upload(destination, body, { contentType, upsert: false });
+
+      if (error) throw error;
+    },
+
+    createSignedUrl: async (destination, expiresInSeconds) => {
+      const { data, error } = await supabase.storage
+        .from(bucket)
+        .createSignedUrl(destination, expiresInSeconds);
+
+      if (error) throw error;
+      return data.signedUrl;
+    },
+
+    remove: async (destination) => {
+      const { error } = await supabase.storage
+        .from(bucket)
+        .remove([destination]);
+
+      if (error) throw error;
+    },
+  };
+};
+
+/* -------------------------------------------------------------------------
+ * 💾 DRIVER LOCAL
+ * Os arquivos ficam em STORAGE_LOCAL_DIR e são servidos por GET /files/*,
+ * que confere a assinatura HMAC e a validade da URL.
+ * ------------------------------------------------------------------------- */
+
+const LOCAL_STORAGE_DIR = path.resolve(
+  process.env.STORAGE_LOCAL_DIR || "storage"
+);
+
+// Sem STORAGE_SIGNING_SECRET as URLs deixam de valer quando o processo reinicia
+const SIGNING_SECRET =
+  process.env.STORAGE_SIGNING_SECRET || crypto.randomBytes(32).toString("hex");
+
+const signPath = (destination, expires) =>
+  crypto
+    .createHmac("sha256", SIGNING_SECRET)
+    .update(`${destination}:${expires}`)
+    .digest("base64url");
+
+// Caminho absoluto do arquivo, recusando qualquer saída do diretório raiz
+const resolveLocalPath = (destination) => {
+  const fullPath = path.resolve(LOCAL_STORAGE_DIR, destination);
+
+  if (!fullPath.startsWith(LOCAL_STORAGE_DIR + path.sep)) {
+    throw new Error("Caminho de arquivo inválido.");
+  }
+
+  return fullPath;
+};
+
+const createLocalDriver = () => ({
+  upload: async (destination, body) => {
+    const fullPath = resolveLocalPath(destination);
+
+    await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+
+    try {
+      if (Buffer.isBuffer(body)) {
+        await fs.promises.writeFile(fullPath, body, { flag: "wx" });
+      } else {
+        await pipeline(body, fs.createWriteStream(fullPath, { flags: "wx" }));
+      }
+    } catch (error) {
+      // Não deixa arquivo parcial para trás (exceto se ele já existia)
+      if (error.code !== "EEXIST") {
+        await fs.promises.rm(fullPath, { force: true });
+      }
+      throw error;
+    }
+  },
+
+  createSignedUrl: async (destination, expiresInSeconds) => {
+    const expires = Math.floor(Date.now() / 1000) + expiresInSeconds;
+    const encodedPath = destination
+      .split("/")
+      .map(encodeURIComponent)
+      .join("/");
+    const query = new URLSearchParams({
+      expires: String(expires),
+      signature: signPath(destination, expires),
+    });
+
+    return `${process.env.PUBLIC_BASE_URL || ""}/files/${encodedPath}?${query}`;
+  },
+
+  remove: async (destination) => {
+    await fs.promises.rm(resolveLocalPath(destination), { force: true });
+  },
+});
+
+// Confere uma URL gerada pelo driver local.
+// Retorna o caminho absoluto do arquivo ou null se a URL for inválida/expirada.
+const verifyLocalSignedUrl = (destination, expires, signature) => {
+  if (STORAGE_DRIVER !== "local" || !expires || !signature) return null;
+  if (Number(expires) < Date.now() / 1000) return null;
+
+  const expected = Buffer.from(signPath(destination, expires));
+  const received = Buffer.from(String(signature));
+
+  if (
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    return null;
+  }
+
+  try {
+    return resolveLocalPath(destination);
+  } catch (error) {
+    return null;
+  }
+};
+
+/* -------------------------------------------------------------------------
+ * 🔌 DRIVER ATIVO
+ * ------------------------------------------------------------------------- */
+
+const DRIVERS = {
+  supabase: createSupabaseDriver,
+  local: createLocalDriver,
+};
+
+if (!DRIVERS[STORAGE_DRIVER]) {
+  throw new Error(
+    `STORAGE_DRIVER inválido. Use: ${Object.keys(DRIVERS).join(", ")}.`
+  );
+}
+
+const driver = DRIVERS[STORAGE_DRIVER]();
+
+const uploadFile = (destination, body, contentType) =>
+  driver.upload(destination, body, contentType);
+
+const createSignedUrl = (destination, expiresInSeconds) =>
+  driver.createSignedUrl(destination, expiresInSeconds);
+
+const removeFile = (destination) => driver.remove(destination);
+
+module.exports = {
+  STORAGE_DRIVER,
+  SIGNED_URL_TTL_SECONDS,
+  uploadFile,
+  createSignedUrl,
+  removeFile,
+  verifyLocalSignedUrl,
+};
@@ -0,0 +1,403 @@
+/* =========================================================================
+ * 🔍 BUSCA DE TRANSAÇÕES (GET /transactions)
+ * Tipo, categoria, valor, período e ordenação vão para a consulta do
+ * Firestore. A busca livre, o nome e o número da conta da outra parte não
+ * têm índice: são conferidos em memória, percorrendo os registros do
+ * usuário que passam pelos demais filtros.
+ * Os totais (quantidade e soma dos valores) são sempre do conjunto
+ * filtrado, não da página. As somas são feitas em centavos e separadas
+ * por moeda ('amountsByCurrency'); 'amount' é o total em BRL.
+ * O cursor é opaco: guarda a posição na ordenação
+ * e a assinatura dos filtros, e só vale para a mesma busca.
+ * ========================================================================= */
+const crypto = require("crypto");
+const { admin, database } = require("./firebase");
+const {
+  CURRENCY_CODES,
+  DEFAULT_CURRENCY,
+  fromMinorUnits,
+  recordCurrency,
+  recordAmountMinor,
+} = require("./money");
+const { applyTransactionFilters } = require("./statements");
+
+// ?type=sent|received|bill_payment -> tipo gravado no registro
+const TRANSACTION_TYPES = {
+  sent: "sended",
+  received: "received",
+  bill_payment: "bill_payment",
+};
+const SORT_FIELDS = ["date", "amount"];
+const SORT_ORDERS = ["asc", "desc"];
+
+const DEFAULT_PAGE_SIZE = 100;
+
+// Parâmetros que definem o resultado: entram na assinatura do cursor
+const SEARCH_KEYS = [
+  "month",
+  "startDate",
+  "endDate",
+  "minAmount",
+  "maxAmount",
+  "type",
+  "category",
+  "accountNumber",
+  "counterparty",
+  "q",
+  "sort",
+  "order",
+];
+
+// "São Paulo" -> "sao paulo"
+const normalizeText = (value) =>
+  String(value || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .trim();
+
+const toMillis = (value) =>
+  value && value.toMillis ? value.toMillis() : new Date(value).getTime();
+
+// A outra parte é o destino nos envios e a origem nos recebimentos.
+// Pagamentos de boleto não têm conta de destino.
+const counterpartyAccount = (record) =>
+  record.type === "received"
+    ? record.fromAccountNumber
+    : record.toAccountNumber;
+
+/* -------------------------------------------------------------------------
+ * 🔎 FILTROS EM MEMÓRIA
+ * ------------------------------------------------------------------------- */
+
+const hasTextFilters = ({ q, counterparty, accountNumber }) =>
+  Boolean(q || counterparty || accountNumber);
+
+// Registros anteriores ao campo 'counterpartyName' só são encontrados pelo
+// nome depois de 'npm run backfill-transaction-search'
+const matchesTextFilters = (record, { q, counterparty, accountNumber }) => {
+  if (accountNumber && counterpartyAccount(record) !== accountNumber) {
+    return false;
+  }
+
+  if (
+    counterparty &&
+    !normalizeText(record.counterpartyName).includes(
+      normalizeText(counterparty)
+    )
+  ) {
+    return false;
+  }
+
+  if (q) {
+    const text = normalizeText(
+      [
+        record.description,
+        record.counterpartyName,
+        counterpartyAccount(record),
+        record.category,
+        record.reversalReason,
+        record.fileName,
+        record.boleto && record.boleto.digitableLine,
+      ]
+        .filter(Boolean)
+        .join(" ")
+    );
+
+    // Todas as palavras da busca precisam aparecer, em qualquer ordem
+    return normalizeText(q)
+      .split(/\s+/)
+      .every((term) => text.includes(term));
+  }
+
+  return true;
+};
+
+/* -------------------------------------------------------------------------
+ * 🧭 CURSOR
+ * ------------------------------------------------------------------------- */
+
+const searchSignature = (filters) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      JSON.stringify(
+        SEARCH_KEYS.map((key) =>
+          filters[key] === undefined || filters[key] === ""
+            ? null
+            : String(filters[key])
+        )
+      )
+    )
+    .digest("hex")
+    .slice(0, 16);
+
+const sortValue = (record, sort) =>
+  sort === "amount" ? parseFloat(record.amount || 0) : toMillis(record.date);
+
+const encodeCursor = (doc, { sort, signature }) =>
+  Buffer.from(
+    JSON.stringify({
+      v: sortValue(doc.data(), sort),
+      id: doc.id,
+      f: signature,
+    })
+  ).toString("base64url");
+
+const decodeCursor = (cursor, signature) => {
+  let decoded;
+
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch (error) {
+    decoded = null;
+  }
+
+  if (
+    !decoded ||
+    typeof decoded.v !== "number" ||
+    typeof decoded.id !== "string"
+  ) {
+    throw new Error("Cursor de paginação inválido.");
+  }
+
+  if (decoded.f !== signature) {
+    throw new Error(
+      "Cursor de paginação não corresponde aos filtros e à ordenação informados."
+    );
+  }
+
+  return { value: decoded.v, id: decoded.id };
+};
+
+// Compatibilidade com o antigo ?lastItemId (ID do último registro da página)
+const cursorFromItemId = async (userId, lastItemId, sort) => {
+  const doc = await database.collection("transactions").doc(lastItemId).get();
+
+  if (!doc.exists || doc.data().associatedUser !== userId) return null;
+
+  return { value: sortValue(doc.data(), sort), id: doc.id };
+};
+
+// Mesma ordem da consulta: campo de ordenação e, no empate, o ID
+const isAfterCursor = (doc, cursor, { sort, order }) => {
+  const value = sortValue(doc.data(), sort);
+
+  if (value !== cursor.value) {
+    return order === "asc" ? value > cursor.value : value < cursor.value;
+  }
+  if (doc.id === cursor.id) return false;
+
+  return order === "asc" ? doc.id > cursor.id : doc.id < cursor.id;
+};
+
+/* -------------------------------------------------------------------------
+ * 📄 BUSCA
+ * ------------------------------------------------------------------------- */
+
+const filteredQuery = (userId, filters) => {
+  let query = database
+    .collection("transactions")
+    .where("associatedUser", "==", userId);
+
+  if (filters.type) {
+    query = query.where("type", "==", TRANSACTION_TYPES[filters.type]);
+  }
+  if (filters.category) {
+    query = query.where("category", "==", filters.category);
+  }
+
+  return applyTransactionFilters(query, filters);
+};
+
+// Percorre todo o conjunto filtrado: conta, soma e separa a página
+const searchInMemory = async (
+  query,
+  filters,
+  { cursor, pageSize, sorting }
+) => {
+  const page = [];
+  const amountsMinor = {};
+  let count = 0;
+
+  for await (const doc of query.stream()) {
+    const record = doc.data();
+    if (!matchesTextFilters(record, filters)) continue;
+
+    const currency = recordCurrency(record);
+    count++;
+    amountsMinor[currency] =
+      (amountsMinor[currency] || 0) + recordAmountMinor(record);
+
+    if (
+      page.length <= pageSize &&
+      (!cursor || isAfterCursor(doc, cursor, sorting))
+    ) {
+      page.push(doc);
+    }
+  }
+
+  return { docs: page, totals: { count, amountsMinor } };
+};
+
+// Sem filtros em memória: a página vem de startAfter/limit e os totais, de
+// consultas de agregação (sem ler os documentos), uma soma por moeda.
+// Registros ainda sem 'amountMinor'/'currency' (antes de npm run
+// migrate-money) só entram na contagem.
+const searchWithAggregation = async (
+  baseQuery,
+  query,
+  { cursor, pageSize, sorting }
+) => {
+  let pageQuery = query;
+
+  if (cursor) {
+    pageQuery = pageQuery.startAfter(
+      sorting.sort === "date"
+        ? admin.firestore.Timestamp.fromMillis(cursor.value)
+        : cursor.value,
+      cursor.id
+    );
+  }
+
+  const { AggregateField } = admin.firestore;
+  const [pageSnapshot, countSnapshot, ...sumSnapshots] = await Promise.all([
+    pageQuery.limit(pageSize + 1).get(),
+    baseQuery.aggregate({ count: AggregateField.count() }).get(),
+    ...CURRENCY_CODES.map((currency) =>
+      baseQuery
+        .where("currency", "==", currency)
+        .aggregate({ amountMinor: AggregateField.sum("amountMinor") })
+        .get()
+    ),
+  ]);
+  const amountsMinor = {};
+
+  CURRENCY_CODES.forEach((currency, index) => {
+    const { amountMinor } = sumSnapshots[index].data();
+    if (amountMinor) amountsMinor[currency] = amountMinor;
+  });
+
+  return {
+    docs: pageSnapshot.docs,
+    totals: { count: countSnapshot.data().count, amountsMinor },
+  };
+};
+
+// Lista uma página das transações do usuário. 'filters' são os parâmetros
+// de GET /transactions (já validados pelo schema).
+const searchTransactions = async (userId, filters) => {
+  const sorting = {
+    sort: filters.sort || "date",
+    order: filters.order || "desc",
+  };
+  const pageSize = parseInt(filters.itemsPerPage, 10) || DEFAULT_PAGE_SIZE;
+  const signature = searchSignature({ ...filters, ...sorting });
+
+  let cursor = null;
+  if (filters.cursor) {
+    cursor = decodeCursor(filters.cursor, signature);
+  } else if (filters.lastItemId) {
+    cursor = await cursorFromItemId(userId, filters.lastItemId, sorting.sort);
+  }
+
+  const baseQuery = filteredQuery(userId, filters);
+  const query = baseQuery
+    .orderBy(sorting.sort, sorting.order)
+    .orderBy(admin.firestore.FieldPath.documentId(), sorting.order);
+  const options = { cursor, pageSize, sorting };
+
+  const { docs, totals } = hasTextFilters(filters)
+    ? await searchInMemory(query, filters, options)
+    : await searchWithAggregation(baseQuery, query, options);
+
+  // Um registro a mais que a página indica que há próxima página
+  const pageDocs = docs.slice(0, pageSize);
+  const hasMore = docs.length > pageSize;
+  const lastDoc = pageDocs[pageDocs.length - 1];
+
+  return {
+    data: pageDocs.map((doc) => ({ id: doc.id, ...doc.data() })),
+    totals: {
+      count: totals.count,
+      amount: fromMinorUnits(totals.amountsMinor[DEFAULT_CURRENCY] || 0),
+      amountsByCurrency: Object.fromEntries(
+        Object.entries(totals.amountsMinor).map(([currency, minor]) => [
+          currency,
+          fromMinorUnits(minor, currency),
+        ])
+      ),
+    },
+    pagination: {
+      itemsPerPage: pageSize,
+      nextCursor:
+        hasMore && lastDoc
+          ? encodeCursor(lastDoc, { sort: sorting.sort, signature })
+          : null,
+      hasMore,
+    },
+  };
+};
+
+/* -------------------------------------------------------------------------
+ * 🛠️ PREENCHIMENTO DE REGISTROS ANTIGOS
+ * ------------------------------------------------------------------------- */
+
+// Os dois registros de uma transferência (ou estorno) têm as mesmas contas
+// e a mesma data; 'name' é o titular de cada lado
+const pairKey = (record) =>
+  `${record.fromAccountNumber}|${record.toAccountNumber}|${toMillis(
+    record.date
+  )}`;
+
+// Grava 'counterpartyName' nos registros que ainda não têm o campo, a
+// partir do nome gravado no registro do outro lado
+const backfillCounterpartyNames = async () => {
+  const names = new Map();
+  const missing = [];
+
+  for await (const doc of database.collection("transactions").stream()) {
+    const record = doc.data();
+    if (!record.date || !["sended", "received"].includes(record.type)) {
+      continue;
+    }
+
+    names.set(`${record.type}|${pairKey(record)}`, record.name);
+    if (record.counterpartyName === undefined) {
+      missing.push({ ref: doc.ref, record });
+    }
+  }
+
+  // Lotes do Firestore aceitam até 500 operações
+  let batch = database.batch();
+  let pending = 0;
+  let updated = 0;
+
+  for (const { ref, record } of missing) {
+    const otherType = record.type === "sended" ? "received" : "sended";
+    const counterpartyName = names.get(`${otherType}|${pairKey(record)}`);
+    if (!counterpartyName) continue;
+
+    batch.update(ref, { counterpartyName });
+    pending++;
+    updated++;
+
+    if (pending >= 400) {
+      await batch.commit();
+      batch = database.batch();
+      pending = 0;
+    }
+  }
+
+  if (pending > 0) await batch.commit();
+
+  return { missing: missing.length, updated };
+};
+
+module.exports = {
+  TRANSACTION_TYPES,
+  SORT_FIELDS,
+  SORT_ORDERS,
+  searchTransactions,
+  backfillCounterpartyNames,
+};
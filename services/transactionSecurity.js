@@ -0,0 +1,493 @@
+/* =========================================================================
+ * 🔐 CONFIRMAÇÃO DE TRANSFERÊNCIAS (PIN E AUTENTICADOR)
+ * Um token roubado não basta para mover valores altos: transferências
+ * acima de STEP_UP_THRESHOLD (em BRL; outras moedas são convertidas pela
+ * cotação do momento) viram um desafio em 'transferChallenges' e só
+ * são executadas após a confirmação com o PIN de transação ou com um código
+ * TOTP (Google Authenticator e similares). A criação e a alteração de
+ * agendamentos e os pagamentos de boleto acima do mesmo valor passam pelo
+ * mesmo desafio.
+ * Os dados ficam em 'transactionSecurity/{uid}', fora do documento do
+ * usuário: PIN com hash scrypt e salt próprio, segredo TOTP e o contador de
+ * tentativas erradas (PIN e código somam no mesmo contador).
+ * ========================================================================= */
+const crypto = require("crypto");
+const { database } = require("./firebase");
+const { DEFAULT_CURRENCY, toMinorUnits } = require("./money");
+const { quoteConversion } = require("./exchangeRates");
+
+// Transferências acima deste valor (em STEP_UP_CURRENCY) exigem confirmação
+const STEP_UP_CURRENCY = DEFAULT_CURRENCY;
+const STEP_UP_THRESHOLD = parseFloat(process.env.STEP_UP_THRESHOLD) || 1000;
+
+// Validade (em minutos) de um desafio de confirmação
+const CHALLENGE_TTL_MINUTES =
+  parseFloat(process.env.STEP_UP_CHALLENGE_TTL_MINUTES) || 5;
+
+// O primeiro fator (PIN ou autenticador) só é cadastrado com um login feito
+// há no máximo estes minutos ('auth_time' do token)
+const ENROLLMENT_MAX_AUTH_AGE_MINUTES =
+  parseFloat(process.env.STEP_UP_ENROLLMENT_MAX_AUTH_AGE_MINUTES) || 5;
+
+// Bloqueio após tentativas erradas seguidas
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.PIN_MAX_ATTEMPTS, 10) || 5;
+const LOCKOUT_MINUTES = parseFloat(process.env.PIN_LOCKOUT_MINUTES) || 15;
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "Prime Bank";
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Aceita o código anterior e o seguinte (relógio do celular adiantado/atrasado)
+const TOTP_WINDOW = 1;
+
+const securityRef = (userId) =>
+  database.collection("transactionSecurity").doc(userId);
+
+const challengeRef = (challengeId) =>
+  database.collection("transferChallenges").doc(challengeId);
+
+const toDate = (value) => {
+  if (!value) return null;
+  return value.toDate ? value.toDate() : new Date(value);
+};
+
+const safeEqual = (a, b) =>
+  a.length === b.length && crypto.timingSafeEqual(a, b);
+
+/* -------------------------------------------------------------------------
+ * 🔢 PIN
+ * ------------------------------------------------------------------------- */
+
+const hashPin = (pin, salt) => crypto.scryptSync(pin, salt, 64).toString("hex");
+
+const verifyPin = (pin, { pinHash, pinSalt }) =>
+  safeEqual(
+    Buffer.from(hashPin(pin, pinSalt), "hex"),
+    Buffer.from(pinHash, "hex")
+  );
+
+/* -------------------------------------------------------------------------
+ * 📱 TOTP (RFC 6238)
+ * ------------------------------------------------------------------------- */
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let bits = "";
+  buffer.forEach((byte) => {
+    bits += byte.toString(2).padStart(8, "0");
+  });
+
+  return (bits.match(/.{1,5}/g) || [])
+    .map((chunk) => BASE32_ALPHABET[parseInt(chunk.padEnd(5, "0"), 2)])
+    .join("");
+};
+
+const base32Decode = (text) => {
+  const bits = text
+    .replace(/=+$/, "")
+    .toUpperCase()
+    .split("")
+    .map((char) => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, "0"))
+    .join("");
+
+  return Buffer.from(
+    (bits.match(/.{8}/g) || []).map((byte) => parseInt(byte, 2))
+  );
+};
+
+const hotp = (secret, counter) => {
+  // Contador de 64 bits big-endian, gravado em duas metades de 32 bits
+  const message = Buffer.alloc(8);
+  message.writeUInt32BE(Math.floor(counter / 0x100000000), 0);
+  message.writeUInt32BE(counter % 0x100000000, 4);
+
+  const digest = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(message)
+    .digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const code = (digest.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+
+  return code.toString().padStart(TOTP_DIGITS, "0");
+};
+
+// Devolve o passo de tempo do código informado, ou null se não confere.
+// Passos já usados (até 'lastStep') são recusados: um código não vale duas vezes.
+const matchTotp = (secret, code, lastStep, now = Date.now()) => {
+  const currentStep = Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+
+  for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+    const step = currentStep + offset;
+
+    if (
+      (lastStep === undefined || lastStep === null || step > lastStep) &&
+      safeEqual(Buffer.from(hotp(secret, step)), Buffer.from(code))
+    ) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+const otpauthUrl = (secret, label) => {
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+
+  return `otpauth://totp/${encodeURIComponent(
+    `${TOTP_ISSUER}:${label}`
+  )}?${params}`;
+};
+
+/* -------------------------------------------------------------------------
+ * 🛡️ CONFIGURAÇÃO DO USUÁRIO
+ * ------------------------------------------------------------------------- */
+
+const getSecurityStatus = async (userId) => {
+  const doc = await securityRef(userId).get();
+  const data = doc.exists ? doc.data() : {};
+  const lockedUntil = toDate(data.lockedUntil);
+
+  return {
+    hasPin: Boolean(data.pinHash),
+    totpEnabled: Boolean(data.totpEnabled),
+    lockedUntil: lockedUntil && lockedUntil > new Date() ? lockedUntil : null,
+    stepUpThreshold: STEP_UP_THRESHOLD,
+    stepUpCurrency: STEP_UP_CURRENCY,
+  };
+};
+
+// Confere o PIN ou o código TOTP, contando as tentativas erradas. O contador
+// é gravado em transação; o erro só é lançado depois dela, para que a
+// tentativa errada não seja desfeita junto com a transação.
+const verifySecondFactor = async (userId, { pin, otp }) => {
+  const result = await database.runTransaction(async (transaction) => {
+    const ref = securityRef(userId);
+    const doc = await transaction.get(ref);
+    const data = doc.exists ? doc.data() : {};
+    const now = new Date();
+    const lockedUntil = toDate(data.lockedUntil);
+
+    if (lockedUntil && lockedUntil > now) {
+      return { locked: true, lockedUntil };
+    }
+
+    let valid = false;
+    const changes = {};
+
+    if (pin !== undefined) {
+      if (!data.pinHash) return { missing: "PIN de transação não cadastrado." };
+      valid = verifyPin(pin, data);
+    } else {
+      if (!data.totpEnabled) {
+        return { missing: "Autenticador (TOTP) não ativado." };
+      }
+
+      const step = matchTotp(data.totpSecret, otp, data.lastTotpStep);
+      valid = step !== null;
+      if (valid) changes.lastTotpStep = step;
+    }
+
+    if (valid) {
+      transaction.set(
+        ref,
+        { ...changes, failedAttempts: 0, lockedUntil: null },
+        { merge: true }
+      );
+      return { valid };
+    }
+
+    const failedAttempts = (data.failedAttempts || 0) + 1;
+
+    if (failedAttempts >= MAX_FAILED_ATTEMPTS) {
+      const until = new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000);
+      transaction.set(
+        ref,
+        { failedAttempts: 0, lockedUntil: until },
+        { merge: true }
+      );
+      return { locked: true, lockedUntil: until };
+    }
+
+    transaction.set(ref, { failedAttempts }, { merge: true });
+    return { attemptsLeft: MAX_FAILED_ATTEMPTS - failedAttempts };
+  });
+
+  if (result.valid) return;
+
+  if (result.missing) throw new Error(result.missing);
+
+  if (result.locked) {
+    throw new Error(
+      `Confirmação bloqueada por excesso de tentativas. Tente novamente após ${result.lockedUntil.toISOString()}.`
+    );
+  }
+
+  throw new Error(
+    `PIN ou código incorreto. Tentativas restantes: ${result.attemptsLeft}.`
+  );
+};
+
+// Sem nenhum fator cadastrado, o token é a única prova de identidade: o
+// cadastro exige um login recente, para que um token roubado (e ainda
+// válido) não cadastre o PIN ou o autenticador de quem o roubou.
+// 'authTime' é o 'auth_time' do token, em segundos.
+const assertRecentLogin = (authTime) => {
+  const maxAgeMs = ENROLLMENT_MAX_AUTH_AGE_MINUTES * 60 * 1000;
+
+  if (!authTime || Date.now() - authTime * 1000 > maxAgeMs) {
+    throw new Error(
+      `Faça login novamente para cadastrar o primeiro fator de confirmação (o login deve ter no máximo ${ENROLLMENT_MAX_AUTH_AGE_MINUTES} minutos).`
+    );
+  }
+};
+
+// Cadastra ou troca o PIN. A troca exige o PIN atual (ou um código TOTP);
+// com só o autenticador ativo, o cadastro exige um código dele.
+const setTransactionPin = async (
+  userId,
+  { pin, currentPin, otp, authTime }
+) => {
+  const doc = await securityRef(userId).get();
+  const data = doc.exists ? doc.data() : {};
+
+  if (data.pinHash) {
+    if (currentPin === undefined && otp === undefined) {
+      throw new Error("Informe o PIN atual para cadastrar um novo PIN.");
+    }
+
+    await verifySecondFactor(
+      userId,
+      currentPin !== undefined ? { pin: currentPin } : { otp }
+    );
+  } else if (data.totpEnabled) {
+    if (otp === undefined) {
+      throw new Error("Informe o código do autenticador para cadastrar o PIN.");
+    }
+
+    await verifySecondFactor(userId, { otp });
+  } else {
+    assertRecentLogin(authTime);
+  }
+
+  const pinSalt = crypto.randomBytes(16).toString("hex");
+
+  await securityRef(userId).set(
+    { pinHash: hashPin(pin, pinSalt), pinSalt, pinUpdatedAt: new Date() },
+    { merge: true }
+  );
+};
+
+// Gera um novo segredo TOTP. Ele só passa a valer depois de confirmado
+// com um código do aplicativo (confirmTotp). Com PIN cadastrado, a ativação
+// exige o PIN; sem ele, um login recente (assertRecentLogin).
+const startTotpSetup = async (userId, label, { pin, authTime } = {}) => {
+  const status = await getSecurityStatus(userId);
+
+  if (status.totpEnabled) {
+    throw new Error("O autenticador já está ativado.");
+  }
+
+  if (status.hasPin) {
+    if (pin === undefined) {
+      throw new Error("Informe o PIN de transação para ativar o autenticador.");
+    }
+
+    await verifySecondFactor(userId, { pin });
+  } else {
+    assertRecentLogin(authTime);
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20));
+
+  await securityRef(userId).set(
+    { pendingTotpSecret: secret, totpSetupAt: new Date() },
+    { merge: true }
+  );
+
+  return { secret, otpauthUrl: otpauthUrl(secret, label) };
+};
+
+const confirmTotp = async (userId, otp) => {
+  const doc = await securityRef(userId).get();
+  const data = doc.exists ? doc.data() : {};
+
+  if (!data.pendingTotpSecret) {
+    throw new Error("Nenhuma ativação de autenticador em andamento.");
+  }
+
+  const step = matchTotp(data.pendingTotpSecret, otp);
+
+  if (step === null) {
+    throw new Error("Código do autenticador incorreto.");
+  }
+
+  await securityRef(userId).update({
+    totpSecret: data.pendingTotpSecret,
+    pendingTotpSecret: null,
+    totpEnabled: true,
+    lastTotpStep: step,
+    totpEnabledAt: new Date(),
+  });
+};
+
+// Desativar exige um código do próprio autenticador (ou o PIN)
+const disableTotp = async (userId, factor) => {
+  await verifySecondFactor(userId, factor);
+
+  await securityRef(userId).update({
+    totpSecret: null,
+    totpEnabled: false,
+    lastTotpStep: null,
+  });
+};
+
+/* -------------------------------------------------------------------------
+ * 🧩 DESAFIOS DE TRANSFERÊNCIA
+ * ------------------------------------------------------------------------- */
+
+// 'amount' está em 'currency' (a moeda da conta de origem); em outra moeda
+// o valor é convertido para STEP_UP_CURRENCY antes da comparação
+const requiresStepUp = async (amount, currency = STEP_UP_CURRENCY) => {
+  const thresholdMinor = toMinorUnits(STEP_UP_THRESHOLD, STEP_UP_CURRENCY);
+  let amountMinor = toMinorUnits(amount, currency);
+
+  if (currency !== STEP_UP_CURRENCY) {
+    const exchange = await quoteConversion(
+      amountMinor,
+      currency,
+      STEP_UP_CURRENCY
+    );
+    amountMinor = exchange.targetAmountMinor;
+  }
+
+  return amountMinor > thresholdMinor;
+};
+
+// Operação de cada tipo de desafio, usada na mensagem de quem ainda não
+// tem PIN nem autenticador
+const CHALLENGE_OPERATIONS = {
+  transfer: "Transferências",
+  scheduledTransfer: "Agendamentos de transferência",
+  billPayment: "Pagamentos de boleto",
+};
+
+// Guarda a transferência até a confirmação. 'transfer' tem os mesmos campos
+// usados por executeTransfer (inclusive o anexo já enviado ao storage).
+// 'kind' separa os desafios de outras operações que também movem valores
+// (ex.: "scheduledTransfer", com os dados do agendamento em 'transfer'):
+// cada rota de confirmação só aceita os desafios do seu tipo.
+const createTransferChallenge = async (userId, transfer, kind = "transfer") => {
+  const status = await getSecurityStatus(userId);
+
+  if (!status.hasPin && !status.totpEnabled) {
+    throw new Error(
+      `${CHALLENGE_OPERATIONS[kind]} acima de ${STEP_UP_THRESHOLD} ${STEP_UP_CURRENCY} exigem confirmação. Cadastre um PIN de transação ou ative o autenticador.`
+    );
+  }
+
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + CHALLENGE_TTL_MINUTES * 60 * 1000);
+  const ref = database.collection("transferChallenges").doc();
+
+  await ref.set({
+    userId,
+    kind,
+    transfer,
+    status: "pending",
+    createdAt: now,
+    expiresAt,
+  });
+
+  return {
+    challengeId: ref.id,
+    methods: [
+      ...(status.hasPin ? ["pin"] : []),
+      ...(status.totpEnabled ? ["totp"] : []),
+    ],
+    expiresAt,
+  };
+};
+
+// Valida o desafio e o segundo fator e marca o desafio como confirmado.
+// A marcação é feita em transação: duas confirmações simultâneas nunca
+// executam a mesma transferência. Devolve os dados da transferência.
+const confirmTransferChallenge = async (
+  userId,
+  challengeId,
+  factor,
+  kind = "transfer"
+) => {
+  const doc = await challengeRef(challengeId).get();
+
+  // Desafios anteriores ao campo 'kind' são todos de transferência
+  if (
+    !doc.exists ||
+    doc.data().userId !== userId ||
+    (doc.data().kind || "transfer") !== kind
+  ) {
+    throw new Error("Desafio de confirmação não encontrado.");
+  }
+
+  if (doc.data().status !== "pending") {
+    throw new Error("Este desafio de confirmação já foi utilizado.");
+  }
+
+  if (toDate(doc.data().expiresAt) <= new Date()) {
+    await challengeRef(challengeId).update({ status: "expired" });
+    const error = new Error("Desafio de confirmação expirado.");
+    error.transfer = doc.data().transfer;
+    throw error;
+  }
+
+  await verifySecondFactor(userId, factor);
+
+  return database.runTransaction(async (transaction) => {
+    const current = await transaction.get(challengeRef(challengeId));
+
+    if (current.data().status !== "pending") {
+      throw new Error("Este desafio de confirmação já foi utilizado.");
+    }
+
+    transaction.update(challengeRef(challengeId), {
+      status: "confirmed",
+      confirmedAt: new Date(),
+      method: factor.pin !== undefined ? "pin" : "totp",
+    });
+
+    return current.data().transfer;
+  });
+};
+
+// Resultado final do desafio, para consulta posterior. É gravado depois da
+// operação: uma falha aqui só vai para o log e nunca desfaz nem muda a
+// resposta de uma operação já concluída.
+const finishTransferChallenge = async (challengeId, outcome) => {
+  try {
+    await challengeRef(challengeId).update({
+      ...outcome,
+      finishedAt: new Date(),
+    });
+  } catch (error) {
+    console.error("Erro ao registrar o resultado do desafio:", error);
+  }
+};
+
+module.exports = {
+  STEP_UP_THRESHOLD,
+  STEP_UP_CURRENCY,
+  getSecurityStatus,
+  setTransactionPin,
+  startTotpSetup,
+  confirmTotp,
+  disableTotp,
+  requiresStepUp,
+  createTransferChallenge,
+  confirmTransferChallenge,
+  finishTransferChallenge,
+};
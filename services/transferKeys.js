@@ -0,0 +1,148 @@
+/* =========================================================================
+ * 🔑 CHAVES DE TRANSFERÊNCIA (ESTILO PIX)
+ * Apelidos (e-mail, telefone, CPF ou chave aleatória) que apontam para um
+ * 'bankAccountNumber'. O ID do documento é o hash de tipo + valor
+ * normalizado, o que garante a unicidade de cada chave.
+ * ========================================================================= */
+const crypto = require("crypto");
+const { database } = require("./firebase");
+
+const KEY_TYPES = ["email", "phone", "cpf", "random"];
+
+// Limite de chaves por conta (mesmo limite do PIX para pessoa física)
+const MAX_KEYS_PER_ACCOUNT = 5;
+
+const UUID_REGEX =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isValidCpf = (value) => {
+  const digits = String(value).replace(/\D/g, "");
+
+  if (digits.length !== 11 || /^(\d)\1{10}$/.test(digits)) return false;
+
+  const checkDigit = (length) => {
+    const sum = digits
+      .slice(0, length)
+      .split("")
+      .reduce((acc, digit, index) => acc + digit * (length + 1 - index), 0);
+    const rest = (sum * 10) % 11;
+    return rest === 10 ? 0 : rest;
+  };
+
+  return (
+    checkDigit(9) === Number(digits[9]) && checkDigit(10) === Number(digits[10])
+  );
+};
+
+// Telefones são guardados no formato +55DDNNNNNNNNN
+const normalizePhone = (value) => {
+  let digits = String(value || "").replace(/\D/g, "");
+
+  if (digits.length === 10 || digits.length === 11) digits = `55${digits}`;
+  if (!/^55\d{10,11}$/.test(digits)) return null;
+
+  return `+${digits}`;
+};
+
+// Deduz o tipo de uma chave informada pelo remetente
+const inferKeyType = (value) => {
+  const key = String(value || "").trim();
+
+  if (key.includes("@")) return "email";
+  if (key.startsWith("+")) return "phone";
+  if (UUID_REGEX.test(key)) return "random";
+  if (/^\d{3}\.?\d{3}\.?\d{3}-?\d{2}$/.test(key)) return "cpf";
+  return null;
+};
+
+// Retorna { error } ou { value } com a chave normalizada
+const normalizeKey = (type, value) => {
+  const key = String(value || "").trim();
+
+  switch (type) {
+    case "email":
+      if (!EMAIL_REGEX.test(key)) return { error: "E-mail inválido." };
+      return { value: key.toLowerCase() };
+    case "phone": {
+      const phone = normalizePhone(key);
+      if (!phone) return { error: "Telefone inválido." };
+      return { value: phone };
+    }
+    case "cpf":
+      if (!isValidCpf(key)) return { error: "CPF inválido." };
+      return { value: key.replace(/\D/g, "") };
+    case "random":
+      if (!UUID_REGEX.test(key)) return { error: "Chave aleatória inválida." };
+      return { value: key.toLowerCase() };
+    default:
+      return {
+        error: `Tipo de chave inválido. Use: ${KEY_TYPES.join(", ")}.`,
+      };
+  }
+};
+
+const getTransferKeyRef = (type, value) =>
+  database
+    .collection("transferKeys")
+    .doc(crypto.createHash("sha256").update(`${type}:${value}`).digest("hex"));
+
+// Cadastra a chave de forma atômica, respeitando unicidade e limite por conta
+const registerTransferKey = ({
+  type,
+  value,
+  bankAccountNumber,
+  associatedUser,
+}) => {
+  const keyRef = getTransferKeyRef(type, value);
+
+  return database.runTransaction(async (transaction) => {
+    const keyDoc = await transaction.get(keyRef);
+    const accountKeys = await transaction.get(
+      database
+        .collection("transferKeys")
+        .where("bankAccountNumber", "==", bankAccountNumber)
+    );
+
+    if (keyDoc.exists) {
+      throw new Error("Esta chave já está cadastrada.");
+    }
+
+    if (accountKeys.size >= MAX_KEYS_PER_ACCOUNT) {
+      throw new Error(
+        `Limite de ${MAX_KEYS_PER_ACCOUNT} chaves por conta atingido.`
+      );
+    }
+
+    const keyData = {
+      type,
+      value,
+      bankAccountNumber,
+      associatedUser,
+      createdAt: new Date(),
+    };
+
+    transaction.set(keyRef, keyData);
+
+    return { id: keyRef.id, ...keyData };
+  });
+};
+
+// Resolve uma chave (com tipo informado ou deduzido) para o documento dela
+const resolveTransferKey = async (rawKey, keyType) => {
+  const type = keyType || inferKeyType(rawKey);
+  const { value, error } = normalizeKey(type, rawKey);
+
+  if (error) return null;
+
+  const keyDoc = await getTransferKeyRef(type, value).get();
+  return keyDoc.exists ? keyDoc.data() : null;
+};
+
+module.exports = {
+  KEY_TYPES,
+  normalizeKey,
+  normalizePhone,
+  registerTransferKey,
+  resolveTransferKey,
+};
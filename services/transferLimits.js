@@ -0,0 +1,304 @@
+/* =========================================================================
+ * 🚦 LIMITES DE TRANSFERÊNCIA
+ * Cada conta tem três limites, no estilo das regras do PIX:
+ *   perTransaction  valor máximo de uma transferência
+ *   daily           total enviado no dia (horário de Brasília)
+ *   nightly         total enviado no período noturno (20h às 6h)
+ * Os limites ficam em 'limitsMinor' na própria conta e o consumo em
+ * 'limitUsage', atualizado na mesma transação que debita o saldo: duas
+ * transferências simultâneas nunca ultrapassam o limite juntas.
+ * Limites e consumo são gravados em centavos, na moeda da conta ('limits'
+ * e os totais decimais do consumo são só espelho para leitura).
+ * Reduções valem na hora; aumentos só depois de um período de carência.
+ * ========================================================================= */
+const { database } = require("./firebase");
+const { toMinorUnits, fromMinorUnits, accountCurrency } = require("./money");
+
+const LIMIT_TYPES = ["perTransaction", "daily", "nightly"];
+
+const envAmount = (name, fallback) => parseFloat(process.env[name]) || fallback;
+
+// Valores na moeda da conta. Limites de contas que nunca alteraram os seus
+const DEFAULT_LIMITS = {
+  perTransaction: envAmount("TRANSFER_LIMIT_PER_TRANSACTION", 5000),
+  daily: envAmount("TRANSFER_LIMIT_DAILY", 10000),
+  nightly: envAmount("TRANSFER_LIMIT_NIGHTLY", 1000),
+};
+
+// Máximo que o cliente pode pedir para cada limite
+const MAX_LIMITS = {
+  perTransaction: envAmount("TRANSFER_LIMIT_MAX_PER_TRANSACTION", 50000),
+  daily: envAmount("TRANSFER_LIMIT_MAX_DAILY", 100000),
+  nightly: envAmount("TRANSFER_LIMIT_MAX_NIGHTLY", 10000),
+};
+
+// Carência (em horas) para que um aumento de limite passe a valer
+const LIMIT_INCREASE_DELAY_HOURS = envAmount(
+  "TRANSFER_LIMIT_INCREASE_DELAY_HOURS",
+  24
+);
+
+const LIMITS_TIME_ZONE =
+  process.env.TRANSFER_LIMITS_TIME_ZONE || "America/Sao_Paulo";
+const NIGHT_START_HOUR = 20;
+const NIGHT_END_HOUR = 6;
+
+const partsFormatter = new Intl.DateTimeFormat("en-CA", {
+  timeZone: LIMITS_TIME_ZONE,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  hourCycle: "h23",
+});
+
+const toDate = (value) => {
+  if (!value) return null;
+  return value.toDate ? value.toDate() : new Date(value);
+};
+
+// Dia (AAAA-MM-DD) e hora locais de um instante
+const localParts = (date) => {
+  const parts = Object.fromEntries(
+    partsFormatter.formatToParts(date).map(({ type, value }) => [type, value])
+  );
+
+  return {
+    day: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: parseInt(parts.hour, 10),
+  };
+};
+
+const isNightHour = (hour) => hour >= NIGHT_START_HOUR || hour < NIGHT_END_HOUR;
+
+// Chaves dos períodos de consumo. A noite é identificada pelo dia em que
+// começou: 01h do dia 11 pertence à noite iniciada no dia 10.
+const usagePeriods = (now) => {
+  const { day, hour } = localParts(now);
+  let nightKey = null;
+
+  if (isNightHour(hour)) {
+    nightKey =
+      hour < NIGHT_END_HOUR
+        ? localParts(new Date(now.getTime() - 12 * 60 * 60 * 1000)).day
+        : day;
+  }
+
+  return { dayKey: day, nightKey };
+};
+
+// Centavos de um valor gravado. Contas anteriores aos campos inteiros têm
+// só o decimal.
+const storedMinor = (minor, amount, currency) =>
+  Number.isInteger(minor) ? minor : toMinorUnits(amount || 0, currency);
+
+// { tipo: centavos } -> { tipo: valor decimal }
+const decimalLimits = (limitsMinor, currency) =>
+  Object.fromEntries(
+    Object.entries(limitsMinor).map(([type, minor]) => [
+      type,
+      fromMinorUnits(minor, currency),
+    ])
+  );
+
+// Limites em vigor (em centavos), já aplicando os aumentos cuja carência
+// terminou
+const effectiveLimits = (accountData, now = new Date()) => {
+  const currency = accountCurrency(accountData);
+  const savedMinor = accountData.limitsMinor || {};
+  const saved = accountData.limits || {};
+  const limits = {};
+  const pendingLimits = {};
+
+  LIMIT_TYPES.forEach((type) => {
+    limits[type] =
+      savedMinor[type] === undefined && saved[type] === undefined
+        ? toMinorUnits(DEFAULT_LIMITS[type], currency)
+        : storedMinor(savedMinor[type], saved[type], currency);
+  });
+
+  Object.entries(accountData.pendingLimits || {}).forEach(([type, pending]) => {
+    const valueMinor = storedMinor(pending.valueMinor, pending.value, currency);
+
+    if (toDate(pending.effectiveAt) <= now) {
+      limits[type] = valueMinor;
+    } else {
+      pendingLimits[type] = { ...pending, valueMinor };
+    }
+  });
+
+  return { currency, limits, pendingLimits };
+};
+
+// Consumo atual (em centavos); períodos já encerrados contam como zero
+const currentUsage = (accountData, now = new Date()) => {
+  const currency = accountCurrency(accountData);
+  const { dayKey, nightKey } = usagePeriods(now);
+  const usage = accountData.limitUsage || {};
+
+  return {
+    dayKey,
+    nightKey,
+    dailyTotalMinor:
+      usage.dayKey === dayKey
+        ? storedMinor(usage.dailyTotalMinor, usage.dailyTotal, currency)
+        : 0,
+    nightlyTotalMinor:
+      nightKey && usage.nightKey === nightKey
+        ? storedMinor(usage.nightlyTotalMinor, usage.nightlyTotal, currency)
+        : 0,
+  };
+};
+
+// Confere os limites de uma transferência de 'amountMinor' (centavos na
+// moeda da conta de origem, lida dentro da transação). Lança erro se algum
+// limite for ultrapassado; caso contrário devolve o novo 'limitUsage' a ser
+// gravado.
+const checkTransferLimits = (accountData, amountMinor, now = new Date()) => {
+  const { currency, limits } = effectiveLimits(accountData, now);
+  const usage = currentUsage(accountData, now);
+  const format = (minor) => fromMinorUnits(minor, currency);
+
+  if (amountMinor > limits.perTransaction) {
+    throw new Error(
+      `Limite por transferência excedido. Máximo: ${format(
+        limits.perTransaction
+      )}.`
+    );
+  }
+
+  if (usage.dailyTotalMinor + amountMinor > limits.daily) {
+    throw new Error(
+      `Limite diário excedido. Disponível hoje: ${format(
+        limits.daily - usage.dailyTotalMinor
+      )}.`
+    );
+  }
+
+  if (
+    usage.nightKey &&
+    usage.nightlyTotalMinor + amountMinor > limits.nightly
+  ) {
+    throw new Error(
+      `Limite noturno excedido. Disponível até as ${NIGHT_END_HOUR}h: ${format(
+        limits.nightly - usage.nightlyTotalMinor
+      )}.`
+    );
+  }
+
+  const dailyTotalMinor = usage.dailyTotalMinor + amountMinor;
+  const nightlyTotalMinor = usage.nightKey
+    ? usage.nightlyTotalMinor + amountMinor
+    : 0;
+
+  return {
+    dayKey: usage.dayKey,
+    dailyTotalMinor,
+    dailyTotal: format(dailyTotalMinor),
+    nightKey: usage.nightKey,
+    nightlyTotalMinor,
+    nightlyTotal: format(nightlyTotalMinor),
+    currency,
+  };
+};
+
+// Resumo exibido em GET /bankAccounts/:id/limits (valores na moeda da conta)
+const describeLimits = (accountData, now = new Date()) => {
+  const { currency, limits, pendingLimits } = effectiveLimits(accountData, now);
+  const usage = currentUsage(accountData, now);
+  const format = (minor) => fromMinorUnits(minor, currency);
+
+  return {
+    currency,
+    limits: decimalLimits(limits, currency),
+    maxLimits: MAX_LIMITS,
+    pendingIncreases: Object.fromEntries(
+      Object.entries(pendingLimits).map(([type, pending]) => [
+        type,
+        { ...pending, value: format(pending.valueMinor) },
+      ])
+    ),
+    usage: {
+      daily: format(usage.dailyTotalMinor),
+      dailyAvailable: format(Math.max(limits.daily - usage.dailyTotalMinor, 0)),
+      nightly: format(usage.nightlyTotalMinor),
+      nightlyAvailable: format(
+        Math.max(limits.nightly - usage.nightlyTotalMinor, 0)
+      ),
+      isNightPeriod: Boolean(usage.nightKey),
+    },
+    nightPeriod: {
+      startHour: NIGHT_START_HOUR,
+      endHour: NIGHT_END_HOUR,
+      timeZone: LIMITS_TIME_ZONE,
+    },
+  };
+};
+
+// Altera os limites da conta: reduções valem imediatamente (e cancelam um
+// aumento pendente do mesmo limite); aumentos ficam pendentes até o fim
+// da carência. Retorna { applied, scheduled }.
+const updateTransferLimits = ({ userId, accountId, changes }) =>
+  database.runTransaction(async (transaction) => {
+    const accountRef = database.collection("bankAccounts").doc(accountId);
+    const accountDoc = await transaction.get(accountRef);
+
+    if (!accountDoc.exists || accountDoc.data().associatedUser !== userId) {
+      throw new Error("Conta bancária não encontrada para este usuário.");
+    }
+
+    const now = new Date();
+    const { currency, limits, pendingLimits } = effectiveLimits(
+      accountDoc.data(),
+      now
+    );
+    const effectiveAt = new Date(
+      now.getTime() + LIMIT_INCREASE_DELAY_HOURS * 60 * 60 * 1000
+    );
+    const applied = {};
+    const scheduled = {};
+
+    LIMIT_TYPES.filter((type) => changes[type] !== undefined).forEach(
+      (type) => {
+        const valueMinor = toMinorUnits(changes[type], currency);
+        const value = fromMinorUnits(valueMinor, currency);
+
+        if (valueMinor > toMinorUnits(MAX_LIMITS[type], currency)) {
+          throw new Error(
+            `O limite '${type}' não pode passar de ${MAX_LIMITS[type]}.`
+          );
+        }
+
+        delete pendingLimits[type];
+
+        if (valueMinor <= limits[type]) {
+          limits[type] = valueMinor;
+          applied[type] = value;
+        } else {
+          pendingLimits[type] = {
+            valueMinor,
+            value,
+            requestedAt: now,
+            effectiveAt,
+          };
+          scheduled[type] = { value, effectiveAt };
+        }
+      }
+    );
+
+    transaction.update(accountRef, {
+      limitsMinor: limits,
+      limits: decimalLimits(limits, currency),
+      pendingLimits,
+      limitsUpdatedAt: now,
+    });
+
+    return { applied, scheduled };
+  });
+
+module.exports = {
+  LIMIT_TYPES,
+  checkTransferLimits,
+  describeLimits,
+  updateTransferLimits,
+};
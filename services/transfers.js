@@ -0,0 +1,485 @@
+/* =========================================================================
+ * 💸 TRANSFERÊNCIAS ENTRE CONTAS
+ * Núcleo usado por POST /transactions e pelo executor de agendamentos.
+ * ========================================================================= */
+const crypto = require("crypto");
+const { database } = require("./firebase");
+const {
+  SYSTEM_ACCOUNTS,
+  postJournalEntry,
+  transferPostings,
+  exchangePostings,
+} = require("./journal");
+const {
+  toMinorUnits,
+  fromMinorUnits,
+  accountCurrency,
+  accountBalanceMinor,
+  balanceFields,
+  amountFields,
+} = require("./money");
+const { quoteConversion } = require("./exchangeRates");
+const { attachmentUrl, attachmentSummary } = require("./attachments");
+const { checkTransferLimits } = require("./transferLimits");
+const { publishEvent, publishBalanceChange } = require("./webhooks");
+const { recordTransactionAnalytics } = require("./analytics");
+const { recordRiskAssessment } = require("./risk");
+
+/* -------------------------------------------------------------------------
+ * 🔁 IDEMPOTÊNCIA DE TRANSFERÊNCIAS
+ * ------------------------------------------------------------------------- */
+
+// Janela (em horas) em que uma Idempotency-Key continua valendo.
+// O campo 'expiresAt' também pode ser usado como política de TTL no Firestore.
+const IDEMPOTENCY_KEY_TTL_HOURS =
+  parseFloat(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+
+const sha256 = (value) =>
+  crypto.createHash("sha256").update(value).digest("hex");
+
+// Serializa o corpo com as chaves ordenadas para que a ordem dos campos
+// enviada pelo cliente não altere o hash
+const hashRequestBody = (body) => {
+  const sortedBody = Object.keys(body || {})
+    .sort()
+    .reduce((acc, key) => ({ ...acc, [key]: body[key] }), {});
+
+  return sha256(JSON.stringify(sortedBody));
+};
+
+// A chave é isolada por usuário: dois usuários podem usar o mesmo valor
+const getIdempotencyRef = (userId, idempotencyKey) =>
+  database
+    .collection("idempotencyKeys")
+    .doc(sha256(`${userId}:${idempotencyKey}`));
+
+const findAccountRef = async (bankAccountNumber) => {
+  const snapshot = await database
+    .collection("bankAccounts")
+    .where("bankAccountNumber", "==", bankAccountNumber)
+    .limit(1)
+    .get();
+
+  return snapshot.empty ? null : snapshot.docs[0].ref;
+};
+
+// Localiza o ID da transferência original. Registros antigos não possuem
+// 'transferId', então o ID do registro "sended" do par é usado no lugar
+const resolveTransferId = async (doc) => {
+  const data = doc.data();
+
+  if (data.transferId) return data.transferId;
+  if (data.type === "sended") return doc.id;
+
+  const snapshot = await database
+    .collection("transactions")
+    .where("fromAccountNumber", "==", data.fromAccountNumber)
+    .where("toAccountNumber", "==", data.toAccountNumber)
+    .where("date", "==", data.date)
+    .where("type", "==", "sended")
+    .limit(1)
+    .get();
+
+  return snapshot.empty ? doc.id : snapshot.docs[0].id;
+};
+
+// Grava o par "sended"/"received", o anexo (se houver) e o lançamento no
+// livro-razão. O débito do lançamento vai para 'debitAccount': a conta de
+// origem ou, na liberação de uma transferência retida, a conta de retenção.
+// 'amountMinor' está na moeda da origem; com 'exchange' (contas de moedas
+// diferentes) o registro do destino leva o valor convertido.
+const writeTransferRecords = (
+  transaction,
+  {
+    userId,
+    fromAccountNumber,
+    toAccountNumber,
+    amountMinor,
+    currency,
+    exchange = null,
+    category,
+    description,
+    fileName,
+    fileUrl,
+    attachment,
+    sender,
+    receiver,
+    metadata,
+    debitAccount = fromAccountNumber,
+  }
+) => {
+  const dateString = new Date();
+  const baseTransactionRef = database.collection("transactions").doc();
+
+  if (attachment) {
+    fileName = attachment.fileName;
+    fileUrl = attachmentUrl(attachment.id);
+
+    transaction.set(
+      database.collection("transactionAttachments").doc(attachment.id),
+      {
+        ...attachment,
+        transferId: baseTransactionRef.id,
+        parties: [sender.uid, receiver.uid],
+        uploadedBy: userId,
+        createdAt: dateString,
+      }
+    );
+  }
+
+  const attachments = attachment ? [attachmentSummary(attachment)] : [];
+  const sentAmount = amountFields(amountMinor, currency);
+  const receivedAmount = exchange
+    ? amountFields(exchange.targetAmountMinor, exchange.to)
+    : sentAmount;
+
+  const senderTransactionData = {
+    fromAccountNumber,
+    toAccountNumber,
+    ...sentAmount,
+    exchange,
+    date: dateString,
+    fileName: fileName || null,
+    fileUrl: fileUrl || null,
+    attachments,
+    associatedUser: sender.uid,
+    type: "sended",
+    createdAt: dateString,
+    name: sender.name,
+    counterpartyName: receiver.name,
+    category: category,
+    description: description || null,
+    transferId: baseTransactionRef.id,
+    ...metadata,
+  };
+
+  transaction.set(baseTransactionRef, senderTransactionData);
+  recordTransactionAnalytics(transaction, senderTransactionData);
+
+  const receiverTransactionData = {
+    fromAccountNumber,
+    toAccountNumber,
+    ...receivedAmount,
+    exchange,
+    date: dateString,
+    fileName: fileName || null,
+    fileUrl: fileUrl || null,
+    attachments,
+    associatedUser: receiver.uid,
+    type: "received",
+    createdAt: dateString,
+    name: receiver.name,
+    counterpartyName: sender.name,
+    category: category,
+    description: description || null,
+    transferId: baseTransactionRef.id,
+    ...metadata,
+  };
+
+  const receiverTransactionRef = database.collection("transactions").doc();
+  transaction.set(receiverTransactionRef, receiverTransactionData);
+  recordTransactionAnalytics(transaction, receiverTransactionData);
+
+  postJournalEntry(transaction, {
+    type: "transfer",
+    description: "Transferência entre contas",
+    postings: exchange
+      ? exchangePostings(debitAccount, toAccountNumber, exchange)
+      : transferPostings(debitAccount, toAccountNumber, amountMinor, currency),
+    reference: { transferId: baseTransactionRef.id },
+  });
+
+  const eventData = {
+    transferId: baseTransactionRef.id,
+    fromAccountNumber,
+    toAccountNumber,
+    exchange,
+    category: category || null,
+    date: dateString.toISOString(),
+  };
+
+  publishEvent(transaction, {
+    userId: sender.uid,
+    type: "transfer.sent",
+    data: {
+      ...eventData,
+      ...sentAmount,
+      transactionId: baseTransactionRef.id,
+    },
+  });
+  publishEvent(transaction, {
+    userId: receiver.uid,
+    type: "transfer.received",
+    data: {
+      ...eventData,
+      ...receivedAmount,
+      transactionId: receiverTransactionRef.id,
+    },
+  });
+
+  return {
+    senderId: baseTransactionRef.id,
+    receiverId: receiverTransactionRef.id,
+  };
+};
+
+// Retém uma transferência para análise: o valor (já debitado da origem)
+// fica na conta de retenção do livro-razão até a equipe aprovar ou recusar
+const holdTransfer = (transaction, transfer, risk) => {
+  const heldRef = database.collection("heldTransfers").doc();
+
+  transaction.set(heldRef, {
+    status: "pending_review",
+    userId: transfer.userId,
+    sender: transfer.sender,
+    receiver: transfer.receiver,
+    fromAccountNumber: transfer.fromAccountNumber,
+    toAccountNumber: transfer.toAccountNumber,
+    ...amountFields(transfer.amountMinor, transfer.currency),
+    exchange: transfer.exchange || null,
+    category: transfer.category || null,
+    description: transfer.description || null,
+    fileName: transfer.fileName || null,
+    fileUrl: transfer.fileUrl || null,
+    attachment: transfer.attachment || null,
+    metadata: transfer.metadata || {},
+    risk,
+    createdAt: new Date(),
+  });
+
+  postJournalEntry(transaction, {
+    type: "transfer_hold",
+    description: "Transferência retida para análise de risco",
+    postings: transferPostings(
+      transfer.fromAccountNumber,
+      SYSTEM_ACCOUNTS.HELD_TRANSFERS,
+      transfer.amountMinor,
+      transfer.currency
+    ),
+    reference: { heldTransferId: heldRef.id },
+  });
+
+  return heldRef;
+};
+
+// Executa a transferência de forma atômica: valida dono e saldo, atualiza as
+// duas contas, grava o par "sended"/"received" e o lançamento no livro-razão.
+// Os limites de transferência da conta de origem também são conferidos aqui.
+// 'metadata' é copiado para os dois registros (ex.: scheduledTransferId),
+// assim como a descrição livre ('description').
+// 'attachment' é um arquivo já enviado ao storage, vinculado na mesma transação.
+// 'amount' está na moeda da conta de origem; entre contas de moedas
+// diferentes o destino recebe o valor convertido pela cotação do momento.
+// 'assessRisk' (opcional) devolve a análise de risco: "block" recusa a
+// transferência e "review" debita a origem mas retém o valor em
+// 'heldTransfers' até a decisão da equipe (status 202).
+const executeTransfer = async ({
+  userId,
+  fromAccountNumber,
+  toAccountNumber,
+  amount,
+  category,
+  description,
+  fileName,
+  fileUrl,
+  idempotencyKey,
+  requestHash,
+  metadata,
+  attachment,
+  assessRisk,
+}) => {
+  const fromAccountRef = await findAccountRef(fromAccountNumber);
+  const toAccountRef = await findAccountRef(toAccountNumber);
+
+  if (!fromAccountRef || !toAccountRef) {
+    throw new Error("Uma das contas bancárias não foi encontrada.");
+  }
+
+  // Origem e destino no mesmo documento: o crédito sobrescreveria o débito
+  // e criaria dinheiro
+  if (fromAccountRef.path === toAccountRef.path) {
+    throw new Error("As contas de origem e destino devem ser diferentes.");
+  }
+
+  const idempotencyRef = idempotencyKey
+    ? getIdempotencyRef(userId, idempotencyKey)
+    : null;
+
+  // A recusa da análise de risco é registrada só depois da transação, cujo
+  // callback pode ser repetido
+  let blockedRisk = null;
+
+  try {
+    return await database.runTransaction(async (transaction) => {
+      // A chave é lida dentro da mesma transação que movimenta o saldo:
+      // duas repetições simultâneas nunca debitam a conta duas vezes
+      if (idempotencyRef) {
+        const idempotencyDoc = await transaction.get(idempotencyRef);
+        const storedKey = idempotencyDoc.exists ? idempotencyDoc.data() : null;
+
+        if (storedKey && storedKey.expiresAt.toDate() > new Date()) {
+          if (storedKey.requestHash !== requestHash) {
+            throw new Error(
+              "Idempotency-Key já utilizada com um corpo de requisição diferente."
+            );
+          }
+
+          return {
+            replayed: true,
+            status: storedKey.responseStatus,
+            body: storedKey.responseBody,
+          };
+        }
+      }
+
+      const fromDoc = await transaction.get(fromAccountRef);
+      const toDoc = await transaction.get(toAccountRef);
+
+      if (!fromDoc.exists || !toDoc.exists) {
+        throw new Error("Uma das contas bancárias não foi encontrada.");
+      }
+
+      if (fromDoc.data().associatedUser !== userId) {
+        throw new Error(
+          "Permissão negada. Você não é o dono da conta de origem."
+        );
+      }
+
+      const currency = accountCurrency(fromDoc.data());
+      const toCurrency = accountCurrency(toDoc.data());
+      const amountMinor = toMinorUnits(amount, currency);
+      const balanceMinor = accountBalanceMinor(fromDoc.data()) - amountMinor;
+      const transferAmount = fromMinorUnits(amountMinor, currency);
+
+      if (balanceMinor < 0) {
+        throw new Error("Saldo insuficiente para realizar a transação.");
+      }
+
+      // O consumo dos limites é gravado junto com o novo saldo
+      const limitUsage = checkTransferLimits(fromDoc.data(), amountMinor);
+
+      // Consultas da análise de risco ficam fora da transação (só leitura)
+      const risk = assessRisk ? await assessRisk() : null;
+
+      if (risk && risk.decision === "block") {
+        blockedRisk = risk;
+        throw new Error("Transferência bloqueada pela análise de risco.");
+      }
+
+      // Contas de moedas diferentes: cotação do provedor, gravada como aplicada
+      const exchange =
+        currency === toCurrency
+          ? null
+          : await quoteConversion(amountMinor, currency, toCurrency);
+
+      transaction.update(fromAccountRef, {
+        ...balanceFields(balanceMinor, currency),
+        limitUsage,
+      });
+      publishBalanceChange(transaction, {
+        userId,
+        bankAccountNumber: fromAccountNumber,
+        balance: fromMinorUnits(balanceMinor, currency),
+        change: -transferAmount,
+        currency,
+        reason:
+          risk && risk.decision === "review" ? "transfer.held" : "transfer",
+      });
+
+      const transferData = {
+        userId,
+        fromAccountNumber,
+        toAccountNumber,
+        amountMinor,
+        currency,
+        exchange,
+        category,
+        description,
+        fileName,
+        fileUrl,
+        attachment,
+        sender: { uid: userId, name: fromDoc.data().name },
+        receiver: {
+          uid: toDoc.data().associatedUser,
+          name: toDoc.data().name,
+        },
+        metadata,
+      };
+
+      let status = 201;
+      let responseBody;
+
+      if (risk && risk.decision === "review") {
+        const heldRef = holdTransfer(transaction, transferData, risk);
+
+        status = 202;
+        responseBody = {
+          message:
+            "Transferência retida para análise de segurança. O valor fica reservado até a conclusão.",
+          heldTransferId: heldRef.id,
+          status: "pending_review",
+        };
+      } else {
+        const creditMinor = exchange ? exchange.targetAmountMinor : amountMinor;
+        const receiverBalanceMinor =
+          accountBalanceMinor(toDoc.data()) + creditMinor;
+
+        transaction.update(
+          toAccountRef,
+          balanceFields(receiverBalanceMinor, toCurrency)
+        );
+        publishBalanceChange(transaction, {
+          userId: toDoc.data().associatedUser,
+          bankAccountNumber: toAccountNumber,
+          balance: fromMinorUnits(receiverBalanceMinor, toCurrency),
+          change: fromMinorUnits(creditMinor, toCurrency),
+          currency: toCurrency,
+          reason: "transfer",
+        });
+
+        responseBody = {
+          message:
+            "Transação (transferência) realizada e saldos atualizados com sucesso.",
+          ...writeTransferRecords(transaction, transferData),
+        };
+      }
+
+      if (idempotencyRef) {
+        const now = new Date();
+        const expiresAt = new Date(
+          now.getTime() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000
+        );
+
+        transaction.set(idempotencyRef, {
+          associatedUser: userId,
+          requestHash,
+          responseStatus: status,
+          responseBody,
+          createdAt: now,
+          expiresAt,
+        });
+      }
+
+      return { replayed: false, status, body: responseBody };
+    });
+  } catch (error) {
+    if (blockedRisk) {
+      await recordRiskAssessment(
+        { userId, fromAccountNumber, toAccountNumber, amount },
+        blockedRisk
+      ).catch((recordError) =>
+        console.error("Erro ao registrar análise de risco:", recordError)
+      );
+    }
+
+    throw error;
+  }
+};
+
+module.exports = {
+  hashRequestBody,
+  findAccountRef,
+  resolveTransferId,
+  writeTransferRecords,
+  executeTransfer,
+};
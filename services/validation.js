@@ -0,0 +1,250 @@
+/* =========================================================================
+ * ✅ VALIDAÇÃO DECLARATIVA DE REQUISIÇÕES
+ * Cada rota declara um schema para 'params', 'query' e 'body'. Um schema
+ * é um objeto { campo: regra }; as regras aceitas são:
+ *   type       string | number | integer | boolean | date | object | array
+ *   required   o campo deve estar presente (e não ser null)
+ *   nullable   aceita null explicitamente
+ *   enum       lista de valores aceitos
+ *   equals     valor exato exigido (ex.: aceite de termos = true)
+ *   min, max   limites numéricos
+ *   minLength, maxLength  limites de tamanho (texto ou lista)
+ *   pattern    expressão regular para textos
+ *   email      texto em formato de e-mail
+ *   fields     schema dos campos de um objeto
+ *   items      regra dos itens de uma lista
+ * No body, campos fora do schema são recusados: o schema é a lista
+ * explícita do que a rota aceita gravar.
+ * ========================================================================= */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const TYPE_MESSAGES = {
+  string: "Deve ser um texto.",
+  number: "Deve ser um número.",
+  integer: "Deve ser um número inteiro.",
+  boolean: "Deve ser verdadeiro ou falso.",
+  date: "Deve ser uma data válida.",
+  object: "Deve ser um objeto.",
+  array: "Deve ser uma lista.",
+};
+
+// Valores de query string e de multipart chegam sempre como texto
+const coerceValue = (type, value) => {
+  if (typeof value !== "string") return value;
+
+  if ((type === "number" || type === "integer") && value.trim() !== "") {
+    const number = Number(value);
+    return isNaN(number) ? value : number;
+  }
+
+  if (type === "boolean" && (value === "true" || value === "false")) {
+    return value === "true";
+  }
+
+  return value;
+};
+
+const matchesType = (type, value) => {
+  switch (type) {
+    case "string":
+      return typeof value === "string";
+    case "number":
+      return typeof value === "number" && isFinite(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "boolean":
+      return typeof value === "boolean";
+    case "date":
+      return (
+        (typeof value === "string" || typeof value === "number") &&
+        !isNaN(new Date(value))
+      );
+    case "object":
+      return (
+        typeof value === "object" && value !== null && !Array.isArray(value)
+      );
+    case "array":
+      return Array.isArray(value);
+    default:
+      return true;
+  }
+};
+
+// Valida um valor contra uma regra. Retorna a mensagem do erro ou null.
+const checkRule = (rule, value) => {
+  if (rule.type && !matchesType(rule.type, value)) {
+    return TYPE_MESSAGES[rule.type];
+  }
+
+  if (rule.equals !== undefined && value !== rule.equals) {
+    return `Deve ser ${JSON.stringify(rule.equals)}.`;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `Valor inválido. Use: ${rule.enum.join(", ")}.`;
+  }
+
+  if (rule.min !== undefined && value < rule.min) {
+    return `Deve ser maior ou igual a ${rule.min}.`;
+  }
+
+  if (rule.max !== undefined && value > rule.max) {
+    return `Deve ser menor ou igual a ${rule.max}.`;
+  }
+
+  if (rule.minLength !== undefined && value.length < rule.minLength) {
+    return `Deve ter no mínimo ${rule.minLength} caracteres ou itens.`;
+  }
+
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    return `Deve ter no máximo ${rule.maxLength} caracteres ou itens.`;
+  }
+
+  if (rule.pattern && !rule.pattern.test(value)) {
+    return "Formato inválido.";
+  }
+
+  if (rule.email && !EMAIL_PATTERN.test(value)) {
+    return "E-mail inválido.";
+  }
+
+  return null;
+};
+
+// Valida 'input' contra 'schema'. Retorna { errors, value }, em que 'value'
+// contém apenas os campos do schema (já convertidos quando 'coerce').
+const validateInput = (
+  schema,
+  input,
+  { location = "body", coerce = false, allowUnknown = false, prefix = "" } = {}
+) => {
+  const errors = [];
+  const value = {};
+  const data = input || {};
+
+  if (typeof data !== "object" || Array.isArray(data)) {
+    return {
+      errors: [
+        { location, field: prefix || location, message: "Deve ser um objeto." },
+      ],
+      value,
+    };
+  }
+
+  if (!allowUnknown) {
+    Object.keys(data)
+      .filter((field) => !schema[field])
+      .forEach((field) =>
+        errors.push({
+          location,
+          field: prefix + field,
+          message: "Campo não permitido.",
+        })
+      );
+  }
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const path = prefix + field;
+    let fieldValue = data[field];
+
+    if (fieldValue === undefined || (fieldValue === null && !rule.nullable)) {
+      if (rule.required || fieldValue === null) {
+        errors.push({
+          location,
+          field: path,
+          message: rule.required ? "Campo obrigatório." : "Não pode ser nulo.",
+        });
+      }
+      return;
+    }
+
+    if (fieldValue === null) {
+      value[field] = null;
+      return;
+    }
+
+    if (coerce) fieldValue = coerceValue(rule.type, fieldValue);
+
+    const message = checkRule(rule, fieldValue);
+    if (message) {
+      errors.push({ location, field: path, message });
+      return;
+    }
+
+    if (rule.fields) {
+      const nested = validateInput(rule.fields, fieldValue, {
+        location,
+        coerce,
+        prefix: `${path}.`,
+      });
+      errors.push(...nested.errors);
+      fieldValue = nested.value;
+    }
+
+    if (rule.items) {
+      fieldValue.forEach((item, index) => {
+        const itemMessage = checkRule(rule.items, item);
+        if (itemMessage) {
+          errors.push({
+            location,
+            field: `${path}[${index}]`,
+            message: itemMessage,
+          });
+        }
+      });
+    }
+
+    value[field] = fieldValue;
+  });
+
+  return { errors, value };
+};
+
+// Payload padrão das falhas de validação (status 400)
+const validationErrorBody = (errors) => ({
+  message: "Dados da requisição inválidos.",
+  errors,
+});
+
+// Middleware: valida { params, query, body } da rota. O body validado
+// substitui req.body, sem os campos que o schema não declara. Na query, os
+// valores convertidos (ex.: ?favorite=true vira o booleano true) substituem
+// os textos em req.query; os demais parâmetros são mantidos.
+const validateRequest = (schemas) => (req, res, next) => {
+  const errors = [];
+
+  if (schemas.params) {
+    errors.push(
+      ...validateInput(schemas.params, req.params, {
+        location: "params",
+        allowUnknown: true,
+      }).errors
+    );
+  }
+
+  if (schemas.query) {
+    const result = validateInput(schemas.query, req.query, {
+      location: "query",
+      coerce: true,
+      allowUnknown: true,
+    });
+    errors.push(...result.errors);
+    req.query = { ...req.query, ...result.value };
+  }
+
+  // Rotas multipart validam os campos do formulário depois de lê-lo
+  if (schemas.body && !req.is("multipart/form-data")) {
+    const result = validateInput(schemas.body, req.body, { location: "body" });
+    errors.push(...result.errors);
+    req.body = result.value;
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).send(validationErrorBody(errors));
+  }
+
+  next();
+};
+
+module.exports = { validateInput, validationErrorBody, validateRequest };
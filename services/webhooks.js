@@ -0,0 +1,613 @@
+/* =========================================================================
+ * 📡 WEBHOOKS DE EVENTOS DA CONTA
+ * Os eventos são gravados em 'webhookEvents' na mesma transação que altera
+ * os dados (publishEvent): se a transferência foi gravada, o evento também
+ * foi. O executor (npm run webhooks) distribui cada evento às assinaturas
+ * do usuário em 'webhookDeliveries' e faz as entregas, com assinatura HMAC
+ * e novas tentativas com espera exponencial. Cada tentativa fica registrada
+ * em 'webhookDeliveries/{id}/attempts'.
+ * As entregas só vão para endereços públicos: o host é resolvido no momento
+ * da conexão e IPs internos (IPv4 e IPv6) são recusados.
+ * ========================================================================= */
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const { admin, database } = require("./firebase");
+const { roundAmount } = require("./journal");
+const { DEFAULT_CURRENCY } = require("./money");
+
+const WEBHOOK_EVENTS = [
+  "transfer.sent",
+  "transfer.received",
+  "balance.changed",
+  "investment.redeemed",
+  "budget.threshold_reached",
+  "bill.paid",
+  "bill.failed",
+];
+
+const DELIVERY_STATUSES = ["pending", "delivered", "failed", "canceled"];
+
+const MAX_SUBSCRIPTIONS_PER_USER = 10;
+
+// Tentativas por entrega e espera entre elas: 30s, 1min, 2min... até 6h
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const BASE_RETRY_SECONDS = 30;
+const MAX_RETRY_SECONDS = 6 * 60 * 60;
+
+const REQUEST_TIMEOUT_MS =
+  (parseInt(process.env.WEBHOOK_TIMEOUT_SECONDS, 10) || 10) * 1000;
+
+// URLs http:// só são aceitas em desenvolvimento
+const ALLOW_INSECURE_URLS = process.env.WEBHOOK_ALLOW_INSECURE === "true";
+
+const subscriptionsCollection = () =>
+  database.collection("webhookSubscriptions");
+const deliveriesCollection = () => database.collection("webhookDeliveries");
+
+/* -------------------------------------------------------------------------
+ * 📤 PUBLICAÇÃO DE EVENTOS
+ * ------------------------------------------------------------------------- */
+
+// Grava um evento usando qualquer objeto com .set(ref, data): uma transação
+// do Firestore ou um WriteBatch (como postJournalEntry). 'createdAt' é o
+// horário do commit no servidor: a ordem dos eventos é a ordem em que as
+// gravações foram confirmadas, e não a dos relógios de cada instância.
+const publishEvent = (writer, { userId, type, data }) => {
+  const eventRef = database.collection("webhookEvents").doc();
+
+  writer.set(eventRef, {
+    userId,
+    type,
+    data,
+    status: "pending",
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  return eventRef;
+};
+
+const publishBalanceChange = (
+  writer,
+  { userId, bankAccountNumber, balance, change, currency, reason }
+) =>
+  publishEvent(writer, {
+    userId,
+    type: "balance.changed",
+    data: {
+      bankAccountNumber,
+      balance: roundAmount(balance),
+      change: roundAmount(change),
+      currency: currency || DEFAULT_CURRENCY,
+      reason,
+    },
+  });
+
+/* -------------------------------------------------------------------------
+ * 📝 ASSINATURAS
+ * ------------------------------------------------------------------------- */
+
+const LOCAL_HOST_PATTERNS = [/^localhost$/i, /\.localhost$/i];
+
+// Faixas que o executor nunca acessa: rede interna, loopback, link-local,
+// multicast e reservadas. IPv6 mapeado (::ffff:a.b.c.d) é conferido pelas
+// regras IPv4.
+const PRIVATE_ADDRESSES = new net.BlockList();
+
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([network, prefix]) =>
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv4")
+);
+
+[
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([network, prefix]) =>
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv6")
+);
+
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return true;
+
+  return PRIVATE_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4");
+};
+
+const PRIVATE_ADDRESS_ERROR =
+  "A URL de webhook deve apontar para um endereço público.";
+
+// Resolve o host e recusa endereços internos. É o 'lookup' da conexão: o IP
+// conferido é o mesmo usado no envio (sem brecha para DNS rebinding entre a
+// verificação e a requisição).
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address }];
+
+    if (addresses.some((entry) => isPrivateAddress(entry.address))) {
+      return callback(new Error(PRIVATE_ADDRESS_ERROR));
+    }
+
+    callback(null, address, family);
+  });
+};
+
+// Só endereços públicos: o executor não deve ser usado para acessar a rede
+// interna. Hosts com nome são conferidos de novo em cada entrega.
+const validateWebhookUrl = (value) => {
+  let url;
+
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new Error("URL de webhook inválida.");
+  }
+
+  if (url.protocol !== "https:" && !ALLOW_INSECURE_URLS) {
+    throw new Error("A URL de webhook deve usar https://.");
+  }
+
+  if (!["https:", "http:"].includes(url.protocol)) {
+    throw new Error("URL de webhook inválida.");
+  }
+
+  // IPv6 literal vem entre colchetes em 'hostname'
+  const host = url.hostname.replace(/^\[(.*)\]$/, "$1");
+
+  if (
+    !ALLOW_INSECURE_URLS &&
+    (LOCAL_HOST_PATTERNS.some((pattern) => pattern.test(host)) ||
+      (net.isIP(host) && isPrivateAddress(host)))
+  ) {
+    throw new Error(PRIVATE_ADDRESS_ERROR);
+  }
+
+  return url.toString();
+};
+
+// O segredo nunca é devolvido nas listagens
+const publicSubscription = (doc) => {
+  const data = { id: doc.id, ...doc.data() };
+  delete data.secret;
+  return data;
+};
+
+const getOwnedSubscription = async (userId, subscriptionId) => {
+  const doc = await subscriptionsCollection().doc(subscriptionId).get();
+
+  if (!doc.exists || doc.data().associatedUser !== userId) {
+    throw new Error("Webhook não encontrado.");
+  }
+
+  return doc;
+};
+
+// Cria uma assinatura. O segredo de assinatura só é exibido nesta resposta.
+const createSubscription = async (userId, { url, events, description }) => {
+  const existing = await subscriptionsCollection()
+    .where("associatedUser", "==", userId)
+    .get();
+
+  if (existing.size >= MAX_SUBSCRIPTIONS_PER_USER) {
+    throw new Error(
+      `Limite de ${MAX_SUBSCRIPTIONS_PER_USER} webhooks por usuário atingido.`
+    );
+  }
+
+  const now = new Date();
+  const data = {
+    associatedUser: userId,
+    url: validateWebhookUrl(url),
+    events: [...new Set(events)],
+    description: description || null,
+    active: true,
+    secret: `whsec_${crypto.randomBytes(24).toString("hex")}`,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  const ref = await subscriptionsCollection().add(data);
+
+  return { id: ref.id, ...data };
+};
+
+const listSubscriptions = async (userId) => {
+  const snapshot = await subscriptionsCollection()
+    .where("associatedUser", "==", userId)
+    .orderBy("createdAt", "desc")
+    .get();
+
+  return snapshot.docs.map(publicSubscription);
+};
+
+const updateSubscription = async (userId, subscriptionId, changes) => {
+  const doc = await getOwnedSubscription(userId, subscriptionId);
+  const update = { ...changes, updatedAt: new Date() };
+
+  if (changes.url !== undefined) update.url = validateWebhookUrl(changes.url);
+  if (changes.events !== undefined) {
+    update.events = [...new Set(changes.events)];
+  }
+
+  await doc.ref.update(update);
+
+  return publicSubscription(await doc.ref.get());
+};
+
+// Entregas pendentes da assinatura excluída são canceladas pelo executor
+const deleteSubscription = async (userId, subscriptionId) => {
+  const doc = await getOwnedSubscription(userId, subscriptionId);
+  await doc.ref.delete();
+};
+
+const rotateSubscriptionSecret = async (userId, subscriptionId) => {
+  const doc = await getOwnedSubscription(userId, subscriptionId);
+  const secret = `whsec_${crypto.randomBytes(24).toString("hex")}`;
+
+  await doc.ref.update({ secret, updatedAt: new Date() });
+
+  return secret;
+};
+
+/* -------------------------------------------------------------------------
+ * 📬 ENTREGAS
+ * ------------------------------------------------------------------------- */
+
+// Assinatura enviada em 'X-Webhook-Signature': t=<timestamp>,v1=<hmac>,
+// com o HMAC-SHA256 de "<timestamp>.<corpo>". O receptor deve recusar
+// timestamps antigos para evitar reenvios maliciosos.
+const signPayload = (secret, timestamp, body) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+
+const retryDelaySeconds = (attempt) =>
+  Math.min(BASE_RETRY_SECONDS * 2 ** (attempt - 1), MAX_RETRY_SECONDS);
+
+const listDeliveries = async (
+  userId,
+  { subscriptionId, status, itemsPerPage = 50, lastItemId }
+) => {
+  let query = deliveriesCollection().where("associatedUser", "==", userId);
+
+  if (subscriptionId) {
+    query = query.where("subscriptionId", "==", subscriptionId);
+  }
+  if (status) query = query.where("status", "==", status);
+
+  query = query.orderBy("createdAt", "desc");
+
+  if (lastItemId) {
+    const cursorDoc = await deliveriesCollection().doc(lastItemId).get();
+    if (cursorDoc.exists) query = query.startAfter(cursorDoc);
+  }
+
+  const snapshot = await query.limit(itemsPerPage).get();
+  const lastDoc = snapshot.docs[snapshot.docs.length - 1];
+
+  return {
+    data: snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() })),
+    pagination: {
+      itemsPerPage,
+      nextCursorId: lastDoc ? lastDoc.id : null,
+      hasMore: snapshot.docs.length === itemsPerPage,
+    },
+  };
+};
+
+// Entrega com o histórico de tentativas
+const getDelivery = async (userId, deliveryId) => {
+  const ref = deliveriesCollection().doc(deliveryId);
+  const doc = await ref.get();
+
+  if (!doc.exists || doc.data().associatedUser !== userId) {
+    throw new Error("Entrega de webhook não encontrada.");
+  }
+
+  const attempts = await ref
+    .collection("attempts")
+    .orderBy("attemptedAt")
+    .get();
+
+  return {
+    id: doc.id,
+    ...doc.data(),
+    attempts: attempts.docs.map((attempt) => attempt.data()),
+  };
+};
+
+// Reenvia uma entrega que falhou (ou foi cancelada): ela volta para a
+// fila com um novo ciclo de tentativas
+const replayDelivery = async (userId, deliveryId) => {
+  const ref = deliveriesCollection().doc(deliveryId);
+
+  return database.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+
+    if (!doc.exists || doc.data().associatedUser !== userId) {
+      throw new Error("Entrega de webhook não encontrada.");
+    }
+
+    if (!["failed", "canceled"].includes(doc.data().status)) {
+      throw new Error("Somente entregas com falha podem ser reenviadas.");
+    }
+
+    const now = new Date();
+
+    transaction.update(ref, {
+      status: "pending",
+      attempts: 0,
+      nextAttemptAt: now,
+      replayCount: (doc.data().replayCount || 0) + 1,
+      replayedAt: now,
+    });
+
+    return { id: ref.id, status: "pending", nextAttemptAt: now };
+  });
+};
+
+/* -------------------------------------------------------------------------
+ * ⚙️ EXECUTOR
+ * ------------------------------------------------------------------------- */
+
+// Cria uma entrega para cada assinatura ativa interessada no evento.
+// A leitura do evento na transação impede que dois executores o distribuam.
+const fanOutEvent = (eventDoc) =>
+  database.runTransaction(async (transaction) => {
+    const current = await transaction.get(eventDoc.ref);
+    if (current.data().status !== "pending") return 0;
+
+    const event = current.data();
+    const subscriptions = await transaction.get(
+      subscriptionsCollection()
+        .where("associatedUser", "==", event.userId)
+        .where("events", "array-contains", event.type)
+    );
+    const active = subscriptions.docs.filter((doc) => doc.data().active);
+    const now = new Date();
+
+    active.forEach((subscription) => {
+      transaction.set(deliveriesCollection().doc(), {
+        subscriptionId: subscription.id,
+        associatedUser: event.userId,
+        eventId: eventDoc.id,
+        event: event.type,
+        payload: {
+          id: eventDoc.id,
+          type: event.type,
+          createdAt: event.createdAt.toDate().toISOString(),
+          data: event.data,
+        },
+        status: "pending",
+        attempts: 0,
+        nextAttemptAt: now,
+        createdAt: now,
+      });
+    });
+
+    transaction.update(eventDoc.ref, {
+      status: "dispatched",
+      deliveryCount: active.length,
+      dispatchedAt: now,
+    });
+
+    return active.length;
+  });
+
+// Reserva a entrega por alguns instantes: outro executor não a envia junto
+const claimDelivery = (deliveryDoc) =>
+  database.runTransaction(async (transaction) => {
+    const current = await transaction.get(deliveryDoc.ref);
+    const data = current.data();
+
+    if (data.status !== "pending" || data.nextAttemptAt.toDate() > new Date()) {
+      return null;
+    }
+
+    transaction.update(deliveryDoc.ref, {
+      nextAttemptAt: new Date(Date.now() + REQUEST_TIMEOUT_MS * 3),
+    });
+
+    return data;
+  });
+
+// POST com o 'lookup' que recusa endereços internos (http/https do Node não
+// seguem redirecionamentos). IPs literais não passam pelo 'lookup' e são
+// conferidos por validateWebhookUrl. Devolve o status e o início da resposta.
+const postWebhook = (value, headers, body) =>
+  new Promise((resolve, reject) => {
+    const url = new URL(validateWebhookUrl(value));
+    const client = url.protocol === "https:" ? https : http;
+
+    const request = client.request(
+      url,
+      {
+        method: "POST",
+        headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+        lookup: ALLOW_INSECURE_URLS ? undefined : publicLookup,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      },
+      (response) => {
+        let text = "";
+
+        response.setEncoding("utf8");
+        response.on("data", (chunk) => {
+          if (text.length < 500) text += chunk;
+        });
+        response.on("end", () =>
+          resolve({ statusCode: response.statusCode, text })
+        );
+        response.on("error", reject);
+      }
+    );
+
+    request.on("error", reject);
+    request.end(body);
+  });
+
+const sendDelivery = async (deliveryId, delivery, subscription) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+
+  try {
+    const response = await postWebhook(
+      subscription.url,
+      {
+        "Content-Type": "application/json",
+        "User-Agent": "PrimeBank-Webhooks/1.0",
+        "X-Webhook-Id": deliveryId,
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": `t=${timestamp},v1=${signPayload(
+          subscription.secret,
+          timestamp,
+          body
+        )}`,
+      },
+      body
+    );
+    const ok = response.statusCode >= 200 && response.statusCode < 300;
+
+    return {
+      ok,
+      statusCode: response.statusCode,
+      responseBody: response.text.slice(0, 500),
+      error: ok ? null : `HTTP ${response.statusCode}`,
+      durationMs: Date.now() - startedAt,
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      statusCode: null,
+      responseBody: null,
+      error: error.message,
+      durationMs: Date.now() - startedAt,
+    };
+  }
+};
+
+// Envia uma entrega e registra a tentativa. Devolve o novo status.
+const processDelivery = async (deliveryDoc) => {
+  const delivery = await claimDelivery(deliveryDoc);
+  if (!delivery) return null;
+
+  const subscriptionDoc = await subscriptionsCollection()
+    .doc(delivery.subscriptionId)
+    .get();
+
+  if (!subscriptionDoc.exists || !subscriptionDoc.data().active) {
+    await deliveryDoc.ref.update({
+      status: "canceled",
+      lastError: "Webhook excluído ou desativado.",
+    });
+    return "canceled";
+  }
+
+  const attempt = (delivery.attempts || 0) + 1;
+  const result = await sendDelivery(
+    deliveryDoc.id,
+    delivery,
+    subscriptionDoc.data()
+  );
+  const now = new Date();
+  const update = {
+    attempts: attempt,
+    lastAttemptAt: now,
+    lastStatusCode: result.statusCode,
+    lastError: result.error,
+  };
+
+  if (result.ok) {
+    Object.assign(update, { status: "delivered", deliveredAt: now });
+  } else if (attempt >= MAX_ATTEMPTS) {
+    update.status = "failed";
+  } else {
+    update.nextAttemptAt = new Date(
+      now.getTime() + retryDelaySeconds(attempt) * 1000
+    );
+  }
+
+  const batch = database.batch();
+  batch.set(deliveryDoc.ref.collection("attempts").doc(), {
+    attempt,
+    ok: result.ok,
+    statusCode: result.statusCode,
+    error: result.error,
+    responseBody: result.responseBody,
+    durationMs: result.durationMs,
+    attemptedAt: now,
+  });
+  batch.update(deliveryDoc.ref, update);
+  await batch.commit();
+
+  return update.status || "pending";
+};
+
+// Um ciclo do executor: distribui os eventos novos e envia as entregas vencidas
+const runWebhookQueue = async ({ batchSize = 50 } = {}) => {
+  const summary = { events: 0, delivered: 0, retrying: 0, failed: 0 };
+
+  const events = await database
+    .collection("webhookEvents")
+    .where("status", "==", "pending")
+    .orderBy("createdAt", "asc")
+    .limit(batchSize)
+    .get();
+
+  for (const eventDoc of events.docs) {
+    await fanOutEvent(eventDoc);
+    summary.events++;
+  }
+
+  const deliveries = await deliveriesCollection()
+    .where("status", "==", "pending")
+    .where("nextAttemptAt", "<=", new Date())
+    .orderBy("nextAttemptAt", "asc")
+    .limit(batchSize)
+    .get();
+
+  for (const deliveryDoc of deliveries.docs) {
+    const status = await processDelivery(deliveryDoc);
+
+    if (status === "delivered") summary.delivered++;
+    else if (status === "pending") summary.retrying++;
+    else if (status === "failed") summary.failed++;
+  }
+
+  return summary;
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES,
+  publishEvent,
+  publishBalanceChange,
+  createSubscription,
+  listSubscriptions,
+  updateSubscription,
+  deleteSubscription,
+  rotateSubscriptionSecret,
+  listDeliveries,
+  getDelivery,
+  replayDelivery,
+  runWebhookQueue,
+};